@@ -9,6 +9,7 @@
  * Copyright (c) 2017, Joyent, Inc.
  */
 
+var fs = require('fs');
 var getopt = require('posix-getopt');
 var lib = require('../lib');
 var path = require('path');
@@ -20,7 +21,7 @@ var path = require('path');
 function parseOptions() {
         var option;
         var opts = {};
-        var parser = new getopt.BasicParser('', process.argv);
+        var parser = new getopt.BasicParser('j:Jr:s:', process.argv);
 
         while ((option = parser.getopt()) !== undefined) {
                 if (option.error) {
@@ -28,6 +29,18 @@ function parseOptions() {
                 }
 
                 switch (option.option) {
+                case 'j':
+                        opts.jobId = option.optarg;
+                        break;
+                case 'J':
+                        opts.jsonLines = true;
+                        break;
+                case 'r':
+                        opts.summaryFile = option.optarg;
+                        break;
+                case 's':
+                        opts.storageNodesFile = option.optarg;
+                        break;
                 default:
                         usage('Unknown option: ' + option.option);
                         break;
@@ -43,7 +56,10 @@ function usage(msg) {
                 console.error(msg);
         }
         var str  = 'usage: ' + path.basename(process.argv[1]);
-        str += '';
+        str += ' [-j job_id]';
+        str += ' [-J json_lines]';
+        str += ' [-r summary_file]';
+        str += ' [-s storage_nodes_file]';
         console.error(str);
         process.exit(1);
 }
@@ -55,12 +71,42 @@ function usage(msg) {
 var _opts = parseOptions();
 _opts.reader = process.stdin;
 
+//The storage nodes that the audit has mako dumps from, as a JSON array.
+if (_opts.storageNodesFile) {
+        _opts.storageNodes = JSON.parse(fs.readFileSync(
+            _opts.storageNodesFile, 'utf8'));
+}
+
 var _auditor = lib.createAuditor({
-        reader: process.stdin
+        reader: process.stdin,
+        storageNodes: _opts.storageNodes
 });
 
-_auditor.on('problem', function (problem) {
-        process.stdout.write(problem + '\n');
+//With -J, each problem is written as a JSON object, with its kind, rather
+// than as the line it was found in.
+function writeRecord(record) {
+        if (_opts.jsonLines) {
+                process.stdout.write(JSON.stringify(record) + '\n');
+        } else {
+                process.stdout.write(record + '\n');
+        }
+}
+
+_auditor.on('problem', writeRecord);
+_auditor.on('size_mismatch', writeRecord);
+_auditor.on('corrupt', writeRecord);
+
+var _summary = lib.createAuditSummary();
+_summary.attach(_auditor);
+if (_opts.jobId) {
+        _summary.addJob(_opts.jobId);
+}
+
+_auditor.on('end', function () {
+        if (_opts.summaryFile) {
+                fs.writeFileSync(_opts.summaryFile,
+                    JSON.stringify(_summary.toJSON()) + '\n');
+        }
 });
 
 _auditor.on('error', function (err) {
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// -*- mode: js -*-
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * mola-audit-owner: prints what the latest audit found for one owner, from
+ * the durability report that kick_off_audit.js links to latest.json.  See
+ * lib/durability_report.js.
+ */
+
+var bunyan = require('bunyan');
+var fs = require('fs');
+var getopt = require('posix-getopt');
+var lib = require('../lib');
+var manta = require('manta');
+var path = require('path');
+
+
+
+///--- Globals
+
+var LOG = bunyan.createLogger({
+        level: (process.env.LOG_LEVEL || 'info'),
+        name: 'audit_owner',
+        stream: process.stderr,
+        serializers: bunyan.stdSerializers
+});
+//The same config kick_off_audit.js reads, so the report is found wherever
+// the audit puts it.
+var MOLA_AUDIT_CONFIG = (process.env.MOLA_AUDIT_CONFIG ||
+                   '/opt/smartdc/mola/etc/config.json');
+var MOLA_AUDIT_CONFIG_OBJ = JSON.parse(fs.readFileSync(MOLA_AUDIT_CONFIG));
+var MANTA_CLIENT = manta.createClientFromFileSync(MOLA_AUDIT_CONFIG, LOG);
+var MANTA_USER = MANTA_CLIENT.user;
+var MP = '/' + MANTA_USER + '/stor';
+
+
+
+///--- Helpers
+
+function parseOptions() {
+        var option;
+        var opts = {};
+        var parser = new getopt.BasicParser('f:o:t', process.argv);
+        while ((option = parser.getopt()) !== undefined) {
+                if (option.error) {
+                        usage();
+                }
+
+                switch (option.option) {
+                case 'f':
+                        opts.reportPath = option.optarg;
+                        break;
+                case 'o':
+                        opts.owner = option.optarg;
+                        break;
+                case 't':
+                        opts.jobRoot = MP + '/manta_audit_test';
+                        break;
+                default:
+                        usage('Unknown option: ' + option.option);
+                        break;
+                }
+        }
+
+        if (!opts.owner) {
+                usage('-o [owner_uuid] is a required argument');
+        }
+        opts.jobRoot = opts.jobRoot || MOLA_AUDIT_CONFIG_OBJ.jobRoot ||
+                MP + '/manta_audit';
+        opts.reportPath = opts.reportPath ||
+                opts.jobRoot + '/reports/latest.json';
+
+        return (opts);
+}
+
+
+function usage(msg) {
+        if (msg) {
+                console.error(msg);
+        }
+        var str  = 'usage: ' + path.basename(process.argv[1]);
+        str += ' [-f report_path] [-t]';
+        str += ' -o owner_uuid';
+        console.error(str);
+        process.exit(1);
+}
+
+
+
+///--- Main
+
+var _opts = parseOptions();
+
+lib.common.getObject({
+        'client': MANTA_CLIENT,
+        'path': _opts.reportPath
+}, function (err, data) {
+        MANTA_CLIENT.close();
+        if (err) {
+                LOG.fatal({ err: err, path: _opts.reportPath },
+                    'unable to get durability report');
+                process.exit(1);
+        }
+
+        var report = JSON.parse(data);
+        var owner = report.owners[_opts.owner];
+        var res = {
+                owner: _opts.owner,
+                report: _opts.reportPath,
+                jobs: report.jobs,
+                atRisk: !!owner,
+                objects: owner ? owner.objects : 0,
+                bytes: owner ? owner.bytes : 0,
+                problems: owner ? owner.problems : {},
+                keys: owner ? owner.keys : []
+        };
+        console.log(JSON.stringify(res, null, 2));
+});
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var bunyan = require('bunyan');
+var fs = require('fs');
+var getopt = require('posix-getopt');
+var lib = require('../lib');
+var path = require('path');
+
+
+
+///--- Global Objects
+
+var NAME = 'mola-audit-repair';
+var LOG = bunyan.createLogger({
+        level: (process.env.LOG_LEVEL || 'info'),
+        name: NAME,
+        stream: process.stdout
+});
+
+
+
+///--- Helpers
+
+function parseOptions() {
+        var option;
+        var opts = { log: LOG };
+        var parser = new getopt.BasicParser('e:f:', process.argv);
+
+        while ((option = parser.getopt()) !== undefined) {
+                if (option.error) {
+                        usage();
+                }
+
+                switch (option.option) {
+                case 'e':
+                        opts.errorFile = option.optarg;
+                        break;
+                case 'f':
+                        opts.file = option.optarg;
+                        break;
+                default:
+                        usage('Unknown option: ' + option.option);
+                        break;
+                }
+        }
+
+        if (!opts.errorFile) {
+                usage('-e [file] is a required argument');
+        }
+        if (!opts.file) {
+                usage('-f [file] is a required argument');
+        }
+
+        return (opts);
+}
+
+
+function usage(msg) {
+        if (msg) {
+                console.error(msg);
+        }
+        var str = 'usage: ' + path.basename(process.argv[1]);
+        str += [
+                ' [-f file] [-e error file]',
+                '',
+                'The file is a repair plan written by audit_sweep.js -r.',
+                'For each object in it, a copy is made on the new storage',
+                'node from one that still has the object, and the moray',
+                'record is updated to list the new storage node in place of',
+                'the one that lost its copy.  Objects that have changed since',
+                'the plan was made are skipped, and need another audit.',
+                '',
+                'The error file will contain all lines that weren\'t able to',
+                'be repaired for one reason or another.  Check the log for',
+                'the reason behind the failure.  It is safe to run the repair',
+                'using the error file as input (-f [error_file]).'
+        ].join('\n');
+        console.error(str);
+        process.exit(1);
+}
+
+
+
+///--- Main
+
+var _opts = parseOptions();
+_opts.reader = fs.createReadStream(_opts.file);
+
+var _auditRepairer = lib.createAuditRepairer(_opts);
+
+_auditRepairer.run(_opts, function (err, res) {
+        if (err) {
+                console.error(err);
+                process.exit(1);
+        }
+        if (res && res.errorLines && res.errorLines.length > 0) {
+                fs.writeFileSync(_opts.errorFile,
+                                 res.errorLines.join('\n'));
+        }
+        LOG.info({
+                audit: true,
+                stats: _auditRepairer.getStats()
+        }, 'audit repair');
+        _auditRepairer.close(function () {
+                LOG.info('Done!');
+        });
+});
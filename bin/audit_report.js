@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Builds a durability report from the output of audit.js, on stdin, which
+ * is passed through to stdout as is, so that this can be the last stage of
+ * an audit job.
+ */
+
+var carrier = require('carrier');
+var fs = require('fs');
+var getopt = require('posix-getopt');
+var lib = require('../lib');
+var path = require('path');
+
+
+
+///--- Helpers
+
+function parseOptions() {
+        var option;
+        var opts = {};
+        var parser = new getopt.BasicParser('j:r:', process.argv);
+        while ((option = parser.getopt()) !== undefined) {
+                if (option.error) {
+                        usage();
+                }
+
+                switch (option.option) {
+                case 'j':
+                        opts.jobId = option.optarg;
+                        break;
+                case 'r':
+                        opts.reportFile = option.optarg;
+                        break;
+                default:
+                        usage('Unknown option: ' + option.option);
+                        break;
+                }
+        }
+
+        if (!opts.reportFile) {
+                usage('-r [report_file] is a required argument');
+        }
+
+        return (opts);
+}
+
+
+function usage(msg) {
+        if (msg) {
+                console.error(msg);
+        }
+        var str  = 'usage: ' + path.basename(process.argv[1]);
+        str += ' [-j job_id] -r report_file';
+        console.error(str);
+        process.exit(1);
+}
+
+
+
+///--- Main
+
+var _opts = parseOptions();
+var _report = lib.createDurabilityReport();
+var _carrier = carrier.carry(process.stdin);
+
+if (_opts.jobId) {
+        _report.addJob(_opts.jobId);
+}
+
+_carrier.on('line', function (line) {
+        if (line === '') {
+                return;
+        }
+        process.stdout.write(line + '\n');
+        try {
+                _report.add(lib.durabilityReport.parseProblem(line));
+        } catch (e) {
+                console.error('Unable to read problem: ' + e.message);
+                process.exit(1);
+        }
+});
+
+_carrier.on('end', function () {
+        fs.writeFileSync(_opts.reportFile,
+            JSON.stringify(_report.toJSON(), null, 2) + '\n');
+});
+
+process.stdin.resume();
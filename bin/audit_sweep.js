@@ -33,7 +33,7 @@ var LOG = bunyan.createLogger({
 function parseOptions() {
         var option;
         var opts = { log: LOG };
-        var parser = new getopt.BasicParser('e:f:s:', process.argv);
+        var parser = new getopt.BasicParser('e:f:k:r:s:', process.argv);
 
         while ((option = parser.getopt()) !== undefined) {
                 if (option.error) {
@@ -47,6 +47,12 @@ function parseOptions() {
                 case 'f':
                         opts.file = option.optarg;
                         break;
+                case 'k':
+                        opts.kinds = option.optarg.split(',');
+                        break;
+                case 'r':
+                        opts.repairDir = option.optarg;
+                        break;
                 case 's':
                         opts.storageListFile = option.optarg;
                         break;
@@ -77,10 +83,23 @@ function usage(msg) {
         var str = 'usage: ' + path.basename(process.argv[1]);
         str += [
                 ' [-f file] [-e error file] [-s storage_list_file]',
+                '    [-k kind[,kind...]] [-r repair_dir]',
                 '',
                 'The file is the output from an audit job.  Simply mget the',
                 'file and point the app at it.',
                 '',
+                'If the audit wrote JSON lines (audit.js -J), -k sweeps only',
+                'the problems of the given kinds, such as missing_copy or',
+                'under_replicated.',
+                '',
+                'With -r, objects that have lost copies (rather than had them',
+                'moved) are planned for repair instead of being errors.  A new',
+                'copy is placed the way rebalancing places one, and the plan',
+                'is written to repair_dir, one file for each storage node that',
+                'gets new copies.  Carry it out with audit_repair.js; the',
+                'rebalance app can\'t, as it moves copies rather than making',
+                'new ones.',
+                '',
                 'The error file will contain all lines that weren\'t able to',
                 'be cleaned up for one reason or another.  Check the log for',
                 'the reason behind the failure.  It is safe to run the sweeper',
@@ -9,6 +9,7 @@
  * Copyright (c) 2017, Joyent, Inc.
  */
 
+var bunyan = require('bunyan');
 var getopt = require('posix-getopt');
 var lib = require('../lib');
 var path = require('path');
@@ -20,7 +21,7 @@ var path = require('path');
 function parseOptions() {
         var option;
         var opts = {};
-        var parser = new getopt.BasicParser('k:', process.argv);
+        var parser = new getopt.BasicParser('Ck:M:', process.argv);
 
         while ((option = parser.getopt()) !== undefined) {
                 if (option.error) {
@@ -28,15 +29,26 @@ function parseOptions() {
                 }
 
                 switch (option.option) {
+                case 'C':
+                        opts.checksums = true;
+                        break;
                 case 'k':
                         opts.mantaKey = option.optarg;
                         break;
+                case 'M':
+                        opts.morayHostname = option.optarg;
+                        break;
                 default:
                         usage('Unknown option: ' + option.option);
                         break;
                 }
         }
 
+        //Only the shard in the key is used for Moray rows.
+        if (opts.morayHostname && !opts.mantaKey) {
+                opts.mantaKey = '/poseidon/stor/manatee_backups/' +
+                        opts.morayHostname;
+        }
         if (!opts.mantaKey) {
                 usage('-k [manta_key] is a required argument');
         }
@@ -50,7 +62,7 @@ function usage(msg) {
                 console.error(msg);
         }
         var str  = 'usage: ' + path.basename(process.argv[1]);
-        str += ' [-k manta_key]';
+        str += ' [-C] [-k manta_key] [-M moray_hostname]';
         console.error(str);
         process.exit(1);
 }
@@ -62,9 +74,30 @@ function usage(msg) {
 var _opts = parseOptions();
 _opts.reader = process.stdin;
 
+//With -M, the shard's manta table is read from Moray rather than a dump on
+// stdin.
+if (_opts.morayHostname) {
+        _opts.reader = null;
+        _opts.source = lib.createMorayReader({
+                log: bunyan.createLogger({
+                        level: (process.env.LOG_LEVEL || 'info'),
+                        name: 'audit_transform',
+                        stream: process.stderr
+                }),
+                shard: _opts.morayHostname,
+                buckets: [ 'manta' ]
+        });
+        _opts.source.on('error', function (err) {
+                console.error(err.message);
+                process.exit(1);
+        });
+}
+
 var _auditRowTransformer = lib.createAuditRowTransformer({
-        reader: process.stdin,
-        mantaKey: _opts.mantaKey
+        reader: _opts.reader,
+        source: _opts.source,
+        mantaKey: _opts.mantaKey,
+        checksums: _opts.checksums
 });
 
 _auditRowTransformer.on('row', function (row) {
@@ -76,4 +109,6 @@ _auditRowTransformer.on('error', function (err) {
         process.exit(1);
 });
 
-process.stdin.resume();
+if (_opts.reader) {
+        process.stdin.resume();
+}
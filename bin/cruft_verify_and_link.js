@@ -11,15 +11,17 @@
 
 var assert = require('assert-plus');
 var bunyan = require('bunyan');
-var carrier = require('carrier');
-var common = require('../lib').common;
 var fs = require('fs');
 var getopt = require('posix-getopt');
+var lib = require('../lib');
+var lstream = require('lstream');
 var manta = require('manta');
 var moray = require('moray');
 var path = require('path');
 var vasync = require('vasync');
 
+var common = lib.common;
+
 
 
 ///--- Globals
@@ -175,7 +177,10 @@ function verifyObjectsInFile(opts, cb) {
         var closed = false;
         var error = null;
         var makos = [];
-        var carry = carrier.carry(fs.createReadStream(opts.file));
+        var lines = lib.createInstructionHeaderStream({
+                formats: [ 'cruft-mako' ],
+                legacyFormat: 'cruft-mako'
+        });
         var queue = vasync.queue(function (_, subcb) {
                 if (closed) {
                         return (subcb());
@@ -195,17 +200,33 @@ function verifyObjectsInFile(opts, cb) {
                 return (cb(error, makos));
         });
 
-        var objects = [];
-        carry.on('line', function (line) {
+        function fail(err) {
                 if (closed) {
                         return;
                 }
-                //Expecting: 'mako' mako owner object ...
-                var parts = line.split('\t');
-                if (makos.indexOf(parts[1]) === -1) {
-                        makos.push(parts[1]);
+                closed = true;
+                error = err;
+                queue.close();
+        }
+
+        var objects = [];
+        lines.on('error', fail);
+        lines.on('data', function (line) {
+                if (closed || line === '') {
+                        return;
+                }
+                var inst;
+                try {
+                        inst = lib.instructionFormat.parseInstruction(
+                            'cruft-mako', line);
+                } catch (e) {
+                        fail(e);
+                        return;
+                }
+                if (makos.indexOf(inst.mantaStorageId) === -1) {
+                        makos.push(inst.mantaStorageId);
                 }
-                objects.push(parts[3]);
+                objects.push(inst.objectId);
                 if (objects.length >= MAX_OBJECTS_TO_CHECK) {
                         queue.push({ 'objects': objects,
                                      'morays': opts.morays });
@@ -213,7 +234,7 @@ function verifyObjectsInFile(opts, cb) {
                 }
         });
 
-        carry.on('end', function () {
+        lines.on('end', function () {
                 if (closed) {
                         return;
                 }
@@ -223,6 +244,8 @@ function verifyObjectsInFile(opts, cb) {
                 }
                 queue.close();
         });
+
+        fs.createReadStream(opts.file).pipe(new lstream()).pipe(lines);
 }
 
 
@@ -9,6 +9,7 @@
  * Copyright (c) 2017, Joyent, Inc.
  */
 
+var fs = require('fs');
 var getopt = require('posix-getopt');
 var lib = require('../lib');
 var path = require('path');
@@ -20,7 +21,7 @@ var path = require('path');
 function parseOptions() {
         var option;
         var opts = {};
-        var parser = new getopt.BasicParser('g:', process.argv);
+        var parser = new getopt.BasicParser('g:J:j:nP:r:S:', process.argv);
         while ((option = parser.getopt()) !== undefined) {
                 if (option.error) {
                         usage();
@@ -30,6 +31,24 @@ function parseOptions() {
                 case 'g':
                         opts.gracePeriodSeconds = parseInt(option.optarg, 10);
                         break;
+                case 'J':
+                        opts.journalFile = option.optarg;
+                        break;
+                case 'j':
+                        opts.jobId = option.optarg;
+                        break;
+                case 'n':
+                        opts.dryRun = true;
+                        break;
+                case 'P':
+                        opts.gracePolicyFile = option.optarg;
+                        break;
+                case 'r':
+                        opts.reportFile = option.optarg;
+                        break;
+                case 'S':
+                        opts.ownerMapFile = option.optarg;
+                        break;
                 default:
                         usage('Unknown option: ' + option.option);
                         break;
@@ -45,6 +64,12 @@ function usage(msg) {
         }
         var str  = 'usage: ' + path.basename(process.argv[1]);
         str += ' [-g grace_period_seconds]';
+        str += ' [-J journal_file]';
+        str += ' [-j job_id]';
+        str += ' [-n dry_run]';
+        str += ' [-P grace_policy_file]';
+        str += ' [-r report_file]';
+        str += ' [-S suppressed_owner_map_file]';
         console.error(str);
         process.exit(1);
 }
@@ -59,19 +84,65 @@ _opts.reader = process.stdin;
 if (_opts.gracePeriodSeconds) {
         _opts.gracePeriodMillis = _opts.gracePeriodSeconds * 1000;
 }
+if (_opts.gracePolicyFile) {
+        _opts.gracePolicy = JSON.parse(fs.readFileSync(_opts.gracePolicyFile,
+            'utf8'));
+}
+
+//The owners with data on the shards left out of this run, see GcOwnerMap.
+if (_opts.ownerMapFile) {
+        _opts.suppressedOwners = lib.createGcOwnerMap(JSON.parse(
+            fs.readFileSync(_opts.ownerMapFile, 'utf8'))).owners();
+}
 
 var _garbageCollector = lib.createGarbageCollector(_opts);
-_garbageCollector.on('moray', function (moray) {
-        console.log('moray\t' + moray.toString());
-});
+//In a dry run, a summary of what would have been done is printed instead of
+// the instructions.
+var _report = _opts.dryRun ? lib.createGcDryRunSummary() :
+        lib.createGcReport();
+_report.attach(_garbageCollector);
+if (_opts.jobId) {
+        _report.addJob(_opts.jobId);
+}
 
-_garbageCollector.on('mako', function (mako) {
-        console.log('mako\t' + mako.toString());
-});
+var _journal = null;
+if (_opts.journalFile) {
+        _journal = lib.createGcJournal({
+                writer: fs.createWriteStream(_opts.journalFile)
+        });
+        _journal.attach(_garbageCollector);
+}
+
+if (!_opts.dryRun) {
+        _garbageCollector.on('moray', function (moray) {
+                console.log(lib.instructionFormat.serializeInstruction(
+                    'gc-moray', moray));
+        });
+
+        _garbageCollector.on('mako', function (mako) {
+                console.log(lib.instructionFormat.serializeInstruction(
+                    'gc-mako', mako));
+        });
+}
 
 _garbageCollector.on('error', function (err) {
         console.error({ err: err }, 'Error with line, exiting.');
         process.exit(1);
 });
 
+//The report is written once all input has been seen, so a partial report
+// from a failed reducer is never mistaken for a complete one.
+_garbageCollector.on('end', function () {
+        if (_journal !== null) {
+                _journal.end();
+        }
+        if (_opts.dryRun) {
+                console.log(JSON.stringify(_report.toJSON()));
+        }
+        if (_opts.reportFile) {
+                fs.writeFileSync(_opts.reportFile,
+                    JSON.stringify(_report.toJSON()) + '\n');
+        }
+});
+
 process.stdin.resume();
@@ -20,13 +20,12 @@ require('../lib/maxsockets')(256);
 var assert = require('assert-plus');
 var bunyan = require('bunyan');
 var fs = require('fs');
-var common = require('../lib').common;
+var lib = require('../lib');
+var common = lib.common;
 var getopt = require('posix-getopt');
 var manta = require('manta');
 var path = require('path');
 var vasync = require('vasync');
-var stream = require('stream');
-var lstream = require('lstream');
 var verror = require('verror');
 
 var VE = verror.VError;
@@ -42,10 +41,10 @@ var MANTA_CONFIG = (process.env.MANTA_CONFIG ||
                     '/opt/smartdc/common/etc/config.json');
 var MOLA_CONFIG = (process.env.MOLA_CONFIG ||
                     '/opt/smartdc/mola/etc/config.json');
-var MOLA_CONFIG_OBJ = JSON.parse(fs.readFileSync(MOLA_CONFIG));
-var MANTA_CLIENT = manta.createClientFromFileSync(MANTA_CONFIG, LOG);
-var MANTA_USER = MANTA_CLIENT.user;
-var MANTA_DIR = '/' + MANTA_USER + '/stor/manta_gc/all/do';
+//Neither config is needed when working on local disk (-R), so these are set
+// up in main.
+var MOLA_CONFIG_OBJ = null;
+var MANTA_CLIENT = null;
 var AUDIT = {
         'audit': true,
         'cronExec': 1,
@@ -53,14 +52,24 @@ var AUDIT = {
         'count': 0,
         'startTime': new Date()
 };
-var DIR_CACHE = {};
+var CHECKPOINT_DIR = (process.env.GC_CREATE_LINKS_CHECKPOINT_DIR ||
+                      '/var/tmp/gc_create_links_checkpoints');
+var CHECKPOINTS = lib.createCheckpointStore({ log: LOG, dir: CHECKPOINT_DIR });
+var DEFAULT_FILE_CONCURRENCY = 4;
+var DEFAULT_LINE_CONCURRENCY = 10;
+//Set up in main, once the Manta client is.
+var LINK_CREATOR = null;
+var JOB_BACKEND = null;
 var JOB_DISABLED_ERR = 'JobDisabled';
 
 
 function parseOptions() {
         var option;
         var opts = {};
-        var parser = new getopt.BasicParser('d:F', process.argv);
+        opts.linkFiles = [];
+        opts.fileConcurrency = DEFAULT_FILE_CONCURRENCY;
+        opts.lineConcurrency = DEFAULT_LINE_CONCURRENCY;
+        var parser = new getopt.BasicParser('c:C:d:Fl:R:', process.argv);
 
         while ((option = parser.getopt()) !== undefined) {
                 if (option.error) {
@@ -68,34 +77,80 @@ function parseOptions() {
                 }
 
                 switch (option.option) {
+                case 'c':
+                        opts.fileConcurrency = parseConcurrency(option.optarg);
+                        break;
+                case 'C':
+                        opts.lineConcurrency = parseConcurrency(option.optarg);
+                        break;
                 case 'd':
                         opts.mantaDir = option.optarg;
                         break;
                 case 'F':
                         opts.forceRun = true;
                         break;
+                case 'l':
+                        opts.linkFiles.push(option.optarg);
+                        break;
+                case 'R':
+                        opts.localRoot = option.optarg;
+                        break;
                 default:
                         usage('Unknown option: ' + option.option);
                         break;
                 }
         }
 
+        if (opts.localRoot) {
+                if (opts.linkFiles.length === 0) {
+                        usage('-R needs at least one -l links_file');
+                }
+                if (opts.mantaDir) {
+                        usage('-d and -R can\'t be used together');
+                }
+                return (opts);
+        }
+        if (opts.linkFiles.length > 0) {
+                usage('-l needs -R local_root');
+        }
+
+        MOLA_CONFIG_OBJ = JSON.parse(fs.readFileSync(MOLA_CONFIG));
+        MANTA_CLIENT = manta.createClientFromFileSync(MANTA_CONFIG, LOG);
+
         //Set up some defaults...
-        opts.mantaDir = opts.mantaDir || MANTA_DIR;
+        opts.mantaDir = opts.mantaDir ||
+                '/' + MANTA_CLIENT.user + '/stor/manta_gc/all/do';
         opts.jobEnabled = MOLA_CONFIG_OBJ.gcEnabled;
         opts.disableAllJobs = MOLA_CONFIG_OBJ.disableAllJobs;
+        //Links files are written to [job root]/all/do, and the job backend
+        // keeps its records under the job root.
+        opts.jobRoot = path.dirname(path.dirname(opts.mantaDir));
+        opts.jobBackend = MOLA_CONFIG_OBJ.jobBackend;
 
         return (opts);
 }
 
 
+function parseConcurrency(str) {
+        var n = parseInt(str, 10);
+        if (isNaN(n) || n < 1) {
+                usage('Invalid concurrency: ' + str);
+        }
+        return (n);
+}
+
+
 function usage(msg) {
         if (msg) {
                 console.error(msg);
         }
         var str  = 'usage: ' + path.basename(process.argv[1]);
+        str += ' [-c files_at_once] [-C links_at_once]';
         str += ' [-d manta_directory]';
         str += ' [-F force_run]';
+        str += '\n       ' + path.basename(process.argv[1]);
+        str += ' [-C links_at_once]';
+        str += ' -R local_root -l links_file [-l links_file ...]';
         console.error(str);
         process.exit(1);
 }
@@ -110,180 +165,95 @@ function deleteObject(objPath, cb) {
 }
 
 
-function plfCreateLink(log, linkObj, done) {
-        assert.object(log, 'log');
-        assert.object(linkObj, 'linkObj');
-        assert.string(linkObj.from, 'linkObj.from');
-        assert.string(linkObj.to, 'linkObj.to');
-        assert.func(done, 'done');
-
-        log.info({ linkObj: linkObj }, 'linking object');
-
-        MANTA_CLIENT.ln(linkObj.from, linkObj.to, function (linkErr) {
-                if (linkErr) {
-                        done(VE(linkErr, 'mln: from "%s" to "%s"',
-                            linkObj.from, linkObj.to));
-                        return;
-                }
-
-                done();
-        });
-}
-
-
-function plfCreateDirectory(log, dirName, done) {
-        assert.object(log, 'log');
-        assert.string(dirName, 'dirName');
-        assert.func(done, 'done');
-
-        var dc = DIR_CACHE[dirName];
-
-        if (!dc) {
-                /*
-                 * This directory has not yet been checked or created.
-                 */
-                dc = DIR_CACHE[dirName] = {
-                        dc_exists: false,
-                        dc_callbacks: [ done ]
-                };
-        } else if (dc.dc_exists) {
-                /*
-                 * This directory definitely exists already.
-                 */
-                setImmediate(done);
-                return;
-        } else {
-                /*
-                 * Wait for this directory to be processed by a mkdirp()
-                 * operation already underway.
-                 */
-                dc.dc_callbacks.push(done);
-                return;
-        }
-
-        log.info({ dirName: dirName }, 'creating directory');
-
-        MANTA_CLIENT.mkdirp(dirName, function (dirErr) {
-                var wrapped = null;
-
-                if (dirErr) {
-                        wrapped = VE(dirErr, 'mmkdirp "%s"', dirName);
-                        delete DIR_CACHE[dirName];
-                } else {
-                        dc.dc_exists = true;
-                }
-
-                dc.dc_callbacks.forEach(function (otherNext) {
-                        setImmediate(otherNext, wrapped);
-                });
-                dc.dc_callbacks = null;
-        });
-}
-
-
 function processLinkFile(objPath, cb) {
         var log = LOG.child({ objPath: objPath });
 
         log.info('processing link file');
 
-        var s = MANTA_CLIENT.createReadStream(objPath);
-        var sres = null;
-        var done = false;
-
-        var finish = function (err) {
-                if (done) {
-                        return;
-                }
-                done = true;
-
-                if (err) {
-                        if (sres !== null) {
-                                sres.destroy();
-                        }
-
-                        cb(err);
+        CHECKPOINTS.get(objPath, function (cpErr, cp) {
+                if (cpErr) {
+                        cb(VE(cpErr, 'checkpoint "%s"', objPath));
                         return;
                 }
-
-                /*
-                 * As processing completed successfully, we can delete
-                 * the input file.
-                 */
-                log.info('link file processing complete');
-                deleteObject(objPath, cb);
-        };
-
-        s.on('open', function (res) {
-                sres = res;
-        });
-        s.on('error', function (err) {
-                finish(VE(err, 'streaming "%s"', objPath));
+                processLinkFileFrom(log, objPath, cp, cb);
         });
+}
 
-        var w = new stream.Writable({ objectMode: true, highWaterMark: 0 });
-        w._write = function (line, _, next) {
-                assert.string(line, 'ch');
-                assert.func(next, 'next');
 
-                if (done || line === '') {
-                        setImmediate(next);
+/*
+ * Progress through each link file is checkpointed to local disk, so if a
+ * previous run died part way through this one, we skip the lines it already
+ * carried out, as long as the file hasn't changed since.
+ */
+function processLinkFileFrom(log, objPath, cp, cb) {
+        MANTA_CLIENT.get(objPath, {}, function (err, s, res) {
+                if (err) {
+                        cb(VE(err, 'get "%s"', objPath));
                         return;
                 }
 
-                var parts = line.split(' ');
-
-                if (parts.length === 2 && parts[0] === 'mmkdir') {
-                        plfCreateDirectory(log, parts[1], next);
-                } else if (parts.length === 3 && parts[0] === 'mln') {
-                        plfCreateLink(log, { from: parts[1], to: parts[2] },
-                            next);
-                } else {
-                        next(VE('invalid line: "%s"', line));
+                var etag = (res && res.headers) ? res.headers.etag : undefined;
+                var resumeFrom = 0;
+                if (cp !== null && cp.etag === etag) {
+                        resumeFrom = cp.lines;
+                } else if (cp !== null) {
+                        log.warn({ checkpoint: cp, etag: etag },
+                            'link file changed, ignoring checkpoint');
                 }
-        };
 
-        w.on('error', function (err) {
-                finish(VE(err, 'processing "%s"', objPath));
-        });
-        w.on('finish', function () {
-                finish();
-        });
+                LINK_CREATOR.processLinks({
+                        log: log,
+                        input: s,
+                        resumeFrom: resumeFrom,
+                        checkpoint: function (lines, subcb) {
+                                CHECKPOINTS.put(objPath, {
+                                        etag: etag,
+                                        lines: lines
+                                }, subcb);
+                        }
+                }, function (plErr) {
+                        if (plErr) {
+                                if (res && res.destroy) {
+                                        res.destroy();
+                                }
+
+                                cb(VE(plErr, 'processing "%s"', objPath));
+                                return;
+                        }
 
-        s.pipe(new lstream()).pipe(w);
+                        /*
+                         * As processing completed successfully, we can delete
+                         * the input file.
+                         */
+                        log.info('link file processing complete');
+                        deleteObject(objPath, function (delErr) {
+                                if (delErr) {
+                                        cb(delErr);
+                                        return;
+                                }
+                                CHECKPOINTS.remove(objPath, cb);
+                        });
+                });
+        });
 }
 
 
-/* BEGIN JSSTYLED */
-// Example path to job:
-// /nfitch/stor/manta_gc/all/do/2013-04-29-18-10-07-600e0d9d-b9b0-43e7-8893-a292397bcbb1-X-06925570-b0f8-11e2-8ab7-1f4a20f74bfb-links
-//                              [------ date -----]-[----------- job uuid -------------]-X-[----------- random uuid ----------]-links
-/* END JSSTYLED */
 function findAndVerifyJob(objPath, cb) {
-        //Extract the job from the name.  This relies on the gc_links script
-        // to put the job in the right place, and to not change.
-        var objName = path.basename(objPath);
-        var dateJobId = objName.split('-X-')[0];
-        var jobId = dateJobId.substring(20);
-        var opts = {
-                'client': MANTA_CLIENT,
-                'jobId': jobId
-        };
-        common.getJob(opts, function (err, job) {
+        LINK_CREATOR.checkJob(JOB_BACKEND, objPath, function (err, res) {
                 if (err) {
                         cb(err);
                         return;
                 }
 
-                if (job.state === 'running' || job.inputDone === false) {
-                        LOG.info({ jobId: jobId }, 'Job still running, not ' +
-                                 'doing anything.');
+                if (res.state === 'running') {
+                        LOG.info({ jobId: res.jobId }, 'Job still running, ' +
+                                 'not doing anything.');
                         cb(null);
                         return;
                 }
 
-                if (job.stats && (job.stats.errors > 0 ||
-                                  job.cancelled === true)) {
-                        LOG.error({ jobId: jobId, objectPath: objPath },
+                if (res.state === 'failed') {
+                        LOG.error({ jobId: res.jobId, objectPath: objPath },
                                   'Job had errors, not processing links.');
                         //My first thought was to clean up all the data
                         // associated with the job, but we need to do that for
@@ -309,6 +279,13 @@ function findAndVerifyJob(objPath, cb) {
 
 
 function createGcLinks(opts, cb) {
+        LINK_CREATOR = lib.createLinkCreator({
+                log: LOG,
+                mantaClient: MANTA_CLIENT,
+                concurrency: opts.lineConcurrency
+        });
+        JOB_BACKEND = lib.createJobBackend(opts, MANTA_CLIENT, LOG);
+
         var gopts = {
                 'client': MANTA_CLIENT,
                 'dir': opts.mantaDir
@@ -346,13 +323,61 @@ function createGcLinks(opts, cb) {
                         return;
                 }
 
-                vasync.forEachParallel({
-                        func: findAndVerifyJob,
-                        inputs: objs
-                }, function (err2, results) {
-                        cb(err2);
-                        return;
+                var errors = [];
+                var q = vasync.queue(function (objPath, qcb) {
+                        findAndVerifyJob(objPath, function (err2) {
+                                if (err2) {
+                                        errors.push(err2);
+                                }
+                                qcb();
+                        });
+                }, opts.fileConcurrency);
+
+                q.once('end', function () {
+                        cb(errors.length > 0 ? errors[0] : null);
                 });
+                objs.forEach(function (objPath) {
+                        q.push(objPath);
+                });
+                q.close();
+        });
+}
+
+
+
+/*
+ * Carries out local links files (see -l), under a local directory that
+ * stands in for Manta (see -R).  There's no job to check on, and the links
+ * files are left where they are.  Nor are they checkpointed; running one
+ * again only skips the links that already exist.
+ */
+function createLocalGcLinks(opts, cb) {
+        MANTA_CLIENT = lib.createLocalMantaClient({ root: opts.localRoot });
+        LINK_CREATOR = lib.createLinkCreator({
+                log: LOG,
+                mantaClient: MANTA_CLIENT,
+                concurrency: opts.lineConcurrency
+        });
+
+        vasync.forEachPipeline({
+                inputs: opts.linkFiles,
+                func: function (file, next) {
+                        var log = LOG.child({ linkFile: file });
+                        log.info('processing local link file');
+                        LINK_CREATOR.processLinks({
+                                log: log,
+                                input: fs.createReadStream(file)
+                        }, function (err) {
+                                if (err) {
+                                        next(VE(err, 'processing "%s"', file));
+                                        return;
+                                }
+                                ++AUDIT.count;
+                                next();
+                        });
+                }
+        }, function (err) {
+                cb(err);
         });
 }
 
@@ -361,8 +386,9 @@ function createGcLinks(opts, cb) {
 ///--- Main
 
 var _opts = parseOptions();
+var _run = _opts.localRoot ? createLocalGcLinks : createGcLinks;
 
-createGcLinks(_opts, function (err) {
+_run(_opts, function (err) {
         if (err) {
                 if (verror.hasCauseWithName(err, JOB_DISABLED_ERR)) {
                         LOG.info(err);
@@ -378,6 +404,9 @@ createGcLinks(_opts, function (err) {
         AUDIT.cronRunMillis = (AUDIT.endTime.getTime() -
                                AUDIT.startTime.getTime());
         AUDIT.opts = _opts;
+        if (LINK_CREATOR !== null) {
+                AUDIT.links = LINK_CREATOR.getStats();
+        }
         LOG.info(AUDIT, 'audit');
         process.exit(AUDIT.cronFailed);
 });
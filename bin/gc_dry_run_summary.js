@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Merges the per-reducer summaries printed by `gc.js -n`, one JSON object per
+ * line on stdin, into a single summary of what the GC run would reclaim.
+ */
+
+var carrier = require('carrier');
+var getopt = require('posix-getopt');
+var lib = require('../lib');
+var path = require('path');
+
+
+
+///--- Helpers
+
+function parseOptions() {
+        var option;
+        var opts = {};
+        var parser = new getopt.BasicParser('s:', process.argv);
+        while ((option = parser.getopt()) !== undefined) {
+                if (option.error) {
+                        usage();
+                }
+
+                switch (option.option) {
+                case 's':
+                        opts.sampleSize = lib.common.parseNumberOption(
+                            option.optarg, '-s', 0, null, usage);
+                        break;
+                default:
+                        usage('Unknown option: ' + option.option);
+                        break;
+                }
+        }
+        return (opts);
+}
+
+
+function usage(msg) {
+        if (msg) {
+                console.error(msg);
+        }
+        var str  = 'usage: ' + path.basename(process.argv[1]);
+        str += ' [-s sample_size]';
+        console.error(str);
+        process.exit(1);
+}
+
+
+
+///--- Main
+
+var _opts = parseOptions();
+var _summary = lib.createGcDryRunSummary(_opts);
+var _carrier = carrier.carry(process.stdin);
+
+_carrier.on('line', function (line) {
+        if (line === '') {
+                return;
+        }
+        try {
+                _summary.merge(JSON.parse(line));
+        } catch (e) {
+                console.error('Unable to merge summary: ' + e.message);
+                process.exit(1);
+        }
+});
+
+_carrier.on('end', function () {
+        console.log(JSON.stringify(_summary.toJSON(), null, 2));
+});
+
+process.stdin.resume();
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Acts as a filter over the output of gc.js, passing it through to mdemux.js
+ * and writing the links that must be made for moray and mako to a file.  See
+ * lib/gc_links.js.
+ */
+
+var fs = require('fs');
+var lib = require('../lib');
+var lstream = require('lstream');
+var path = require('path');
+
+
+
+///--- Helpers
+
+function usage(msg) {
+        if (msg) {
+                console.error(msg);
+        }
+        var str  = 'usage: ' + path.basename(process.argv[1]);
+        str += ' [manta_user] [output_file] [manta_object_prefix]';
+        console.error(str);
+        process.exit(1);
+}
+
+
+
+///--- Main
+
+if (process.argv.length < 5) {
+        usage();
+}
+
+var _file = process.argv[3];
+var _links = lib.createGcLinks({
+        user: process.argv[2],
+        prefix: process.argv[4]
+});
+
+_links.on('end', function () {
+        fs.writeFileSync(_file, _links.toString());
+});
+
+process.stdin.pipe(new lstream()).pipe(_links).pipe(process.stdout);
@@ -9,6 +9,8 @@
  * Copyright (c) 2017, Joyent, Inc.
  */
 
+var bunyan = require('bunyan');
+var fs = require('fs');
 var getopt = require('posix-getopt');
 var lib = require('../lib');
 var path = require('path');
@@ -43,7 +45,7 @@ function parseDate(dateString) {
 function parseOptions() {
         var option;
         var opts = {};
-        var parser = new getopt.BasicParser('d:e:m:', process.argv);
+        var parser = new getopt.BasicParser('d:e:Mm:O:', process.argv);
 
         while ((option = parser.getopt()) !== undefined) {
                 if (option.error) {
@@ -57,15 +59,26 @@ function parseOptions() {
                 case 'e':
                         opts.earliestDumpDate = parseDate(option.optarg);
                         break;
+                case 'M':
+                        opts.fromMoray = true;
+                        break;
                 case 'm':
                         opts.morayHostname = option.optarg;
                         break;
+                case 'O':
+                        opts.ownerMapFile = option.optarg;
+                        break;
                 default:
                         usage('Unknown option: ' + option.option);
                         break;
                 }
         }
 
+        //Rows read from Moray are as of now.
+        if (opts.fromMoray) {
+                opts.dumpDate = opts.dumpDate || new Date();
+                opts.earliestDumpDate = opts.earliestDumpDate || opts.dumpDate;
+        }
         if (!opts.dumpDate) {
                 usage('-d [dump_date] is a required argument');
         }
@@ -85,7 +98,8 @@ function usage(msg) {
                 console.error(msg);
         }
         var str  = 'usage: ' + path.basename(process.argv[1]);
-        str += ' [-d dump_date] [-e earliest_dump_time] [-m moray_hostname]';
+        str += ' [-d dump_date] [-e earliest_dump_time] [-M]';
+        str += ' [-m moray_hostname] [-O owner_map_file]';
         console.error(str);
         process.exit(1);
 }
@@ -95,11 +109,45 @@ function usage(msg) {
 ///--- Main
 
 var _opts = parseOptions();
-_opts.reader = process.stdin;
+//With -M, the shard's tables are read from Moray rather than a dump on stdin.
+if (_opts.fromMoray) {
+        _opts.source = lib.createMorayReader({
+                log: bunyan.createLogger({
+                        level: (process.env.LOG_LEVEL || 'info'),
+                        name: 'gc_pg_transform',
+                        stream: process.stderr
+                }),
+                shard: _opts.morayHostname,
+                buckets: [ 'manta', 'manta_delete_log' ]
+        });
+        _opts.source.on('error', function (err) {
+                console.error(err.message);
+                process.exit(1);
+        });
+} else {
+        _opts.reader = process.stdin;
+}
 
 var _gcPgRowTransformer = lib.createGcPgRowTransformer(_opts);
 _gcPgRowTransformer.on('row', function (row) {
         console.log(row.toString());
 });
 
-process.stdin.resume();
+//With -O, the owners with data on the shard are written out too, for GC to
+// fall back on if a later dump of the shard goes missing.  Nothing is written
+// for dumps of other tables.
+if (_opts.ownerMapFile) {
+        var _ownerMap = lib.createGcOwnerMap();
+        _ownerMap.attach(_gcPgRowTransformer.schemaReader, _opts.morayHostname,
+            _opts.dumpDate);
+        _gcPgRowTransformer.on('end', function () {
+                if (_ownerMap.hasShard(_opts.morayHostname)) {
+                        fs.writeFileSync(_opts.ownerMapFile,
+                            JSON.stringify(_ownerMap.toJSON()) + '\n');
+                }
+        });
+}
+
+if (!_opts.fromMoray) {
+        process.stdin.resume();
+}
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// -*- mode: js -*-
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * mola-gc-restore: rolls back GC jobs using their undo journals, cancelling
+ * their outstanding instructions and re-inserting the manta_delete_log rows
+ * that moray_gc has already deleted.  See lib/gc_restorer.js.
+ */
+
+var bunyan = require('bunyan');
+var fs = require('fs');
+var getopt = require('posix-getopt');
+var lib = require('../lib');
+var manta = require('manta');
+var path = require('path');
+var vasync = require('vasync');
+
+
+
+///--- Globals
+
+var LOG = bunyan.createLogger({
+        level: (process.env.LOG_LEVEL || 'info'),
+        name: 'gc_restore',
+        stream: process.stderr,
+        serializers: bunyan.stdSerializers
+});
+var MANTA_CONFIG = (process.env.MANTA_CONFIG ||
+                    '/opt/smartdc/common/etc/config.json');
+var MOLA_CONFIG = (process.env.MOLA_CONFIG ||
+                    '/opt/smartdc/mola/etc/config.json');
+var MOLA_CONFIG_OBJ = JSON.parse(fs.readFileSync(MOLA_CONFIG));
+var MANTA_CLIENT = manta.createClientFromFileSync(MANTA_CONFIG, LOG);
+var MANTA_USER = MANTA_CLIENT.user;
+var GC_ROOT = '/' + MANTA_USER + '/stor/manta_gc';
+
+
+
+///--- Helpers
+
+function parseOptions() {
+        var option;
+        var opts = {
+                jobIds: []
+        };
+        var parser = new getopt.BasicParser('c:j:nF', process.argv);
+        while ((option = parser.getopt()) !== undefined) {
+                if (option.error) {
+                        usage();
+                }
+
+                switch (option.option) {
+                case 'c':
+                        opts.concurrency = lib.common.parseNumberOption(
+                            option.optarg, '-c', 1, null, usage);
+                        break;
+                case 'j':
+                        opts.jobIds.push(option.optarg);
+                        break;
+                case 'n':
+                        opts.dryRun = true;
+                        break;
+                case 'F':
+                        opts.forceRun = true;
+                        break;
+                default:
+                        usage('Unknown option: ' + option.option);
+                        break;
+                }
+        }
+
+        if (opts.jobIds.length === 0) {
+                usage('At least one job id is required.');
+        }
+
+        //moray_gc could delete restored rows again from instruction objects
+        // it had already started on.
+        if (MOLA_CONFIG_OBJ.gcEnabled !== false && !opts.forceRun &&
+            !opts.dryRun) {
+                usage('GC is enabled.  Disable it (GC_ENABLED=false) ' +
+                    'before restoring, or use -F.');
+        }
+
+        return (opts);
+}
+
+
+function usage(msg) {
+        if (msg) {
+                console.error(msg);
+        }
+        var str  = 'usage: ' + path.basename(process.argv[1]);
+        str += ' [-c moray_concurrency]';
+        str += ' [-n dry_run]';
+        str += ' [-F force_run]';
+        str += ' -j job_id [-j job_id ...]';
+        console.error(str);
+        process.exit(1);
+}
+
+
+
+///--- Main
+
+var _opts = parseOptions();
+var _restorer = lib.createGcRestorer({
+        log: LOG,
+        mantaClient: MANTA_CLIENT,
+        gcRoot: GC_ROOT,
+        concurrency: _opts.concurrency,
+        dryRun: !!_opts.dryRun
+});
+
+vasync.forEachPipeline({
+        inputs: _opts.jobIds,
+        func: _restorer.restoreJob.bind(_restorer)
+}, function (err) {
+        _restorer.close();
+        MANTA_CLIENT.close();
+        console.log(JSON.stringify(_restorer.getStats(), null, 2));
+        if (err) {
+                LOG.fatal({ err: err }, 'restore failed');
+                process.exit(1);
+        }
+        process.exit(0);
+});
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Prints the rows GC needs to see, read from each shard's delete log since
+ * its watermark, in the format gc_pg_transform.js prints rows from dumps.
+ * The output is meant to be piped into gc.js, the rest of the pipeline being
+ * as for a full GC:
+ *
+ *    incremental_gc.js | gc.js -r report.json -J journal.json | \
+ *        gc_links.js poseidon links.txt $PREFIX | \
+ *        mdemux.js -H gc-{1} -x gc-mako -p $PREFIX-{1}-{2}
+ *
+ * Once the journal and links file have been uploaded, run it again with -c
+ * to move the watermarks up to where it got to.  See lib/incremental_gc.js.
+ */
+
+var bunyan = require('bunyan');
+var fs = require('fs');
+var getopt = require('posix-getopt');
+var lib = require('../lib');
+var path = require('path');
+
+
+
+///--- Globals
+
+var LOG = bunyan.createLogger({
+        level: (process.env.LOG_LEVEL || 'info'),
+        name: 'incremental_gc',
+        stream: process.stderr,
+        serializers: bunyan.stdSerializers
+});
+var MOLA_CONFIG = (process.env.MOLA_CONFIG ||
+                   '/opt/smartdc/mola/etc/config.json');
+var WATERMARK_DIR = (process.env.INCREMENTAL_GC_WATERMARK_DIR ||
+                     '/var/tmp/incremental_gc_watermarks');
+
+
+
+///--- Helpers
+
+function parseOptions() {
+        var option;
+        var opts = {
+                shards: [],
+                watermarkDir: WATERMARK_DIR
+        };
+        var parser = new getopt.BasicParser('cd:g:P:s:', process.argv);
+
+        while ((option = parser.getopt()) !== undefined) {
+                if (option.error) {
+                        usage();
+                }
+
+                switch (option.option) {
+                case 'c':
+                        opts.commit = true;
+                        break;
+                case 'd':
+                        opts.watermarkDir = option.optarg;
+                        break;
+                case 'g':
+                        opts.gracePeriodSeconds = parseInt(option.optarg, 10);
+                        break;
+                case 'P':
+                        opts.gracePolicyFile = option.optarg;
+                        break;
+                case 's':
+                        opts.shards.push(option.optarg);
+                        break;
+                default:
+                        usage('Unknown option: ' + option.option);
+                        break;
+                }
+        }
+
+        if (opts.shards.length === 0) {
+                var config = JSON.parse(fs.readFileSync(MOLA_CONFIG, 'utf8'));
+                opts.shards = config.shards || [];
+        }
+        if (opts.shards.length === 0) {
+                usage('No shards specified.');
+        }
+        if (opts.gracePeriodSeconds) {
+                opts.gracePeriodMillis = opts.gracePeriodSeconds * 1000;
+        }
+        if (opts.gracePolicyFile) {
+                opts.gracePolicy = JSON.parse(fs.readFileSync(
+                    opts.gracePolicyFile, 'utf8'));
+        }
+
+        return (opts);
+}
+
+
+function usage(msg) {
+        if (msg) {
+                console.error(msg);
+        }
+        var str  = 'usage: ' + path.basename(process.argv[1]);
+        str += ' [-c commit_watermarks]';
+        str += ' [-d watermark_dir]';
+        str += ' [-g grace_period_seconds]';
+        str += ' [-P grace_policy_file]';
+        str += ' [-s shard ...]';
+        console.error(str);
+        process.exit(1);
+}
+
+
+
+///--- Main
+
+var _opts = parseOptions();
+
+var _incrementalGc = lib.createIncrementalGc({
+        log: LOG,
+        shards: _opts.shards,
+        watermarks: lib.createCheckpointStore({
+                log: LOG,
+                dir: _opts.watermarkDir
+        }),
+        gracePeriodMillis: _opts.gracePeriodMillis,
+        gracePolicy: _opts.gracePolicy
+});
+
+if (_opts.commit) {
+        _incrementalGc.commit(function (err) {
+                if (err) {
+                        LOG.fatal(err, 'committing watermarks');
+                        process.exit(1);
+                }
+        });
+} else {
+        _incrementalGc.on('row', function (row) {
+                console.log(row.toString());
+        });
+        _incrementalGc.run(function (err) {
+                if (err) {
+                        LOG.fatal(err, 'reading delete logs');
+                        process.exit(1);
+                }
+                LOG.info({ stats: _incrementalGc.getStats() }, 'done');
+                _incrementalGc.close(function () {});
+        });
+}
@@ -15,7 +15,9 @@ var fs = require('fs');
 var getopt = require('posix-getopt');
 var lib = require('../lib');
 var manta = require('manta');
+var MemoryStream = require('memorystream');
 var path = require('path');
+var vasync = require('vasync');
 var verror = require('verror');
 
 var VE = verror.VError;
@@ -66,11 +68,12 @@ function getTransformCmd(opts) {
         if (opts.mantaStorageId) {
                 grepForStorageNode = ' | grep ' + opts.mantaStorageId + ' | ';
         }
+        var checksums = opts.auditChecksums ? '-C ' : '';
 
 /* BEGIN JSSTYLED */
         return (getEnvCommon(opts) + ' \
 gzcat -f | \
-  ./build/node/bin/node ./bin/audit_transform.js -k $MANTA_INPUT_OBJECT \
+  ./build/node/bin/node ./bin/audit_transform.js ' + checksums + '-k $MANTA_INPUT_OBJECT \
     ' + grepForStorageNode + ' | \
   msplit -n ' + opts.auditReducerCount + ' \
 ');
@@ -78,10 +81,34 @@ gzcat -f | \
 }
 
 
+//Each reducer uploads a summary of what it found, which checkJobResults
+// merges once the job is done.  The summary is uploaded with mput, rather
+// than mpipe, so that it isn't taken as part of the job's output.
 /* BEGIN JSSTYLED */
 function getAuditCmd(opts) {
+        var auditOptions = ' -s /assets' + opts.storageNodesObject;
+        if (opts.auditJsonOutput) {
+                auditOptions += ' -J';
+        }
         return (getEnvCommon(opts) + ' \
-sort | ./build/node/bin/node ./bin/audit.js \
+export MANTA_SUMMARY=' + opts.summaryDir + '/partial/$MARLIN_JOB-X-$(uuid).json && \
+export SUMMARY_FILE=./summary.json && \
+sort | ./build/node/bin/node ./bin/audit.js' + auditOptions + ' \
+    -j $MARLIN_JOB -r $SUMMARY_FILE && \
+mput -q -f $SUMMARY_FILE $MANTA_SUMMARY \
+');
+}
+/* END JSSTYLED */
+
+
+//The last reducer passes all the problems through, as the job's output, and
+// writes the durability report for them next to it.
+/* BEGIN JSSTYLED */
+function getReportCmd(opts) {
+        return (getEnvCommon(opts) + ' \
+export REPORT_FILE=./report.json && \
+./build/node/bin/node ./bin/audit_report.js -j $MARLIN_JOB -r $REPORT_FILE && \
+mput -q -f $REPORT_FILE ' + opts.reportDir + '/$MARLIN_JOB.json \
 ');
 }
 /* END JSSTYLED */
@@ -93,7 +120,8 @@ function parseOptions() {
         // command line, and use the defaults if all else fails.
         var opts = MOLA_AUDIT_CONFIG_OBJ;
         opts.shards = opts.shards || [];
-        var parser = new getopt.BasicParser('a:c:d:m:np:r:s:tF', process.argv);
+        var parser = new getopt.BasicParser('a:c:d:m:np:r:s:tCFJ',
+            process.argv);
 
         while ((option = parser.getopt()) !== undefined) {
                 if (option.error) {
@@ -133,9 +161,15 @@ function parseOptions() {
                         opts.jobName = 'manta_audit_test';
                         opts.jobRoot = MP + '/manta_audit_test';
                         break;
+                case 'C':
+                        opts.auditChecksums = true;
+                        break;
                 case 'F':
                         opts.forceRun = true;
                         break;
+                case 'J':
+                        opts.auditJsonOutput = true;
+                        break;
                 default:
                         usage('Unknown option: ' + option.option);
                         break;
@@ -146,6 +180,14 @@ function parseOptions() {
         opts.jobName = opts.jobName || 'manta_audit';
         opts.jobRoot = opts.jobRoot || MP + '/manta_audit';
         opts.assetDir = opts.jobRoot + '/assets';
+        opts.summaryDir = opts.jobRoot + '/summaries';
+        opts.reportDir = opts.jobRoot + '/reports';
+        opts.storageNodesObject = opts.assetDir + '/storage_nodes.json';
+        opts.directories = [
+                opts.reportDir,
+                opts.summaryDir,
+                opts.summaryDir + '/partial'
+        ];
         opts.assetObject = opts.assetDir + '/mola.tar.gz';
         opts.assetFile = opts.assetFile ||
                 '/opt/smartdc/common/bundle/mola.tar.gz';
@@ -172,7 +214,9 @@ function usage(msg) {
         str += ' [-r marlin_reducer_memory]';
         str += ' [-s manta_storage_id]';
         str += ' [-t output_to_test]';
+        str += ' [-C compare_checksums]';
         str += ' [-F force_run]';
+        str += ' [-J json_lines_output]';
         console.error(str);
         process.exit(1);
 }
@@ -205,17 +249,59 @@ function getAuditJob(opts, cb) {
                         count: opts.auditReducerCount,
                         memory: opts.auditReduceMemory,
                         disk: opts.auditReduceDisk,
-                        exec: auditCmd
+                        exec: auditCmd,
+                        assets: [ opts.storageNodesObject ]
                 }, {
                         type: 'reduce',
                         count: 1,
-                        exec: 'cat'
+                        exec: getReportCmd(opts)
                 } ]
         };
 
         LOG.info({ job: job }, 'Audit Marlin Job Definition');
 
-        cb(null, job);
+        putStorageNodes(opts, function (err) {
+                cb(err, job);
+        });
+}
+
+
+/*
+ * The reducers pick up the storage nodes that the job has mako dumps from as
+ * an asset, so that copies on any other node (such as one that has been
+ * decommissioned) can be told apart from missing ones.
+ */
+function putStorageNodes(opts, cb) {
+        var makoDir = MP + '/mako/';
+        var nodes = opts.objects.filter(function (o) {
+                return (lib.common.startsWith(o, makoDir));
+        }).map(function (o) {
+                return (path.basename(o));
+        }).sort();
+
+        var data = JSON.stringify(nodes);
+        var o = { size: Buffer.byteLength(data) };
+        var s = new MemoryStream();
+
+        MANTA_CLIENT.put(opts.storageNodesObject, s, o, function (err) {
+                cb(err);
+        });
+
+        process.nextTick(function () {
+                s.end(data);
+        });
+}
+
+
+function checkDumps(opts, cb) {
+        lib.dumpPreflight.checkDumps({
+                'log': LOG,
+                'client': MANTA_CLIENT,
+                'shards': opts.shards,
+                'tablePrefixes': [ MANTA_DUMP_NAME_PREFIX ],
+                'maxAgeHours': opts.dumpMaxAgeHours,
+                'checkGzip': opts.dumpPreflightCheckGzip
+        }, cb);
 }
 
 
@@ -224,7 +310,8 @@ function findObjects(opts, cb) {
                 'client': MANTA_CLIENT,
                 'log': LOG,
                 'shards': opts.shards,
-                'tablePrefixes': [ MANTA_DUMP_NAME_PREFIX ]
+                'tablePrefixes': [ MANTA_DUMP_NAME_PREFIX ],
+                'maxHoursInPast': opts.dumpMaxAgeHours
         }, function (err, res) {
                 if (err) {
                         return (cb(err));
@@ -234,6 +321,88 @@ function findObjects(opts, cb) {
 }
 
 
+/*
+ * Merges the summaries the reducers of a job wrote into one for the job,
+ * which is logged and written to the summary directory as <job id>.json.  The
+ * partial summaries are removed once it has been written.
+ */
+function writeSummary(job, opts, cb) {
+        var partialDir = opts.summaryDir + '/partial';
+        var summary = lib.createAuditSummary();
+        summary.addJob(job.id);
+
+        lib.common.getObjectsInDir({
+                'client': MANTA_CLIENT,
+                'dir': partialDir
+        }, function (err, partials) {
+                if (err) {
+                        cb(VE(err, 'listing "%s"', partialDir));
+                        return;
+                }
+                partials = partials.filter(function (p) {
+                        return (lib.common.startsWith(path.basename(p),
+                            job.id + '-X-'));
+                });
+
+                vasync.forEachPipeline({
+                        inputs: partials,
+                        func: function mergePartial(p, next) {
+                                lib.common.getObject({
+                                        'client': MANTA_CLIENT,
+                                        'path': p
+                                }, function (err2, data) {
+                                        if (err2) {
+                                                next(VE(err2, 'get "%s"', p));
+                                                return;
+                                        }
+                                        try {
+                                                summary.merge(JSON.parse(data));
+                                        } catch (e) {
+                                                LOG.warn({ path: p, err: e },
+                                                    'ignoring bad partial ' +
+                                                    'summary');
+                                        }
+                                        next();
+                                });
+                        }
+                }, function (err2) {
+                        if (err2) {
+                                cb(err2);
+                                return;
+                        }
+
+                        var obj = summary.toJSON();
+                        var p = opts.summaryDir + '/' + job.id + '.json';
+                        var data = JSON.stringify(obj, null, 2) + '\n';
+                        var s = new MemoryStream();
+                        var o = { size: Buffer.byteLength(data) };
+
+                        MANTA_CLIENT.put(p, s, o, function (err3) {
+                                if (err3) {
+                                        cb(VE(err3, 'put "%s"', p));
+                                        return;
+                                }
+                                LOG.info({ path: p, totals: obj.totals },
+                                    'Wrote audit summary.');
+                                vasync.forEachPipeline({
+                                        inputs: partials,
+                                        func: function (partial, next) {
+                                                MANTA_CLIENT.unlink(partial,
+                                                    {}, next);
+                                        }
+                                }, function (err4) {
+                                        cb(err4);
+                                });
+                        });
+
+                        process.nextTick(function () {
+                                s.end(data);
+                        });
+                });
+        });
+}
+
+
 function checkJobResults(job, audit, opts, cb) {
         // If the job was cancelled, we don't want any alarms.
         if (job.cancelled) {
@@ -246,22 +415,74 @@ function checkJobResults(job, audit, opts, cb) {
                 return (cb(null));
         }
 
-        //Find the output
-        var gopts = {
+        writeSummary(job, opts, function (summaryErr) {
+                //The summary and report are only informational, so the
+                // output is still checked without them.
+                if (summaryErr) {
+                        LOG.error({ jobId: job.id, err: summaryErr },
+                            'unable to write audit summary');
+                }
+                linkLatestReport(job, opts, function (reportErr) {
+                        if (reportErr) {
+                                LOG.error({ jobId: job.id, err: reportErr },
+                                    'unable to find durability report');
+                        }
+                        checkJobOutput(job, cb);
+                });
+        });
+}
+
+
+/*
+ * Logs which owners have data at risk, from the durability report the job
+ * wrote, and links the report to latest.json for audit_owner.js to find.
+ */
+function linkLatestReport(job, opts, cb) {
+        var p = opts.reportDir + '/' + job.id + '.json';
+        var latest = opts.reportDir + '/latest.json';
+
+        lib.common.getObject({
                 'client': MANTA_CLIENT,
-                'path': '/' + MANTA_CLIENT.user + '/jobs/' + job.id +
-                        '/out.txt'
-        };
-        lib.common.getObject(gopts, function (err, res) {
+                'path': p
+        }, function (err, data) {
+                if (err) {
+                        cb(VE(err, 'get "%s"', p));
+                        return;
+                }
+
+                var report;
+                try {
+                        report = JSON.parse(data);
+                } catch (e) {
+                        cb(VE(e, 'parse "%s"', p));
+                        return;
+                }
+                LOG.info({ path: p, totals: report.totals,
+                    owners: Object.keys(report.owners) },
+                    'Audit durability report.');
+
+                MANTA_CLIENT.ln(p, latest, function (err2) {
+                        if (err2) {
+                                cb(VE(err2, 'ln "%s" "%s"', p, latest));
+                                return;
+                        }
+                        cb();
+                });
+        });
+}
+
+
+function checkJobOutput(job, cb) {
+        //Find the output
+        jobManager.getJobOutputs(job.id, function (err, parts) {
                 if (err) {
                         //Don't know if it failed or not, so don't audit.
                         return (cb(err));
                 }
 
-                LOG.info({ jobId: job.id, outputs: res },
+                LOG.info({ jobId: job.id, outputs: parts },
                          'Looking at job output.');
-                var parts = res.split('\n');
-                if (parts.length !== 2 && parts[1] !== '') {
+                if (parts.length !== 1) {
                         LOG.fatal({ jobId: job.id },
                                   'Job doesn\'t have one output!');
                         return (cb(null));
@@ -314,6 +535,7 @@ var _opts = parseOptions();
 
 _opts.getJobDefinition = getAuditJob;
 _opts.getJobObjects = findObjects;
+_opts.preflight = checkDumps;
 _opts.preAudit = checkJobResults;
 
 var jobManager = lib.createJobManager(_opts, MANTA_CLIENT, LOG);
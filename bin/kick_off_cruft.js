@@ -94,12 +94,17 @@ function getCruftCmd(opts) {
         // Output is (currently):
         // [object uuid] [mako node] mako [size] [create time]
         // The demux will split into [job]-[mako node]-[uuid]
+        //Cruft instructions only get headers once the makos accept them.
+        var headerOption = '';
+        if (opts.makoInstructionHeaders) {
+                headerOption = ' -H cruft-mako';
+        }
         return (getEnvCommon(opts) + ' \
 export UUID=$(uuid) && \
 export MANTA_PRE=/$MANTA_USER/stor/$MANTA_CRUFT/do && \
 export MANTA_PATTERN=$MANTA_PRE/$MARLIN_JOB-{2}-$UUID && \
 sort -r | ./build/node/bin/node ./bin/cruft.js | \
-  ./build/node/bin/node ./bin/mdemux.js -p $MANTA_PATTERN \
+  ./build/node/bin/node ./bin/mdemux.js' + headerOption + ' -p $MANTA_PATTERN \
 ');
 }
 /* END JSSTYLED */
@@ -238,13 +243,27 @@ function getCruftJob(opts, cb) {
 }
 
 
+function checkDumps(opts, cb) {
+        lib.dumpPreflight.checkDumps({
+                'log': LOG,
+                'client': MANTA_CLIENT,
+                'shards': opts.shards,
+                'tablePrefixes': [ MANTA_DUMP_NAME_PREFIX,
+                                   MANTA_DELETE_LOG_NAME_PREFIX ],
+                'maxAgeHours': opts.dumpMaxAgeHours,
+                'checkGzip': opts.dumpPreflightCheckGzip
+        }, cb);
+}
+
+
 function findObjects(opts, cb) {
         lib.common.findMorayMakoObjects({
                 'client': MANTA_CLIENT,
                 'log': LOG,
                 'shards': opts.shards,
                 'tablePrefixes': [ MANTA_DUMP_NAME_PREFIX,
-                                   MANTA_DELETE_LOG_NAME_PREFIX ]
+                                   MANTA_DELETE_LOG_NAME_PREFIX ],
+                'maxHoursInPast': opts.dumpMaxAgeHours
         }, function (err, res) {
                 if (err) {
                         return (cb(err));
@@ -263,6 +282,7 @@ var _opts = parseOptions();
 
 _opts.getJobDefinition = getCruftJob;
 _opts.getJobObjects = findObjects;
+_opts.preflight = checkDumps;
 
 var _doDir = _opts.jobRoot + '/do';
 lib.common.getObjectsInDir({
@@ -14,7 +14,9 @@ var fs = require('fs');
 var getopt = require('posix-getopt');
 var lib = require('../lib');
 var manta = require('manta');
+var MemoryStream = require('memorystream');
 var path = require('path');
+var vasync = require('vasync');
 
 
 
@@ -44,72 +46,15 @@ var MANTA_DELETE_LOG_DUMP_NAME_PREFIX = 'manta_delete_log-';
 
 ///--- Helpers
 
-/* BEGIN JSSTYLED */
-function getEnvCommon(opts) {
-        return (' \
-set -o pipefail && \
-export MANTA_USER=' + MANTA_USER + ' && \
-export MANTA_GC=' + opts.jobName + ' && \
-export MARLIN_JOB=$(echo $MANTA_OUTPUT_BASE | cut -d "/" -f 4) && \
-export NOW=$(date "+%Y-%m-%d-%H-%M-%S") && \
-cd /assets/ && gtar -xzf ' + opts.marlinPathToAsset + ' && cd mola && \
-');
-}
-/* END JSSTYLED */
-
-
-/* BEGIN JSSTYLED */
-function getPgTransformCmd(opts) {
-        var grepForObject = '';
-        if (opts.objectId) {
-                grepForObject = ' | grep ' + opts.objectId + ' | ';
-        }
-        return (getEnvCommon(opts) + ' \
-export MORAY_SHARD=$(echo $mc_input_key | cut -d "/" -f 5) && \
-export DUMP_DATE=$(basename $mc_input_key | sed \'s/^\\w*-//; s/.\\w*$//;\') && \
-gzcat -f | \
-  ./build/node/bin/node ./bin/gc_pg_transform.js -d $DUMP_DATE \
-    -e ' + opts.earliestDumpDate + ' \
-    -m $MORAY_SHARD' + grepForObject + ' | \
-  msplit -n ' + opts.numberReducers + ' \
-');
-}
-/* END JSSTYLED */
-
-
-/* BEGIN JSSTYLED */
-function getGcCmd(opts) {
-        var gracePeriodOption = '';
-        if (opts.gracePeriodSeconds) {
-                gracePeriodOption = ' -g ' + opts.gracePeriodSeconds;
-        }
-        //We use a UUID only because there's no way (yet) to get a reference
-        // to which reducer this is running on.
-        return (getEnvCommon(opts) + ' \
-export UUID=$(uuid) && \
-export MANTA_PRE=/$MANTA_USER/stor/$MANTA_GC/all && \
-export MANTA_FILE_PRE=$MANTA_PRE/done/$NOW-$MARLIN_JOB-X-$UUID && \
-export MANTA_PATTERN=$MANTA_FILE_PRE-{1}-{2} && \
-export MANTA_LINKS=$MANTA_PRE/do/$NOW-$MARLIN_JOB-X-$UUID-links && \
-export PERL=/usr/perl5/bin/perl && \
-export LINKS_FILE=./links.txt && \
-sort | \
-  ./build/node/bin/node ./bin/gc.js' + gracePeriodOption + ' | \
-  $PERL ./bin/gc_links.pl $MANTA_USER $LINKS_FILE $MANTA_FILE_PRE | \
-  ./build/node/bin/node ./bin/mdemux.js -p $MANTA_PATTERN && \
-cat $LINKS_FILE | mpipe $MANTA_LINKS \
-');
-}
-/* END JSSTYLED */
-
-
 function parseOptions() {
         var option;
         //First take what's in the config file, override what's on the
         // command line, and use the defaults if all else fails.
         var opts = MOLA_CONFIG_OBJ;
         opts.shards = opts.shards || [];
-        var parser = new getopt.BasicParser('a:d:g:m:no:p:r:tF', process.argv);
+        opts.missingShards = [];
+        var parser = new getopt.BasicParser('a:Dd:g:m:no:P:p:r:tX:F',
+                                            process.argv);
 
         while ((option = parser.getopt()) !== undefined) {
                 if (option.error) {
@@ -120,6 +65,9 @@ function parseOptions() {
                 case 'a':
                         opts.assetFile = option.optarg;
                         break;
+                case 'D':
+                        opts.dryRun = true;
+                        break;
                 case 'd':
                         opts.gcReduceDisk = lib.common.parseNumberOption(
                             option.optarg, '-d', 1, null, usage);
@@ -137,6 +85,9 @@ function parseOptions() {
                 case 'o':
                         opts.objectId = option.optarg;
                         break;
+                case 'P':
+                        opts.gcGracePolicyFile = option.optarg;
+                        break;
                 case 'p':
                         opts.gcMapDisk = lib.common.parseNumberOption(
                             option.optarg, '-p', 1, null, usage);
@@ -149,6 +100,9 @@ function parseOptions() {
                         opts.jobName = 'manta_gc_test';
                         opts.jobRoot = MP + '/manta_gc_test';
                         break;
+                case 'X':
+                        opts.missingShards.push(option.optarg);
+                        break;
                 case 'F':
                         opts.forceRun = true;
                         break;
@@ -161,6 +115,15 @@ function parseOptions() {
         //Set up some defaults...
         opts.jobName = opts.jobName || 'manta_gc';
         opts.jobRoot = opts.jobRoot || MP + '/manta_gc';
+        //Shared with dry runs, which read the same dumps.
+        opts.ownerMapDir = opts.jobRoot + '/owners';
+
+        //Dry runs are kept apart from real ones, so that they can be run
+        // alongside them and never leave instructions behind.
+        if (opts.dryRun) {
+                opts.jobName += '_dry_run';
+                opts.jobRoot += '_dry_run';
+        }
 
         opts.assetDir = opts.jobRoot + '/assets';
         opts.assetObject = opts.assetDir + '/mola.tar.gz';
@@ -174,13 +137,44 @@ function parseOptions() {
         opts.marlinPathToAsset = opts.assetObject.substring(1);
         opts.marlinAssetObject = opts.assetObject;
 
-        opts.directories = [
-                opts.jobRoot + '/all',
-                opts.jobRoot + '/all/do',
-                opts.jobRoot + '/all/done',
-                opts.jobRoot + '/mako',
-                opts.jobRoot + '/moray'
-        ];
+        if (opts.gcGracePolicyFile) {
+                opts.gracePolicy = lib.common.readGracePolicy(
+                    opts.gcGracePolicyFile, usage);
+                opts.gracePolicyObject = opts.assetDir + '/grace_policy.json';
+        }
+
+        //Degraded mode: the shards given with -X are left out, along with
+        // every owner with data on them (see lib/gc_owner_map.js).
+        opts.missingShards.forEach(function (shard) {
+                if (opts.shards.indexOf(shard) === -1) {
+                        usage('-X ' + shard + ': not one of the shards');
+                }
+        });
+        if (opts.missingShards.length > 0) {
+                opts.shards = opts.shards.filter(function (shard) {
+                        return (opts.missingShards.indexOf(shard) === -1);
+                });
+                opts.ownerMapObject = opts.assetDir + '/suppressed_owners.json';
+        }
+
+        if (opts.dryRun) {
+                opts.directories = [
+                        opts.ownerMapDir,
+                        opts.jobRoot + '/summaries'
+                ];
+        } else {
+                opts.directories = [
+                        opts.jobRoot + '/all',
+                        opts.jobRoot + '/all/do',
+                        opts.jobRoot + '/all/done',
+                        opts.jobRoot + '/journal',
+                        opts.jobRoot + '/mako',
+                        opts.jobRoot + '/moray',
+                        opts.ownerMapDir,
+                        opts.jobRoot + '/reports',
+                        opts.jobRoot + '/reports/partial'
+                ];
+        }
 
         return (opts);
 }
@@ -192,12 +186,15 @@ function usage(msg) {
         }
         var str  = 'usage: ' + path.basename(process.argv[1]);
         str += ' [-a asset_file]';
+        str += ' [-D dry_run]';
         str += ' [-g grace_period_seconds]';
         str += ' [-m moray_shard]';
         str += ' [-n no_job_start]';
         str += ' [-o object_id]';
+        str += ' [-P grace_policy_file]';
         str += ' [-r marlin_reducer_memory]';
         str += ' [-t output_to_test]';
+        str += ' [-X missing_shard ...]';
         str += ' [-F force_run]';
         console.error(str);
         process.exit(1);
@@ -205,14 +202,84 @@ function usage(msg) {
 
 
 
+/*
+ * Gathers the owners with data on each missing shard, from the owner map the
+ * map phase last wrote for it, for the reducers to pick up as an asset.  A
+ * missing shard without an owner map can't be safely left out.
+ */
+function putOwnerMap(opts, cb) {
+        if (!opts.ownerMapObject) {
+                cb();
+                return;
+        }
+
+        var ownerMap = lib.createGcOwnerMap();
+        vasync.forEachPipeline({
+                inputs: opts.missingShards,
+                func: function getOwnerMap(shard, next) {
+                        var p = opts.ownerMapDir + '/' + shard + '.json';
+                        lib.common.getObject({
+                                'client': MANTA_CLIENT,
+                                'path': p
+                        }, function (err, res) {
+                                if (err) {
+                                        next(new Error('no owner map for ' +
+                                            'missing shard ' + shard + ' (' +
+                                            p + '): ' + err.message));
+                                        return;
+                                }
+                                try {
+                                        ownerMap.merge(JSON.parse(res));
+                                } catch (e) {
+                                        next(new Error(p + ': ' + e.message));
+                                        return;
+                                }
+                                next();
+                        });
+                }
+        }, function (err) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                var map = ownerMap.toJSON();
+                opts.missingShards.forEach(function (shard) {
+                        LOG.warn({
+                                shard: shard,
+                                ownerMapDumpDate: map.shards[shard] ?
+                                        map.shards[shard].dumpDate : null,
+                                owners: ownerMap.owners([ shard ]).length
+                        }, 'shard missing, its owners\' objects won\'t be ' +
+                            'removed');
+                });
+
+                var data = JSON.stringify(map);
+                var o = { size: Buffer.byteLength(data) };
+                var s = new MemoryStream();
+
+                MANTA_CLIENT.put(opts.ownerMapObject, s, o, function (err2) {
+                        cb(err2);
+                });
+
+                process.nextTick(function () {
+                        s.end(data);
+                });
+        });
+}
+
+
 function getGcJob(opts, cb) {
         //We use the number of shards + 1 so that we know
         // we are always using multiple reducers.  There's
         // no reason this can't be much more.
         opts.numberReducers = opts.shards.length + 1;
+        opts.mantaUser = MANTA_USER;
 
-        var pgCmd = getPgTransformCmd(opts);
-        var gcCmd = getGcCmd(opts);
+        var cmds = lib.gcJobCommands;
+        var pgCmd = cmds.getPgTransformCmd(opts);
+        var gcCmd = opts.dryRun ? cmds.getGcDryRunCmd(opts) :
+                cmds.getGcCmd(opts);
         var job = {
                 phases: [ {
                         type: 'storage-map',
@@ -227,9 +294,43 @@ function getGcJob(opts, cb) {
                 } ]
         };
 
+        var assets = [];
+        if (opts.gracePolicyObject) {
+                assets.push(opts.gracePolicyObject);
+        }
+        if (opts.ownerMapObject) {
+                assets.push(opts.ownerMapObject);
+        }
+        if (assets.length > 0) {
+                job.phases[1].assets = assets;
+        }
+
+        if (opts.dryRun) {
+                job.phases.push({
+                        type: 'reduce',
+                        count: 1,
+                        exec: cmds.getGcDryRunSummaryCmd(opts)
+                });
+        }
+
         LOG.info({ job: job }, 'GC Marlin Job Definition');
 
-        cb(null, job);
+        vasync.pipeline({
+                funcs: [
+                        function putGracePolicy(_, subcb) {
+                                lib.common.putGracePolicy({
+                                        client: MANTA_CLIENT,
+                                        gracePolicy: opts.gracePolicy,
+                                        gracePolicyObject:
+                                                opts.gracePolicyObject
+                                }, subcb);
+                        },
+                        putOwnerMap
+                ],
+                arg: opts
+        }, function (err) {
+                cb(err, job);
+        });
 }
 
 
@@ -244,6 +345,19 @@ function extractDate(p) {
 }
 
 
+function checkDumps(opts, cb) {
+        lib.dumpPreflight.checkDumps({
+                'log': LOG,
+                'client': MANTA_CLIENT,
+                'shards': opts.shards,
+                'tablePrefixes': [ MANTA_DUMP_NAME_PREFIX,
+                                   MANTA_DELETE_LOG_DUMP_NAME_PREFIX ],
+                'maxAgeHours': opts.dumpMaxAgeHours,
+                'checkGzip': opts.dumpPreflightCheckGzip
+        }, cb);
+}
+
+
 function findGcObjects(opts, cb) {
         LOG.info({ opts: opts }, 'Finding Gc Objects.');
         var shards = opts.shards;
@@ -260,7 +374,8 @@ function findGcObjects(opts, cb) {
                 'tablePrefixes': [
                         MANTA_DUMP_NAME_PREFIX,
                         MANTA_DELETE_LOG_DUMP_NAME_PREFIX
-                ]
+                ],
+                'maxHoursInPast': opts.dumpMaxAgeHours
         }, function (err, results) {
                 if (err) {
                         cb(err);
@@ -295,6 +410,7 @@ var _opts = parseOptions();
 
 _opts.getJobDefinition = getGcJob;
 _opts.getJobObjects = findGcObjects;
+_opts.preflight = checkDumps;
 
 var jobManager = lib.createJobManager(_opts, MANTA_CLIENT, LOG);
 jobManager.run(function () {
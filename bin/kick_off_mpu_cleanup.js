@@ -23,6 +23,7 @@ var util = require('util');
 var vasync = require('vasync');
 var vstream = require('vstream');
 
+var mod_instructions = require('../lib/instruction_format');
 var mpu = require('../lib/mpu');
 
 /*
@@ -84,7 +85,8 @@ var mpu = require('../lib/mpu');
  * instantiate a pipeline of node streams that perform distinct tasks related
  * to the cleanup of the stream. These tasks are as follows:
  *      1. Parse the instruction file into a stream of lines. (Each line
- *         represents a single record.)
+ *         represents a single record.) The file's header, if it has one, must
+ *         be for a readable version of the "mpu-cleanup" format.
  *      2. Collect records related to the same MPU, based on sorted order, into
  *         a single javascript object.
  *      3. For each MPU, verify that the records match the invariants we know to
@@ -98,7 +100,7 @@ var mpu = require('../lib/mpu');
  *
  * These steps map directly to the following stream implementations. See the
  * source files of each stream for details:
- *      0. lstream
+ *      0. lstream, InstructionHeaderStream
  *      1. MpuBatchStream
  *      2. MpuVerifyStream
  *      3. MpuUnlinkLiveRecordStream (type='partRecords')
@@ -307,6 +309,11 @@ function newMpuGcStream(args) {
         var ls = vstream.wrapTransform(new lstream({
                 highWaterMark: 0
         }));
+        var hs = vstream.wrapTransform(
+                new mod_instructions.InstructionHeaderStream({
+                        formats: [ 'mpu-cleanup' ],
+                        legacyFormat: 'mpu-cleanup'
+        }));
 
         // Step 1: Collect together batches of records for each MPU
         var mbs = vstream.wrapTransform(new mpu.createMpuBatchStream({
@@ -400,6 +407,7 @@ function newMpuGcStream(args) {
         var mpuGcStreams = new vstream.PipelineStream({
                 streams: [
                         ls,
+                        hs,
                         mbs,
                         mvs,
                         mulrsPR,
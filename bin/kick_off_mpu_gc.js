@@ -123,6 +123,7 @@ gzcat -f | \
  * Inputs:
  *  - opts: an options blob with the following values:
  *      - gracePeriodSeconds: optional grace period for MPU
+ *      - gracePolicyObject: optional Manta path of the grace period policy
  *      - jobName: required for getEnvCommon
  *      - marlinPathToAsset: required for getEnvCommon
  */
@@ -135,6 +136,9 @@ function getMpuGcCmd(opts) {
         if (opts.gracePeriodSeconds) {
                 gracePeriodOption = ' -g ' + opts.gracePeriodSeconds;
         }
+        if (opts.gracePolicyObject) {
+                gracePeriodOption += ' -P /assets' + opts.gracePolicyObject;
+        }
         /*
          * As the normal GC job does, we use a UUID only because there's no way
          * (yet) to get a reference to which reducer this is running on.
@@ -159,7 +163,7 @@ function parseOptions() {
          */
         var opts = MOLA_CONFIG_OBJ;
         opts.shards = opts.shards || [];
-        var parser = new getopt.BasicParser('a:bd:g:s:m:no:p:r:tF',
+        var parser = new getopt.BasicParser('a:bd:g:s:m:no:P:p:r:tF',
                                             process.argv);
         while ((option = parser.getopt()) !== undefined) {
                 if (option.error) {
@@ -191,6 +195,9 @@ function parseOptions() {
                 case 'o':
                         opts.objectId = option.optarg;
                         break;
+                case 'P':
+                        opts.gcGracePolicyFile = option.optarg;
+                        break;
                 case 'p':
                         opts.gcMapDisk = parseInt(option.optarg, 10);
                         break;
@@ -225,6 +232,12 @@ function parseOptions() {
         opts.marlinPathToAsset = opts.assetObject.substring(1);
         opts.marlinAssetObject = opts.assetObject;
 
+        if (opts.gcGracePolicyFile) {
+                opts.gracePolicy = lib.common.readGracePolicy(
+                    opts.gcGracePolicyFile, usage);
+                opts.gracePolicyObject = opts.assetDir + '/grace_policy.json';
+        }
+
         opts.directories = [
                 opts.jobRoot + '/cleanup',
                 opts.jobRoot + '/completed'
@@ -244,6 +257,7 @@ function usage(msg) {
         str += ' [-m moray_shard]';
         str += ' [-n no_job_start]';
         str += ' [-o object_id]';
+        str += ' [-P grace_policy_file]';
         str += ' [-r marlin_reducer_memory]';
         str += ' [-t output_to_test]';
         str += ' [-F force_run]';
@@ -280,13 +294,17 @@ function getMpuGcJob(opts, cb) {
         ];
 
         if (!opts.mapPhaseOnly) {
-                phases.push({
+                var reducePhase = {
                         type: 'reduce',
                         count: opts.numberReducers,
                         memory: opts.gcReduceMemory,
                         disk: opts.gcReduceDisk,
                         exec: mpuGcCmd
-                });
+                };
+                if (opts.gracePolicyObject) {
+                        reducePhase.assets = [ opts.gracePolicyObject ];
+                }
+                phases.push(reducePhase);
         }
 
         var job = {
@@ -297,7 +315,13 @@ function getMpuGcJob(opts, cb) {
                 job: job
         }, 'MPU GC Marlin Job Definition');
 
-        cb(null, job);
+        lib.common.putGracePolicy({
+                client: MANTA_CLIENT,
+                gracePolicy: opts.gracePolicy,
+                gracePolicyObject: opts.gracePolicyObject
+        }, function (err) {
+                cb(err, job);
+        });
 }
 
 
@@ -313,6 +337,20 @@ function extractDate(p) {
 }
 
 
+function checkDumps(opts, cb) {
+        lib.dumpPreflight.checkDumps({
+                'log': LOG,
+                'client': MANTA_CLIENT,
+                'shards': opts.shards,
+                'tablePrefixes': [ MANTA_DUMP_NAME_PREFIX,
+                                   MANTA_UPLOADS_NAME_PREFIX ],
+                'maxAgeHours': (opts.dumpMaxAgeHours ||
+                    opts.maxHoursInPast),
+                'checkGzip': opts.dumpPreflightCheckGzip
+        }, cb);
+}
+
+
 /*
  * Determines what input objects to pass to the MPU GC job.
  *
@@ -337,7 +375,8 @@ function findMpuGcObjects(opts, cb) {
                         MANTA_DUMP_NAME_PREFIX,
                         MANTA_UPLOADS_NAME_PREFIX
                 ],
-                'maxHoursInPast': opts.maxHoursInPast
+                'maxHoursInPast': (opts.dumpMaxAgeHours ||
+                    opts.maxHoursInPast)
         }, function (err, results) {
                 if (err) {
                         cb(err);
@@ -372,6 +411,7 @@ var _opts = parseOptions();
 
 _opts.getJobDefinition = getMpuGcJob;
 _opts.getJobObjects = findMpuGcObjects;
+_opts.preflight = checkDumps;
 
 var jobManager = lib.createJobManager(_opts, MANTA_CLIENT, LOG);
 jobManager.run(function () {
@@ -236,7 +236,9 @@ function startJobForObject(opts, cb) {
                 'pgMapMemory': opts.pgMapMemory,
                 'marlinPathToAsset': opts.marlinPathToAsset,
                 'marlinAssetObject': opts.marlinAssetObject,
-                'noJobStart': opts.noJobStart
+                'noJobStart': opts.noJobStart,
+                'jobBackend': opts.jobBackend,
+                'manta': opts.manta
         };
         if (opts.outputDirectory) {
                 jopts.outputDirectory = opts.outputDirectory + shard;
@@ -322,12 +322,25 @@ function getRebalanceJob(opts, cb) {
 }
 
 
+function checkDumps(opts, cb) {
+        lib.dumpPreflight.checkDumps({
+                'log': LOG,
+                'client': MANTA_CLIENT,
+                'shards': opts.shards,
+                'tablePrefixes': [ MANTA_DUMP_NAME_PREFIX ],
+                'maxAgeHours': opts.dumpMaxAgeHours,
+                'checkGzip': opts.dumpPreflightCheckGzip
+        }, cb);
+}
+
+
 function findObjects(opts, cb) {
         common.findObjectsForShards({
                 'log': LOG,
                 'shards': opts.shards,
                 'client': MANTA_CLIENT,
-                'tablePrefixes': [ MANTA_DUMP_NAME_PREFIX ]
+                'tablePrefixes': [ MANTA_DUMP_NAME_PREFIX ],
+                'maxHoursInPast': opts.dumpMaxAgeHours
         }, cb);
 }
 
@@ -385,6 +398,7 @@ var _opts = parseOptions();
 
 _opts.getJobDefinition = getRebalanceJob;
 _opts.getJobObjects = findObjects;
+_opts.preflight = checkDumps;
 
 function finish(err) {
         if (err) {
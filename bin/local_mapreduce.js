@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * Runs map and reduce phases over local files, the way Marlin would run them
+ * over Manta objects.  Phases are given in order with -m (map) and -r
+ * (reduce); -n sets the number of reducers for the reduce phases that follow
+ * it.  The output of the last phase is written to stdout.  For example, to
+ * count words with 4 reducers:
+ *
+ *   ./bin/local_mapreduce.js -m 'tr -s " " "\n" | msplit -n 4' -n 4 \
+ *     -r 'sort | uniq -c' file1 file2
+ *
+ * Map tasks find the name of their input file in MANTA_INPUT_FILE.
+ */
+
+var bunyan = require('bunyan');
+var child_process = require('child_process');
+var fs = require('fs');
+var getopt = require('posix-getopt');
+var lib = require('../lib');
+var path = require('path');
+var vasync = require('vasync');
+
+
+
+///--- Helpers
+
+function parseOptions() {
+        var option;
+        var opts = {
+                phases: [],
+                reducers: 1
+        };
+        var parser = new getopt.BasicParser('c:km:n:r:w:', process.argv);
+
+        while ((option = parser.getopt()) !== undefined) {
+                if (option.error) {
+                        usage();
+                }
+
+                switch (option.option) {
+                case 'c':
+                        opts.concurrency = lib.common.parseNumberOption(
+                            option.optarg, '-c', 1, null, usage);
+                        break;
+                case 'k':
+                        opts.keepWorkDir = true;
+                        break;
+                case 'm':
+                        opts.phases.push({
+                                type: 'map',
+                                exec: option.optarg
+                        });
+                        break;
+                case 'n':
+                        opts.reducers = lib.common.parseNumberOption(
+                            option.optarg, '-n', 1, null, usage);
+                        break;
+                case 'r':
+                        opts.phases.push({
+                                type: 'reduce',
+                                count: opts.reducers,
+                                exec: option.optarg
+                        });
+                        break;
+                case 'w':
+                        opts.workDir = option.optarg;
+                        break;
+                default:
+                        usage('Unknown option: ' + option.option);
+                        break;
+                }
+        }
+
+        if (opts.phases.length === 0) {
+                usage('at least one -m or -r phase is required');
+        }
+
+        opts.files = process.argv.slice(parser.optind());
+        if (opts.files.length === 0) {
+                usage('no input files given');
+        }
+
+        opts.workDir = opts.workDir ||
+                path.join('/var/tmp', 'mapreduce.' + process.pid);
+
+        return (opts);
+}
+
+
+function usage(msg) {
+        if (msg) {
+                console.error(msg);
+        }
+        var str  = 'usage: ' + path.basename(process.argv[1]);
+        str += ' [-c concurrency] [-k keep_work_dir] [-w work_dir]';
+        str += ' [-m map_cmd] [-n reducers] [-r reduce_cmd] ... file ...';
+        console.error(str);
+        process.exit(1);
+}
+
+
+
+///--- Main
+
+var _opts = parseOptions();
+var _log = bunyan.createLogger({
+        level: (process.env.LOG_LEVEL || 'warn'),
+        name: 'local_mapreduce',
+        stream: process.stderr
+});
+
+try {
+        fs.mkdirSync(_opts.workDir, parseInt('0700', 8));
+} catch (ex) {
+        console.error('ERROR: could not mkdir(' + _opts.workDir + '): ' +
+            ex.message);
+        process.exit(1);
+}
+
+var _runner = lib.createMapReduceRunner({
+        log: _log,
+        phases: _opts.phases,
+        workDir: _opts.workDir,
+        cwd: process.cwd(),
+        concurrency: _opts.concurrency
+});
+
+_runner.run(_opts.files.map(function (f) {
+        return ({ key: f, file: path.resolve(f) });
+}), function (err, outputs) {
+        if (err) {
+                console.error('ERROR: ' + err.message);
+                process.exit(1);
+        }
+
+        vasync.forEachPipeline({
+                inputs: outputs,
+                func: function writeOutput(output, next) {
+                        var s = fs.createReadStream(output.file);
+                        s.once('error', next);
+                        s.once('end', function () {
+                                next();
+                        });
+                        s.pipe(process.stdout, { end: false });
+                }
+        }, function (err2) {
+                if (err2) {
+                        console.error('ERROR: ' + err2.message);
+                        process.exit(1);
+                }
+
+                _runner.errors.forEach(function (e) {
+                        console.error('ERROR: phase %d, input %s: %s\n%s',
+                            e.phaseNum, e.input.join(', '), e.message,
+                            e.stderr);
+                });
+
+                var code = _runner.errors.length > 0 ? 1 : 0;
+                if (_opts.keepWorkDir) {
+                        console.error('output in: %s', _opts.workDir);
+                        process.exit(code);
+                }
+                child_process.execFile('rm', [ '-rf', _opts.workDir ],
+                    function () {
+                        process.exit(code);
+                });
+        });
+});
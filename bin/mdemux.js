@@ -10,30 +10,58 @@
  */
 
 var assert = require('assert-plus');
-var forkexec = require('forkexec');
+var bunyan = require('bunyan');
 var fs = require('fs');
 var getopt = require('posix-getopt');
+var lib = require('../lib');
 var lstream = require('lstream');
+var manta = require('manta');
+var parseFileUrl = require('../lib/local_manta_client').parseFileUrl;
 var path = require('path');
 var sprintf = require('sprintf-js').sprintf;
 var stream = require('stream');
 var util = require('util');
-var vasync = require('vasync');
+var zlib = require('zlib');
 
 
 /*
- *
- * TODO clean this example up: the -f flag isn't real, and mpipe does not do
- * `mpipe -p`, which this example kind of implies
- *
- * Bucketize by fields in a line, uploading to manta via mpipe.  For example,
+ * Bucketize by fields in a line, uploading to manta.  For example,
  * this will bucketize quotes into last/first name files, given a stream
  * of records with lines like:
  *  FIRST,LAST,QUOTE
  *  cat quotes.txt | ./bin/mdemux.js -f 2,1 -d ',' \
- *    -p /$MANTA_USER/stor/quotes/{2}/{1}/quotes.txt
+ *    -p /$MANTA_USER/stor/quotes/{1}/{2}/quotes.txt
+ *
+ * -f lists the fields that make up the key, and {1}, {2}, ... in the -p
+ * pattern are replaced with the first, second, ... of them.  Fields are
+ * numbered from 1.  Without -f, {N} is replaced with field N.
+ *
+ * With -j, each line is a JSON object, optionally prefixed with fields
+ * extracted by jext.js, and -f may also name fields of the object (with dots
+ * for nested fields).  Numbered fields are then the jext prefixes.  For
+ * example, to bucketize by owner and type:
+ *  ./bin/mdemux.js -j -d ' ' -f owner,type -p /$MANTA_USER/stor/{1}/{2}
+ *
+ * With -r, the key fields are removed from each line before it is written.
+ * With -z, each bucket is gzipped.
  *
- * The -p is required.  -f defaults to 1, -d defaults to (tab).
+ * With -H, each bucket starts with the header line of an instruction format
+ * (see lib/instruction_format.js).  The format is named by a pattern, with
+ * {1}, {2}, ... replaced as they are in -p.  For example, GC instructions are
+ * demuxed with:
+ *  ./bin/mdemux.js -H gc-{1} -p /$MANTA_USER/stor/manta_gc/all/done/x-{1}-{2}
+ *
+ * -x lists formats to leave the header off of, for buckets whose consumers
+ * can't read one yet.  For example, to keep headers off the instructions for
+ * the makos:
+ *  ./bin/mdemux.js -H gc-{1} -x gc-mako -p ...
+ *
+ * If the pattern is a file:// URL, buckets are written to the local
+ * filesystem instead of Manta, creating directories as needed.  For example:
+ *  ./bin/mdemux.js -p file:///var/tmp/gc/poseidon/stor/manta_gc/x-{1}-{2}
+ *
+ * The -p is required.  -d defaults to (tab).  -c is the number of uploads in
+ * flight at once (see lib/bucket_uploader.js), and defaults to 10.
  *
  */
 
@@ -49,7 +77,7 @@ var DEFAULT_DELIMITER = '\t';
 function parseOptions() {
         var option;
         var opts = {};
-        var parser = new getopt.BasicParser('d:p:vn', process.argv);
+        var parser = new getopt.BasicParser('c:d:f:H:jp:rvnx:z', process.argv);
 
         while ((option = parser.getopt()) !== undefined) {
                 if (option.error) {
@@ -57,18 +85,40 @@ function parseOptions() {
                 }
 
                 switch (option.option) {
+                case 'c':
+                        opts.concurrency = lib.common.parseNumberOption(
+                            option.optarg, '-c', 1, null, usage);
+                        break;
                 case 'd':
                         opts.delimiter = option.optarg;
                         break;
+                case 'f':
+                        opts.fields = option.optarg.split(',');
+                        break;
+                case 'H':
+                        opts.headerPattern = option.optarg;
+                        break;
+                case 'j':
+                        opts.json = true;
+                        break;
                 case 'p':
                         opts.pattern = option.optarg;
                         break;
+                case 'r':
+                        opts.removeKeyFields = true;
+                        break;
                 case 'v':
                         opts.verbose = true;
                         break;
                 case 'n':
                         opts.noupload = true;
                         break;
+                case 'x':
+                        opts.noHeaderFormats = option.optarg.split(',');
+                        break;
+                case 'z':
+                        opts.gzip = true;
+                        break;
                 default:
                         usage('Unknown option: ' + option.option);
                         break;
@@ -81,6 +131,45 @@ function parseOptions() {
         }
 
         opts.delimiter = opts.delimiter || DEFAULT_DELIMITER;
+        opts.noHeaderFormats = opts.noHeaderFormats || [];
+
+        var localPattern = parseFileUrl(opts.pattern);
+        if (localPattern !== null) {
+                if (localPattern.charAt(0) !== '/') {
+                        usage('file:// patterns must be absolute paths');
+                }
+                opts.pattern = localPattern;
+                opts.local = true;
+        }
+
+        var placeholders = extractFields(opts.pattern +
+            (opts.headerPattern || ''));
+        if (!opts.fields) {
+                opts.fields = [];
+                placeholders.forEach(function (n) {
+                        opts.fields[n - 1] = String(n);
+                });
+        }
+        opts.keyFields = [];
+        for (var i = 0; i < opts.fields.length; ++i) {
+                var f = opts.fields[i];
+                if (f === undefined) {
+                        continue;
+                }
+                if (/^\d+$/.test(f) && parseInt(f, 10) > 0) {
+                        opts.keyFields[i] = { index: parseInt(f, 10) - 1 };
+                } else if (opts.json && f !== '') {
+                        opts.keyFields[i] = { name: f };
+                } else {
+                        usage('invalid field "' + f + '"' +
+                            (opts.json ? '' : ' (named fields need -j)'));
+                }
+        }
+        placeholders.forEach(function (n) {
+                if (!opts.keyFields[n - 1]) {
+                        usage('{' + n + '} is not one of the -f fields');
+                }
+        });
 
         return (opts);
 }
@@ -91,7 +180,9 @@ function usage(msg) {
                 console.error(msg);
         }
         var str  = 'usage: ' + path.basename(process.argv[1]);
-        str += ' [-d delimiter] [-p pattern] [-v] [-n]';
+        str += ' [-c concurrency] [-d delimiter] [-f field[,field...]]';
+        str += ' [-H format_pattern] [-j] [-p pattern] [-r] [-v] [-n]';
+        str += ' [-x format[,format...]] [-z]';
         console.error(str);
         process.exit(1);
 }
@@ -119,6 +210,136 @@ function extractFields(pattern) {
 }
 
 
+//Walks down the "path" of a javascript object to find the end field, like
+// jext.js does.
+function getField(obj, name) {
+        var ret = obj;
+        var parts = name.split('.');
+        for (var i = 0; i < parts.length; ++i) {
+                if (ret === null || typeof (ret) !== 'object') {
+                        return (undefined);
+                }
+                ret = ret[parts[i]];
+        }
+        return (ret);
+}
+
+
+function removeField(obj, name) {
+        var parts = name.split('.');
+        var last = parts.pop();
+        var parent = parts.length > 0 ? getField(obj, parts.join('.')) : obj;
+        if (parent !== null && typeof (parent) === 'object') {
+                delete (parent[last]);
+        }
+}
+
+
+/*
+ * Returns the function that maps each line to its key and the line to write,
+ * as DemuxFileStream wants them.  See the top of this file for the options.
+ */
+function createProcessFunc(opts) {
+        var keyFields = opts.keyFields;
+        var placeholders = extractFields(opts.pattern +
+            (opts.headerPattern || '')).map(function (n) {
+                return ({
+                        n: n,
+                        regexp: new RegExp('\\{' + n + '\\}', 'g')
+                });
+        });
+        var removeIndexes = {};
+        keyFields.forEach(function (kf) {
+                if (kf && kf.index !== undefined) {
+                        removeIndexes[kf.index] = true;
+                }
+        });
+        var lineNumber = 0;
+
+        return (function processLine(line) {
+                var fields;
+                var obj = null;
+
+                ++lineNumber;
+                if (opts.json) {
+                        var i = line.indexOf('{');
+                        try {
+                                obj = JSON.parse(line.substring(i));
+                        } catch (e) {
+                                i = -1;
+                        }
+                        if (i === -1 || obj === null ||
+                            typeof (obj) !== 'object') {
+                                throw (new Error('line ' + lineNumber +
+                                    ' is not a JSON object'));
+                        }
+                        fields = (i === 0) ? [] :
+                                line.substring(0, i).split(opts.delimiter);
+                        //jext leaves a delimiter before the object.
+                        if (fields[fields.length - 1] === '') {
+                                fields.pop();
+                        }
+                } else {
+                        fields = line.split(opts.delimiter);
+                }
+
+                function substitute(pattern) {
+                        placeholders.forEach(function (ph) {
+                                var kf = keyFields[ph.n - 1];
+                                var part = (kf.index !== undefined) ?
+                                        fields[kf.index] :
+                                        getField(obj, kf.name);
+                                if (part === undefined || part === null) {
+                                        return;
+                                }
+                                pattern = pattern.replace(ph.regexp,
+                                    String(part));
+                        });
+                        return (pattern);
+                }
+
+                var p = substitute(opts.pattern);
+                var header;
+                if (opts.headerPattern) {
+                        var format = substitute(opts.headerPattern);
+                        if (opts.noHeaderFormats.indexOf(format) === -1) {
+                                header = lib.instructionFormat.createHeader(
+                                    format);
+                        }
+                }
+
+                if (!opts.removeKeyFields) {
+                        return ({
+                                act_key: p,
+                                act_line: line,
+                                act_header: header
+                        });
+                }
+
+                var rest = fields.filter(function (_, j) {
+                        return (!removeIndexes[j]);
+                });
+                if (obj === null) {
+                        line = rest.join(opts.delimiter);
+                } else {
+                        keyFields.forEach(function (kf) {
+                                if (kf && kf.name !== undefined) {
+                                        removeField(obj, kf.name);
+                                }
+                        });
+                        line = (rest.length > 0 ?
+                            rest.join(opts.delimiter) + opts.delimiter : '') +
+                            JSON.stringify(obj);
+                }
+                return ({
+                        act_key: p,
+                        act_line: line,
+                        act_header: header
+                });
+        });
+}
+
+
 /*
  * DemuxFileStream is a writable, object mode stream.  It accepts strings as
  * input, using a consumer-supplied callback to transform them into an output
@@ -133,6 +354,11 @@ function extractFields(pattern) {
  *      outputDir:      the name of a temporary directory, which must already
  *                      exist, into which to collect output files.
  *
+ * If the optional "uploader" property is a BucketUploader, each file is also
+ * opened as a bucket of it, keyed by "act_key", and every line written to the
+ * file is written to the bucket too.  If the optional "gzip" property is
+ * true, each file (and bucket) is gzipped.
+ *
  * The output directive is an object with properties:
  *
  *      act_key:        a string which identifies the particular output stream
@@ -141,6 +367,9 @@ function extractFields(pattern) {
  *      act_line:       the string (without terminating newline) that is to be
  *                      written to the file identified by "act_key".
  *
+ *      act_header:     optional; if this line opens the file, a line to write
+ *                      before it.
+ *
  * The names of temporary files have no particular relation to the key provided
  * in the output directive.  Once input to the stream ends, the "filesDone"
  * event will be emitted with an array of objects describing the output files.
@@ -166,6 +395,8 @@ function DemuxFileStream(options) {
 
         self.dfs_processFunc = options.processFunc;
         self.dfs_outputDir = options.outputDir;
+        self.dfs_uploader = options.uploader || null;
+        self.dfs_gzip = !!options.gzip;
 
         self.dfs_lineCount = 0;
 
@@ -189,7 +420,15 @@ function DemuxFileStream(options) {
 
                                 var dfsf = self.dfs_files[fn];
 
-                                dfsf.dfsf_stream.end();
+                                if (dfsf.dfsf_gzip !== null) {
+                                        /*
+                                         * The file is ended once the last
+                                         * of the compressed data is out.
+                                         */
+                                        dfsf.dfsf_gzip.end();
+                                } else {
+                                        dfsf.dfsf_stream.end();
+                                }
                         }
                 });
         });
@@ -207,8 +446,40 @@ DemuxFileStream.prototype.dfsCommit = function dfsCommit(act, done) {
         var dfsf = self.dfs_files[act.act_key];
         assert.object(dfsf, 'dfsf for key: ' + act.act_key);
 
+        var data = act.act_line + '\n';
+
         dfsf.dfsf_lines++;
-        if (!dfsf.dfsf_stream.write(act.act_line + '\n')) {
+        if (dfsf.dfsf_gzip === null) {
+                self.dfsOutput(dfsf, data, done);
+                return;
+        }
+
+        if (!dfsf.dfsf_gzip.write(data)) {
+                dfsf.dfsf_gzip.once('drain', function dfsOnGzipDrain() {
+                        done();
+                });
+                return;
+        }
+
+        setImmediate(done);
+};
+
+/*
+ * Writes data (compressed, if gzipping) to a file, and its bucket if
+ * uploading.
+ */
+DemuxFileStream.prototype.dfsOutput = function dfsOutput(dfsf, data, done) {
+        var self = this;
+
+        function upload() {
+                if (self.dfs_uploader === null) {
+                        done();
+                        return;
+                }
+                self.dfs_uploader.write(dfsf.dfsf_key, data, done);
+        }
+
+        if (!dfsf.dfsf_stream.write(data)) {
                 /*
                  * This file is blocked for writes.  To avoid exhausting
                  * available memory with buffered records, hold processing
@@ -216,12 +487,12 @@ DemuxFileStream.prototype.dfsCommit = function dfsCommit(act, done) {
                  */
                 dfsf.dfsf_nblocks++;
                 dfsf.dfsf_stream.once('drain', function dfsOnFileDrain() {
-                        done();
+                        upload();
                 });
                 return;
         }
 
-        setImmediate(done);
+        setImmediate(upload);
 };
 
 DemuxFileStream.prototype.dfsFinish = function dfsFinish() {
@@ -254,7 +525,13 @@ DemuxFileStream.prototype._write = function dfsWrite(line, _, done) {
         self.dfs_lineCount++;
 
         var action;
-        if ((action = self.dfs_processFunc(line)) === null) {
+        try {
+                action = self.dfs_processFunc(line);
+        } catch (e) {
+                done(e);
+                return;
+        }
+        if (action === null) {
                 setImmediate(done);
                 return;
         }
@@ -281,6 +558,7 @@ DemuxFileStream.prototype._write = function dfsWrite(line, _, done) {
                 dfsf_filepath: path.join(self.dfs_outputDir,
                     sprintf('tmp.%016d', self.dfs_nfiles)),
                 dfsf_stream: null,
+                dfsf_gzip: null,
                 dfsf_lines: 0,
                 /*
                  * Number of times this file blocked due to backpressure:
@@ -292,9 +570,35 @@ DemuxFileStream.prototype._write = function dfsWrite(line, _, done) {
         dfsf.dfsf_stream = fs.createWriteStream(
             dfsf.dfsf_filepath, { flags: 'wx' });
 
+        if (self.dfs_gzip) {
+                dfsf.dfsf_gzip = zlib.createGzip();
+                dfsf.dfsf_gzip.on('data', function gzOnData(chunk) {
+                        dfsf.dfsf_gzip.pause();
+                        self.dfsOutput(dfsf, chunk, function () {
+                                dfsf.dfsf_gzip.resume();
+                        });
+                });
+                dfsf.dfsf_gzip.once('end', function gzOnEnd() {
+                        dfsf.dfsf_stream.end();
+                });
+        }
+
         dfsf.dfsf_stream.once('open', function fstrOnOpen() {
                 self.emit('fileOpen', dfsf.dfsf_key, dfsf.dfsf_filepath);
-                self.dfsCommit(action, done);
+                if (self.dfs_uploader !== null) {
+                        self.dfs_uploader.open(dfsf.dfsf_key,
+                            dfsf.dfsf_filepath);
+                }
+                if (action.act_header === undefined) {
+                        self.dfsCommit(action, done);
+                        return;
+                }
+                self.dfsCommit({
+                        act_key: action.act_key,
+                        act_line: action.act_header
+                }, function () {
+                        self.dfsCommit(action, done);
+                });
         });
 
         dfsf.dfsf_stream.once('finish', function fstrFinish() {
@@ -319,7 +623,6 @@ DemuxFileStream.prototype._write = function dfsWrite(line, _, done) {
 
 var _opts = parseOptions();
 
-var _fields = extractFields(_opts.pattern);
 var _outputDir = path.join('/var/tmp', 'mdemux.' + process.pid);
 
 try {
@@ -330,26 +633,35 @@ try {
         process.exit(1);
 }
 
+var _finished = false;
+var _mantaClient = null;
+var _uploader = null;
+if (!_opts.noupload) {
+        var _log = bunyan.createLogger({
+                level: (_opts.verbose ? 'info' : 'warn'),
+                name: 'mdemux',
+                stream: process.stderr
+        });
+        _mantaClient = _opts.local ?
+                lib.createLocalMantaClient({ root: '/' }) :
+                manta.createBinClient({ log: _log });
+        _uploader = lib.createBucketUploader({
+                log: _log,
+                mantaClient: _mantaClient,
+                concurrency: _opts.concurrency
+        });
+}
+
 var DFS = new DemuxFileStream({
         outputDir: _outputDir,
-        processFunc: function (line) {
-                var parts = line.split(_opts.delimiter);
-                var p = _opts.pattern;
-                for (var i = 0; i < _fields.length; ++i) {
-                        var field = _fields[i];
-                        var part = parts[field - 1];
-                        var regexp = new RegExp('\\{' + field + '\\}', 'g');
-                        if (part === undefined) {
-                                continue;
-                        }
-                        p = p.replace(regexp, part);
-                }
+        uploader: _uploader,
+        gzip: _opts.gzip,
+        processFunc: createProcessFunc(_opts)
+});
 
-                return ({
-                        act_key: p,
-                        act_line: line
-                });
-        }
+DFS.on('error', function (err) {
+        console.error('ERROR: %s', err.message);
+        process.exit(1);
 });
 
 if (_opts.verbose) {
@@ -360,66 +672,29 @@ if (_opts.verbose) {
 }
 
 DFS.on('filesDone', function (files) {
+        if (_opts.noupload) {
+                console.error('dryrun only; output in: %s', _outputDir);
+                return;
+        }
+
         if (_opts.verbose) {
-                var not = _opts.noupload ? 'not ' : '';
-                console.error('\nall files written; %suploading...\n', not);
+                console.error('\nall files written; finishing uploads...\n');
         }
 
         /*
          * Input to the demux stream has finished, and all temporary files
-         * have been closed.  Upload each one in turn using "mpipe".
+         * have been closed.  Finish the uploads that were streamed and upload
+         * the rest from their files.
          */
-        vasync.forEachPipeline({
-                inputs: files,
-                func: function uploadFile(file, next) {
-                        var argv = [ 'mpipe', '-f', file.localPath, file.key ];
-
-                        if (_opts.verbose) {
-                                console.error('execFile: %s',
-                                    argv.join(' ') + '\n');
-                        }
-
-                        if (_opts.noupload) {
-                                setImmediate(next);
-                                return;
-                        }
-
-                        forkexec.forkExecWait({
-                                argv: argv,
-                                includeStderr: true
-                        }, function (err, info) {
-                                if (err) {
-                                        err._extra = file.localPath + ' -> ' +
-                                            file.key;
-                                        next(err);
-                                        return;
-                                }
-
-                                try {
-                                        fs.unlinkSync(file.localPath);
-                                } catch (ex) {
-                                        next(ex);
-                                        return;
-                                }
-
-                                next();
-                        });
-                }
-        }, function (err) {
-                if (err && err._extra) {
-                        console.error('ERROR: upload failure (%s): %s',
-                            err._extra, err.stack);
-                        process.exit(1);
-                } else if (err) {
-                        console.error('ERROR: upload failure: %s',
-                            err.stack);
+        _uploader.finish(function (err) {
+                if (err) {
+                        console.error('ERROR: upload failure: %s', err.stack);
                         process.exit(1);
                 }
 
-                if (_opts.noupload) {
-                        console.error('dryrun only; output in: %s',
-                            _outputDir);
-                        return;
+                if (_opts.verbose) {
+                        console.error('uploads: %s',
+                            JSON.stringify(_uploader.getStats()));
                 }
 
                 try {
@@ -429,9 +704,20 @@ DFS.on('filesDone', function (files) {
                             _outputDir, ex.message);
                         process.exit(1);
                 }
+                _finished = true;
+                _mantaClient.close();
         });
 });
 
+//If an upload is dropped without an error, there is nothing left to keep us
+// running, so make sure that exiting early isn't mistaken for success.
+process.on('exit', function (code) {
+        if (code === 0 && !_opts.noupload && !_finished) {
+                console.error('ERROR: exited before all uploads finished');
+                process.exit(1);
+        }
+});
+
 if (_opts.verbose) {
         console.error('reading input...');
 }
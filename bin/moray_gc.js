@@ -26,6 +26,7 @@ var fs = require('fs');
 var getopt = require('posix-getopt');
 var lib = require('../lib');
 var manta = require('manta');
+var MemoryStream = require('memorystream');
 var path = require('path');
 var vasync = require('vasync');
 var verror = require('verror');
@@ -48,7 +49,15 @@ var MOLA_CONFIG_OBJ = JSON.parse(fs.readFileSync(MOLA_CONFIG));
 var MANTA_CLIENT = manta.createClientFromFileSync(MANTA_CONFIG, LOG);
 var MANTA_USER = MANTA_CLIENT.user;
 var MORAY_CLEANUP_PATH = '/' + MANTA_USER + '/stor/manta_gc/moray';
+var REPORT_PATH = '/' + MANTA_USER + '/stor/manta_gc/reports';
+var PARTIAL_REPORT_PATH = REPORT_PATH + '/partial';
+var JOURNAL_PATH = '/' + MANTA_USER + '/stor/manta_gc/journal';
+//How long GC undo journals are kept for, see bin/gc_restore.js.
+var JOURNAL_RETENTION_MILLIS = (MOLA_CONFIG_OBJ.gcJournalRetentionDays || 14) *
+        24 * 60 * 60 * 1000;
 var PID_FILE = '/var/tmp/moray_gc.pid';
+var CHECKPOINT_DIR = (process.env.MORAY_GC_CHECKPOINT_DIR ||
+                      '/var/tmp/moray_gc_checkpoints');
 var CRON_START = new Date();
 
 
@@ -58,6 +67,10 @@ var CRON_START = new Date();
  * function streams the contents of the input object from Manta, processing
  * each directive in the object to remove old records from the particular Moray
  * shard.
+ *
+ * Progress through the object is checkpointed to local disk after every
+ * batch.  If a previous run died part way through this object, we skip the
+ * lines it already processed, as long as the object hasn't changed since.
  */
 function cleanShardOneObject(log, shard, input, cb) {
         assert.object(log, 'log');
@@ -67,12 +80,34 @@ function cleanShardOneObject(log, shard, input, cb) {
 
         log.info('deleting moray records listed in cleanup object');
 
-        MANTA_CLIENT.get(input, {}, function (err, strom) {
+        CHECKPOINTS.get(input, function (cpErr, cp) {
+                if (cpErr) {
+                        cb(VE(cpErr, 'checkpoint "%s"', input));
+                        return;
+                }
+                cleanShardOneObjectFrom(log, shard, input, cp, cb);
+        });
+}
+
+
+function cleanShardOneObjectFrom(log, shard, input, cp, cb) {
+        MANTA_CLIENT.get(input, {}, function (err, strom, res) {
                 if (err) {
                         cb(VE(err, 'get "%s"', input));
                         return;
                 }
 
+                var etag = (res && res.headers) ? res.headers.etag : undefined;
+                var resumeFrom = 0;
+                if (cp !== null && cp.etag === etag) {
+                        resumeFrom = cp.lines;
+                        log.info({ checkpoint: cp },
+                            'resuming cleanup object from checkpoint');
+                } else if (cp !== null) {
+                        log.warn({ checkpoint: cp, etag: etag },
+                            'cleanup object changed, ignoring checkpoint');
+                }
+
                 /*
                  * The Moray cleaner stream knows how to interpret the contents
                  * of the garbage collection input objects.  See the comments
@@ -81,7 +116,15 @@ function cleanShardOneObject(log, shard, input, cb) {
                 var mcs = MORAY_CLEANER.cleanStream({
                         shard: shard,
                         object: input,
-                        bucket: 'manta_delete_log'
+                        bucket: 'manta_delete_log',
+                        resumeFrom: resumeFrom,
+                        checkpoint: function (progress, subcb) {
+                                CHECKPOINTS.put(input, {
+                                        etag: etag,
+                                        lines: progress.lines,
+                                        batchId: progress.batchId
+                                }, subcb);
+                        }
                 });
 
                 mcs.once('error', function (mcsErr) {
@@ -94,7 +137,7 @@ function cleanShardOneObject(log, shard, input, cb) {
                                         return;
                                 }
                                 log.info('cleanup object complete');
-                                cb();
+                                CHECKPOINTS.remove(input, cb);
                         });
                 });
 
@@ -269,14 +312,190 @@ function startGc(cb) {
 }
 
 
+/*
+ * Each reducer of the GC job writes a partial report of what it found to
+ * PARTIAL_REPORT_PATH.  We note which partial reports exist before we start
+ * cleaning, since those are the jobs whose moray cleanup we're doing.
+ */
+function findPartialReports(cb) {
+        var partials = [];
+        var ls = MANTA_CLIENT.createListStream(PARTIAL_REPORT_PATH,
+            { type: 'object' });
+
+        ls.on('error', function (err) {
+                if (err.name === 'ResourceNotFoundError') {
+                        cb(null, partials);
+                        return;
+                }
+                cb(VE(err, 'listing "%s"', PARTIAL_REPORT_PATH));
+        });
+        ls.on('readable', function () {
+                var ent;
+                while ((ent = ls.read()) !== null) {
+                        partials.push(PARTIAL_REPORT_PATH + '/' + ent.name);
+                }
+        });
+        ls.on('end', function () {
+                cb(null, partials);
+        });
+}
+
+
+/*
+ * Merges the partial reports with what the Moray cleaner did and writes the
+ * report for this GC cycle to REPORT_PATH.  The partial reports are removed
+ * once the full report has been written.
+ */
+function writeReport(partials, cb) {
+        var report = lib.createGcReport();
+
+        vasync.forEachPipeline({
+                inputs: partials,
+                func: function mergePartial(p, next) {
+                        lib.common.getObject({
+                                'client': MANTA_CLIENT,
+                                'path': p
+                        }, function (err, data) {
+                                if (err) {
+                                        next(VE(err, 'get "%s"', p));
+                                        return;
+                                }
+                                try {
+                                        report.merge(JSON.parse(data));
+                                } catch (e) {
+                                        LOG.warn({ path: p, err: e },
+                                            'ignoring bad partial report');
+                                }
+                                next();
+                        });
+                }
+        }, function (err) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                report.addCleanerStats(MORAY_CLEANER.getShardStats());
+                if (report.isEmpty()) {
+                        LOG.info('Nothing to report.');
+                        cb();
+                        return;
+                }
+
+                var obj = report.toJSON();
+                obj.startTime = CRON_START;
+                obj.endTime = new Date();
+
+                var name = CRON_START.toISOString().replace(/[:.]/g, '-') +
+                        '.json';
+                var p = REPORT_PATH + '/' + name;
+                var data = JSON.stringify(obj, null, 2) + '\n';
+                var s = new MemoryStream();
+                var o = { size: Buffer.byteLength(data), mkdirs: true };
+
+                MANTA_CLIENT.put(p, s, o, function (err2) {
+                        if (err2) {
+                                cb(VE(err2, 'put "%s"', p));
+                                return;
+                        }
+                        LOG.info({ path: p, totals: obj.totals },
+                            'Wrote GC report.');
+                        vasync.forEachPipeline({
+                                inputs: partials,
+                                func: function (partial, next) {
+                                        MANTA_CLIENT.unlink(partial, {}, next);
+                                }
+                        }, function (err3) {
+                                cb(err3);
+                        });
+                });
+
+                process.nextTick(function () {
+                        s.end(data);
+                });
+        });
+}
+
+
+/*
+ * Removes the undo journals of GC jobs that are too old to be worth rolling
+ * back.
+ */
+function pruneJournals(cb) {
+        var cutoff = CRON_START.getTime() - JOURNAL_RETENTION_MILLIS;
+        var old = [];
+        var ls = MANTA_CLIENT.createListStream(JOURNAL_PATH,
+            { type: 'object' });
+
+        ls.on('error', function (err) {
+                if (err.name === 'ResourceNotFoundError') {
+                        cb();
+                        return;
+                }
+                cb(VE(err, 'listing "%s"', JOURNAL_PATH));
+        });
+        ls.on('readable', function () {
+                var ent;
+                while ((ent = ls.read()) !== null) {
+                        if (new Date(ent.mtime).getTime() < cutoff) {
+                                old.push(JOURNAL_PATH + '/' + ent.name);
+                        }
+                }
+        });
+        ls.on('end', function () {
+                vasync.forEachPipeline({
+                        inputs: old,
+                        func: function (p, next) {
+                                LOG.info({ path: p }, 'Removing old journal.');
+                                MANTA_CLIENT.unlink(p, {}, next);
+                        }
+                }, function (err) {
+                        cb(err);
+                });
+        });
+}
+
+
+function runGc(cb) {
+        findPartialReports(function (err, partials) {
+                if (err) {
+                        cb(VE(err, 'findPartialReports'));
+                        return;
+                }
+                startGc(function (err2) {
+                        if (err2) {
+                                cb(VE(err2, 'startGc'));
+                                return;
+                        }
+                        writeReport(partials, function (err3) {
+                                //The cleanup itself worked, so a failure to
+                                // write the report doesn't fail the run.
+                                if (err3) {
+                                        LOG.error({ err: err3 },
+                                            'failed to write GC report');
+                                }
+                                pruneJournals(function (err4) {
+                                        if (err4) {
+                                                LOG.error({ err: err4 },
+                                                    'failed to prune ' +
+                                                    'journals');
+                                        }
+                                        cb();
+                                });
+                        });
+                });
+        });
+}
+
+
 function checkAlreadyRunning(cb) {
         function recordPid() {
                 LOG.debug('Taking process ownership.');
                 fs.writeFileSync(PID_FILE, process.pid, 'utf8');
-                startGc(function (err) {
+                runGc(function (err) {
                         cleanupPidFile(function () {
                                 if (err) {
-                                        cb(VE(err, 'startGc'));
+                                        cb(err);
                                         return;
                                 }
 
@@ -349,6 +568,8 @@ function auditCron(err) {
                 'endTime': end,
                 'rowsDeleted': mcStats.rowsDeleted,
                 'rowsAlreadyDeleted': mcStats.rowsAlreadyDeleted,
+                'linesSkipped': mcStats.linesSkipped,
+                'backoffs': mcStats.backoffs,
                 'cronRunMillis': cronRunMillis
         };
 
@@ -412,7 +633,14 @@ if (_opts.forceRun) {
         }
 }
 
-var MORAY_CLEANER = lib.createMorayCleaner({ log: LOG, batchSize: 1000 });
+var CHECKPOINTS = lib.createCheckpointStore({ log: LOG, dir: CHECKPOINT_DIR });
+var MORAY_CLEANER = lib.createMorayCleaner({
+        log: LOG,
+        batchSize: 1000,
+        deleteRate: MOLA_CONFIG_OBJ.gcMorayDeleteRate,
+        batchConcurrency: MOLA_CONFIG_OBJ.gcMorayBatchConcurrency,
+        targetLatency: MOLA_CONFIG_OBJ.gcMorayTargetLatency
+});
 MORAY_CLEANER.on('error', function (err) {
         LOG.fatal(err);
         var returnCode = auditCron(err);
@@ -11,6 +11,7 @@
  */
 
 var bunyan = require('bunyan');
+var fs = require('fs');
 var getopt = require('posix-getopt');
 var lib = require('../lib');
 var path = require('path');
@@ -31,12 +32,15 @@ var LOG = bunyan.createLogger({
 function parseOptions() {
         var option;
         var opts = {};
-        var parser = new getopt.BasicParser('g:', process.argv);
+        var parser = new getopt.BasicParser('g:P:', process.argv);
         while ((option = parser.getopt()) !== undefined && !option.error) {
                 switch (option.option) {
                 case 'g':
                         opts.gracePeriodSeconds = parseInt(option.optarg, 10);
                         break;
+                case 'P':
+                        opts.gracePolicyFile = option.optarg;
+                        break;
                 default:
                         usage('Unknown option: ' + option.option);
                         break;
@@ -52,6 +56,7 @@ function usage(msg) {
         }
         var str  = 'usage: ' + path.basename(process.argv[1]);
         str += ' [-g grace_period_seconds]';
+        str += ' [-P grace_policy_file]';
         console.error(str);
         process.exit(1);
 }
@@ -69,8 +74,14 @@ _opts.log = LOG.child({
 if (_opts.gracePeriodSeconds) {
         _opts.gracePeriodMillis = _opts.gracePeriodSeconds * 1000;
 }
+if (_opts.gracePolicyFile) {
+        _opts.gracePolicy = JSON.parse(fs.readFileSync(_opts.gracePolicyFile,
+            'utf8'));
+}
 
 var _garbageCollector = lib.createMpuGarbageCollector(_opts);
+//The output is an instruction file for kick_off_mpu_cleanup.js.
+console.log(lib.instructionFormat.createHeader('mpu-cleanup'));
 _garbageCollector.on('mpuCleanup', function (record) {
         console.log(record.toString());
 });
@@ -10,6 +10,7 @@
  * Copyright (c) 2018, Joyent, Inc.
  */
 
+var bunyan = require('bunyan');
 var getopt = require('posix-getopt');
 var lib = require('../lib');
 var path = require('path');
@@ -50,7 +51,7 @@ function parseDate(dateString) {
 function parseOptions() {
         var option;
         var opts = {};
-        var parser = new getopt.BasicParser('d:e:m:',
+        var parser = new getopt.BasicParser('d:e:Mm:',
                                             process.argv);
         while ((option = parser.getopt()) !== undefined && !option.error) {
                 switch (option.option) {
@@ -60,6 +61,9 @@ function parseOptions() {
                 case 'e':
                         opts.earliestDumpDate = parseDate(option.optarg);
                         break;
+                case 'M':
+                        opts.fromMoray = true;
+                        break;
                 case 'm':
                         opts.morayHostname = option.optarg;
                         break;
@@ -69,6 +73,11 @@ function parseOptions() {
                 }
         }
 
+        // Rows read from Moray are as of now.
+        if (opts.fromMoray) {
+                opts.dumpDate = opts.dumpDate || new Date();
+                opts.earliestDumpDate = opts.earliestDumpDate || opts.dumpDate;
+        }
         if (!opts.dumpDate) {
                 usage('-d [dump_date] is a required argument');
         }
@@ -87,7 +96,8 @@ function usage(msg) {
                 console.error(msg);
         }
         var str  = 'usage: ' + path.basename(process.argv[1]);
-        str += ' [-d dump_date] [-e earliest_dump_time] [-m moray_hostname]';
+        str += ' [-d dump_date] [-e earliest_dump_time] [-M]';
+        str += ' [-m moray_hostname]';
         console.error(str);
         process.exit(1);
 }
@@ -97,11 +107,30 @@ function usage(msg) {
 ///--- Main
 
 var _opts = parseOptions();
-_opts.reader = process.stdin;
+// With -M, the shard's tables are read from Moray rather than a dump on stdin.
+if (_opts.fromMoray) {
+        _opts.source = lib.createMorayReader({
+                log: bunyan.createLogger({
+                        level: (process.env.LOG_LEVEL || 'info'),
+                        name: 'mpu_gc_pg_transform',
+                        stream: process.stderr
+                }),
+                shard: _opts.morayHostname,
+                buckets: [ 'manta', 'manta_uploads' ]
+        });
+        _opts.source.on('error', function (err) {
+                console.error(err.message);
+                process.exit(1);
+        });
+} else {
+        _opts.reader = process.stdin;
+}
 
 var _gcPgRowTransformer = lib.createMpuGcPgRowTransformer(_opts);
 _gcPgRowTransformer.on('row', function (row) {
         console.log(row.toString());
 });
 
-process.stdin.resume();
+if (!_opts.fromMoray) {
+        process.stdin.resume();
+}
@@ -0,0 +1,413 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var carrier = require('carrier');
+var crypto = require('crypto');
+var http = require('http');
+var moray = require('moray');
+var vasync = require('vasync');
+
+
+
+///--- Globals
+
+var MORAY_BUCKET = 'manta';
+var MORAY_CONNECT_TIMEOUT = 1000;
+var MORAY_PORT = 2020;
+var MAKO_PORT = 80;
+var DEFAULT_MAKO_TIMEOUT_MILLIS = 60000;
+var REPAIR_FIELDS = [ 'key', 'morayEtag', 'shard', 'objectId', 'owner',
+                      'md5', 'oldShark', 'newShark', 'sourceShark' ];
+
+
+
+///--- Object
+
+/**
+ * This class carries out the repairs planned by the audit sweeper (see
+ * AuditSweeper.prototype.planRepair), one JSON record per line:
+ *
+ *     {
+ *         "key": "/[owner]/stor/foo",
+ *         "morayEtag": "...",
+ *         "newShark": { "manta_storage_id": ..., "datacenter": ... },
+ *         "oldShark": { "manta_storage_id": ..., "datacenter": ... },
+ *         "md5": "...",
+ *         "objectId": "...",
+ *         "owner": "...",
+ *         "etag": "...",
+ *         "sourceShark": { "manta_storage_id": ..., "datacenter": ... },
+ *         "shard": "1.moray.us-east.joyent.us"
+ *     }
+ *
+ * For each, the object is copied from the sourceShark to the newShark, the
+ * way muskie writes objects to makos, and its digest is checked against md5.
+ * The Moray record then has the newShark put in the place of the oldShark,
+ * which lost its copy, if it hasn't changed since the repair was planned.
+ * Records for objects that have changed, or are gone, are skipped and
+ * counted, as they need to be audited again.  If the digest doesn't match,
+ * Moray is left alone, and the copy on the newShark is left for the cruft job
+ * to find.
+ *
+ * Optional Opts:
+ *    makoPort:          The port makos serve objects on.  Defaults to 80.
+ *    makoTimeoutMillis: How long a request to a mako may go without any
+ *                       activity before it's given up on, 60 seconds by
+ *                       default.
+ */
+function AuditRepairer(opts) {
+        assert.object(opts.log, 'opts.log');
+        assert.optionalNumber(opts.makoPort, 'opts.makoPort');
+        assert.optionalNumber(opts.makoTimeoutMillis,
+            'opts.makoTimeoutMillis');
+
+        var self = this;
+        self.log = opts.log;
+        self.makoPort = opts.makoPort || MAKO_PORT;
+        self.makoTimeoutMillis = opts.makoTimeoutMillis ||
+                DEFAULT_MAKO_TIMEOUT_MILLIS;
+        self.morayClients = {};
+
+        // Stats
+        self.stats = {
+                loaded: 0,
+                nonexistant: 0,
+                changed: 0,
+                repaired: 0,
+                etagConflicts: 0,
+                errorLines: 0
+        };
+}
+module.exports = AuditRepairer;
+
+
+
+///--- Methods
+
+
+AuditRepairer.prototype.getStats = function getStats() {
+        return (this.stats);
+};
+
+
+AuditRepairer.prototype.getMorayClient = function getMorayClient(shard, cb) {
+        var self = this;
+        if (self.morayClients[shard]) {
+                cb(null, self.morayClients[shard]);
+                return;
+        }
+
+        var client = moray.createClient({
+                log: self.log,
+                connectTimeout: MORAY_CONNECT_TIMEOUT,
+                host: shard,
+                port: MORAY_PORT
+        });
+
+        client.once('error', function (err) {
+                client.removeAllListeners('connect');
+                client.close();
+                cb(err);
+        });
+
+        client.once('connect', function () {
+                client.removeAllListeners('error');
+                self.log.info({ shard: shard }, 'Connected to shard.');
+                if (!self.morayClients[shard]) {
+                        self.morayClients[shard] = client;
+                }
+                cb(null, self.morayClients[shard]);
+        });
+};
+
+
+/**
+ * Closes all the moray clients this repairer has a handle on.
+ */
+AuditRepairer.prototype.close = function close(cb) {
+        var self = this;
+        for (var shard in self.morayClients) {
+                var c = self.morayClients[shard];
+                c.close();
+        }
+        cb();
+};
+
+
+/**
+ * Copies the object in a repair record from its sourceShark to its newShark,
+ * calling back with the base64 MD5 of what was copied.  Either mako stalling
+ * for longer than makoTimeoutMillis fails the copy.
+ */
+AuditRepairer.prototype.copyObject = function copyObject(record, cb) {
+        var self = this;
+
+        var p = '/' + record.owner + '/' + record.objectId;
+        var done = false;
+        function finish(err, digest) {
+                if (done) {
+                        return;
+                }
+                done = true;
+                cb(err, digest);
+        }
+
+        function timedOut(req, shark) {
+                return (function () {
+                        if (done) {
+                                return;
+                        }
+                        getReq.abort();
+                        if (putReq) {
+                                putReq.abort();
+                        }
+                        finish(new Error(req + ' ' + p + ' on ' +
+                                         shark.manta_storage_id +
+                                         ' timed out after ' +
+                                         self.makoTimeoutMillis + 'ms'));
+                });
+        }
+
+        var putReq = null;
+        var getReq = http.request({
+                method: 'GET',
+                host: record.sourceShark.manta_storage_id,
+                path: p,
+                port: self.makoPort
+        }, function (getRes) {
+                if (getRes.statusCode !== 200) {
+                        getRes.resume();
+                        finish(new Error('GET ' + p + ' from ' +
+                                         record.sourceShark.manta_storage_id +
+                                         ' returned ' + getRes.statusCode));
+                        return;
+                }
+
+                var hash = crypto.createHash('md5');
+                putReq = http.request({
+                        method: 'PUT',
+                        host: record.newShark.manta_storage_id,
+                        path: p,
+                        port: self.makoPort,
+                        headers: {
+                                'content-length':
+                                        getRes.headers['content-length']
+                        }
+                }, function (putRes) {
+                        putRes.resume();
+                        if (putRes.statusCode < 200 ||
+                            putRes.statusCode >= 300) {
+                                finish(new Error('PUT ' + p + ' to ' +
+                                    record.newShark.manta_storage_id +
+                                    ' returned ' + putRes.statusCode));
+                                return;
+                        }
+                        finish(null, hash.digest('base64'));
+                });
+                putReq.once('error', function (err) {
+                        getReq.abort();
+                        finish(err);
+                });
+                putReq.setTimeout(self.makoTimeoutMillis,
+                                  timedOut('PUT', record.newShark));
+
+                getRes.on('data', function (d) {
+                        hash.update(d);
+                });
+                //Only the PUT is left to wait on.
+                getRes.once('end', function () {
+                        getReq.setTimeout(0);
+                });
+                getRes.once('error', function (err) {
+                        putReq.abort();
+                        finish(err);
+                });
+                getRes.pipe(putReq);
+        });
+        getReq.once('error', finish);
+        getReq.setTimeout(self.makoTimeoutMillis,
+                          timedOut('GET', record.sourceShark));
+        getReq.end();
+};
+
+
+AuditRepairer.prototype.processLine = function processLine(line, cb) {
+        var self = this;
+
+        var okExitError = new Error('not really an error!');
+        okExitError.notReally = true;
+        var o = {};
+        vasync.pipeline({
+                funcs: [
+                        function parseLine(_, subcb) {
+                                try {
+                                        o.record = JSON.parse(line);
+                                } catch (e) {
+                                        subcb(e);
+                                        return;
+                                }
+                                for (var i = 0; i < REPAIR_FIELDS.length;
+                                     ++i) {
+                                        var f = REPAIR_FIELDS[i];
+                                        if (!o.record[f]) {
+                                                subcb(new Error('repair ' +
+                                                    'record has no ' + f));
+                                                return;
+                                        }
+                                }
+                                subcb();
+                        },
+                        function fetchMorayClient(_, subcb) {
+                                var s = o.record.shard;
+                                self.getMorayClient(s, function (e, c) {
+                                        o.morayClient = c;
+                                        subcb(e);
+                                });
+                        },
+                        function fetchMorayRecord(_, subcb) {
+                                var b = MORAY_BUCKET;
+                                var k = o.record.key;
+                                var c = o.morayClient;
+                                c.getObject(b, k, {}, function (e, mo) {
+                                        if (e &&
+                                            e.name === 'ObjectNotFoundError') {
+                                                self.stats.nonexistant += 1;
+                                                subcb(okExitError);
+                                                return;
+                                        }
+                                        o.morayObject = mo;
+                                        subcb(e);
+                                });
+                        },
+                        function verifyUnchanged(_, subcb) {
+                                if (o.morayObject._etag !==
+                                    o.record.morayEtag) {
+                                        self.log.info({
+                                                record: o.record,
+                                                morayObject: o.morayObject
+                                        }, 'object changed since the ' +
+                                           'repair was planned, skipping.');
+                                        self.stats.changed += 1;
+                                        subcb(okExitError);
+                                        return;
+                                }
+                                subcb();
+                        },
+                        function copyToNewShark(_, subcb) {
+                                var r = o.record;
+                                self.copyObject(r, function (e, digest) {
+                                        if (e) {
+                                                subcb(e);
+                                                return;
+                                        }
+                                        if (digest !== r.md5) {
+                                                subcb(new Error('copied ' +
+                                                    'object has md5 ' +
+                                                    digest + ', not ' +
+                                                    r.md5));
+                                                return;
+                                        }
+                                        subcb();
+                                });
+                        },
+                        function updateSharks(_, subcb) {
+                                var r = o.record;
+                                var b = MORAY_BUCKET;
+                                var k = r.key;
+                                var v = o.morayObject.value;
+                                v.sharks = v.sharks.map(function (s) {
+                                        if (s.manta_storage_id ===
+                                            r.oldShark.manta_storage_id) {
+                                                return (r.newShark);
+                                        }
+                                        return (s);
+                                });
+                                self.log.info({
+                                        key: k,
+                                        sharks: v.sharks
+                                }, 'updating object with new locations');
+                                var c = o.morayClient;
+                                var op = { etag: r.morayEtag };
+                                c.putObject(b, k, v, op, function (e) {
+                                        var ece = 'EtagConflictError';
+                                        if (e && e.name !== ece) {
+                                                subcb(e);
+                                                return;
+                                        }
+                                        if (e && e.name === ece) {
+                                                self.log.info({
+                                                        record: r
+                                                }, 'Etag conflict, audit ' +
+                                                   'again.');
+                                                self.stats.etagConflicts += 1;
+                                        } else {
+                                                self.stats.repaired += 1;
+                                        }
+                                        subcb();
+                                });
+                        }
+                ]
+        }, function (err) {
+                if (err && !err.notReally) {
+                        cb(err);
+                        return;
+                }
+                self.log.info({ line: line }, 'processed line');
+                cb();
+        });
+};
+
+
+/**
+ * Carries out the repairs read from opts.reader, one at a time, calling back
+ * with the lines that couldn't be, as { errorLines: [] }.
+ */
+AuditRepairer.prototype.run = function run(opts, cb) {
+        var self = this;
+
+        var lines = [];
+        var errorLines = [];
+        var car = carrier.carry(opts.reader);
+
+        car.on('line', function (line) {
+                if (line) {
+                        self.stats.loaded += 1;
+                        lines.push(line);
+                }
+        });
+
+        car.once('error', function (err) {
+                cb(err);
+        });
+
+        car.once('end', function () {
+                vasync.forEachPipeline({
+                        inputs: lines,
+                        func: function (line, subcb) {
+                                self.processLine(line, function (err) {
+                                        if (err) {
+                                                self.log.error({
+                                                        err: err,
+                                                        line: line
+                                                }, 'error with line');
+                                                self.stats.errorLines += 1;
+                                                errorLines.push(line);
+                                        }
+                                        subcb();
+                                });
+                        }
+                }, function () {
+                        cb(null, { errorLines: errorLines });
+                });
+        });
+
+        opts.reader.resume();
+};
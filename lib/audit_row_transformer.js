@@ -20,11 +20,33 @@ var util = require('util');
 
 /**
  * This tranforms rows useable for auditing.
+ *
+ * Moray rows are read from opts.reader, a dump, unless opts.source is given:
+ * an emitter of the same "object" and "end" events as SchemaReader, such as a
+ * MorayReader.  opts.mantaKey still names the shard, as the path of a dump
+ * from it would.
+ *
+ * Rows carry the size of the object, for the Auditor to compare: mako rows the
+ * logical bytes from the mako listing, and moray rows the object's
+ * contentLength.  Moray rows also carry the object's owner, and all the
+ * storage nodes it should be on, comma separated, so that problems can be
+ * reported in full:
+ *
+ *    [objectId] [storageId] mako [bytes]
+ *    [objectId] [storageId] moray [key] [shard] [contentLength] [owner] \
+ *        [sharks]
+ *
+ * If opts.checksums is set, rows also carry content digests, for the Auditor
+ * to compare: mako rows the digest from the mako listing, if it has one (the
+ * listing may only have digests for a sample of objects), and moray rows the
+ * object's contentMD5.  Both are base64 MD5s, and are added as the last
+ * field of the row.
  */
 function AuditRowTransformer(opts, listener) {
         var self = this;
         var reader = opts.reader;
         var mantaKey = opts.mantaKey;
+        var checksums = !!opts.checksums;
         //Example: 272d819c-e1b5-4bf6-8bf5-1bb8d946e5b9
         var uuidRegex = /^\w{8}\-\w{4}\-\w{4}-\w{4}-\w{12}$/;
 
@@ -32,7 +54,7 @@ function AuditRowTransformer(opts, listener) {
                 self.addListener('row', listener);
         }
 
-        reader.on('end', self.emit.bind(self, 'end'));
+        (opts.source || reader).on('end', self.emit.bind(self, 'end'));
 
         // Example: /poseidon/stor/mako/2.stor.coal.joyent.us
         var kparts = mantaKey.split('/');
@@ -58,14 +80,20 @@ function AuditRowTransformer(opts, listener) {
                                 return;
                         }
                         var objectId = path.basename(parts[0]);
+                        //Listings are "path bytes mtime kilobytes [digest]".
+                        var digest = (checksums && parts[4]) || null;
                         self.emit('row', {
                                 'objectId': objectId,
                                 'storageId': storageId,
                                 'type': 'mako',
+                                'bytes': parts[1] || '',
+                                'digest': digest,
                                 toString: function () {
                                         return (this.objectId + '\t' +
                                                 this.storageId + '\t' +
-                                                this.type);
+                                                this.type + '\t' +
+                                                this.bytes + (this.digest ?
+                                                '\t' + this.digest : ''));
                                 }
                         });
                 });
@@ -75,13 +103,19 @@ function AuditRowTransformer(opts, listener) {
         } else {
                 //Moray Transforming
                 var shard = kparts[4];
-                var schemaReader = new SchemaReader(reader);
+                var schemaReader = opts.source || new SchemaReader(reader);
 
                 schemaReader.on('object', function (o) {
                         var v = o['_value'];
                         if (v['type'] !== 'object') {
                                 return;
                         }
+                        var length = (typeof (v['contentLength']) ===
+                            'number') ? v['contentLength'] : '';
+                        var md5 = (checksums && v['contentMD5']) || null;
+                        var sharks = v['sharks'].map(function (s) {
+                                return (s['manta_storage_id']);
+                        }).join(',');
                         for (var i = 0; i < v['sharks'].length; ++i) {
                                 var shark = v['sharks'][i];
                                 self.emit('row', {
@@ -90,12 +124,22 @@ function AuditRowTransformer(opts, listener) {
                                         'type': 'moray',
                                         'key': o['_key'],
                                         'shard': shard,
+                                        'contentLength': length,
+                                        'owner': v['owner'],
+                                        'sharks': sharks,
+                                        'contentMD5': md5,
                                         toString: function () {
                                                 return (this.objectId + '\t' +
                                                         this.storageId + '\t' +
                                                         this.type + '\t' +
                                                         this.key + '\t' +
-                                                        this.shard);
+                                                        this.shard + '\t' +
+                                                        this.contentLength +
+                                                        '\t' + this.owner +
+                                                        '\t' + this.sharks +
+                                                        (this.contentMD5 ?
+                                                        '\t' +
+                                                        this.contentMD5 : ''));
                                         }
                                 });
                         }
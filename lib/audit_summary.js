@@ -0,0 +1,167 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+
+
+
+///--- Globals
+
+var SUMMARY_VERSION = 1;
+
+var SHARD_FIELDS = [
+        'missingCopies',
+        'missingAllCopies',
+        'underReplicated',
+        'unknownStorageNodes',
+        'sizeMismatches',
+        'corrupt'
+];
+
+//The field each kind of problem the Auditor emits is counted in.
+var KIND_FIELDS = {
+        'missing_copy': 'missingCopies',
+        'missing_all_copies': 'missingAllCopies',
+        'under_replicated': 'underReplicated',
+        'unknown_storage_node': 'unknownStorageNodes',
+        'size_mismatch': 'sizeMismatches',
+        'corrupt': 'corrupt'
+};
+
+
+
+///--- Helpers
+
+function zero(fields) {
+        var o = {};
+        fields.forEach(function (f) {
+                o[f] = 0;
+        });
+        return (o);
+}
+
+
+function add(into, from, fields) {
+        fields.forEach(function (f) {
+                into[f] += from[f] || 0;
+        });
+}
+
+
+
+///--- API
+
+/**
+ * Counts what an audit found, per moray shard.
+ *
+ * Each audit reducer builds a partial summary from the events of its Auditor
+ * (see attach()), and kick_off_audit.js merges the partial summaries of a job
+ * once it's done.
+ *
+ * The JSON form of a summary looks like:
+ *
+ *    {
+ *      "version": 1,
+ *      "jobs": [ "<job id>", ... ],
+ *      "shards": {
+ *        "<moray shard>": {
+ *          "missingCopies": 0,        //missing copies, by kind of problem
+ *          "missingAllCopies": 0,     //(see Auditor)
+ *          "underReplicated": 0,
+ *          "unknownStorageNodes": 0,
+ *          "sizeMismatches": 0,       //copies whose size isn't contentLength
+ *          "corrupt": 0               //copies whose digest isn't contentMD5
+ *        }, ...
+ *      },
+ *      "totals": { ...all of the above fields, summed... }
+ *    }
+ */
+function AuditSummary(obj) {
+        var self = this;
+
+        self.jobs = [];
+        self.shards = {};
+
+        if (obj) {
+                self.merge(obj);
+        }
+}
+
+module.exports = AuditSummary;
+
+
+
+///--- Methods
+
+AuditSummary.prototype.shard = function shard(name) {
+        if (!this.shards[name]) {
+                this.shards[name] = zero(SHARD_FIELDS);
+        }
+        return (this.shards[name]);
+};
+
+
+/**
+ * Counts the problems emitted by an Auditor.
+ */
+AuditSummary.prototype.attach = function attach(auditor) {
+        var self = this;
+
+        function count(record) {
+                self.shard(record.shard)[KIND_FIELDS[record.kind]]++;
+        }
+
+        auditor.on('problem', count);
+        auditor.on('size_mismatch', count);
+        auditor.on('corrupt', count);
+};
+
+
+AuditSummary.prototype.addJob = function addJob(jobId) {
+        assert.string(jobId, 'jobId');
+
+        if (this.jobs.indexOf(jobId) === -1) {
+                this.jobs.push(jobId);
+        }
+};
+
+
+/**
+ * Adds another summary (or the JSON form of one) to this one.
+ */
+AuditSummary.prototype.merge = function merge(other) {
+        var self = this;
+
+        assert.object(other, 'other');
+
+        (other.jobs || []).forEach(function (jobId) {
+                self.addJob(jobId);
+        });
+        Object.keys(other.shards || {}).forEach(function (name) {
+                add(self.shard(name), other.shards[name], SHARD_FIELDS);
+        });
+};
+
+
+AuditSummary.prototype.toJSON = function toJSON() {
+        var self = this;
+        var totals = zero(SHARD_FIELDS);
+
+        Object.keys(self.shards).forEach(function (name) {
+                add(totals, self.shards[name], SHARD_FIELDS);
+        });
+
+        return ({
+                'version': SUMMARY_VERSION,
+                'jobs': self.jobs,
+                'shards': self.shards,
+                'totals': totals
+        });
+};
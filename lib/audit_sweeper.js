@@ -10,8 +10,11 @@
 
 var assert = require('assert-plus');
 var carrier = require('carrier');
+var fs = require('fs');
 var http = require('http');
 var moray = require('moray');
+var path = require('path');
+var rebalancer = require('./rebalancer');
 var vasync = require('vasync');
 
 
@@ -35,15 +38,34 @@ var MORAY_PORT = 2020;
  *         "manta_storage_id": "1.stor.us-east.joyent.us",
  *         "datacenter": "us-east-2"
  *     }
+ *
+ * The file may be the text output of an audit, or its JSON-lines output (see
+ * the -J option of audit.js), in which each problem has a kind.  If
+ * opts.kinds is given, only problems of those kinds are swept; the rest,
+ * including text lines, which have no kind, are skipped.
+ *
+ * If opts.repairDir is given, objects with fewer copies than Moray lists are
+ * planned for repair rather than failed (see planRepair), and the plan is
+ * written to that directory once the sweep is done.
  */
 function AuditSweeper(opts) {
         assert.object(opts.log, 'opts.log');
         assert.arrayOfObject(opts.storageList, 'opts.storageList');
+        assert.optionalArrayOfString(opts.kinds, 'opts.kinds');
+        assert.optionalString(opts.repairDir, 'opts.repairDir');
 
         var self = this;
         self.log = opts.log;
         self.storageList = opts.storageList;
+        self.kinds = opts.kinds || null;
+        self.repairDir = opts.repairDir || null;
         self.morayClients = {};
+        //Moray key -> rebalance record
+        self.repairs = {};
+        //objectId -> { oldShark, newShark }, so that links repair alike
+        self.repairChoices = {};
+        //The storageList keyed by datacenter, as the Rebalancer takes it.
+        self.sharks = {};
 
         // Validate storageList
         for (var i = 0; i < self.storageList.length; ++i) {
@@ -55,6 +77,10 @@ function AuditSweeper(opts) {
                         throw new Error('Invalid Storage Descriptor: ' +
                                         JSON.stringify(s));
                 }
+                if (!self.sharks[s.datacenter]) {
+                        self.sharks[s.datacenter] = [];
+                }
+                self.sharks[s.datacenter].push(s);
         }
 
         // Stats
@@ -64,6 +90,10 @@ function AuditSweeper(opts) {
                 alreadyModified: 0,
                 modified: 0,
                 etagConflicts: 0,
+                skipped: 0,
+                sizeMismatches: 0,
+                corrupt: 0,
+                repairsPlanned: 0,
                 errorLines: 0
         };
 }
@@ -159,6 +189,105 @@ AuditSweeper.prototype.locateObject = function locateObject(morayObject, cb) {
 };
 
 
+/**
+ * Plans a new copy of an object that has lost one, given its Moray record, the
+ * storage nodes its copies were found on and the shard the record is on.  The
+ * new copy takes the place of a lost one, on a shark chosen the way the
+ * Rebalancer chooses one, so copies stay spread across datacenters.  Like the
+ * Rebalancer, only one problem is fixed at a time: an object that has lost more
+ * than one copy gets one back, and the rest are left for the next audit.
+ *
+ * The plan is a record in the Rebalancer's format, with the lost copy as the
+ * oldShark, plus the shard and a copy that was found as the sourceShark, to
+ * fetch it from, since the oldShark no longer has it.  The rebalance app on the
+ * makos can't carry these out, as it moves the oldShark's copy; the
+ * AuditRepairer does.
+ *
+ * Copies found on a shark Moray doesn't list may have moved rather than been
+ * lost, so those objects are not planned for; an error is returned instead.
+ */
+AuditSweeper.prototype.planRepair = function planRepair(morayObject,
+                                                        locations, shard) {
+        var self = this;
+        var v = morayObject.value;
+
+        function id(s) {
+                return (s.manta_storage_id);
+        }
+
+        if (self.repairs[morayObject.key]) {
+                return (null);
+        }
+
+        var listed = v.sharks.map(id);
+        var found = locations.map(id);
+        if (found.length === 0) {
+                return (new Error('no copies left to repair from'));
+        }
+        for (var i = 0; i < found.length; ++i) {
+                if (listed.indexOf(found[i]) === -1) {
+                        return (new Error('copy found on a shark that ' +
+                                          'moray doesn\'t list'));
+                }
+        }
+
+        var repl = self.repairChoices[v.objectId];
+        if (!repl) {
+                var lost = v.sharks.filter(function (s) {
+                        return (found.indexOf(id(s)) === -1);
+                });
+                try {
+                        repl = {
+                                oldShark: lost[0],
+                                newShark: rebalancer.chooseShark(lost[0],
+                                    { _value: v }, self.sharks)
+                        };
+                } catch (e) {
+                        return (e);
+                }
+                self.repairChoices[v.objectId] = repl;
+        }
+
+        var record = rebalancer.rebalanceRecord(morayObject.key,
+            morayObject._etag, v, repl.oldShark, repl.newShark);
+        record.sourceShark = locations[0];
+        record.shard = shard;
+        self.repairs[morayObject.key] = record;
+        self.stats.repairsPlanned += 1;
+        return (null);
+};
+
+
+/**
+ * Writes the planned repairs to opts.repairDir, in a file for each of the
+ * sharks that new copies go to, as the Rebalancer does.
+ */
+AuditSweeper.prototype.writeRepairs = function writeRepairs(cb) {
+        var self = this;
+
+        var files = {};
+        Object.keys(self.repairs).forEach(function (k) {
+                var r = self.repairs[k];
+                var name = r.newShark.manta_storage_id;
+                if (!files[name]) {
+                        files[name] = '';
+                }
+                files[name] += JSON.stringify(r, null, 0) + '\n';
+        });
+
+        vasync.forEachParallel({
+                inputs: Object.keys(files),
+                func: function writeRepairFile(name, subcb) {
+                        var p = path.join(self.repairDir, name);
+                        self.log.info({ path: p }, 'writing repairs');
+                        fs.writeFile(p, files[name], subcb);
+                }
+        }, function (err) {
+                cb(err);
+        });
+};
+
+
 AuditSweeper.prototype.processLine = function processLine(line, cb) {
         var self = this;
 
@@ -168,13 +297,59 @@ AuditSweeper.prototype.processLine = function processLine(line, cb) {
         vasync.pipeline({
                 funcs: [
                         function parseLine(_, subcb) {
-                                var parts = line.split('\t');
-                                o.obj = {
-                                        id: parts[0],
-                                        storageId: parts[1],
-                                        key: parts[3],
-                                        shard: parts[4]
-                                };
+                                var kind = null;
+                                if (line[0] === '{') {
+                                        var r;
+                                        try {
+                                                r = JSON.parse(line);
+                                        } catch (e) {
+                                                subcb(e);
+                                                return;
+                                        }
+                                        kind = r.kind;
+                                        o.obj = {
+                                                id: r.objectId,
+                                                storageId: r.storageId,
+                                                key: r.key,
+                                                shard: r.shard
+                                        };
+                                } else {
+                                        var parts = line.split('\t');
+                                        //"moray" for missing copies.
+                                        kind = parts[2];
+                                        o.obj = {
+                                                id: parts[0],
+                                                storageId: parts[1],
+                                                key: parts[3],
+                                                shard: parts[4]
+                                        };
+                                }
+                                if (self.kinds !== null &&
+                                    self.kinds.indexOf(kind) === -1) {
+                                        self.stats.skipped += 1;
+                                        subcb(okExitError);
+                                        return;
+                                }
+                                /*
+                                 * A corrupt copy, or one of the wrong size, is
+                                 * still where Moray says it is, so there's
+                                 * nothing to sweep.  It needs to be replaced,
+                                 * which is left to operators.
+                                 */
+                                if (kind === 'size_mismatch') {
+                                        self.log.warn({ obj: o.obj },
+                                            'skipping copy of the wrong size');
+                                        self.stats.sizeMismatches += 1;
+                                        subcb(okExitError);
+                                        return;
+                                }
+                                if (kind === 'corrupt') {
+                                        self.log.warn({ obj: o.obj },
+                                            'skipping corrupt copy');
+                                        self.stats.corrupt += 1;
+                                        subcb(okExitError);
+                                        return;
+                                }
                                 subcb();
                         },
                         function fetchMorayClient(_, subcb) {
@@ -228,6 +403,15 @@ AuditSweeper.prototype.processLine = function processLine(line, cb) {
                                 });
                         },
                         function verifyDurabilityLevel(_, subcb) {
+                                var mo = o.morayObject;
+                                var ls = o.locations;
+                                if (self.repairDir !== null &&
+                                    ls.length < mo.value.sharks.length) {
+                                        var e = self.planRepair(mo, ls,
+                                            o.obj.shard);
+                                        subcb(e || okExitError);
+                                        return;
+                                }
                                 if (o.locations.length !==
                                     o.morayObject.value.sharks.length) {
                                         var m = 'durability levels don\'t ' +
@@ -387,6 +571,13 @@ AuditSweeper.prototype.run = function clean(opts, cb) {
                                         runRes = res;
                                         subcb();
                                 });
+                        },
+                        function writeRepairPlan(_, subcb) {
+                                if (self.repairDir === null) {
+                                        subcb();
+                                        return;
+                                }
+                                self.writeRepairs(subcb);
                         }
                 ]
         }, function (err) {
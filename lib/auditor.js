@@ -29,6 +29,53 @@ function uploadsDirChild(key) {
 }
 
 
+/*
+ * Builds what the Auditor emits for a moray line.  toString() gives back the
+ * line, as it was emitted before problems had a kind, or, for size mismatches
+ * and corrupt copies, the line with the kind in place of "moray" and what
+ * mako has added.
+ */
+function auditRecord(kind, parts, str) {
+        return ({
+                kind: kind,
+                objectId: parts[0],
+                storageId: parts[1],
+                key: parts[3],
+                shard: parts[4],
+                contentLength: parts[5] ? parseInt(parts[5], 10) : null,
+                owner: parts[6] || null,
+                sharks: parts[7] ? parts[7].split(',') : [],
+                toString: function () {
+                        return (str);
+                }
+        });
+}
+
+
+/*
+ * Returns the kind of problem a missing copy is, given the storage nodes that
+ * the object was found on.
+ */
+function missingKind(parts, storageNodes, knownNodes) {
+        var storageId = parts[1];
+        if (knownNodes !== null && !knownNodes.hasOwnProperty(storageId)) {
+                return ('unknown_storage_node');
+        }
+
+        //Without the object's sharks, all we have is where it was found.
+        var copies = storageNodes.length;
+        if (parts[7]) {
+                copies = parts[7].split(',').filter(function (s) {
+                        return (storageNodes.indexOf(s) !== -1);
+                }).length;
+        }
+        if (copies === 0) {
+                return ('missing_all_copies');
+        }
+        return (copies === 1 ? 'under_replicated' : 'missing_copy');
+}
+
+
 ///--- API
 
 /**
@@ -45,15 +92,61 @@ function uploadsDirChild(key) {
  *
  *  The crux of the algorithm is that we can build the set of storage nodes
  *  that an object is on from the first N mako lines, then verify that
- *  all moray records have the correct set.
+ *  all moray records have the correct set.  "problem" is emitted for each
+ *  moray record for a storage node the object isn't on, with:
+ *
+ *    - kind: What's wrong, one of:
+ *        - unknown_storage_node: The storage node isn't one of
+ *                                opts.storageNodes, so the copy couldn't be
+ *                                checked (as when the node has been
+ *                                decommissioned).
+ *        - missing_all_copies:   None of the object's storage nodes has it.
+ *        - under_replicated:     Only one of the object's storage nodes still
+ *                                has it.
+ *        - missing_copy:         The copy is missing, but more than one is
+ *                                left.
+ *    - objectId, storageId, key, shard, contentLength, owner: As in the
+ *                                moray line (see AuditRowTransformer)
+ *    - sharks: All the storage nodes the object should be on.
+ *    - toString(): The moray line, as is.
+ *
+ *  Mako lines carry the size of the copy on that storage node, and moray
+ *  lines the object's contentLength.  Where a copy is there but the sizes
+ *  differ, "size_mismatch" is emitted, with the same fields and kind
+ *  "size_mismatch", and:
+ *
+ *    - makoBytes: The size of the copy on the storage node
+ *    - toString(): The moray line's objectId, storageId, "size_mismatch",
+ *                  key, shard and contentLength, and the mako size.
+ *
+ *  If the rows also carry content digests (see the checksums option of
+ *  AuditRowTransformer), a mako line may end with the digest of the copy,
+ *  and a moray line with the object's contentMD5.  Where both are there and
+ *  they differ, the copy is corrupt, and "corrupt" is emitted, just as
+ *  "size_mismatch" is, but with contentMD5 and makoDigest.  A copy of the
+ *  wrong size is bound to have the wrong digest too, so it's only reported
+ *  as a size mismatch.
+ *
+ *  Optional Opts:
+ *    storageNodes:      The storage nodes that mako lines were read from.
  */
 function Auditor(opts, listener) {
         var self = this;
         var reader = opts.reader;
+        var knownNodes = null;
+
+        assert.optionalArrayOfString(opts.storageNodes, 'opts.storageNodes');
+        if (opts.storageNodes) {
+                knownNodes = {};
+                opts.storageNodes.forEach(function (s) {
+                        knownNodes[s] = true;
+                });
+        }
 
         var currMako = {
                 objectId: '',
-                storageNodes: []
+                storageNodes: [],
+                copies: {}
         };
 
         if (listener) {
@@ -73,7 +166,12 @@ function Auditor(opts, listener) {
                         } else {
                                 currMako.objectId = objectId;
                                 currMako.storageNodes = [storageId];
+                                currMako.copies = {};
                         }
+                        currMako.copies[storageId] = {
+                                bytes: parts[3],
+                                digest: parts[4]
+                        };
                 } else {
                         if ((currMako.objectId !== objectId) ||
                             (currMako.storageNodes.indexOf(storageId) === -1)) {
@@ -92,7 +190,33 @@ function Auditor(opts, listener) {
                                 }
                             }
 
-                            self.emit('problem', line);
+                            var nodes = (currMako.objectId === objectId) ?
+                                currMako.storageNodes : [];
+                            self.emit('problem', auditRecord(
+                                missingKind(parts, nodes, knownNodes), parts,
+                                line));
+                            return;
+                        }
+
+                        //Either side may not have a size or digest to compare.
+                        var copy = currMako.copies[storageId];
+                        var r;
+                        if (parts[5] && copy.bytes && parts[5] !== copy.bytes) {
+                                r = auditRecord('size_mismatch', parts, [
+                                        objectId, storageId, 'size_mismatch',
+                                        parts[3], parts[4], parts[5],
+                                        copy.bytes ].join('\t'));
+                                r.makoBytes = parseInt(copy.bytes, 10);
+                                self.emit('size_mismatch', r);
+                        } else if (parts[8] && copy.digest &&
+                            parts[8] !== copy.digest) {
+                                r = auditRecord('corrupt', parts, [
+                                        objectId, storageId, 'corrupt',
+                                        parts[3], parts[4], parts[8],
+                                        copy.digest ].join('\t'));
+                                r.contentMD5 = parts[8];
+                                r.makoDigest = copy.digest;
+                                self.emit('corrupt', r);
                         }
                 }
         });
@@ -0,0 +1,337 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var stream = require('stream');
+var vasync = require('vasync');
+var VE = require('verror').VError;
+
+
+
+///--- Globals
+
+var DEFAULT_CONCURRENCY = 10;
+var DEFAULT_RETRIES = 3;
+var DEFAULT_RETRY_DELAY = 1000;
+var DEFAULT_STALL_TIMEOUT = 30000;
+
+
+
+///--- API
+
+/**
+ * Uploads a dynamic set of buckets (Manta objects) whose contents are
+ * written a piece at a time, interleaved with one another, as mdemux.js does.
+ *
+ * Every bucket is also written to a local file by the caller (its spill
+ * file), which this takes as the source of truth.  The first "concurrency"
+ * buckets are streamed straight to Manta as they are written.  If a streamed
+ * bucket's upload stalls (it doesn't drain within stallTimeout millis) or
+ * fails, streaming it is given up on so the rest of the input isn't held up,
+ * and its request is aborted, so that what was streamed is never committed.
+ * Once all input is written, every bucket that wasn't streamed is uploaded
+ * from its local file, "concurrency" at a time, retrying failures with
+ * backoff.  Local files are removed as their buckets are uploaded.
+ *
+ * Required Opts:
+ *    log:               Bunyan logger
+ *    mantaClient:       Manta client
+ *
+ * Optional Opts:
+ *    concurrency:       Uploads in flight at once.  Defaults to 10.
+ *    retries:           Times to retry a failed upload.  Defaults to 3.
+ *    retryDelay:        Millis to wait before the first retry, doubling for
+ *                       each one after.  Defaults to 1000.
+ *    stallTimeout:      Millis to wait for a streamed upload to drain.
+ *                       Defaults to 30000.
+ */
+function BucketUploader(opts) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.object(opts.mantaClient, 'opts.mantaClient');
+        assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+        assert.optionalNumber(opts.retries, 'opts.retries');
+        assert.optionalNumber(opts.retryDelay, 'opts.retryDelay');
+        assert.optionalNumber(opts.stallTimeout, 'opts.stallTimeout');
+
+        this.log = opts.log;
+        this.mantaClient = opts.mantaClient;
+        this.concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+        this.retries = (opts.retries !== undefined) ? opts.retries :
+                DEFAULT_RETRIES;
+        this.retryDelay = (opts.retryDelay !== undefined) ? opts.retryDelay :
+                DEFAULT_RETRY_DELAY;
+        this.stallTimeout = opts.stallTimeout || DEFAULT_STALL_TIMEOUT;
+        this.buckets = {};
+        this.streaming = 0;
+        this.stats = {
+                buckets: 0,
+                streamed: 0,
+                uploadedFromFile: 0,
+                stalled: 0,
+                retries: 0
+        };
+}
+
+module.exports = BucketUploader;
+
+
+
+///--- Methods
+
+BucketUploader.prototype.getStats = function getStats() {
+        return (this.stats);
+};
+
+
+/**
+ * Starts a bucket, the contents of which are also being written to
+ * localPath.
+ */
+BucketUploader.prototype.open = function open(key, localPath) {
+        assert.string(key, 'key');
+        assert.string(localPath, 'localPath');
+        assert.ok(!this.buckets[key], 'bucket ' + key + ' already open');
+
+        var self = this;
+        var b = self.buckets[key] = {
+                key: key,
+                localPath: localPath,
+                body: null,
+                //The streamed upload's request, once the body is piped to it.
+                req: null,
+                //Whether the streamed upload has been given up on.
+                abandoned: false,
+                //Set once the streamed upload's request completes.
+                putDone: false,
+                putErr: null,
+                onPutDone: null,
+                onWriteDone: null
+        };
+        self.stats.buckets++;
+
+        if (self.streaming >= self.concurrency) {
+                return;
+        }
+
+        self.streaming++;
+        b.body = new stream.PassThrough();
+        /*
+         * The Manta client pipes the body into its request once the server
+         * is ready for it, and doesn't otherwise expose the request, which
+         * abandon() needs in order to abort it.
+         */
+        b.body.pipe = function pipe(dest, pipeOpts) {
+                b.req = dest;
+                if (b.abandoned) {
+                        self.abortRequest(b);
+                        return (dest);
+                }
+                return (stream.PassThrough.prototype.pipe.call(b.body, dest,
+                    pipeOpts));
+        };
+        self.mantaClient.put(key, b.body, {}, function (err) {
+                b.putDone = true;
+                b.putErr = err || null;
+                if (err && !b.abandoned) {
+                        self.log.warn({ err: err, key: key },
+                            'streamed upload failed, will upload from file');
+                        self.abandon(b);
+                }
+                if (b.onWriteDone) {
+                        b.onWriteDone();
+                }
+                if (b.onPutDone) {
+                        b.onPutDone();
+                }
+        });
+};
+
+
+/*
+ * Gives up on streaming a bucket.  The body is never ended, and its request is
+ * aborted (now, or once the client pipes the body to it), so a truncated
+ * object is never committed; the bucket is uploaded from its file instead,
+ * without waiting for the aborted request.
+ */
+BucketUploader.prototype.abandon = function abandon(b) {
+        if (b.abandoned) {
+                return;
+        }
+        b.abandoned = true;
+        this.streaming--;
+        if (b.req !== null) {
+                this.abortRequest(b);
+        }
+};
+
+
+BucketUploader.prototype.abortRequest = function abortRequest(b) {
+        if (b.putDone) {
+                return;
+        }
+        this.log.debug({ key: b.key }, 'aborting streamed upload');
+        b.body.unpipe(b.req);
+        b.req.abort();
+};
+
+
+/**
+ * Writes data to a bucket, calling cb once it's fine to write more.
+ */
+BucketUploader.prototype.write = function write(key, data, cb) {
+        assert.func(cb, 'cb');
+
+        var self = this;
+        var b = self.buckets[key];
+        assert.object(b, 'bucket ' + key);
+
+        if (b.body === null || b.abandoned) {
+                setImmediate(cb);
+                return;
+        }
+        if (b.body.write(data)) {
+                setImmediate(cb);
+                return;
+        }
+
+        var timer;
+        function done() {
+                if (b.onWriteDone === null) {
+                        return;
+                }
+                b.onWriteDone = null;
+                clearTimeout(timer);
+                b.body.removeListener('drain', done);
+                cb();
+        }
+        b.onWriteDone = done;
+        b.body.once('drain', done);
+        timer = setTimeout(function () {
+                self.log.warn({ key: key, stallTimeout: self.stallTimeout },
+                    'streamed upload stalled, will upload from file');
+                self.stats.stalled++;
+                self.abandon(b);
+                done();
+        }, self.stallTimeout);
+};
+
+
+/**
+ * Once all buckets are written, finishes the streamed uploads and uploads
+ * everything else from its local file.
+ */
+BucketUploader.prototype.finish = function finish(cb) {
+        assert.func(cb, 'cb');
+
+        var self = this;
+        var keys = Object.keys(self.buckets);
+        var fromFile = [];
+
+        vasync.forEachParallel({
+                inputs: keys,
+                func: function waitForStream(key, subcb) {
+                        var b = self.buckets[key];
+                        if (b.body === null || b.abandoned) {
+                                fromFile.push(b);
+                                setImmediate(subcb);
+                                return;
+                        }
+                        b.body.end();
+                        self.whenPutDone(b, function () {
+                                if (b.abandoned) {
+                                        fromFile.push(b);
+                                } else {
+                                        self.stats.streamed++;
+                                        self.streaming--;
+                                        self.removeFile(b);
+                                }
+                                subcb();
+                        });
+                }
+        }, function () {
+                var errors = [];
+                var q = vasync.queue(function (b, qcb) {
+                        self.uploadFromFile(b, 0, function (err) {
+                                if (err) {
+                                        errors.push(err);
+                                }
+                                qcb();
+                        });
+                }, self.concurrency);
+
+                q.once('end', function () {
+                        cb(errors.length > 0 ? errors[0] : null);
+                });
+                fromFile.forEach(function (b) {
+                        q.push(b);
+                });
+                q.close();
+        });
+};
+
+
+BucketUploader.prototype.whenPutDone = function whenPutDone(b, cb) {
+        if (b.putDone) {
+                setImmediate(cb);
+                return;
+        }
+        b.onPutDone = cb;
+};
+
+
+BucketUploader.prototype.uploadFromFile = function uploadFromFile(b, attempt,
+    cb) {
+        var self = this;
+
+        fs.stat(b.localPath, function (err, stats) {
+                if (err) {
+                        cb(VE(err, 'stat "%s"', b.localPath));
+                        return;
+                }
+
+                var s = fs.createReadStream(b.localPath);
+                self.mantaClient.put(b.key, s, {
+                        size: stats.size
+                }, function (pErr) {
+                        if (!pErr) {
+                                self.stats.uploadedFromFile++;
+                                self.removeFile(b);
+                                cb();
+                                return;
+                        }
+                        if (attempt >= self.retries) {
+                                cb(VE(pErr, 'upload "%s" -> "%s"',
+                                    b.localPath, b.key));
+                                return;
+                        }
+
+                        var delay = self.retryDelay * Math.pow(2, attempt);
+                        self.log.warn({ err: pErr, key: b.key,
+                            attempt: attempt + 1, delay: delay },
+                            'upload failed, retrying');
+                        self.stats.retries++;
+                        setTimeout(function () {
+                                self.uploadFromFile(b, attempt + 1, cb);
+                        }, delay);
+                });
+        });
+};
+
+
+BucketUploader.prototype.removeFile = function removeFile(b) {
+        try {
+                fs.unlinkSync(b.localPath);
+        } catch (e) {
+                this.log.warn({ err: e, path: b.localPath },
+                    'unable to remove local file');
+        }
+};
@@ -0,0 +1,161 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var VE = require('verror').VError;
+
+var common = require('./common');
+
+
+
+///--- API
+
+/**
+ * Keeps track of how far through an input object a long-running consumer
+ * (such as moray_gc) has got, so that a restarted process can pick up where
+ * the last one left off rather than starting the object from the top.
+ *
+ * Each checkpoint is a small JSON file in a local directory, named after the
+ * md5 of the object path.  Checkpoints are written to a temporary file and
+ * renamed into place, so a crash mid-write leaves the previous checkpoint
+ * intact.
+ *
+ * Required Opts:
+ *    log:               Bunyan logger
+ *    dir:               Local directory to keep checkpoints in.  Created if
+ *                       it doesn't exist.
+ */
+function CheckpointStore(opts) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.string(opts.dir, 'opts.dir');
+
+        this.log = opts.log;
+        this.dir = opts.dir;
+}
+
+module.exports = CheckpointStore;
+
+
+
+///--- Methods
+
+CheckpointStore.prototype.pathFor = function pathFor(object) {
+        var name = crypto.createHash('md5').update(object).digest('hex');
+        return (path.join(this.dir, name + '.json'));
+};
+
+
+/**
+ * Calls back with the last checkpoint saved for the object, or null if there
+ * isn't one.  A checkpoint that can't be parsed is logged and treated as
+ * missing.
+ */
+CheckpointStore.prototype.get = function get(object, cb) {
+        assert.string(object, 'object');
+        assert.func(cb, 'cb');
+
+        var self = this;
+        var p = self.pathFor(object);
+
+        fs.readFile(p, 'utf8', function (err, data) {
+                if (err && err.code === 'ENOENT') {
+                        cb(null, null);
+                        return;
+                }
+                if (err) {
+                        cb(VE(err, 'read checkpoint "%s"', p));
+                        return;
+                }
+
+                var cp;
+                try {
+                        cp = JSON.parse(data);
+                } catch (e) {
+                        self.log.warn({ object: object, path: p, err: e },
+                            'ignoring unparseable checkpoint');
+                        cb(null, null);
+                        return;
+                }
+
+                if (cp.object !== object) {
+                        self.log.warn({ object: object, path: p,
+                            checkpoint: cp }, 'ignoring checkpoint for ' +
+                            'another object');
+                        cb(null, null);
+                        return;
+                }
+
+                cb(null, cp);
+        });
+};
+
+
+/**
+ * Saves a checkpoint for the object, replacing any earlier one.  The "object"
+ * field of the checkpoint is always set to the object path.
+ */
+CheckpointStore.prototype.put = function put(object, checkpoint, cb) {
+        assert.string(object, 'object');
+        assert.object(checkpoint, 'checkpoint');
+        assert.func(cb, 'cb');
+
+        var self = this;
+        var p = self.pathFor(object);
+        var tmp = p + '.' + process.pid + '.tmp';
+        var cp = {};
+        Object.keys(checkpoint).forEach(function (k) {
+                cp[k] = checkpoint[k];
+        });
+        cp.object = object;
+
+        common.mkdirp(self.dir, function (err) {
+                if (err) {
+                        cb(VE(err, 'mkdir "%s"', self.dir));
+                        return;
+                }
+                fs.writeFile(tmp, JSON.stringify(cp), function (err2) {
+                        if (err2) {
+                                cb(VE(err2, 'write checkpoint "%s"', tmp));
+                                return;
+                        }
+                        fs.rename(tmp, p, function (err3) {
+                                if (err3) {
+                                        cb(VE(err3, 'rename "%s"', tmp));
+                                        return;
+                                }
+                                cb();
+                        });
+                });
+        });
+};
+
+
+/**
+ * Removes the checkpoint for an object, once it has been completely
+ * processed.  Removing a checkpoint that doesn't exist isn't an error.
+ */
+CheckpointStore.prototype.remove = function remove(object, cb) {
+        assert.string(object, 'object');
+        assert.func(cb, 'cb');
+
+        var p = this.pathFor(object);
+
+        fs.unlink(p, function (err) {
+                if (err && err.code !== 'ENOENT') {
+                        cb(VE(err, 'unlink checkpoint "%s"', p));
+                        return;
+                }
+                cb();
+        });
+};
@@ -9,12 +9,17 @@
  */
 
 var assert = require('assert-plus');
+var crypto = require('crypto');
 var fs = require('fs');
 var jsprim = require('jsprim');
+var MemoryStream = require('memorystream');
+var path = require('path');
 var sprintf = require('sprintf-js').sprintf;
 var vasync = require('vasync');
 var VError = require('verror').VError;
 
+var GracePolicy = require('./grace_policy');
+
 
 // --- Globals
 var MAX_HOURS_IN_PAST = 24;
@@ -180,6 +185,69 @@ function getObjectToFile(opts, cb) {
 }
 
 
+/*
+ * Calls back with the names of the entries of a Manta directory of the given
+ * type ('object' or 'directory').  A directory that doesn't exist is empty.
+ */
+function listDir(client, dir, type, cb) {
+        assert.object(client, 'client');
+        assert.string(dir, 'dir');
+        assert.string(type, 'type');
+
+        var names = [];
+        var done = false;
+        var ls = client.createListStream(dir, { type: type });
+
+        ls.on('error', function (err) {
+                if (done) {
+                        return;
+                }
+                done = true;
+                if (err.name === 'ResourceNotFoundError') {
+                        cb(null, []);
+                        return;
+                }
+                cb(new VError(err, 'listing "%s"', dir));
+        });
+        ls.on('readable', function () {
+                var ent;
+                while ((ent = ls.read()) !== null) {
+                        names.push(ent.name);
+                }
+        });
+        ls.on('end', function () {
+                if (!done) {
+                        done = true;
+                        cb(null, names);
+                }
+        });
+}
+
+
+/*
+ * Creates a local directory, along with any of its parents that don't exist.
+ */
+function mkdirp(dir, cb) {
+        fs.mkdir(dir, parseInt('0755', 8), function (err) {
+                if (!err || err.code === 'EEXIST') {
+                        cb();
+                        return;
+                }
+                if (err.code !== 'ENOENT') {
+                        cb(err);
+                        return;
+                }
+                mkdirp(path.dirname(dir), function (err2) {
+                        if (err2) {
+                                cb(err2);
+                                return;
+                        }
+                        mkdirp(dir, cb);
+                });
+        });
+}
+
+
 function getJob(opts, cb) {
         assert.object(opts, 'opts');
         assert.object(opts.client, 'opts.client');
@@ -209,6 +277,18 @@ function getJob(opts, cb) {
 }
 
 
+// Returns the directory a shard's dumps for the hour of date d are in, like:
+// /poseidon/stor/manatee_backups/1.moray.coal.joyent.us/2014/05/04/20
+function dumpDirectory(user, shard, d) {
+        return ('/' + user + '/stor/manatee_backups/' +
+                shard + '/' +
+                d.getFullYear() + '/' +
+                pad(d.getMonth() + 1) + '/' +
+                pad(d.getDate()) + '/' +
+                pad(d.getHours()));
+}
+
+
 function findShardObjects(opts, cb) {
         assert.string(opts.shard, 'opts.shard');
         assert.object(opts.client, 'opts.client');
@@ -245,15 +325,7 @@ function findShardObjects(opts, cb) {
 
         // # of iteration hours before
         var d = new Date(opts.timestamp - (opts.iteration * 60 * 60 * 1000));
-
-        // Construct a path like:
-        // /poseidon/stor/manatee_backups/1.moray.coal.joyent.us/2014/05/04/20
-        var dir = '/' + opts.client.user + '/stor/manatee_backups/' +
-                opts.shard + '/' +
-                d.getFullYear() + '/' +
-                pad(d.getMonth() + 1) + '/' +
-                pad(d.getDate()) + '/' +
-                pad(d.getHours());
+        var dir = dumpDirectory(opts.client.user, opts.shard, d);
 
         opts.client.ls(dir, {}, function (err, res) {
                 function next() {
@@ -444,13 +516,15 @@ function findMorayMakoObjects(opts, cb) {
         assert.object(opts.log, 'opts.log');
         assert.arrayOfString(opts.shards, 'opts.shards');
         assert.arrayOfString(opts.tablePrefixes, 'opts.tablePrefixes');
+        assert.optionalNumber(opts.maxHoursInPast, 'opts.maxHoursInPast');
 
         var log = opts.log;
         var popts = {
                 'client': opts.client,
                 'log': opts.log,
                 'shards': opts.shards,
-                'tablePrefixes': opts.tablePrefixes
+                'tablePrefixes': opts.tablePrefixes,
+                'maxHoursInPast': opts.maxHoursInPast
         };
         var objects = [];
         function mako(_, subcb) {
@@ -503,6 +577,65 @@ function findMorayMakoObjects(opts, cb) {
 }
 
 
+/*
+ * Reads a grace period policy file (see lib/grace_policy.js) for a job, and
+ * checks it up front, rather than have every reducer fail on it.  If it can't
+ * be used, errorfunc is called with why, as for parseNumberOption.
+ */
+function readGracePolicy(file, errorfunc) {
+        assert.string(file, 'file');
+        assert.func(errorfunc, 'errorfunc');
+
+        var policy;
+        try {
+                policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+                //Throws if the policy isn't valid.
+                new GracePolicy({ policy: policy, defaultMillis: 0 }).longest();
+        } catch (e) {
+                errorfunc(file + ': ' + e.message);
+        }
+        return (policy);
+}
+
+
+/*
+ * Uploads a job's grace period policy, if it has one, so that the reducers
+ * can pick it up as an asset alongside the mola bundle.
+ *
+ * Inputs:
+ *  - opts: an options blob with the following values:
+ *      - client: Manta client
+ *      - gracePolicy: optional grace period policy
+ *      - gracePolicyObject: the Manta path to upload it to, if there is one
+ *  - cb: callback of the form cb(err)
+ */
+function putGracePolicy(opts, cb) {
+        assert.object(opts, 'opts');
+        assert.object(opts.client, 'opts.client');
+        assert.optionalString(opts.gracePolicyObject,
+            'opts.gracePolicyObject');
+        assert.func(cb, 'cb');
+
+        if (!opts.gracePolicyObject) {
+                cb();
+                return;
+        }
+        assert.object(opts.gracePolicy, 'opts.gracePolicy');
+
+        var data = JSON.stringify(opts.gracePolicy);
+        var o = { size: Buffer.byteLength(data) };
+        var s = new MemoryStream();
+
+        opts.client.put(opts.gracePolicyObject, s, o, function (err) {
+                cb(err);
+        });
+
+        process.nextTick(function () {
+                s.end(data);
+        });
+}
+
+
 /*
  * Parse a numeric option value and check whether it is within a particular
  * range.
@@ -580,7 +713,23 @@ function reducerCurve(n) {
 }
 
 
+/*
+ * Returns a random (version 4) UUID.
+ */
+function uuid() {
+        var b = crypto.randomBytes(16);
+        b[6] = (b[6] & 0x0f) | 0x40;
+        b[8] = (b[8] & 0x3f) | 0x80;
+        var h = b.toString('hex');
+        return (h.substr(0, 8) + '-' + h.substr(8, 4) + '-' +
+                h.substr(12, 4) + '-' + h.substr(16, 4) + '-' +
+                h.substr(20, 12));
+}
+
+
 module.exports = {
+        MAX_HOURS_IN_PAST: MAX_HOURS_IN_PAST,
+        dumpDirectory: dumpDirectory,
         endsWith: endsWith,
         findLatestMakoObjects: findLatestMakoObjects,
         findMorayMakoObjects: findMorayMakoObjects,
@@ -590,7 +739,13 @@ module.exports = {
         getObject: getObject,
         getObjectsInDir: getObjectsInDir,
         getObjectToFile: getObjectToFile,
+        listDir: listDir,
+        mkdirp: mkdirp,
         parseNumberOption: parseNumberOption,
+        putGracePolicy: putGracePolicy,
+        readGracePolicy: readGracePolicy,
         reducerCurve: reducerCurve,
-        startsWith: startsWith
+        startsWith: startsWith,
+        startsWithOneOf: startsWithOneOf,
+        uuid: uuid
 };
@@ -12,6 +12,8 @@ var util = require('util');
 var events = require('events');
 var carrier = require('carrier');
 
+var serializeInstruction = require('./instruction_format').serializeInstruction;
+
 
 
 ///--- API
@@ -32,6 +34,7 @@ var carrier = require('carrier');
  *
  * The output is a gc-compatible row (slightly rearranged from what's above)
  * mako  storageId  owner  objectId  bytes  createTime  physicalKilobytes
+ * which is the "cruft-mako" instruction format (see instruction_format.js).
  */
 function CruftCollector(opts, listener) {
         var self = this;
@@ -55,15 +58,14 @@ function CruftCollector(opts, listener) {
                         if (currMoray !== objectId) {
                                 // Need to rearrange the line so that it is
                                 // compatible with GC (see above)
-                                var p = line.split('\t');
-                                var nline =
-                                        p[1] + '\t' + //mako
-                                        p[2] + '\t' + //storageId
-                                        p[3] + '\t' + //owner
-                                        p[0] + '\t' + //objectId
-                                        p[4] + '\t' + //bytes
-                                        p[5] + '\t' + //createTime
-                                        p[6];  //physicalKilobytes
+                                var nline = serializeInstruction('cruft-mako', {
+                                        mantaStorageId: parts[2],
+                                        owner: parts[3],
+                                        objectId: parts[0],
+                                        bytes: parts[4],
+                                        createTime: parts[5],
+                                        physicalKilobytes: parts[6]
+                                });
                                 self.emit('mako', nline);
                         }
                 }
@@ -19,6 +19,11 @@ var util = require('util');
 
 /**
  * This tranforms rows useable for cruft collecting.
+ *
+ * Moray rows are read from opts.reader, a dump, unless opts.source is given:
+ * an emitter of the same "object" and "end" events as SchemaReader, such as a
+ * MorayReader.  opts.mantaKey still names the shard, as the path of a dump
+ * from it would.
  */
 function CruftRowTransformer(opts, listener) {
         var self = this;
@@ -33,7 +38,7 @@ function CruftRowTransformer(opts, listener) {
                 self.addListener('row', listener);
         }
 
-        reader.on('end', self.emit.bind(self, 'end'));
+        (opts.source || reader).on('end', self.emit.bind(self, 'end'));
 
         //Example: /poseidon/stor/mako/2.stor.coal.joyent.us
         var kparts = mantaKey.split('/');
@@ -100,7 +105,7 @@ function CruftRowTransformer(opts, listener) {
         //         2013/05/09/16/manta_delete_log-2013-05-09-16-16-24.gz
         } else {
                 //Moray Manta and Delete Log table Transforming
-                var schemaReader = new SchemaReader(reader);
+                var schemaReader = opts.source || new SchemaReader(reader);
 
                 //Transformed to:
                 //[objectId] moray
@@ -0,0 +1,335 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var common = require('./common');
+var vasync = require('vasync');
+var VError = require('verror').VError;
+var zlib = require('zlib');
+
+
+
+///--- Globals
+
+var DEFAULT_CONCURRENCY = 2;
+var HOUR_MILLIS = 60 * 60 * 1000;
+
+
+
+///--- Helpers
+
+function lsDir(client, dir, cb) {
+        client.ls(dir, {}, function (err, res) {
+                if (err && err.code === 'NotFoundError') {
+                        cb(null, []);
+                        return;
+                }
+                if (err) {
+                        cb(err);
+                        return;
+                }
+                var objs = [];
+                res.on('object', function (o) {
+                        objs.push(o);
+                });
+                res.once('error', cb);
+                res.once('end', function () {
+                        cb(null, objs);
+                });
+        });
+}
+
+
+function missingPrefixes(objs, prefixes) {
+        return (prefixes.filter(function (p) {
+                return (!objs.some(function (o) {
+                        return (common.startsWith(o.name, p));
+                }));
+        }));
+}
+
+
+/*
+ * Finds a shard's latest dumps the same way common.findShardObjects does:
+ * the latest hour, of the past maxAgeHours, with a dump of every table.  If
+ * there isn't one, the latest hour with a dump of any of them is returned
+ * instead, so that the report can say which tables are missing.
+ */
+function findDumps(opts, shard, cb) {
+        var partial = null;
+
+        function tryHour(i) {
+                if (i >= opts.maxAgeHours) {
+                        cb(null, partial);
+                        return;
+                }
+                var d = new Date(opts.timestamp - (i * HOUR_MILLIS));
+                var dir = common.dumpDirectory(opts.client.user, shard, d);
+                lsDir(opts.client, dir, function (err, objs) {
+                        if (err) {
+                                cb(new VError(err, 'listing "%s"', dir));
+                                return;
+                        }
+                        var dumps = objs.filter(function (o) {
+                                return (common.startsWithOneOf(o.name,
+                                    opts.tablePrefixes));
+                        });
+                        var found = {
+                                directory: dir,
+                                dumps: dumps,
+                                missing: missingPrefixes(dumps,
+                                    opts.tablePrefixes)
+                        };
+                        if (found.missing.length === 0) {
+                                cb(null, found);
+                                return;
+                        }
+                        if (partial === null && dumps.length > 0) {
+                                partial = found;
+                        }
+                        tryHour(i + 1);
+                });
+        }
+
+        tryHour(0);
+}
+
+
+/*
+ * Reads a gzipped dump through to the end, which has zlib check the trailer's
+ * CRC and length, so that dumps that were cut short or corrupted are caught.
+ */
+function checkGzip(opts, path, cb) {
+        var done = false;
+        function finish(err) {
+                if (done) {
+                        return;
+                }
+                done = true;
+                cb(err);
+        }
+
+        opts.client.get(path, {}, function (err, stream) {
+                if (err) {
+                        finish(err);
+                        return;
+                }
+                var gunzip = zlib.createGunzip();
+                stream.once('error', finish);
+                gunzip.once('error', finish);
+                gunzip.once('end', function () {
+                        finish();
+                });
+                //Only the check matters, so the output is thrown away.
+                gunzip.resume();
+                stream.pipe(gunzip);
+        });
+}
+
+
+function checkShard(opts, shard, cb) {
+        var report = {
+                ok: false,
+                directory: null,
+                dumps: [],
+                problems: []
+        };
+
+        findDumps(opts, shard, function (err, found) {
+                if (err) {
+                        report.problems.push(err.message);
+                        cb(null, report);
+                        return;
+                }
+                if (found === null) {
+                        report.problems.push(
+                            'no dumps in the past ' + opts.maxAgeHours +
+                            ' hours');
+                        cb(null, report);
+                        return;
+                }
+
+                report.directory = found.directory;
+                found.missing.forEach(function (p) {
+                        report.problems.push('no "' + p + '" dump in ' +
+                            'the past ' + opts.maxAgeHours + ' hours (latest ' +
+                            'dumps are in ' + found.directory + ')');
+                });
+
+                vasync.forEachParallel({
+                        inputs: found.dumps,
+                        func: function checkDump(o, next) {
+                                var path = found.directory + '/' + o.name;
+                                var age = opts.timestamp -
+                                    new Date(o.mtime).getTime();
+                                var dump = {
+                                        name: o.name,
+                                        mtime: o.mtime,
+                                        size: o.size,
+                                        ageHours: Math.round(
+                                            age / HOUR_MILLIS * 10) / 10
+                                };
+                                report.dumps.push(dump);
+
+                                if (o.size === 0) {
+                                        report.problems.push(o.name +
+                                            ' is empty');
+                                        next();
+                                        return;
+                                }
+                                if (!opts.checkGzip ||
+                                    !common.endsWith(o.name, '.gz')) {
+                                        next();
+                                        return;
+                                }
+                                opts.queue.push(path, function (err2) {
+                                        if (err2) {
+                                                report.problems.push(o.name +
+                                                    ' failed gzip check: ' +
+                                                    err2.message);
+                                        }
+                                        dump.gzipOk = !err2;
+                                        next();
+                                });
+                        }
+                }, function () {
+                        report.ok = (report.problems.length === 0);
+                        cb(null, report);
+                });
+        });
+}
+
+
+
+///--- API
+
+/**
+ * Checks that every shard has recent, complete dumps before a job is run
+ * over them, rather than finding out part way through, or not at all.  For
+ * each shard, the latest dumps are found as common.findShardObjects finds
+ * them, and are checked:
+ *
+ *  - there's a dump of every table the job needs, within maxAgeHours, and
+ *  - no dump is empty.
+ *
+ * With checkGzip: true, each gzipped dump is also read through to check that
+ * it has an intact gzip trailer.  That means downloading every dump, so it is
+ * off by default.
+ *
+ * cb is called with a report of each shard:
+ *
+ *    {
+ *      "ok": false,
+ *      "shards": {
+ *        "1.moray.us-east.joyent.us": {
+ *          "ok": true,
+ *          "directory": "/poseidon/stor/manatee_backups/1.moray...",
+ *          "dumps": [ { "name", "mtime", "size", "ageHours", "gzipOk" } ],
+ *          "problems": []
+ *        },
+ *        ...
+ *      }
+ *    }
+ *
+ * If any shard has problems, cb is also given a DumpPreflightError, naming
+ * each shard's problems, with the report in its info.
+ *
+ * Required Opts:
+ *    log:               Bunyan logger
+ *    client:            Manta client
+ *    shards:            The Moray shards, by hostname.
+ *    tablePrefixes:     The dumps the job needs, as for
+ *                       common.findShardObjects.
+ *
+ * Optional Opts:
+ *    maxAgeHours:       How far back to look for dumps, 24 hours by default.
+ *    checkGzip:         Whether to read the gzipped dumps, false by default.
+ *    concurrency:       How many dumps to read at once.
+ *    timestamp:         The time to look back from, now by default.
+ */
+function checkDumps(opts, cb) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.object(opts.client, 'opts.client');
+        assert.arrayOfString(opts.shards, 'opts.shards');
+        assert.arrayOfString(opts.tablePrefixes, 'opts.tablePrefixes');
+        assert.optionalNumber(opts.maxAgeHours, 'opts.maxAgeHours');
+        assert.optionalBool(opts.checkGzip, 'opts.checkGzip');
+        assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+        assert.optionalNumber(opts.timestamp, 'opts.timestamp');
+        assert.func(cb, 'cb');
+
+        var log = opts.log;
+        if (opts.shards.length === 0) {
+                cb(new VError({ name: 'DumpPreflightError' },
+                    'no shards specified'));
+                return;
+        }
+
+        var popts = {
+                client: opts.client,
+                tablePrefixes: opts.tablePrefixes,
+                maxAgeHours: opts.maxAgeHours || common.MAX_HOURS_IN_PAST,
+                checkGzip: opts.checkGzip === true,
+                timestamp: opts.timestamp || Date.now()
+        };
+        popts.queue = vasync.queue(function (path, next) {
+                log.debug({ path: path }, 'checking gzip');
+                checkGzip(popts, path, next);
+        }, opts.concurrency || DEFAULT_CONCURRENCY);
+
+        var report = {
+                ok: true,
+                shards: {}
+        };
+        log.info({ shards: opts.shards, tablePrefixes: opts.tablePrefixes,
+            maxAgeHours: popts.maxAgeHours }, 'checking dumps');
+
+        vasync.forEachParallel({
+                inputs: opts.shards,
+                func: function check(shard, next) {
+                        checkShard(popts, shard, function (_, r) {
+                                report.shards[shard] = r;
+                                next();
+                        });
+                }
+        }, function () {
+                popts.queue.close();
+
+                var failed = opts.shards.filter(function (shard) {
+                        return (!report.shards[shard].ok);
+                });
+                report.ok = (failed.length === 0);
+                if (report.ok) {
+                        log.info({ report: report }, 'dumps ok');
+                        cb(null, report);
+                        return;
+                }
+
+                log.error({ report: report }, 'dump preflight failed');
+                var summary = failed.map(function (shard) {
+                        return (shard + ': ' +
+                            report.shards[shard].problems.join(', '));
+                });
+                cb(new VError({
+                        name: 'DumpPreflightError',
+                        info: { report: report }
+                }, 'dumps not ready for %d of %d shards: %s', failed.length,
+                    opts.shards.length, summary.join('; ')), report);
+        });
+}
+
+
+
+///--- Exports
+
+module.exports = {
+        checkDumps: checkDumps
+};
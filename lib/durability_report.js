@@ -0,0 +1,208 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+
+
+
+///--- Globals
+
+var REPORT_VERSION = 1;
+//How many of each owner's affected keys the report lists.
+var MAX_KEYS = 10;
+
+
+
+///--- Helpers
+
+/*
+ * Parses a line of audit output, either the text of a moray row (or a
+ * size_mismatch or corrupt row), or a JSON object (see the -J option of
+ * audit.js).  Text rows of missing copies have no kind, so are given the kind
+ * "missing".
+ */
+function parseProblem(line) {
+        assert.string(line, 'line');
+
+        if (line[0] === '{') {
+                return (JSON.parse(line));
+        }
+
+        var parts = line.split('\t');
+        var kind = (parts[2] === 'moray') ? 'missing' : parts[2];
+        return ({
+                kind: kind,
+                objectId: parts[0],
+                storageId: parts[1],
+                key: parts[3],
+                shard: parts[4],
+                contentLength: parts[5] ? parseInt(parts[5], 10) : null,
+                owner: (kind === 'missing' && parts[6]) || null
+        });
+}
+
+
+//Keys look like /[owner]/stor/...
+function ownerOf(problem) {
+        return (problem.owner || (problem.key || '').split('/')[1] ||
+                'unknown');
+}
+
+
+function entry() {
+        return ({
+                objects: 0,
+                bytes: 0,
+                problems: {},
+                objectIds: {}
+        });
+}
+
+
+function addTo(e, problem) {
+        e.problems[problem.kind] = (e.problems[problem.kind] || 0) + 1;
+        if (e.objectIds.hasOwnProperty(problem.objectId)) {
+                return (false);
+        }
+        e.objectIds[problem.objectId] = true;
+        e.objects++;
+        e.bytes += problem.contentLength || 0;
+        return (true);
+}
+
+
+
+///--- API
+
+/**
+ * Aggregates the problems an audit found by owner and by storage node, to
+ * answer whether any of an owner's data is at risk.  The final reducer of the
+ * audit job builds one from all of the job's output (see audit_report.js).
+ *
+ * Objects are counted once for each owner and storage node, however many
+ * problems they have, and bytes are the sum of the objects' contentLength.
+ * Problems are counted by kind (see Auditor).
+ *
+ * The JSON form looks like:
+ *
+ *    {
+ *      "version": 1,
+ *      "jobs": [ "<job id>", ... ],
+ *      "owners": {
+ *        "<owner uuid>": {
+ *          "objects": 0,
+ *          "bytes": 0,
+ *          "problems": { "<kind>": 0, ... },
+ *          "keys": [ "<key>", ... ]      //the first few affected keys
+ *        }, ...
+ *      },
+ *      "storageNodes": {
+ *        "<manta storage id>": {
+ *          "objects": 0,
+ *          "bytes": 0,
+ *          "problems": { "<kind>": 0, ... }
+ *        }, ...
+ *      },
+ *      "totals": { "owners": 0, "objects": 0, "bytes": 0 }
+ *    }
+ */
+function DurabilityReport() {
+        var self = this;
+
+        self.jobs = [];
+        self.owners = {};
+        self.storageNodes = {};
+        self.objectIds = {};
+        self.totals = {
+                owners: 0,
+                objects: 0,
+                bytes: 0
+        };
+}
+
+module.exports = {
+        DurabilityReport: DurabilityReport,
+        parseProblem: parseProblem
+};
+
+
+
+///--- Methods
+
+DurabilityReport.prototype.addJob = function addJob(jobId) {
+        assert.string(jobId, 'jobId');
+
+        if (this.jobs.indexOf(jobId) === -1) {
+                this.jobs.push(jobId);
+        }
+};
+
+
+/**
+ * Adds a problem, as emitted by an Auditor or parsed by parseProblem().
+ */
+DurabilityReport.prototype.add = function add(problem) {
+        var self = this;
+
+        assert.object(problem, 'problem');
+        assert.string(problem.objectId, 'problem.objectId');
+        assert.string(problem.storageId, 'problem.storageId');
+
+        var owner = ownerOf(problem);
+        if (!self.owners[owner]) {
+                self.owners[owner] = entry();
+                self.owners[owner].keys = [];
+                self.totals.owners++;
+        }
+        var o = self.owners[owner];
+        if (addTo(o, problem) && o.keys.length < MAX_KEYS && problem.key) {
+                o.keys.push(problem.key);
+        }
+
+        if (!self.storageNodes[problem.storageId]) {
+                self.storageNodes[problem.storageId] = entry();
+        }
+        addTo(self.storageNodes[problem.storageId], problem);
+
+        if (!self.objectIds.hasOwnProperty(problem.objectId)) {
+                self.objectIds[problem.objectId] = true;
+                self.totals.objects++;
+                self.totals.bytes += problem.contentLength || 0;
+        }
+};
+
+
+DurabilityReport.prototype.toJSON = function toJSON() {
+        var self = this;
+
+        function strip(entries) {
+                var out = {};
+                Object.keys(entries).sort().forEach(function (k) {
+                        var e = entries[k];
+                        out[k] = {
+                                objects: e.objects,
+                                bytes: e.bytes,
+                                problems: e.problems
+                        };
+                        if (e.keys) {
+                                out[k].keys = e.keys;
+                        }
+                });
+                return (out);
+        }
+
+        return ({
+                'version': REPORT_VERSION,
+                'jobs': self.jobs,
+                'owners': strip(self.owners),
+                'storageNodes': strip(self.storageNodes),
+                'totals': self.totals
+        });
+};
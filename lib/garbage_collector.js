@@ -12,6 +12,8 @@ var util = require('util');
 var events = require('events');
 var carrier = require('carrier');
 
+var GracePolicy = require('./grace_policy');
+
 
 
 ///--- Globals
@@ -29,6 +31,7 @@ var DEFAULT_GRACE_PERIOD_MILLIS = 1000 * 60 * 60 * 24 * 2;  //2 days
  *   - mantaStorageId: The storage id for the mako node
  *   - owner: The owner
  *   - objectId: The object id
+ *   - contentLength: The size of the object, in bytes
  *   - toString(): Outputs the row so that it can be sorted against other
  *                 mako rows.
  *
@@ -36,14 +39,73 @@ var DEFAULT_GRACE_PERIOD_MILLIS = 1000 * 60 * 60 * 24 * 2;  //2 days
  *   - morayHostname: The hostname of the moray shard
  *   - objectId: The objectId
  *   - date: The date for the record.
+ *   - record: The manta_delete_log row, as JSON, as it appears in the dump.
  * The objectId + the date is the primary key for figuring out what moray
  * record to purge.
+ *
+ * 'reclaim' objects are emitted once for each object whose data is about to be
+ * removed from the makos (that is, just before its 'mako' objects).  They
+ * have the fields:
+ *   - morayHostname: The shard of the dead record
+ *   - owner: The owner
+ *   - key: The key the object was deleted from
+ *   - objectId: The object id
+ *   - contentLength: The size of the object, in bytes
+ *   - sharks: The number of copies of the object
+ *   - date: The date of the dead record
+ *
+ * 'grace' objects are emitted for dead records that are left alone because
+ * they are still within the grace period.  They have the same fields as
+ * 'moray' objects, without toString().
+ *
+ * 'snaplink' objects are emitted, for diagnostics, when a dead record's
+ * object is still referenced by live records on other shards (that is, the
+ * object was snaplinked across shards).  They have the fields:
+ *   - morayHostname: The shard of the dead record
+ *   - objectId: The objectId
+ *   - date: The date of the dead record
+ *   - liveShards: The other shards that still reference the object
+ *   - liveReferences: The number of live records, on any shard, that
+ *                     reference the object
+ *
+ * 'suppressed' objects are emitted for dead records that would have been
+ * removed, data and all, but are left alone because their owner is one of
+ * opts.suppressedOwners.  They have the same fields as 'grace' objects, along
+ * with the owner.
+ *
+ * All rows for an objectId are considered together, so an object is only
+ * removed from the makos once no live record on any shard references it,
+ * regardless of how its rows happen to sort.
+ *
+ * Dead records are kept for opts.gracePeriodMillis (2 days by default), or,
+ * if opts.gracePolicy is given, for whatever period the policy gives the
+ * owner and key of the record (see GracePolicy).
+ *
+ * When GC is run without one of the shards (see GcOwnerMap), the owners with
+ * data on that shard are given as opts.suppressedOwners.  Their objects are
+ * never removed from the makos, and the dead records that would say to remove
+ * them are kept for a later, complete, run.  Dead records that are followed
+ * by a later record of the object, or whose object is still referenced, are
+ * cleaned up as usual, as they don't lead to the object's removal.
  */
 function GarbageCollector(opts, listener) {
         var self = this;
-        var prev;
+        var group = null;
         self.gracePeriodMillis = opts.gracePeriodMillis ||
                 DEFAULT_GRACE_PERIOD_MILLIS;
+        if (opts.gracePolicy) {
+                self.gracePolicy = new GracePolicy({
+                        policy: opts.gracePolicy,
+                        defaultMillis: self.gracePeriodMillis
+                });
+        }
+        self.suppressedOwners = null;
+        if (opts.suppressedOwners) {
+                self.suppressedOwners = {};
+                opts.suppressedOwners.forEach(function (owner) {
+                        self.suppressedOwners[owner] = true;
+                });
+        }
         self.carrier = carrier.carry(opts.reader);
 
         if (listener) {
@@ -54,14 +116,27 @@ function GarbageCollector(opts, listener) {
         self.carrier.on('line', function (line) {
                 var curr = transformToObject(line);
                 curr.line = line;
-                takeAction(self, prev, curr);
-                prev = curr;
-                curr = null;
+                if (group === null || group.objectId !== curr.objectId) {
+                        if (group !== null) {
+                                takeAction(self, group);
+                        }
+                        group = {
+                                objectId: curr.objectId,
+                                rows: [],
+                                live: []
+                        };
+                }
+                group.rows.push(curr);
+                if (curr.type === 'live') {
+                        group.live.push(curr);
+                }
         });
 
         self.carrier.on('end', function () {
-                //We have to act on the last line
-                takeAction(self, prev);
+                //We have to act on the last object
+                if (group !== null) {
+                        takeAction(self, group);
+                }
                 self.emit('end');
         });
 }
@@ -85,22 +160,99 @@ function transformToObject(line) {
 }
 
 
-//Given 2 sorted rows, the 2nd row contents determines what happens to the 1st
-// row.  So here we take action on the previous row.
-function takeAction(gc, prev, curr) {
-        //Skip all live objects.
-        if (prev && prev.type === 'dead') {
-                //If we find a future record of the object, we only need to
+//Decides what to do with all the rows for one objectId.  The input is sorted,
+// so these are always adjacent.
+function takeAction(gc, group) {
+        var refs = group.live.length;
+        var rows = group.rows;
+
+        rows.forEach(function (row, i) {
+                //Skip all live objects.
+                if (row.type !== 'dead') {
+                        return;
+                }
+
+                if (refs > 0) {
+                        emitSnaplinkDiagnostic(gc, row, group.live);
+                }
+
+                //If we find a later record of the object, we only need to
                 // clean up the delete record.
-                if (curr && prev.objectId === curr.objectId) {
-                        emitMorayActions(gc, prev);
-                } else {
-                        var now = new Date();
-                        if ((now - prev.date) > gc.gracePeriodMillis) {
-                                emitMakoActions(gc, prev);
-                                emitMorayActions(gc, prev);
+                if (i < rows.length - 1) {
+                        emitMorayActions(gc, row);
+                        return;
+                }
+
+                var now = new Date();
+                if ((now - row.date) <= gracePeriodFor(gc, row)) {
+                        gc.emit('grace', {
+                                morayHostname: row.morayHostname,
+                                objectId: row.objectId,
+                                date: row.date
+                        });
+                        return;
+                }
+
+                //The object may only be removed from the makos if nothing on
+                // any shard still references it, however the rows sorted.
+                if (refs === 0) {
+                        var owner = suppressedOwner(gc, row);
+                        if (owner !== null) {
+                                gc.emit('suppressed', {
+                                        morayHostname: row.morayHostname,
+                                        objectId: row.objectId,
+                                        owner: owner,
+                                        date: row.date
+                                });
+                                return;
                         }
+                        emitMakoActions(gc, row);
+                }
+                emitMorayActions(gc, row);
+        });
+}
+
+
+//Returns the owner of a dead record if it's one of the suppressed owners.
+function suppressedOwner(gc, row) {
+        if (gc.suppressedOwners === null) {
+                return (null);
+        }
+        var objInfo = JSON.parse(row.obj)['_value'] || {};
+        if (gc.suppressedOwners[objInfo.owner]) {
+                return (objInfo.owner);
+        }
+        return (null);
+}
+
+
+function gracePeriodFor(gc, row) {
+        if (!gc.gracePolicy) {
+                return (gc.gracePeriodMillis);
+        }
+        var objInfo = JSON.parse(row.obj)['_value'] || {};
+        return (gc.gracePolicy.lookup(objInfo.owner, objInfo.key));
+}
+
+
+function emitSnaplinkDiagnostic(gc, dead, live) {
+        var shards = [];
+        live.forEach(function (l) {
+                //Rows from older transforms don't say which shard they are
+                // from.
+                if (l.morayHostname && l.morayHostname !== dead.morayHostname &&
+                    shards.indexOf(l.morayHostname) === -1) {
+                        shards.push(l.morayHostname);
                 }
+        });
+        if (shards.length > 0) {
+                gc.emit('snaplink', {
+                        morayHostname: dead.morayHostname,
+                        objectId: dead.objectId,
+                        date: dead.date,
+                        liveShards: shards,
+                        liveReferences: live.length
+                });
         }
 }
 
@@ -110,6 +262,7 @@ function emitMorayActions(gc, obj) {
                 morayHostname: obj.morayHostname,
                 objectId: obj.objectId,
                 date: obj.date,
+                record: obj.obj,
                 toString: function () {
                         return (this.morayHostname + '\t' +
                                 this.objectId + '\t' +
@@ -136,22 +289,33 @@ function emitMakoActions(gc, obj) {
                 return;
         }
         for (var i = 0; i < sharks.length; ++i) {
-                var shark = sharks[i];
-                if (shark.manta_storage_id === undefined) {
+                if (sharks[i].manta_storage_id === undefined) {
                         gc.emit('error', { message: 'A shark obj doesn\'t ' +
                                            'contain a manta_storage_id',
                                            line: obj.line});
                         return;
                 }
+        }
+        gc.emit('reclaim', {
+                morayHostname: obj.morayHostname,
+                owner: owner,
+                key: objInfo.key,
+                objectId: objectId,
+                contentLength: objInfo.contentLength || 0,
+                sharks: sharks.length,
+                date: obj.date
+        });
+        sharks.forEach(function (shark) {
                 gc.emit('mako', {
                         mantaStorageId: shark.manta_storage_id,
                         owner: owner,
                         objectId: objectId,
+                        contentLength: objInfo.contentLength || 0,
                         toString: function () {
                                 return (this.mantaStorageId + '\t' +
                                         this.owner + '\t' +
                                         this.objectId);
                         }
                 });
-        }
+        });
 }
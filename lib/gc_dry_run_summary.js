@@ -0,0 +1,186 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+
+var GcReport = require('./gc_report');
+
+
+
+///--- Globals
+
+var DEFAULT_SAMPLE_SIZE = 100;
+
+
+
+///--- Helpers
+
+function randomIndex(arr) {
+        return (Math.floor(Math.random() * arr.length));
+}
+
+
+/*
+ * Merges two uniform samples, of aSeen and bSeen objects respectively, into
+ * one uniform sample of up to size objects of the aSeen + bSeen.
+ */
+function mergeSamples(a, aSeen, b, bSeen, size) {
+        var out = [];
+
+        a = a.slice();
+        b = b.slice();
+        while (out.length < size && (a.length > 0 || b.length > 0)) {
+                var fromA = (b.length === 0 ||
+                    (a.length > 0 && Math.random() * (aSeen + bSeen) < aSeen));
+                var from = fromA ? a : b;
+                out.push(from.splice(randomIndex(from), 1)[0]);
+        }
+        return (out);
+}
+
+
+
+///--- API
+
+/**
+ * Summarizes what a GC run would reclaim, for review before GC is let loose
+ * on a shard (see the -D option of kick_off_gc.js).  On top of everything in
+ * a GcReport, it counts the objects and bytes that would be reclaimed from
+ * each owner, and keeps a uniform sample of the keys they were deleted from.
+ *
+ * Like GcReport, each reducer builds a summary from the events of its
+ * GarbageCollector (see attach()) and the summaries are merged afterwards.
+ * The JSON form looks like a GcReport, with the additional fields:
+ *
+ *    {
+ *      ...
+ *      "owners": {
+ *        "<owner uuid>": {
+ *          "objects": 0,            //objects that would be reclaimed
+ *          "bytes": 0               //sum of their contentLength
+ *        }, ...
+ *      },
+ *      "sampled": 0,                //objects the sample was taken from
+ *      "samples": [ {
+ *        "owner": "<owner uuid>",
+ *        "key": "<key the object was deleted from>",
+ *        "objectId": "<object id>",
+ *        "contentLength": 0,
+ *        "sharks": 0,
+ *        "morayHostname": "<moray shard>",
+ *        "date": "<date of the dead record>"
+ *      }, ... ]
+ *    }
+ *
+ * Optional Opts:
+ *    sampleSize:        How many keys to keep.  Defaults to 100.
+ */
+function GcDryRunSummary(opts) {
+        assert.optionalObject(opts, 'opts');
+        opts = opts || {};
+        assert.optionalNumber(opts.sampleSize, 'opts.sampleSize');
+
+        this.sampleSize = (opts.sampleSize !== undefined) ?
+                opts.sampleSize : DEFAULT_SAMPLE_SIZE;
+        this.report = new GcReport();
+        this.owners = {};
+        this.sampled = 0;
+        this.samples = [];
+}
+
+module.exports = GcDryRunSummary;
+
+
+
+///--- Methods
+
+GcDryRunSummary.prototype.owner = function owner(name) {
+        if (!this.owners[name]) {
+                this.owners[name] = { objects: 0, bytes: 0 };
+        }
+        return (this.owners[name]);
+};
+
+
+/**
+ * Counts the actions emitted by a GarbageCollector.
+ */
+GcDryRunSummary.prototype.attach = function attach(gc) {
+        var self = this;
+
+        self.report.attach(gc);
+
+        gc.on('reclaim', function (reclaim) {
+                var o = self.owner(reclaim.owner);
+                o.objects++;
+                o.bytes += reclaim.contentLength;
+                self.sample({
+                        owner: reclaim.owner,
+                        key: reclaim.key,
+                        objectId: reclaim.objectId,
+                        contentLength: reclaim.contentLength,
+                        sharks: reclaim.sharks,
+                        morayHostname: reclaim.morayHostname,
+                        date: reclaim.date
+                });
+        });
+};
+
+
+//Reservoir sampling, so that every object is equally likely to be kept.
+GcDryRunSummary.prototype.sample = function sample(s) {
+        this.sampled++;
+        if (this.samples.length < this.sampleSize) {
+                this.samples.push(s);
+        } else {
+                var i = Math.floor(Math.random() * this.sampled);
+                if (i < this.sampleSize) {
+                        this.samples[i] = s;
+                }
+        }
+};
+
+
+GcDryRunSummary.prototype.addJob = function addJob(jobId) {
+        this.report.addJob(jobId);
+};
+
+
+/**
+ * Adds another summary (or the JSON form of one) to this one.
+ */
+GcDryRunSummary.prototype.merge = function merge(other) {
+        var self = this;
+
+        if (other instanceof GcDryRunSummary) {
+                other = other.toJSON();
+        }
+        assert.object(other, 'other');
+
+        self.report.merge(other);
+        Object.keys(other.owners || {}).forEach(function (name) {
+                var o = self.owner(name);
+                o.objects += other.owners[name].objects || 0;
+                o.bytes += other.owners[name].bytes || 0;
+        });
+        self.samples = mergeSamples(self.samples, self.sampled,
+            other.samples || [], other.sampled || 0, self.sampleSize);
+        self.sampled += other.sampled || 0;
+};
+
+
+GcDryRunSummary.prototype.toJSON = function toJSON() {
+        var obj = this.report.toJSON();
+
+        obj.owners = this.owners;
+        obj.sampled = this.sampled;
+        obj.samples = this.samples;
+        return (obj);
+};
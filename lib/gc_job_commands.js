@@ -0,0 +1,152 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * The commands run by each phase of the GC Marlin job that kick_off_gc.js
+ * sets up.  Each takes kick_off_gc.js's options, with the Manta user as
+ * opts.mantaUser.
+ */
+
+var assert = require('assert-plus');
+
+
+
+///--- Helpers
+
+function getEnvCommon(opts) {
+        assert.string(opts.mantaUser, 'opts.mantaUser');
+
+/* BEGIN JSSTYLED */
+        return (' \
+set -o pipefail && \
+export MANTA_USER=' + opts.mantaUser + ' && \
+export MANTA_GC=' + opts.jobName + ' && \
+export MARLIN_JOB=$(echo $MANTA_OUTPUT_BASE | cut -d "/" -f 4) && \
+export NOW=$(date "+%Y-%m-%d-%H-%M-%S") && \
+cd /assets/ && gtar -xzf ' + opts.marlinPathToAsset + ' && cd mola && \
+');
+/* END JSSTYLED */
+}
+
+
+//Each map task uploads its shard's owner map with mput, rather than mpipe, so
+// that it isn't taken as input by the reducers: everything a map task emits
+// goes to them, and they only expect msplit's output.
+/* BEGIN JSSTYLED */
+function getPgTransformCmd(opts) {
+        var grepForObject = '';
+        if (opts.objectId) {
+                grepForObject = ' | grep ' + opts.objectId + ' | ';
+        }
+        return (getEnvCommon(opts) + ' \
+export MORAY_SHARD=$(echo $mc_input_key | cut -d "/" -f 5) && \
+export DUMP_DATE=$(basename $mc_input_key | sed \'s/^\\w*-//; s/.\\w*$//;\') && \
+export OWNER_MAP_FILE=./owners.json && \
+export MANTA_OWNER_MAP=' + opts.ownerMapDir + '/$MORAY_SHARD.json && \
+gzcat -f | \
+  ./build/node/bin/node ./bin/gc_pg_transform.js -d $DUMP_DATE \
+    -e ' + opts.earliestDumpDate + ' \
+    -m $MORAY_SHARD -O $OWNER_MAP_FILE' + grepForObject + ' | \
+  msplit -n ' + opts.numberReducers + ' && \
+if [ -f $OWNER_MAP_FILE ]; then mput -q -f $OWNER_MAP_FILE $MANTA_OWNER_MAP; fi \
+');
+}
+/* END JSSTYLED */
+
+
+function getGracePeriodOptions(opts) {
+        var gracePeriodOption = '';
+        if (opts.gracePeriodSeconds) {
+                gracePeriodOption = ' -g ' + opts.gracePeriodSeconds;
+        }
+        if (opts.gracePolicyObject) {
+                gracePeriodOption += ' -P /assets' + opts.gracePolicyObject;
+        }
+        if (opts.ownerMapObject) {
+                gracePeriodOption += ' -S /assets' + opts.ownerMapObject;
+        }
+        return (gracePeriodOption);
+}
+
+
+//Mako instruction files only get headers once the makos accept them.
+function getGcHeaderOptions(opts) {
+        var headerOption = ' -H gc-{1}';
+        if (!opts.makoInstructionHeaders) {
+                headerOption += ' -x gc-mako';
+        }
+        return (headerOption);
+}
+
+
+/* BEGIN JSSTYLED */
+function getGcCmd(opts) {
+        var gracePeriodOption = getGracePeriodOptions(opts);
+        //We use a UUID only because there's no way (yet) to get a reference
+        // to which reducer this is running on.  The undo journal is uploaded
+        // before the links file, so that no instructions are carried out
+        // without a journal to undo them with.
+        return (getEnvCommon(opts) + ' \
+export UUID=$(uuid) && \
+export MANTA_PRE=/$MANTA_USER/stor/$MANTA_GC/all && \
+export MANTA_FILE_PRE=$MANTA_PRE/done/$NOW-$MARLIN_JOB-X-$UUID && \
+export MANTA_PATTERN=$MANTA_FILE_PRE-{1}-{2} && \
+export MANTA_LINKS=$MANTA_PRE/do/$NOW-$MARLIN_JOB-X-$UUID-links && \
+export MANTA_REPORT=/$MANTA_USER/stor/$MANTA_GC/reports/partial/$NOW-$MARLIN_JOB-X-$UUID.json && \
+export MANTA_JOURNAL=/$MANTA_USER/stor/$MANTA_GC/journal/$NOW-$MARLIN_JOB-X-$UUID.json && \
+export LINKS_FILE=./links.txt && \
+export REPORT_FILE=./report.json && \
+export JOURNAL_FILE=./journal.json && \
+sort | \
+  ./build/node/bin/node ./bin/gc.js' + gracePeriodOption + ' \
+    -j $MARLIN_JOB -r $REPORT_FILE -J $JOURNAL_FILE | \
+  ./build/node/bin/node ./bin/gc_links.js $MANTA_USER $LINKS_FILE \
+    $MANTA_FILE_PRE | \
+  ./build/node/bin/node ./bin/mdemux.js' + getGcHeaderOptions(opts) + ' \
+    -p $MANTA_PATTERN && \
+cat $JOURNAL_FILE | mpipe $MANTA_JOURNAL && \
+cat $LINKS_FILE | mpipe $MANTA_LINKS && \
+cat $REPORT_FILE | mpipe $MANTA_REPORT \
+');
+}
+/* END JSSTYLED */
+
+
+//In a dry run, each reducer prints a summary of what it would have done,
+// rather than writing out instructions, and a final reducer merges them.
+/* BEGIN JSSTYLED */
+function getGcDryRunCmd(opts) {
+        return (getEnvCommon(opts) + ' \
+sort | \
+  ./build/node/bin/node ./bin/gc.js -n' + getGracePeriodOptions(opts) + ' \
+    -j $MARLIN_JOB \
+');
+}
+/* END JSSTYLED */
+
+
+/* BEGIN JSSTYLED */
+function getGcDryRunSummaryCmd(opts) {
+        return (getEnvCommon(opts) + ' \
+export MANTA_SUMMARY=/$MANTA_USER/stor/$MANTA_GC/summaries/$NOW-$MARLIN_JOB.json && \
+./build/node/bin/node ./bin/gc_dry_run_summary.js | mpipe $MANTA_SUMMARY \
+');
+}
+/* END JSSTYLED */
+
+
+///--- Exports
+
+module.exports = {
+        getGcCmd: getGcCmd,
+        getGcDryRunCmd: getGcDryRunCmd,
+        getGcDryRunSummaryCmd: getGcDryRunSummaryCmd,
+        getPgTransformCmd: getPgTransformCmd
+};
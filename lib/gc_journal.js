@@ -0,0 +1,133 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var VE = require('verror').VError;
+
+
+
+///--- Globals
+
+var ENTRY_TYPES = [ 'mako', 'moray' ];
+
+
+
+///--- Helpers
+
+/**
+ * Parses a line of a journal, throwing if it isn't a valid entry.
+ */
+function parseJournalEntry(line) {
+        assert.string(line, 'line');
+
+        var entry;
+        try {
+                entry = JSON.parse(line);
+        } catch (e) {
+                throw (new VE(e, 'invalid journal entry'));
+        }
+        if (typeof (entry) !== 'object' || entry === null ||
+            ENTRY_TYPES.indexOf(entry.type) === -1) {
+                throw (new VE('invalid journal entry type: "%s"', line));
+        }
+        if (entry.type === 'moray' &&
+            (typeof (entry.morayHostname) !== 'string' ||
+            typeof (entry.record) !== 'object' || entry.record === null ||
+            typeof (entry.record._key) !== 'string' ||
+            typeof (entry.record._value) !== 'object')) {
+                throw (new VE('invalid moray journal entry: "%s"', line));
+        }
+        return (entry);
+}
+
+
+
+///--- API
+
+/**
+ * Writes an undo journal of everything a GarbageCollector schedules for
+ * deletion, so that a mistaken GC run can be rolled back with gc_restore.js
+ * (mola-gc-restore) for as long as the journal is kept.
+ *
+ * The journal is a stream of JSON objects, one per line, each with a "type":
+ *
+ *    {
+ *      "type": "moray",
+ *      "morayHostname": "<moray shard>",
+ *      "objectId": "<object id>",
+ *      "date": "<date of the record>",
+ *      "record": { <the manta_delete_log row, as it appears in the dump> }
+ *    }
+ *
+ *    {
+ *      "type": "mako",
+ *      "mantaStorageId": "<storage id>",
+ *      "owner": "<owner uuid>",
+ *      "objectId": "<object id>"
+ *    }
+ *
+ * Entries are only ever appended.
+ *
+ * Required Opts:
+ *    writer:            The stream to write the journal to.
+ */
+function GcJournal(opts) {
+        assert.object(opts, 'opts');
+        assert.object(opts.writer, 'opts.writer');
+
+        this.writer = opts.writer;
+        this.entries = 0;
+}
+
+module.exports = {
+        GcJournal: GcJournal,
+        parseJournalEntry: parseJournalEntry
+};
+
+
+
+///--- Methods
+
+/**
+ * Journals the actions emitted by a GarbageCollector.
+ */
+GcJournal.prototype.attach = function attach(gc) {
+        var self = this;
+
+        gc.on('moray', function (moray) {
+                self.write({
+                        type: 'moray',
+                        morayHostname: moray.morayHostname,
+                        objectId: moray.objectId,
+                        date: moray.date,
+                        record: JSON.parse(moray.record)
+                });
+        });
+
+        gc.on('mako', function (mako) {
+                self.write({
+                        type: 'mako',
+                        mantaStorageId: mako.mantaStorageId,
+                        owner: mako.owner,
+                        objectId: mako.objectId
+                });
+        });
+};
+
+
+GcJournal.prototype.write = function write(entry) {
+        this.entries++;
+        this.writer.write(JSON.stringify(entry) + '\n');
+};
+
+
+GcJournal.prototype.end = function end(cb) {
+        this.writer.end(cb);
+};
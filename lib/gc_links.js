@@ -0,0 +1,125 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var path = require('path');
+var stream = require('stream');
+var util = require('util');
+
+
+
+///--- Globals
+
+var LINK_TYPES = [ 'mako', 'moray' ];
+
+
+
+///--- API
+
+/**
+ * Works out the links that must be made for the instructions written by a GC
+ * reducer, so that each mako and moray shard can find them (see
+ * gc_create_links.js).  The reducer writes one instruction object per storage
+ * node and per shard, named "<prefix>-mako-<storage id>" and
+ * "<prefix>-moray-<shard>" (see the -p pattern given to mdemux.js), and each
+ * of them is linked into manta_gc/mako/<storage id>/ or
+ * manta_gc/moray/<shard>/.
+ *
+ * It is a transform stream over the lines output by gc.js, which are passed
+ * through unchanged (newline terminated), noting the storage node or shard
+ * in the second field of each.  The links can also be noted straight from the
+ * events of a GarbageCollector, with attach().  Once all input is seen,
+ * toString() returns the links file, a list of mmkdir and mln commands:
+ *
+ *    mmkdir /<user>/stor/manta_gc/mako/<storage id>
+ *    mln <prefix>-mako-<storage id> /<user>/stor/manta_gc/mako/<storage id>/...
+ *    mmkdir /<user>/stor/manta_gc/moray/<shard>
+ *    mln <prefix>-moray-<shard> /<user>/stor/manta_gc/moray/<shard>/...
+ *
+ * Required Opts:
+ *    user:              The Manta user GC runs as.
+ *    prefix:            The path prefix of the instruction objects.
+ */
+function GcLinks(opts) {
+        assert.object(opts, 'opts');
+        assert.string(opts.user, 'opts.user');
+        assert.string(opts.prefix, 'opts.prefix');
+
+        stream.Transform.call(this, {
+                objectMode: true
+        });
+        this.user = opts.user;
+        this.prefix = opts.prefix;
+        this.nodes = {
+                mako: {},
+                moray: {}
+        };
+}
+util.inherits(GcLinks, stream.Transform);
+
+module.exports = GcLinks;
+
+
+
+///--- Methods
+
+GcLinks.prototype._transform = function _transform(line, _, done) {
+        var parts = line.toString().split('\t');
+        this.add(parts[0], parts[1]);
+        this.push(line + '\n');
+        done();
+};
+
+
+/**
+ * Notes the storage nodes and shards that a GarbageCollector emits
+ * instructions for.
+ */
+GcLinks.prototype.attach = function attach(gc) {
+        var self = this;
+
+        gc.on('moray', function (moray) {
+                self.add('moray', moray.morayHostname);
+        });
+
+        gc.on('mako', function (mako) {
+                self.add('mako', mako.mantaStorageId);
+        });
+};
+
+
+/**
+ * Notes that an instruction object of the given type ("mako" or "moray") is
+ * written for a storage node or shard.  Anything else is ignored.
+ */
+GcLinks.prototype.add = function add(type, node) {
+        if (LINK_TYPES.indexOf(type) === -1 || node === undefined) {
+                return;
+        }
+        this.nodes[type][node] = true;
+};
+
+
+GcLinks.prototype.toString = function toString() {
+        var self = this;
+        var out = '';
+
+        LINK_TYPES.forEach(function (type) {
+                Object.keys(self.nodes[type]).sort().forEach(function (node) {
+                        var object = self.prefix + '-' + type + '-' + node;
+                        var dir = '/' + self.user + '/stor/manta_gc/' + type +
+                                '/' + node;
+                        out += 'mmkdir ' + dir + '\n';
+                        out += 'mln ' + object + ' ' + dir + '/' +
+                                path.basename(object) + '\n';
+                });
+        });
+        return (out);
+};
@@ -0,0 +1,172 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+
+
+
+///--- Globals
+
+var MAP_VERSION = 1;
+var PG_LIVE_MANTA_TABLE_NAME = 'manta';
+
+
+
+///--- API
+
+/**
+ * Records which owners have data (objects or directories) on each Moray
+ * shard, as of the shard's latest dump.  The GC map phase builds one for each
+ * shard's dump (see the -O option of gc_pg_transform.js), and, if a shard's
+ * dump is missing, kick_off_gc.js uses the shard's last one to find the
+ * owners that GC should leave alone.  A snaplink is always made by the owner
+ * of the object it links to, so an owner with nothing on the missing shard
+ * can't have a link to their objects there that GC would miss.
+ *
+ * The JSON form looks like:
+ *
+ *    {
+ *      "version": 1,
+ *      "shards": {
+ *        "<moray shard>": {
+ *          "dumpDate": "<date of the dump the owners were read from>",
+ *          "owners": [ "<owner uuid>", ... ]
+ *        }, ...
+ *      }
+ *    }
+ */
+function GcOwnerMap(obj) {
+        var self = this;
+
+        self.shards = {};
+
+        if (obj) {
+                self.merge(obj);
+        }
+}
+
+module.exports = GcOwnerMap;
+
+
+
+///--- Methods
+
+GcOwnerMap.prototype.shard = function shard(name, dumpDate) {
+        assert.string(name, 'name');
+        assert.optionalDate(dumpDate, 'dumpDate');
+
+        if (!this.shards[name]) {
+                this.shards[name] = {
+                        dumpDate: null,
+                        owners: {}
+                };
+        }
+        var s = this.shards[name];
+        if (dumpDate && (s.dumpDate === null || dumpDate > s.dumpDate)) {
+                s.dumpDate = dumpDate;
+        }
+        return (s);
+};
+
+
+GcOwnerMap.prototype.add = function add(shard, owner, dumpDate) {
+        assert.string(owner, 'owner');
+
+        this.shard(shard, dumpDate).owners[owner] = true;
+};
+
+
+/**
+ * Adds the owner of every row from the live table of a shard's dump, read by
+ * a SchemaReader (or anything emitting the same "object" events).
+ */
+GcOwnerMap.prototype.attach = function attach(reader, shard, dumpDate) {
+        var self = this;
+
+        reader.on('object', function (obj) {
+                var value = obj['_value'];
+                if (obj['__table'] !== PG_LIVE_MANTA_TABLE_NAME ||
+                    !value || typeof (value.owner) !== 'string') {
+                        return;
+                }
+                self.add(shard, value.owner, dumpDate);
+        });
+};
+
+
+GcOwnerMap.prototype.hasShard = function hasShard(shard) {
+        return (this.shards.hasOwnProperty(shard));
+};
+
+
+/**
+ * Returns the owners with data on any of the given shards, or on any shard at
+ * all if none are given.
+ */
+GcOwnerMap.prototype.owners = function owners(shards) {
+        var self = this;
+        var seen = {};
+
+        assert.optionalArrayOfString(shards, 'shards');
+        (shards || Object.keys(self.shards)).forEach(function (shard) {
+                if (!self.shards[shard]) {
+                        return;
+                }
+                Object.keys(self.shards[shard].owners).forEach(function (o) {
+                        seen[o] = true;
+                });
+        });
+        return (Object.keys(seen).sort());
+};
+
+
+/**
+ * Adds another map (or the JSON form of one) to this one.
+ */
+GcOwnerMap.prototype.merge = function merge(other) {
+        var self = this;
+
+        if (other instanceof GcOwnerMap) {
+                other = other.toJSON();
+        }
+        assert.object(other, 'other');
+        if (other.version !== MAP_VERSION) {
+                throw (new Error('unsupported owner map version: ' +
+                    other.version));
+        }
+
+        Object.keys(other.shards || {}).forEach(function (shard) {
+                var s = other.shards[shard];
+                var owners = self.shard(shard, s.dumpDate ?
+                    new Date(s.dumpDate) : undefined).owners;
+                (s.owners || []).forEach(function (o) {
+                        owners[o] = true;
+                });
+        });
+};
+
+
+GcOwnerMap.prototype.toJSON = function toJSON() {
+        var self = this;
+        var shards = {};
+
+        Object.keys(self.shards).forEach(function (shard) {
+                var s = self.shards[shard];
+                shards[shard] = {
+                        dumpDate: s.dumpDate ? s.dumpDate.toISOString() : null,
+                        owners: Object.keys(s.owners).sort()
+                };
+        });
+
+        return ({
+                'version': MAP_VERSION,
+                'shards': shards
+        });
+};
@@ -35,6 +35,10 @@ var PG_DEAD_MANTA_TABLE_NAME = 'manta_delete_log';
  *
  * It also exposes a toString method for getting the row in a format
  * suitable for sorting.
+ *
+ * Rows are read from opts.reader, a dump, unless opts.source is given: an
+ * emitter of the same "object" and "end" events as SchemaReader, such as a
+ * MorayReader.
  */
 function GcPgRowTransformer(opts, listener) {
         var self = this;
@@ -43,21 +47,15 @@ function GcPgRowTransformer(opts, listener) {
         var earliestDumpDate = opts.earliestDumpDate;
         var morayHostname = opts.morayHostname;
 
-        self.schemaReader = new SchemaReader(reader);
+        self.schemaReader = opts.source || new SchemaReader(reader);
 
         if (listener) {
                 self.addListener('row', listener);
         }
 
         self.schemaReader.on('object', function (obj) {
-                var table = obj['__table'];
-                var row;
-                if (table === PG_LIVE_MANTA_TABLE_NAME) {
-                        row = transformLive(obj, dumpDate, morayHostname);
-                } else if (table === PG_DEAD_MANTA_TABLE_NAME) {
-                        row = transformDead(obj, earliestDumpDate,
-                                            morayHostname);
-                }
+                var row = transformRow(obj, dumpDate, earliestDumpDate,
+                                       morayHostname);
                 //If we get rows from other tables, just ignore them.
                 if (row) {
                         self.emit('row', row);
@@ -76,9 +74,30 @@ module.exports = GcPgRowTransformer;
 
 ///--- Helpers
 
+/**
+ * Transforms a dumped row from either table, returning null for rows that
+ * should be skipped.  This is also used by IncrementalGc, which reads rows
+ * from Moray rather than dumps.
+ */
+function transformRow(obj, dumpDate, earliestDumpDate, morayHostname) {
+        var table = obj['__table'];
+        if (table === PG_LIVE_MANTA_TABLE_NAME) {
+                return (transformLive(obj, dumpDate, morayHostname));
+        } else if (table === PG_DEAD_MANTA_TABLE_NAME) {
+                return (transformDead(obj, earliestDumpDate, morayHostname));
+        }
+        return (null);
+}
+GcPgRowTransformer.transformRow = transformRow;
+
+
 /**
  * Transforms a "live" row to:
- * [objectId] + [TAB] + [ISO8601Date] + [TAB] + 'live'
+ * [objectId] + [TAB] + [ISO8601Date] + [TAB] + 'live' + [TAB] + [TAB] + \
+ * [Moray Hostname]
+ *
+ * The original object isn't needed for live rows, so that field is left
+ * empty.  The hostname lets gc tell which shards still reference an object.
  */
 function transformLive(obj, dumpDate, morayHostname) {
         assert.string(obj['__table'], PG_LIVE_MANTA_TABLE_NAME);
@@ -91,10 +110,12 @@ function transformLive(obj, dumpDate, morayHostname) {
                 date: dumpDate,
                 type: 'live',
                 obj: obj,
+                morayHostname: morayHostname,
                 toString: function () {
                         return (this.objectId + '\t' +
                                 this.date.toISOString() + '\t' +
-                                this.type);
+                                this.type + '\t\t' +
+                                this.morayHostname);
                 }
         });
 }
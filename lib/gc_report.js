@@ -0,0 +1,235 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+
+
+
+///--- Globals
+
+var REPORT_VERSION = 1;
+
+var SHARD_FIELDS = [
+        'deadRecords',
+        'inGracePeriod',
+        'suppressed',
+        'morayActions',
+        'snaplinks',
+        'rowsDeleted',
+        'rowsAlreadyDeleted'
+];
+
+var STORAGE_NODE_FIELDS = [
+        'objects',
+        'bytes'
+];
+
+
+
+///--- Helpers
+
+function zero(fields) {
+        var o = {};
+        fields.forEach(function (f) {
+                o[f] = 0;
+        });
+        return (o);
+}
+
+
+function add(into, from, fields) {
+        fields.forEach(function (f) {
+                into[f] += from[f] || 0;
+        });
+}
+
+
+
+///--- API
+
+/**
+ * Summarizes what a GC cycle did, per moray shard and per storage node.
+ *
+ * Each GC reducer builds a partial report from the events of its
+ * GarbageCollector (see attach()), and moray_gc merges the partial reports
+ * from the jobs it's cleaning up after with the MorayCleaner's per-shard
+ * stats, to produce the report for the cycle.
+ *
+ * The JSON form of a report looks like:
+ *
+ *    {
+ *      "version": 1,
+ *      "jobs": [ "<job id>", ... ],
+ *      "shards": {
+ *        "<moray shard>": {
+ *          "deadRecords": 0,        //manta_delete_log records seen
+ *          "inGracePeriod": 0,      //... that were left alone
+ *          "suppressed": 0,         //... kept as their owner has data on a
+ *                                   //    shard left out of the run
+ *          "morayActions": 0,       //... that were queued for deletion
+ *          "snaplinks": 0,          //... still referenced from other shards
+ *          "rowsDeleted": 0,        //rows moray_gc deleted
+ *          "rowsAlreadyDeleted": 0  //rows already gone when it tried
+ *        }, ...
+ *      },
+ *      "storageNodes": {
+ *        "<manta storage id>": {
+ *          "objects": 0,            //objects queued for deletion
+ *          "bytes": 0               //sum of their contentLength
+ *        }, ...
+ *      },
+ *      "totals": { ...all of the above fields, summed... }
+ *    }
+ *
+ * Consumers may add further top-level fields, such as times.
+ */
+function GcReport(obj) {
+        var self = this;
+
+        self.jobs = [];
+        self.shards = {};
+        self.storageNodes = {};
+
+        if (obj) {
+                self.merge(obj);
+        }
+}
+
+module.exports = GcReport;
+
+
+
+///--- Methods
+
+GcReport.prototype.shard = function shard(name) {
+        if (!this.shards[name]) {
+                this.shards[name] = zero(SHARD_FIELDS);
+        }
+        return (this.shards[name]);
+};
+
+
+GcReport.prototype.storageNode = function storageNode(name) {
+        if (!this.storageNodes[name]) {
+                this.storageNodes[name] = zero(STORAGE_NODE_FIELDS);
+        }
+        return (this.storageNodes[name]);
+};
+
+
+/**
+ * Counts the actions emitted by a GarbageCollector.
+ */
+GcReport.prototype.attach = function attach(gc) {
+        var self = this;
+
+        gc.on('moray', function (moray) {
+                var s = self.shard(moray.morayHostname);
+                s.deadRecords++;
+                s.morayActions++;
+        });
+
+        gc.on('grace', function (grace) {
+                var s = self.shard(grace.morayHostname);
+                s.deadRecords++;
+                s.inGracePeriod++;
+        });
+
+        gc.on('suppressed', function (suppressed) {
+                var s = self.shard(suppressed.morayHostname);
+                s.deadRecords++;
+                s.suppressed++;
+        });
+
+        gc.on('snaplink', function (snaplink) {
+                self.shard(snaplink.morayHostname).snaplinks++;
+        });
+
+        gc.on('mako', function (mako) {
+                var n = self.storageNode(mako.mantaStorageId);
+                n.objects++;
+                n.bytes += mako.contentLength || 0;
+        });
+};
+
+
+GcReport.prototype.addJob = function addJob(jobId) {
+        assert.string(jobId, 'jobId');
+
+        if (this.jobs.indexOf(jobId) === -1) {
+                this.jobs.push(jobId);
+        }
+};
+
+
+/**
+ * Adds the per-shard stats from MorayCleaner.getShardStats().
+ */
+GcReport.prototype.addCleanerStats = function addCleanerStats(shardStats) {
+        var self = this;
+
+        assert.object(shardStats, 'shardStats');
+
+        Object.keys(shardStats).forEach(function (name) {
+                add(self.shard(name), shardStats[name], [
+                        'rowsDeleted',
+                        'rowsAlreadyDeleted'
+                ]);
+        });
+};
+
+
+/**
+ * Adds another report (or the JSON form of one) to this one.
+ */
+GcReport.prototype.merge = function merge(other) {
+        var self = this;
+
+        assert.object(other, 'other');
+
+        (other.jobs || []).forEach(function (jobId) {
+                self.addJob(jobId);
+        });
+        Object.keys(other.shards || {}).forEach(function (name) {
+                add(self.shard(name), other.shards[name], SHARD_FIELDS);
+        });
+        Object.keys(other.storageNodes || {}).forEach(function (name) {
+                add(self.storageNode(name), other.storageNodes[name],
+                    STORAGE_NODE_FIELDS);
+        });
+};
+
+
+GcReport.prototype.isEmpty = function isEmpty() {
+        return (this.jobs.length === 0 &&
+                Object.keys(this.shards).length === 0 &&
+                Object.keys(this.storageNodes).length === 0);
+};
+
+
+GcReport.prototype.toJSON = function toJSON() {
+        var self = this;
+        var totals = zero(SHARD_FIELDS.concat(STORAGE_NODE_FIELDS));
+
+        Object.keys(self.shards).forEach(function (name) {
+                add(totals, self.shards[name], SHARD_FIELDS);
+        });
+        Object.keys(self.storageNodes).forEach(function (name) {
+                add(totals, self.storageNodes[name], STORAGE_NODE_FIELDS);
+        });
+
+        return ({
+                'version': REPORT_VERSION,
+                'jobs': self.jobs,
+                'shards': self.shards,
+                'storageNodes': self.storageNodes,
+                'totals': totals
+        });
+};
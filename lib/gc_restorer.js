@@ -0,0 +1,510 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var lstream = require('lstream');
+var moray = require('moray');
+var stream = require('stream');
+var vasync = require('vasync');
+var verror = require('verror');
+
+var common = require('./common');
+var mod_journal = require('./gc_journal');
+var mod_limiter = require('./shard_limiter');
+
+var VE = verror.VError;
+
+
+
+///--- Globals
+
+var MANTA_DELETE_BUCKET = 'manta_delete_log';
+
+var MORAY_CONNECT_TIMEOUT = 10000;
+var MORAY_PORT = 2020;
+
+var DEFAULT_CONCURRENCY = 10;
+var DEFAULT_CONNECT_WAIT_MILLIS = 60000;
+
+/*
+ * The directories, under the GC root, that hold instructions for a GC job
+ * that haven't been carried out yet.  See bin/kick_off_gc.js.
+ */
+var INSTRUCTION_DIRS = [ 'all/do', 'all/done' ];
+var INSTRUCTION_PARENT_DIRS = [ 'mako', 'moray' ];
+
+
+
+///--- Helpers
+
+/*
+ * The objects written by each reducer of a GC job are all named
+ * "<time>-<job id>-X-<reducer uuid>...".
+ */
+function isJobObject(name, jobId) {
+        return (name.indexOf('-' + jobId + '-X-') !== -1);
+}
+
+
+
+///--- API
+
+/**
+ * Rolls back a GC job using the undo journal its reducers wrote (see
+ * GcJournal).  For each job, it:
+ *
+ *  1. Removes all of the job's instructions that haven't been carried out
+ *     yet: link files that gc_create_links hasn't processed, and mako and
+ *     moray instruction objects that haven't been picked up by the makos or
+ *     moray_gc.
+ *  2. Re-inserts every manta_delete_log row in the journal that is no longer
+ *     in Moray.  Rows that are still there are left alone.
+ *
+ * Mako instructions that were already carried out can't be undone, but the
+ * journal's mako entries are counted so that they can be compared with what
+ * was cancelled.
+ *
+ * GC should be disabled while a restore runs, or moray_gc may delete rows
+ * again from instruction objects it had already started on.
+ *
+ * Required Opts:
+ *    log:               Bunyan logger
+ *    mantaClient:       Manta client
+ *    gcRoot:            The GC job root, e.g. /poseidon/stor/manta_gc
+ *
+ * Optional Opts:
+ *    concurrency:       Moray inserts in flight at once, per shard.  Defaults
+ *                       to 10.
+ *    connectWaitMillis: How long to wait for a shard to connect before giving
+ *                       up, 60 seconds by default.
+ *    dryRun:            Only count what would be done.
+ */
+function GcRestorer(opts) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.object(opts.mantaClient, 'opts.mantaClient');
+        assert.string(opts.gcRoot, 'opts.gcRoot');
+        assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+        assert.optionalNumber(opts.connectWaitMillis,
+            'opts.connectWaitMillis');
+        assert.optionalBool(opts.dryRun, 'opts.dryRun');
+
+        this.log = opts.log;
+        this.mantaClient = opts.mantaClient;
+        this.gcRoot = opts.gcRoot;
+        this.dryRun = !!opts.dryRun;
+        this.connectWaitMillis = opts.connectWaitMillis ||
+                DEFAULT_CONNECT_WAIT_MILLIS;
+        this.morayClients = {};
+        //shard -> callbacks waiting on the shard's client to connect
+        this.morayConnecting = {};
+        this.closed = false;
+        this.limiter = new mod_limiter.ShardLimiter({
+                log: opts.log,
+                concurrency: opts.concurrency || DEFAULT_CONCURRENCY
+        });
+        this.stats = {
+                instructionsCancelled: 0,
+                journals: 0,
+                makoEntries: 0,
+                rowsRestored: 0,
+                rowsAlreadyPresent: 0
+        };
+}
+
+module.exports = GcRestorer;
+
+
+
+///--- Methods
+
+GcRestorer.prototype.getStats = function getStats() {
+        return (this.stats);
+};
+
+
+GcRestorer.prototype.restoreJob = function restoreJob(jobId, cb) {
+        assert.string(jobId, 'jobId');
+        assert.func(cb, 'cb');
+
+        var self = this;
+        var log = self.log.child({ jobId: jobId });
+
+        vasync.pipeline({
+                funcs: [
+                        function cancel(_, subcb) {
+                                self.cancelInstructions(log, jobId, subcb);
+                        },
+                        function restore(_, subcb) {
+                                self.restoreJournals(log, jobId, subcb);
+                        }
+                ]
+        }, function (err) {
+                if (err) {
+                        cb(VE(err, 'restoring job "%s"', jobId));
+                        return;
+                }
+                log.info({ stats: self.stats }, 'restored job');
+                cb();
+        });
+};
+
+
+/*
+ * Finds the directories that may hold the job's outstanding instructions:
+ * the link and instruction directories, and each per-node and per-shard
+ * directory under mako/ and moray/.
+ */
+GcRestorer.prototype.instructionDirs = function instructionDirs(cb) {
+        var self = this;
+        var dirs = INSTRUCTION_DIRS.map(function (d) {
+                return (self.gcRoot + '/' + d);
+        });
+
+        vasync.forEachPipeline({
+                inputs: INSTRUCTION_PARENT_DIRS,
+                func: function (d, subcb) {
+                        var parent = self.gcRoot + '/' + d;
+                        common.listDir(self.mantaClient, parent, 'directory',
+                            function (err, names) {
+                                if (err) {
+                                        subcb(err);
+                                        return;
+                                }
+                                names.forEach(function (n) {
+                                        dirs.push(parent + '/' + n);
+                                });
+                                subcb();
+                        });
+                }
+        }, function (err) {
+                cb(err, dirs);
+        });
+};
+
+
+GcRestorer.prototype.cancelInstructions = function cancelInstructions(log,
+    jobId, cb) {
+        var self = this;
+
+        self.instructionDirs(function (err, dirs) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                vasync.forEachPipeline({
+                        inputs: dirs,
+                        func: function (dir, subcb) {
+                                self.cancelInstructionsInDir(log, jobId, dir,
+                                    subcb);
+                        }
+                }, function (err2) {
+                        cb(err2);
+                });
+        });
+};
+
+
+GcRestorer.prototype.cancelInstructionsInDir =
+function cancelInstructionsInDir(log, jobId, dir, cb) {
+        var self = this;
+
+        common.listDir(self.mantaClient, dir, 'object', function (err, names) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                var objects = names.filter(function (n) {
+                        return (isJobObject(n, jobId));
+                }).map(function (n) {
+                        return (dir + '/' + n);
+                });
+
+                vasync.forEachPipeline({
+                        inputs: objects,
+                        func: function (p, subcb) {
+                                log.info({ path: p, dryRun: self.dryRun },
+                                    'cancelling instructions');
+                                self.stats.instructionsCancelled++;
+                                if (self.dryRun) {
+                                        setImmediate(subcb);
+                                        return;
+                                }
+                                self.mantaClient.unlink(p, {}, function (e) {
+                                        if (e) {
+                                                subcb(VE(e, 'unlink "%s"', p));
+                                                return;
+                                        }
+                                        subcb();
+                                });
+                        }
+                }, function (err2) {
+                        cb(err2);
+                });
+        });
+};
+
+
+GcRestorer.prototype.restoreJournals = function restoreJournals(log, jobId,
+    cb) {
+        var self = this;
+        var dir = self.gcRoot + '/journal';
+
+        common.listDir(self.mantaClient, dir, 'object', function (err, names) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                var journals = names.filter(function (n) {
+                        return (isJobObject(n, jobId));
+                }).map(function (n) {
+                        return (dir + '/' + n);
+                });
+
+                if (journals.length === 0) {
+                        log.warn('no journals found for job');
+                }
+
+                vasync.forEachPipeline({
+                        inputs: journals,
+                        func: function (p, subcb) {
+                                self.restoreJournal(log.child({ journal: p }),
+                                    p, subcb);
+                        }
+                }, function (err2) {
+                        cb(err2);
+                });
+        });
+};
+
+
+/*
+ * Streams one journal from Manta, re-inserting the Moray rows in it.  Inserts
+ * are conditional on the row not existing, so running a restore twice does
+ * no harm.
+ */
+GcRestorer.prototype.restoreJournal = function restoreJournal(log, p, cb) {
+        var self = this;
+        var done = false;
+        var inflight = 0;
+        var ended = false;
+        var stopReading = null;
+
+        function finish(err) {
+                if (done) {
+                        return;
+                }
+                if (err) {
+                        done = true;
+                        if (stopReading !== null) {
+                                stopReading();
+                        }
+                        cb(err);
+                        return;
+                }
+                if (ended && inflight === 0) {
+                        done = true;
+                        self.stats.journals++;
+                        log.info('journal restored');
+                        cb();
+                }
+        }
+
+        log.info('restoring journal');
+
+        self.mantaClient.get(p, {}, function (err, strom, res) {
+                if (err) {
+                        cb(VE(err, 'get "%s"', p));
+                        return;
+                }
+
+                var lines = new lstream();
+                var w = new stream.Writable({
+                        objectMode: true,
+                        highWaterMark: 0
+                });
+
+                //Once the journal has failed, nothing more is read from it,
+                // and the connection it was read over is closed.  The
+                // response of a LocalMantaClient has no connection.
+                stopReading = function () {
+                        strom.unpipe(lines);
+                        lines.unpipe(w);
+                        if (res && typeof (res.destroy) === 'function') {
+                                res.destroy();
+                        }
+                };
+
+                w._write = function (line, _, next) {
+                        if (done || line === '') {
+                                setImmediate(next);
+                                return;
+                        }
+
+                        var entry;
+                        try {
+                                entry = mod_journal.parseJournalEntry(line);
+                        } catch (e) {
+                                finish(VE(e, 'journal "%s"', p));
+                                return;
+                        }
+
+                        if (entry.type === 'mako') {
+                                self.stats.makoEntries++;
+                                setImmediate(next);
+                                return;
+                        }
+
+                        //Let the limiter decide when to read the next line,
+                        // so that only so many rows per shard are in flight.
+                        inflight++;
+                        self.restoreRow(entry, next, function (rErr) {
+                                inflight--;
+                                finish(rErr ? VE(rErr, 'journal "%s"', p) :
+                                    null);
+                        });
+                };
+                w.on('finish', function () {
+                        ended = true;
+                        finish();
+                });
+
+                strom.on('error', function (sErr) {
+                        finish(VE(sErr, 'streaming "%s"', p));
+                });
+                strom.pipe(lines).pipe(w);
+        });
+};
+
+
+GcRestorer.prototype.restoreRow = function restoreRow(entry, started, cb) {
+        var self = this;
+        var shard = entry.morayHostname;
+        var key = entry.record._key;
+        var value = entry.record._value;
+
+        self.limiter.acquire(shard, 1, function (release) {
+                started();
+
+                if (self.dryRun) {
+                        self.stats.rowsRestored++;
+                        release({});
+                        cb();
+                        return;
+                }
+
+                self.getMorayClient(shard, function (cErr, client) {
+                        if (cErr) {
+                                release({ err: cErr });
+                                cb(cErr);
+                                return;
+                        }
+
+                        var start = Date.now();
+                        client.putObject(MANTA_DELETE_BUCKET, key, value, {
+                                etag: null
+                        }, function (err) {
+                                release({
+                                        err: err,
+                                        latency: Date.now() - start
+                                });
+                                if (err && verror.findCauseByName(err,
+                                    'EtagConflictError') !== null) {
+                                        self.stats.rowsAlreadyPresent++;
+                                        cb();
+                                        return;
+                                }
+                                if (err) {
+                                        cb(VE(err, 'putObject "%s" on "%s"',
+                                            key, shard));
+                                        return;
+                                }
+                                self.stats.rowsRestored++;
+                                cb();
+                        });
+                });
+        });
+};
+
+
+/*
+ * Rows for a shard are restored several at a time, so callers that ask for a
+ * shard's client while it is connecting wait on that one connection.
+ */
+GcRestorer.prototype.getMorayClient = function getMorayClient(shard, cb) {
+        var self = this;
+        if (self.morayClients[shard]) {
+                cb(null, self.morayClients[shard]);
+                return;
+        }
+        if (self.morayConnecting[shard]) {
+                self.morayConnecting[shard].push(cb);
+                return;
+        }
+        self.morayConnecting[shard] = [ cb ];
+
+        var client = moray.createClient({
+                log: self.log,
+                connectTimeout: MORAY_CONNECT_TIMEOUT,
+                host: shard,
+                port: MORAY_PORT
+        });
+        var timer = setTimeout(function () {
+                finish(new VE('timed out after %dms connecting to shard "%s"',
+                    self.connectWaitMillis, shard));
+        }, self.connectWaitMillis);
+
+        function onError(err) {
+                finish(VE(err, 'connecting to shard "%s"', shard));
+        }
+
+        function onConnect() {
+                finish();
+        }
+
+        function finish(err) {
+                if (!err && self.closed) {
+                        err = new VE('closed while connecting to shard "%s"',
+                            shard);
+                }
+                clearTimeout(timer);
+                client.removeListener('error', onError);
+                client.removeListener('connect', onConnect);
+                var waiting = self.morayConnecting[shard];
+                delete (self.morayConnecting[shard]);
+                if (err) {
+                        client.close();
+                        waiting.forEach(function (wcb) {
+                                wcb(err);
+                        });
+                        return;
+                }
+                self.log.info({ shard: shard }, 'Connected to shard.');
+                self.morayClients[shard] = client;
+                waiting.forEach(function (wcb) {
+                        wcb(null, client);
+                });
+        }
+
+        client.once('error', onError);
+        client.once('connect', onConnect);
+};
+
+
+GcRestorer.prototype.close = function close() {
+        var self = this;
+        self.closed = true;
+        Object.keys(self.morayClients).forEach(function (shard) {
+                self.morayClients[shard].close();
+        });
+};
@@ -0,0 +1,126 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var VE = require('verror').VError;
+
+
+
+///--- Helpers
+
+function parsePeriods(policy, field) {
+        var periods = policy[field] || {};
+        var millis = {};
+
+        if (typeof (periods) !== 'object' || Array.isArray(periods)) {
+                throw (new VE('grace policy: "%s" must be an object', field));
+        }
+        Object.keys(periods).forEach(function (k) {
+                var s = periods[k];
+                if (typeof (s) !== 'number' || !isFinite(s) || s < 0 ||
+                    Math.floor(s) !== s) {
+                        throw (new VE('grace policy: %s["%s"] must be a ' +
+                            'non-negative number of seconds', field, k));
+                }
+                millis[k] = s * 1000;
+        });
+        return (millis);
+}
+
+
+
+///--- API
+
+/**
+ * Maps the owner and key of a deleted record to the grace period it should
+ * be kept for, so that accounts (or parts of them) can be held longer, or
+ * reclaimed sooner, than the GC default.
+ *
+ * A policy looks like:
+ *
+ *    {
+ *      "owners": {
+ *        "<owner uuid>": <grace period seconds>, ...
+ *      },
+ *      "paths": {
+ *        "<key prefix>": <grace period seconds>, ...
+ *      }
+ *    }
+ *
+ * Of the path prefixes matching the key, the longest applies.  If both it and
+ * the owner have a period, the longer is used, so that a path can't cut short
+ * the period an owner is held for; if neither does, the default is.  Prefixes
+ * are matched against the raw key, so
+ * "/<owner uuid>/stor/logs/" matches everything under that directory, but
+ * "/<owner uuid>/stor/logs" also matches "/<owner uuid>/stor/logs2".
+ *
+ * Required Opts:
+ *    policy:            The policy, as above.
+ *    defaultMillis:     Grace period for records the policy doesn't cover.
+ */
+function GracePolicy(opts) {
+        assert.object(opts, 'opts');
+        assert.object(opts.policy, 'opts.policy');
+        assert.number(opts.defaultMillis, 'opts.defaultMillis');
+
+        this.defaultMillis = opts.defaultMillis;
+        this.owners = parsePeriods(opts.policy, 'owners');
+        this.paths = parsePeriods(opts.policy, 'paths');
+        //Longest first, so the first match is the most specific.
+        this.prefixes = Object.keys(this.paths).sort(function (a, b) {
+                return (b.length - a.length);
+        });
+}
+
+module.exports = GracePolicy;
+
+
+
+///--- Methods
+
+/**
+ * Returns the grace period, in millis, for a record.  Either argument may be
+ * undefined, for records that don't have one.
+ */
+GracePolicy.prototype.lookup = function lookup(owner, key) {
+        assert.optionalString(owner, 'owner');
+        assert.optionalString(key, 'key');
+
+        var millis;
+        if (key !== undefined) {
+                for (var i = 0; i < this.prefixes.length; ++i) {
+                        var prefix = this.prefixes[i];
+                        if (key.indexOf(prefix) === 0) {
+                                millis = this.paths[prefix];
+                                break;
+                        }
+                }
+        }
+        if (owner !== undefined && this.owners.hasOwnProperty(owner)) {
+                millis = Math.max(millis || 0, this.owners[owner]);
+        }
+        return (millis === undefined ? this.defaultMillis : millis);
+};
+
+
+/**
+ * Returns the longest grace period, in millis, that any record could be
+ * given.
+ */
+GracePolicy.prototype.longest = function longest() {
+        var self = this;
+        var millis = self.defaultMillis;
+        [ self.owners, self.paths ].forEach(function (periods) {
+                Object.keys(periods).forEach(function (k) {
+                        millis = Math.max(millis, periods[k]);
+                });
+        });
+        return (millis);
+};
@@ -0,0 +1,451 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var events = require('events');
+var moray = require('moray');
+var util = require('util');
+var vasync = require('vasync');
+var VE = require('verror').VError;
+
+var GcPgRowTransformer = require('./gc_pg_row_transformer');
+var GracePolicy = require('./grace_policy');
+var recordToObject = require('./moray_reader').recordToObject;
+
+
+
+///--- Globals
+
+var MANTA_BUCKET = 'manta';
+var MANTA_DELETE_BUCKET = 'manta_delete_log';
+
+var DEFAULT_GRACE_PERIOD_MILLIS = 1000 * 60 * 60 * 24 * 2;  //2 days
+var DEFAULT_PAGE_SIZE = 100;
+//Rows looked up directly are never "newer than the dumps", see checkObjects.
+var MAX_DATE = new Date(8640000000000000);
+var PENDING_PREFIX = 'pending:';
+
+var MORAY_CONNECT_TIMEOUT = 10000;
+//How long to wait for a shard to connect at all, over all of its attempts.
+var DEFAULT_CONNECT_WAIT_MILLIS = 60000;
+var MORAY_PORT = 2020;
+
+
+
+///--- API
+
+/**
+ * Finds the rows GC needs to look at by reading each shard's delete log
+ * directly from Moray, rather than from full dumps of every shard.  The rows
+ * emitted are the same as GcPgRowTransformer's, so they can be fed to gc.js
+ * in place of the output of the dump transform.
+ *
+ * Each shard has a watermark: the _mtime up to which its delete log has been
+ * read.  A run reads the delete log rows after the watermark that are older
+ * than the longest grace period any record could be given.  For each object
+ * those rows reference, every shard is asked for the object's live records
+ * and delete log rows, so snaplinks across shards are seen just as they are
+ * in a full GC.  All of an object's rows are emitted together, and each
+ * object is emitted once per run.  To do so the ids of the objects a run has
+ * emitted are kept in memory until the next run, so a run's memory grows with
+ * the number of objects deleted since the watermarks; a shard that is far
+ * behind should be caught up with a full GC.
+ *
+ * The watermarks a run reaches are saved as pending, and are only moved on
+ * by commit(), which should be called once the instructions made from the
+ * rows have been safely written.  A run that fails before then is simply
+ * read again by the next.
+ *
+ * Required Opts:
+ *    log:               Bunyan logger
+ *    shards:            The Moray shards, by hostname.
+ *    watermarks:        A CheckpointStore to keep the watermarks in.
+ *
+ * Optional Opts:
+ *    gracePeriodMillis: As for GarbageCollector, 2 days by default.
+ *    gracePolicy:       As for GarbageCollector.
+ *    pageSize:          Delete log rows read from a shard at a time.
+ *    connectWaitMillis: How long to wait for a shard to connect before giving
+ *                       up, 60 seconds by default.
+ */
+function IncrementalGc(opts, listener) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.arrayOfString(opts.shards, 'opts.shards');
+        assert.object(opts.watermarks, 'opts.watermarks');
+        assert.optionalNumber(opts.gracePeriodMillis,
+            'opts.gracePeriodMillis');
+        assert.optionalObject(opts.gracePolicy, 'opts.gracePolicy');
+        assert.optionalNumber(opts.pageSize, 'opts.pageSize');
+        assert.optionalNumber(opts.connectWaitMillis,
+            'opts.connectWaitMillis');
+
+        var self = this;
+        var grace = opts.gracePeriodMillis || DEFAULT_GRACE_PERIOD_MILLIS;
+        if (opts.gracePolicy) {
+                grace = new GracePolicy({
+                        policy: opts.gracePolicy,
+                        defaultMillis: grace
+                }).longest();
+        }
+
+        self.log = opts.log;
+        self.shards = opts.shards;
+        self.watermarks = opts.watermarks;
+        self.pageSize = opts.pageSize || DEFAULT_PAGE_SIZE;
+        self.connectWaitMillis = opts.connectWaitMillis ||
+                DEFAULT_CONNECT_WAIT_MILLIS;
+        self.graceMillis = grace;
+        self.morayClients = {};
+        self.seen = {};
+        self.stats = {
+                deadRowsScanned: 0,
+                objectsChecked: 0,
+                rows: 0,
+                shards: {}
+        };
+
+        if (listener) {
+                self.addListener('row', listener);
+        }
+}
+util.inherits(IncrementalGc, events.EventEmitter);
+module.exports = IncrementalGc;
+
+
+
+///--- Helpers
+
+function findAll(client, bucket, filter, opts, cb) {
+        var records = [];
+        var req = client.findObjects(bucket, filter, opts);
+        var done = false;
+
+        req.on('record', function (r) {
+                records.push(r);
+        });
+        req.on('error', function (err) {
+                if (done) {
+                        return;
+                }
+                done = true;
+                cb(VE(err, 'findObjects %s "%s"', bucket, filter));
+        });
+        req.on('end', function () {
+                if (done) {
+                        return;
+                }
+                done = true;
+                cb(null, records);
+        });
+}
+
+
+function objectIdFilter(objectIds) {
+        var terms = objectIds.map(function (id) {
+                return ('(objectId=' + id + ')');
+        });
+        return (terms.length === 1 ? terms[0] : '(|' + terms.join('') + ')');
+}
+
+
+
+///--- Methods
+
+IncrementalGc.prototype.getMorayClient = function getMorayClient(shard, cb) {
+        var self = this;
+        if (self.morayClients[shard]) {
+                cb(null, self.morayClients[shard]);
+                return;
+        }
+
+        var client = moray.createClient({
+                log: self.log,
+                connectTimeout: MORAY_CONNECT_TIMEOUT,
+                host: shard,
+                port: MORAY_PORT
+        });
+        var timer = setTimeout(function () {
+                finish(new VE('timed out after %dms connecting to shard "%s"',
+                    self.connectWaitMillis, shard));
+        }, self.connectWaitMillis);
+
+        function onError(err) {
+                finish(VE(err, 'connecting to shard "%s"', shard));
+        }
+
+        function onConnect() {
+                finish();
+        }
+
+        function finish(err) {
+                clearTimeout(timer);
+                client.removeListener('error', onError);
+                client.removeListener('connect', onConnect);
+                if (err) {
+                        client.close();
+                        cb(err);
+                        return;
+                }
+                self.log.info({ shard: shard }, 'Connected to shard.');
+                if (!self.morayClients[shard]) {
+                        self.morayClients[shard] = client;
+                }
+                cb(null, self.morayClients[shard]);
+        }
+
+        client.once('error', onError);
+        client.once('connect', onConnect);
+};
+
+
+IncrementalGc.prototype.close = function close(cb) {
+        var self = this;
+        Object.keys(self.morayClients).forEach(function (shard) {
+                self.morayClients[shard].close();
+        });
+        cb();
+};
+
+
+IncrementalGc.prototype.getStats = function getStats() {
+        return (this.stats);
+};
+
+
+/**
+ * Reads each shard's delete log from its watermark, emitting a "row" for
+ * each row GC needs to see.  Any pending watermarks left by an earlier run
+ * that wasn't committed are dropped first.
+ */
+IncrementalGc.prototype.run = function run(cb) {
+        assert.func(cb, 'cb');
+
+        var self = this;
+        var cutoff = Date.now() - self.graceMillis;
+
+        self.seen = {};
+        vasync.forEachPipeline({
+                inputs: self.shards,
+                func: function dropPending(shard, next) {
+                        self.watermarks.remove(PENDING_PREFIX + shard, next);
+                }
+        }, function (err) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+                vasync.forEachPipeline({
+                        inputs: self.shards,
+                        func: function scan(shard, next) {
+                                self.scanShard(shard, cutoff, next);
+                        }
+                }, function (err2) {
+                        cb(err2);
+                });
+        });
+};
+
+
+IncrementalGc.prototype.scanShard = function scanShard(shard, cutoff, cb) {
+        var self = this;
+
+        self.watermarks.get(shard, function (err, cp) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                var from = cp ? cp.mtime : 0;
+                var stats = {
+                        from: from,
+                        to: Math.max(from, cutoff),
+                        deadRowsScanned: 0
+                };
+                var log = self.log.child({ shard: shard, from: from,
+                    to: stats.to });
+                self.stats.shards[shard] = stats;
+
+                if (from >= cutoff) {
+                        log.info('delete log already read up to cutoff');
+                        cb();
+                        return;
+                }
+
+                log.info('reading delete log');
+                self.getMorayClient(shard, function (err2, client) {
+                        if (err2) {
+                                cb(err2);
+                                return;
+                        }
+                        readPage(client, 0);
+                });
+
+                //Paged by _id, as moray_gc may be deleting rows as we go.
+                function readPage(client, lastId) {
+                        var filter = util.format(
+                            '(&(_mtime>=%d)(_mtime<=%d)(_id>=%d))',
+                            from + 1, cutoff, lastId + 1);
+                        findAll(client, MANTA_DELETE_BUCKET, filter, {
+                                limit: self.pageSize,
+                                sort: {
+                                        attribute: '_id',
+                                        order: 'ASC'
+                                }
+                        }, function (err2, records) {
+                                if (err2) {
+                                        cb(err2);
+                                        return;
+                                }
+                                stats.deadRowsScanned += records.length;
+                                self.stats.deadRowsScanned += records.length;
+
+                                var ids = [];
+                                records.forEach(function (r) {
+                                        var id = r.value ?
+                                                r.value.objectId : undefined;
+                                        if (id && !self.seen[id]) {
+                                                self.seen[id] = true;
+                                                ids.push(id);
+                                        }
+                                });
+
+                                self.checkObjects(ids, function (err3) {
+                                        if (err3) {
+                                                cb(err3);
+                                                return;
+                                        }
+                                        if (records.length < self.pageSize) {
+                                                log.info({ deadRowsScanned:
+                                                    stats.deadRowsScanned },
+                                                    'delete log read');
+                                                self.watermarks.put(
+                                                    PENDING_PREFIX + shard,
+                                                    { mtime: cutoff }, cb);
+                                                return;
+                                        }
+                                        readPage(client,
+                                            records[records.length - 1]._id);
+                                });
+                        });
+                }
+        });
+};
+
+
+/*
+ * Looks up the live records and delete log rows, on every shard, for some
+ * objects, and emits them, grouped by object.  The rows are read now, so
+ * none are left out for being newer than the "dumps", as the delete log rows
+ * in dumps later than the earliest are.
+ */
+IncrementalGc.prototype.checkObjects = function checkObjects(objectIds, cb) {
+        var self = this;
+        var now = new Date();
+        var rows = [];
+
+        if (objectIds.length === 0) {
+                cb();
+                return;
+        }
+        self.stats.objectsChecked += objectIds.length;
+
+        var filter = objectIdFilter(objectIds);
+        vasync.forEachParallel({
+                inputs: self.shards,
+                func: function lookup(shard, next) {
+                        self.getMorayClient(shard, function (err, client) {
+                                if (err) {
+                                        next(err);
+                                        return;
+                                }
+                                lookupShard(client, shard, next);
+                        });
+                }
+        }, function (err) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+                rows.sort(function (a, b) {
+                        var as = a.toString();
+                        var bs = b.toString();
+                        return (as < bs ? -1 : (as > bs ? 1 : 0));
+                });
+                rows.forEach(function (row) {
+                        self.stats.rows++;
+                        self.emit('row', row);
+                });
+                cb();
+        });
+
+        function lookupShard(client, shard, next) {
+                vasync.forEachParallel({
+                        inputs: [ MANTA_BUCKET, MANTA_DELETE_BUCKET ],
+                        func: function find(bucket, subnext) {
+                                findAll(client, bucket, filter, {},
+                                    function (err, records) {
+                                        if (err) {
+                                                subnext(err);
+                                                return;
+                                        }
+                                        records.forEach(function (r) {
+                                                var row = GcPgRowTransformer.
+                                                    transformRow(recordToObject(
+                                                    bucket, r), now, MAX_DATE,
+                                                    shard);
+                                                if (row) {
+                                                        rows.push(row);
+                                                }
+                                        });
+                                        subnext();
+                                });
+                        }
+                }, function (err) {
+                        next(err);
+                });
+        }
+};
+
+
+/**
+ * Moves each shard's watermark up to where the last run got to.
+ */
+IncrementalGc.prototype.commit = function commit(cb) {
+        assert.func(cb, 'cb');
+
+        var self = this;
+        vasync.forEachPipeline({
+                inputs: self.shards,
+                func: function commitShard(shard, next) {
+                        var pending = PENDING_PREFIX + shard;
+                        self.watermarks.get(pending, function (err, cp) {
+                                if (err || cp === null) {
+                                        next(err);
+                                        return;
+                                }
+                                self.watermarks.put(shard, {
+                                        mtime: cp.mtime
+                                }, function (err2) {
+                                        if (err2) {
+                                                next(err2);
+                                                return;
+                                        }
+                                        self.log.info({ shard: shard,
+                                            mtime: cp.mtime },
+                                            'watermark committed');
+                                        self.watermarks.remove(pending, next);
+                                });
+                        });
+                }
+        }, function (err) {
+                cb(err);
+        });
+};
@@ -11,17 +11,38 @@
 var assert = require('assert-plus');
 var Auditor = require('./auditor');
 var AuditRowTransformer = require('./audit_row_transformer');
+var AuditSummary = require('./audit_summary');
+var AuditRepairer = require('./audit_repairer');
 var AuditSweeper = require('./audit_sweeper');
+var BucketUploader = require('./bucket_uploader');
+var CheckpointStore = require('./checkpoint_store');
 var common = require('./common');
 var CruftCollector = require('./cruft_collector');
 var CruftRowTransformer = require('./cruft_row_transformer');
+var dumpPreflight = require('./dump_preflight');
+var durabilityReport = require('./durability_report');
 var GarbageCollector = require('./garbage_collector');
+var GcDryRunSummary = require('./gc_dry_run_summary');
+var gcJobCommands = require('./gc_job_commands');
+var GcJournal = require('./gc_journal').GcJournal;
+var GcLinks = require('./gc_links');
+var GcOwnerMap = require('./gc_owner_map');
 var GcPgRowTransformer = require('./gc_pg_row_transformer');
+var GcReport = require('./gc_report');
+var GcRestorer = require('./gc_restorer');
+var GracePolicy = require('./grace_policy');
+var IncrementalGc = require('./incremental_gc');
+var instructionFormat = require('./instruction_format');
 var MpuGarbageCollector = require('./mpu_garbage_collector');
 var MpuGcPgRowTransformer = require('./mpu_gc_pg_row_transformer');
-var JobManager = require('./job_manager');
+var jobManager = require('./job_manager');
+var LinkCreator = require('./link_creator');
+var LocalMantaClient = require('./local_manta_client').LocalMantaClient;
+var MakoCleaner = require('./mako_cleaner').MakoCleaner;
+var MapReduceRunner = require('./map_reduce_runner').MapReduceRunner;
 var MorayCleaner = require('./moray_cleaner');
-var Rebalancer = require('./rebalancer');
+var MorayReader = require('./moray_reader').MorayReader;
+var Rebalancer = require('./rebalancer').Rebalancer;
 var SchemaReader = require('./schema_reader');
 var util = require('util');
 
@@ -40,7 +61,8 @@ function createAuditor(opts, listener) {
 
 function createAuditRowTransformer(opts, listener) {
         assert.object(opts, 'opts missing');
-        assert.object(opts.reader, 'opts.reader missing');
+        assert.ok(opts.reader || opts.source,
+                  'opts.reader or opts.source missing');
         assert.string(opts.mantaKey, 'opts.mantaKey missing');
 
         var auditRowTransformer = new AuditRowTransformer(opts, listener);
@@ -48,6 +70,23 @@ function createAuditRowTransformer(opts, listener) {
 }
 
 
+function createAuditSummary(obj) {
+        assert.optionalObject(obj, 'obj');
+
+        var auditSummary = new AuditSummary(obj);
+        return (auditSummary);
+}
+
+
+function createAuditRepairer(opts) {
+        assert.object(opts, 'opts missing');
+        assert.object(opts.log, 'opts.log missing');
+
+        var auditRepairer = new AuditRepairer(opts);
+        return (auditRepairer);
+}
+
+
 function createAuditSweeper(opts) {
         assert.object(opts, 'opts missing');
         assert.object(opts.reader, 'opts.reader missing');
@@ -57,6 +96,25 @@ function createAuditSweeper(opts) {
 }
 
 
+function createBucketUploader(opts) {
+        assert.object(opts, 'opts missing');
+        assert.object(opts.log, 'opts.log missing');
+        assert.object(opts.mantaClient, 'opts.mantaClient missing');
+
+        var bucketUploader = new BucketUploader(opts);
+        return (bucketUploader);
+}
+
+
+function createCheckpointStore(opts) {
+        assert.object(opts, 'opts missing');
+        assert.string(opts.dir, 'opts.dir missing');
+
+        var checkpointStore = new CheckpointStore(opts);
+        return (checkpointStore);
+}
+
+
 function createCruftCollector(opts, listener) {
         assert.object(opts, 'opts missing');
         assert.object(opts.reader, 'opts.reader missing');
@@ -68,7 +126,8 @@ function createCruftCollector(opts, listener) {
 
 function createCruftRowTransformer(opts, listener) {
         assert.object(opts, 'opts missing');
-        assert.object(opts.reader, 'opts.reader missing');
+        assert.ok(opts.reader || opts.source,
+                  'opts.reader or opts.source missing');
         assert.string(opts.mantaKey, 'opts.mantaKey missing');
         assert.number(opts.filterTimestamp, 'opts.filterTimestamp missing');
 
@@ -77,34 +136,177 @@ function createCruftRowTransformer(opts, listener) {
 }
 
 
+function createDurabilityReport() {
+        var report = new durabilityReport.DurabilityReport();
+        return (report);
+}
+
+
 function createGarbageCollector(opts, listener) {
         assert.object(opts.reader);
         if (opts.gracePeriodMillis) {
                 assert.number(opts.gracePeriodMillis);
         }
+        assert.optionalObject(opts.gracePolicy, 'opts.gracePolicy');
 
         var garbageCollector = new GarbageCollector(opts, listener);
         return (garbageCollector);
 }
 
 
+function createGcDryRunSummary(opts) {
+        assert.optionalObject(opts, 'opts');
+
+        var gcDryRunSummary = new GcDryRunSummary(opts);
+        return (gcDryRunSummary);
+}
+
+
+function createGcJournal(opts) {
+        assert.object(opts, 'opts missing');
+        assert.object(opts.writer, 'opts.writer missing');
+
+        var gcJournal = new GcJournal(opts);
+        return (gcJournal);
+}
+
+
+function createGcLinks(opts) {
+        assert.object(opts, 'opts missing');
+        assert.string(opts.user, 'opts.user missing');
+        assert.string(opts.prefix, 'opts.prefix missing');
+
+        var gcLinks = new GcLinks(opts);
+        return (gcLinks);
+}
+
+
+function createGcOwnerMap(obj) {
+        assert.optionalObject(obj, 'obj');
+
+        var gcOwnerMap = new GcOwnerMap(obj);
+        return (gcOwnerMap);
+}
+
+
+function createGcReport(obj) {
+        assert.optionalObject(obj, 'obj');
+
+        var gcReport = new GcReport(obj);
+        return (gcReport);
+}
+
+
+function createGcRestorer(opts) {
+        assert.object(opts, 'opts missing');
+        assert.object(opts.log, 'opts.log missing');
+        assert.object(opts.mantaClient, 'opts.mantaClient missing');
+        assert.string(opts.gcRoot, 'opts.gcRoot missing');
+
+        var gcRestorer = new GcRestorer(opts);
+        return (gcRestorer);
+}
+
+
+function createGracePolicy(opts) {
+        assert.object(opts, 'opts missing');
+        assert.object(opts.policy, 'opts.policy missing');
+        assert.number(opts.defaultMillis, 'opts.defaultMillis missing');
+
+        var gracePolicy = new GracePolicy(opts);
+        return (gracePolicy);
+}
+
+
 function createMpuGarbageCollector(opts, listener) {
         assert.object(opts.reader);
         if (opts.gracePeriodMillis) {
                 assert.number(opts.gracePeriodMillis);
         }
+        assert.optionalObject(opts.gracePolicy, 'opts.gracePolicy');
 
         var mpuGarbageCollector = new MpuGarbageCollector(opts, listener);
         return (mpuGarbageCollector);
 }
 
 
+function createIncrementalGc(opts, listener) {
+        assert.object(opts, 'opts missing');
+        assert.object(opts.log, 'opts.log missing');
+        assert.arrayOfString(opts.shards, 'opts.shards missing');
+        assert.object(opts.watermarks, 'opts.watermarks missing');
+
+        var incrementalGc = new IncrementalGc(opts, listener);
+        return (incrementalGc);
+}
+
+
+function createInstructionHeaderStream(opts) {
+        assert.object(opts, 'opts missing');
+        assert.arrayOfString(opts.formats, 'opts.formats missing');
+
+        var headerStream = new instructionFormat.InstructionHeaderStream(opts);
+        return (headerStream);
+}
+
+
+function createJobBackend(opts, mantaClient, log) {
+        assert.object(opts, 'opts missing');
+        assert.string(opts.jobRoot, 'opts.jobRoot missing');
+        assert.object(mantaClient, 'mantaClient missing');
+        assert.object(log, 'log missing');
+
+        return (jobManager.createBackend(opts, mantaClient, log));
+}
+
+
 function createJobManager(opts, mantaClient, log) {
         assert.object(opts);
         assert.object(mantaClient);
 
-        var jobManager = new JobManager(opts, mantaClient, log);
-        return (jobManager);
+        return (new jobManager.JobManager(opts, mantaClient, log));
+}
+
+
+function createLinkCreator(opts) {
+        assert.object(opts, 'opts missing');
+        assert.object(opts.log, 'opts.log missing');
+        assert.object(opts.mantaClient, 'opts.mantaClient missing');
+
+        var linkCreator = new LinkCreator(opts);
+        return (linkCreator);
+}
+
+
+function createLocalMantaClient(opts) {
+        assert.object(opts, 'opts missing');
+        assert.string(opts.root, 'opts.root missing');
+
+        var localMantaClient = new LocalMantaClient(opts);
+        return (localMantaClient);
+}
+
+
+function createMakoCleaner(opts) {
+        assert.object(opts, 'opts missing');
+        assert.object(opts.log, 'opts.log missing');
+        assert.object(opts.mantaClient, 'opts.mantaClient missing');
+        assert.string(opts.gcRoot, 'opts.gcRoot missing');
+        assert.string(opts.storageId, 'opts.storageId missing');
+        assert.string(opts.root, 'opts.root missing');
+
+        var makoCleaner = new MakoCleaner(opts);
+        return (makoCleaner);
+}
+
+
+function createMapReduceRunner(opts) {
+        assert.object(opts, 'opts missing');
+        assert.arrayOfObject(opts.phases, 'opts.phases missing');
+        assert.string(opts.workDir, 'opts.workDir missing');
+
+        var mapReduceRunner = new MapReduceRunner(opts);
+        return (mapReduceRunner);
 }
 
 
@@ -118,7 +320,8 @@ function createMorayCleaner(opts, listener) {
 
 function createGcPgRowTransformer(opts, listener) {
         assert.object(opts, 'opts missing');
-        assert.object(opts.reader, 'opts.reader missing');
+        assert.ok(opts.reader || opts.source,
+                  'opts.reader or opts.source missing');
         assert.ok(util.isDate(opts.dumpDate),
                   'opts.dumpDate isnt Date');
         assert.ok(util.isDate(opts.earliestDumpDate),
@@ -130,9 +333,21 @@ function createGcPgRowTransformer(opts, listener) {
 }
 
 
+function createMorayReader(opts, listener) {
+        assert.object(opts, 'opts missing');
+        assert.object(opts.log, 'opts.log missing');
+        assert.string(opts.shard, 'opts.shard missing');
+        assert.arrayOfString(opts.buckets, 'opts.buckets missing');
+
+        var morayReader = new MorayReader(opts, listener);
+        return (morayReader);
+}
+
+
 function createMpuGcPgRowTransformer(opts, listener) {
         assert.object(opts, 'opts missing');
-        assert.object(opts.reader, 'opts.reader missing');
+        assert.ok(opts.reader || opts.source,
+                  'opts.reader or opts.source missing');
         assert.ok(util.isDate(opts.dumpDate),
                   'opts.dumpDate isnt Date');
         assert.ok(util.isDate(opts.earliestDumpDate),
@@ -170,15 +385,39 @@ module.exports = {
         common: common,
         createAuditor: createAuditor,
         createAuditRowTransformer: createAuditRowTransformer,
+        createAuditSummary: createAuditSummary,
+        createAuditRepairer: createAuditRepairer,
         createAuditSweeper: createAuditSweeper,
+        createBucketUploader: createBucketUploader,
+        createCheckpointStore: createCheckpointStore,
         createCruftCollector: createCruftCollector,
         createCruftRowTransformer: createCruftRowTransformer,
+        createDurabilityReport: createDurabilityReport,
         createGarbageCollector: createGarbageCollector,
         createMpuGarbageCollector: createMpuGarbageCollector,
         createGcPgRowTransformer: createGcPgRowTransformer,
+        createGcDryRunSummary: createGcDryRunSummary,
+        createGcJournal: createGcJournal,
+        createGcLinks: createGcLinks,
+        createGcOwnerMap: createGcOwnerMap,
+        createGcReport: createGcReport,
+        createGcRestorer: createGcRestorer,
+        createGracePolicy: createGracePolicy,
+        createIncrementalGc: createIncrementalGc,
+        createInstructionHeaderStream: createInstructionHeaderStream,
+        createJobBackend: createJobBackend,
         createJobManager: createJobManager,
+        createLinkCreator: createLinkCreator,
+        createLocalMantaClient: createLocalMantaClient,
+        createMakoCleaner: createMakoCleaner,
+        createMapReduceRunner: createMapReduceRunner,
         createMorayCleaner: createMorayCleaner,
+        createMorayReader: createMorayReader,
         createMpuGcPgRowTransformer: createMpuGcPgRowTransformer,
         createRebalancer: createRebalancer,
-        createSchemaReader: createSchemaReader
+        createSchemaReader: createSchemaReader,
+        dumpPreflight: dumpPreflight,
+        durabilityReport: durabilityReport,
+        gcJobCommands: gcJobCommands,
+        instructionFormat: instructionFormat
 };
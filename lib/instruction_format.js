@@ -0,0 +1,271 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * The instruction files that GC, cruft and MPU GC jobs write for the makos,
+ * moray_gc and the MPU cleanup to carry out are tab-separated lines.  Each
+ * starts with a header line naming its format and the version of it:
+ *
+ *    #mola-instructions [TAB] [format] [TAB] [version]
+ *
+ * A consumer reads a file through an InstructionHeaderStream, which rejects
+ * files of a format or version it doesn't understand, so that adding a column
+ * (and bumping the version) can't make an old consumer misread a new file.
+ * Files written before headers were added are read as version 1 of the
+ * format the consumer expects, since version 1 is the layout they had.
+ *
+ * The formats, and their columns, are:
+ *
+ *    gc-moray:    moray  morayHostname  objectId  date
+ *    gc-mako:     mako  mantaStorageId  owner  objectId
+ *    cruft-mako:  mako  mantaStorageId  owner  objectId  bytes  createTime
+ *                     physicalKilobytes
+ *    mpu-cleanup: see recordToObject in lib/mpu/common.js
+ *
+ * The first column of the gc and cruft formats is the type of the line.
+ */
+
+var assert = require('assert-plus');
+var stream = require('stream');
+var util = require('util');
+var VE = require('verror').VError;
+
+
+
+///--- Globals
+
+var HEADER_TAG = '#mola-instructions';
+var FORMAT_ERR = 'InstructionFormatError';
+
+/*
+ * "version" is the version written, and "readable" the versions that can be
+ * read.  Formats without "columns" have their lines parsed elsewhere.
+ */
+var FORMATS = {
+        'gc-moray': {
+                version: 1,
+                readable: [ 1 ],
+                type: 'moray',
+                columns: [ 'morayHostname', 'objectId', 'date' ]
+        },
+        'gc-mako': {
+                version: 1,
+                readable: [ 1 ],
+                type: 'mako',
+                columns: [ 'mantaStorageId', 'owner', 'objectId' ]
+        },
+        'cruft-mako': {
+                version: 1,
+                readable: [ 1 ],
+                type: 'mako',
+                columns: [ 'mantaStorageId', 'owner', 'objectId', 'bytes',
+                        'createTime', 'physicalKilobytes' ]
+        },
+        'mpu-cleanup': {
+                version: 1,
+                readable: [ 1 ]
+        }
+};
+
+
+
+///--- Helpers
+
+function formatError(fmt) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        return (new VE({ name: FORMAT_ERR },
+            util.format.apply(null, [ fmt ].concat(args))));
+}
+
+
+function lookupFormat(format) {
+        assert.string(format, 'format');
+        var def = FORMATS[format];
+        if (!def) {
+                throw (formatError('unknown instruction format "%s"', format));
+        }
+        return (def);
+}
+
+
+function isHeader(line) {
+        return (line.charAt(0) === '#');
+}
+
+
+/**
+ * Returns the header line (without a newline) for a file of the given
+ * format, at the version currently written.
+ */
+function createHeader(format) {
+        var def = lookupFormat(format);
+        return ([ HEADER_TAG, format, def.version ].join('\t'));
+}
+
+
+/**
+ * Parses a header line, returning its format and version.  Throws if the line
+ * isn't a header, or if it's for a format, or a version of one, that can't be
+ * read.
+ */
+function parseHeader(line) {
+        assert.string(line, 'line');
+
+        var parts = line.split('\t');
+        if (parts.length !== 3 || parts[0] !== HEADER_TAG) {
+                throw (formatError('invalid instruction header: "%s"', line));
+        }
+        var def = lookupFormat(parts[1]);
+        var version = parseInt(parts[2], 10);
+        if (String(version) !== parts[2] ||
+            def.readable.indexOf(version) === -1) {
+                throw (formatError('unsupported version "%s" of instruction ' +
+                    'format "%s"', parts[2], parts[1]));
+        }
+        return ({
+                format: parts[1],
+                version: version
+        });
+}
+
+
+/**
+ * Returns the line (without a newline) for an instruction in the given
+ * format.  Dates are written as millis since the epoch.
+ */
+function serializeInstruction(format, obj) {
+        assert.object(obj, 'obj');
+
+        var def = lookupFormat(format);
+        assert.arrayOfString(def.columns, format + ' columns');
+
+        return ([ def.type ].concat(def.columns.map(function (c) {
+                var v = obj[c];
+                assert.ok(v !== undefined && v !== null,
+                    format + ' instruction missing ' + c);
+                return (v instanceof Date ? v.getTime() : v);
+        })).join('\t'));
+}
+
+
+/**
+ * Parses an instruction line of the given format into an object with a
+ * "type", and a property for each of the format's columns (all strings).
+ * Throws if the line has the wrong number of columns.  The type isn't
+ * checked, as some consumers skip lines of other types.
+ */
+function parseInstruction(format, line) {
+        assert.string(line, 'line');
+
+        var def = lookupFormat(format);
+        assert.arrayOfString(def.columns, format + ' columns');
+
+        var parts = line.split('\t');
+        if (parts.length !== def.columns.length + 1) {
+                throw (formatError('%s instruction must have %d columns: ' +
+                    '"%s"', format, def.columns.length + 1, line));
+        }
+
+        var obj = { type: parts[0] };
+        def.columns.forEach(function (c, i) {
+                obj[c] = parts[i + 1];
+        });
+        return (obj);
+}
+
+
+
+///--- API
+
+/**
+ * Checks the header of an instruction file, read a line at a time (as from
+ * lstream), passing the rest of the lines through.  Once the first line has
+ * been seen, "format" and "version" are set, and a "header" event is emitted
+ * with them.  The stream emits an error if the file isn't one of the given
+ * formats, or is a version of it that can't be read.
+ *
+ * Required Opts:
+ *    formats:           The formats that can be read.
+ *
+ * Optional Opts:
+ *    legacyFormat:      The format to read a file with no header as, at
+ *                       version 1.  Files with no header are an error if this
+ *                       isn't given.
+ */
+function InstructionHeaderStream(opts) {
+        assert.object(opts, 'opts');
+        assert.arrayOfString(opts.formats, 'opts.formats');
+        assert.optionalString(opts.legacyFormat, 'opts.legacyFormat');
+
+        opts.formats.forEach(lookupFormat);
+
+        stream.Transform.call(this, {
+                objectMode: true,
+                highWaterMark: 0
+        });
+        this.formats = opts.formats;
+        this.legacyFormat = opts.legacyFormat || null;
+        this.format = null;
+        this.version = null;
+}
+util.inherits(InstructionHeaderStream, stream.Transform);
+
+InstructionHeaderStream.prototype._transform = function _transform(line, _,
+    done) {
+        line = line.toString();
+
+        if (this.format !== null) {
+                this.push(line);
+                done();
+                return;
+        }
+
+        var header;
+        if (isHeader(line)) {
+                try {
+                        header = parseHeader(line);
+                } catch (e) {
+                        done(e);
+                        return;
+                }
+        } else if (this.legacyFormat !== null) {
+                header = {
+                        format: this.legacyFormat,
+                        version: 1
+                };
+        } else {
+                done(formatError('missing instruction header'));
+                return;
+        }
+
+        if (this.formats.indexOf(header.format) === -1) {
+                done(formatError('expected instruction format %s, found "%s"',
+                    this.formats.join(' or '), header.format));
+                return;
+        }
+
+        this.format = header.format;
+        this.version = header.version;
+        this.emit('header', header);
+        if (!isHeader(line)) {
+                this.push(line);
+        }
+        done();
+};
+
+
+module.exports = {
+        FORMAT_ERR: FORMAT_ERR,
+        InstructionHeaderStream: InstructionHeaderStream,
+        createHeader: createHeader,
+        parseHeader: parseHeader,
+        parseInstruction: parseInstruction,
+        serializeInstruction: serializeInstruction
+};
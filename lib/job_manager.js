@@ -13,6 +13,8 @@ var bunyan = require('bunyan');
 var common = require('./common');
 var fs = require('fs');
 var events = require('events');
+var LocalJobBackend = require('./local_job_backend');
+var MarlinJobBackend = require('./marlin_job_backend');
 var MemoryStream = require('memorystream');
 var path = require('path');
 var util = require('util');
@@ -33,7 +35,7 @@ var MAX_SECONDS_IN_AUDIT_OBJECT = 60 * 60 * 24 * 7; // 7 days
 
 /**
  * This is a simple job manager that attempts to take continuous polling and
- * workflow out of running Marlin jobs.  This is a very simple job
+ * workflow out of running Marlin-style jobs.  This is a very simple job
  * manager.  Any concurrent runnings will cause the same job to be run.  It's
  * expected that this runner will be used for infrequent, long running
  * jobs and that logged results aren't time critical.
@@ -57,6 +59,15 @@ var MAX_SECONDS_IN_AUDIT_OBJECT = 60 * 60 * 24 * 7; // 7 days
  *                       All objects must be the full Manta path.
  * Optional Opts:
  *    directories:       Directories to create before the job is run.
+ *    jobBackend:        The execution backend to run the job with, either
+ *                       'marlin' (the default) or 'local'.  The local backend
+ *                       runs the phases as child processes on this zone, see
+ *                       lib/local_job_backend.js.
+ *    localJobDir:       Work directory for the local backend.
+ *    localAssetRoot:    Directory the local backend downloads assets into.
+ *    localJobConcurrency: How many tasks the local backend runs at once.
+ *    manta:             The "manta" section of the mola config, passed to
+ *                       local job tasks so that they can reach Manta.
  *    assetFile:         Local file to upload as an asset.
  *    assetObject:       Full path to the asset object.
  *    log:               Bunyan logger
@@ -71,6 +82,15 @@ var MAX_SECONDS_IN_AUDIT_OBJECT = 60 * 60 * 24 * 7; // 7 days
  *                       say that the the *preAudit* step failed (that is, don't
  *                       cb with an error if the job failed), or to preform
  *                       post-job processing steps.
+ *    preflight:         A function with the following signature:
+ *                       function(opts, cb) {
+ *                          ...
+ *                          cb(err);
+ *                       }
+ *                       Called before getJobObjects, to check that the job's
+ *                       inputs are ready, such as with
+ *                       dumpPreflight.checkDumps.  If it calls cb with an
+ *                       error, no job is started.
  *    previousJobObject: Will override the location of the previous jobs object
  *                       from $jobRoot/jobs.json to the specified string.
  */
@@ -81,6 +101,7 @@ function JobManager(opts, mantaClient, log) {
         assert.object(mantaClient, 'opts.mantaClient');
         assert.func(opts.getJobDefinition, 'opts.getJobDefinition');
         assert.func(opts.getJobObjects, 'opts.getJobObjects');
+        assert.optionalFunc(opts.preflight, 'opts.preflight');
 
         self.opts = opts;
         self.log = log;
@@ -93,12 +114,48 @@ function JobManager(opts, mantaClient, log) {
         }
         self.mantaClient = mantaClient;
         self.jobRoot = opts.jobRoot;
+        self.backend = createBackend(opts, mantaClient, self.log);
         opts.previousJobsObject = opts.previousJobsObject ||
                 opts.jobRoot + '/jobs.json';
 }
 
 util.inherits(JobManager, events.EventEmitter);
-module.exports = JobManager;
+module.exports = {
+        createBackend: createBackend,
+        JobManager: JobManager
+};
+
+
+
+///--- Helpers
+
+/*
+ * Creates the backend named by opts.jobBackend (see above), which is also how
+ * jobs are looked up outside of a JobManager, as gc_create_links.js does.
+ */
+function createBackend(opts, mantaClient, log) {
+        assert.optionalString(opts.jobBackend, 'opts.jobBackend');
+
+        var backend = opts.jobBackend || 'marlin';
+        if (backend === 'marlin') {
+                return (new MarlinJobBackend({
+                        'mantaClient': mantaClient,
+                        'log': log
+                }));
+        }
+        if (backend === 'local') {
+                return (new LocalJobBackend({
+                        'mantaClient': mantaClient,
+                        'jobRoot': opts.jobRoot,
+                        'log': log,
+                        'workDir': opts.localJobDir,
+                        'assetRoot': opts.localAssetRoot,
+                        'concurrency': opts.localJobConcurrency,
+                        'mantaConfig': opts.manta
+                }));
+        }
+        throw (new Error('Unknown job backend: ' + backend));
+}
 
 
 
@@ -137,6 +194,16 @@ JobManager.prototype.run = function run(cb) {
                 subcb();
         }
 
+        function invokePreflight(_, subcb) {
+                if (!opts.preflight) {
+                        subcb();
+                        return;
+                }
+                opts.preflight(opts, function (err) {
+                        subcb(err);
+                });
+        }
+
         function invokeGetJobObjects(_, subcb) {
                 opts.getJobObjects(opts, function (err, objects) {
                         if (err) {
@@ -216,9 +283,10 @@ JobManager.prototype.run = function run(cb) {
                         self.checkRunningJobs.bind(self),
                         self.setupDirectories.bind(self),
                         self.setupAssetObject.bind(self),
+                        invokePreflight,
                         invokeGetJobObjects,
                         invokeGetJobDefinition,
-                        self.createMarlinJob.bind(self)
+                        self.createJob.bind(self)
                 ],
                 'arg': this.opts
         }, function (err) {
@@ -249,7 +317,7 @@ JobManager.prototype.run = function run(cb) {
 };
 
 
-JobManager.prototype.createMarlinJob = function createMarlinJob(opts, cb) {
+JobManager.prototype.createJob = function createJob(opts, cb) {
         assert.object(opts.job, 'opts.job');
 
         var self = this;
@@ -258,16 +326,19 @@ JobManager.prototype.createMarlinJob = function createMarlinJob(opts, cb) {
 
         self.log.info({
                 job: job,
-                objects: objects
-        }, 'Marlin Job Definition and Objects');
+                objects: objects,
+                backend: self.backend.name
+        }, 'Job Definition and Objects');
 
         if (opts.noJobStart) {
                 cb();
                 return;
         }
 
-        self.mantaClient.createJob(job, function (err, jobId) {
-                if (err) {
+        //A backend that got as far as creating the job calls back with its id
+        // even if the job failed, so that it's still recorded and audited.
+        self.backend.createJob(job, objects, function (err, jobId) {
+                if (err && !jobId) {
                         cb(err);
                         return;
                 }
@@ -279,28 +350,9 @@ JobManager.prototype.createMarlinJob = function createMarlinJob(opts, cb) {
                         'audited': false
                 };
 
-                self.log.info({ jobId: jobId }, 'Created Job.');
-                var aopts = {
-                        end: true
-                };
-
-                //Add objects to job...
-                self.mantaClient.addJobKey(jobId, objects, aopts, function (
-                        err2) {
-                        if (err2) {
-                                cb(err2);
-                                return;
-                        }
-
-                        self.log.info({
-                                objects: objects,
-                                jobId: jobId
-                        }, 'Added objects to job');
-
-                        self.audit.numberOfObjects = objects.length;
-                        self.audit.startedJob = 1;
-                        cb();
-                });
+                self.audit.numberOfObjects = objects.length;
+                self.audit.startedJob = 1;
+                cb(err);
         });
 };
 
@@ -392,73 +444,33 @@ JobManager.prototype.findRunningJobs = function findRunningJobs(opts, cb) {
 
         assert.string(opts.jobName, 'opts.jobName');
 
-        var lopts = { name: opts.jobName };
-
-        self.mantaClient.listJobs(lopts, function (err, res) {
+        self.backend.listJobs(opts.jobName, function (err, jobObjs) {
                 if (err) {
                         cb(err);
                         return;
                 }
 
-                var jobs = [];
-
-                res.on('job', function (job) {
-                        jobs.push(job.name);
-                });
-
-                res.on('error', function (err2) {
-                        cb(err2);
-                });
-
-                res.on('end', function () {
-                        var jobObjs = [];
-
-                        function checkResults() {
-                                var runningJobs = [];
-                                for (var j = 0; j < jobObjs.length; ++j) {
-                                        if (jobObjs[j].state !== 'done') {
-                                                runningJobs.push(jobObjs[j]);
-                                        }
-                                }
-                                if (runningJobs.length === 0) {
-                                        cb(null, null);
-                                        return;
-                                }
-                                if (runningJobs.length > 1) {
-                                        var message = 'more than one job ' +
-                                                'with name found';
-                                        self.log.error({
-                                                jobs: jobs
-                                        }, message);
-                                        cb(new Error(message));
-                                        return;
-                                }
-                                cb(null, runningJobs[0]);
-                        }
-
-                        var i = 0;
-                        function getNextJob() {
-                                var jobId = jobs[i];
-
-                                if (!jobId) {
-                                        checkResults();
-                                        return;
-                                }
-                                common.getJob({
-                                        'client': self.mantaClient,
-                                        'jobId': jobs[i]
-                                }, function (err3, j) {
-                                        if (err3) {
-                                                cb(err3);
-                                                return;
-                                        }
-                                        jobObjs.push(j);
-                                        ++i;
-                                        getNextJob();
-                                });
+                var runningJobs = [];
+                for (var j = 0; j < jobObjs.length; ++j) {
+                        if (jobObjs[j].state !== 'done') {
+                                runningJobs.push(jobObjs[j]);
                         }
-                        getNextJob();
-                });
+                }
+                if (runningJobs.length === 0) {
+                        cb(null, null);
+                        return;
+                }
+                if (runningJobs.length > 1) {
+                        var message = 'more than one job with name found';
+                        self.log.error({
+                                jobs: runningJobs.map(function (rj) {
+                                        return (rj.id);
+                                })
+                        }, message);
+                        cb(new Error(message));
+                        return;
+                }
+                cb(null, runningJobs[0]);
         });
 };
 
@@ -476,7 +488,7 @@ JobManager.prototype.checkRunningJobs = function checkRunningJobs(opts, cb) {
                         //Check if the job's input is still open, if so,
                         // kill it and continue since it's pointless
                         // to try and resume if we have newer data.
-                        self.mantaClient.cancelJob(job.id, function (err2) {
+                        self.backend.cancelJob(job.id, function (err2) {
                                 self.log.info(job, 'Attempted to cancel job.');
                                 cb(err2);
                         });
@@ -604,13 +616,8 @@ JobManager.prototype.auditPreviousJobs = function auditPreviousJobs(opts, cb) {
 
                 // Fetch all jobs
                 vasync.forEachParallel({
-                        func: common.getJob,
-                        inputs: jobsToAudit.map(function (j) {
-                                return ({
-                                        'jobId': j,
-                                        'client': self.mantaClient
-                                });
-                        })
+                        func: self.backend.getJob.bind(self.backend),
+                        inputs: jobsToAudit
                 }, function (err2, results) {
                         if (err2) {
                                 cb(err2);
@@ -661,6 +668,15 @@ JobManager.prototype.auditPreviousJobs = function auditPreviousJobs(opts, cb) {
 };
 
 
+/**
+ * Calls back with the Manta paths of the output objects of the given job,
+ * for use by preAudit hooks.
+ */
+JobManager.prototype.getJobOutputs = function getJobOutputs(jobId, cb) {
+        this.backend.getJobOutputs(jobId, cb);
+};
+
+
 JobManager.prototype.recordJobs = function recordJobs(opts, cb) {
         assert.object(opts.previousJobs, 'opts.previousJobs');
         assert.string(opts.previousJobsObject, 'opts.previousJobsObject');
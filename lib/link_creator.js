@@ -0,0 +1,423 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var lstream = require('lstream');
+var path = require('path');
+var stream = require('stream');
+var VE = require('verror').VError;
+
+
+
+///--- Globals
+
+var DEFAULT_CONCURRENCY = 10;
+var LINK_TYPES = [ 'mako', 'moray' ];
+
+
+
+///--- Helpers
+
+/*
+ * Links are made into manta_gc/mako/<storage id>/ or manta_gc/moray/<shard>/
+ * (see GcLinks).  Returns "mako" or "moray" for the destination, or "other".
+ */
+function linkType(to) {
+        var parts = to.split('/');
+        var i = parts.indexOf('manta_gc');
+
+        if (i !== -1 && LINK_TYPES.indexOf(parts[i + 1]) !== -1) {
+                return (parts[i + 1]);
+        }
+        return ('other');
+}
+
+
+function isNotFound(err) {
+        return (err.statusCode === 404 || err.name === 'NotFoundError' ||
+                err.name === 'ResourceNotFoundError');
+}
+
+
+
+///--- API
+
+/**
+ * Carries out the mmkdir and mln commands in GC links files (see GcLinks),
+ * several lines at a time.  An mln waits for any mmkdir of its directory
+ * that's still under way, and each directory is only made once, however many
+ * links files name it.
+ *
+ * A link whose destination already exists is left alone, since destinations
+ * are named after the job that wrote them, so it can only have been made by
+ * an earlier attempt at the same links file.  Links made, found to exist
+ * already, and failed are counted by the kind of destination, "mako" or
+ * "moray".
+ *
+ * Required Opts:
+ *    log:               Bunyan logger
+ *    mantaClient:       Manta client
+ *
+ * Optional Opts:
+ *    concurrency:       Lines in flight at once, per links file.  Defaults
+ *                       to 10.
+ */
+function LinkCreator(opts) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.object(opts.mantaClient, 'opts.mantaClient');
+        assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+
+        var self = this;
+        self.log = opts.log;
+        self.mantaClient = opts.mantaClient;
+        self.concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+        self.dirCache = {};
+        self.stats = {};
+        LINK_TYPES.forEach(function (type) {
+                self.statsFor(type);
+        });
+}
+
+module.exports = LinkCreator;
+
+
+
+///--- Methods
+
+LinkCreator.prototype.getStats = function getStats() {
+        return (this.stats);
+};
+
+
+LinkCreator.prototype.statsFor = function statsFor(type) {
+        if (!this.stats[type]) {
+                this.stats[type] = {
+                        created: 0,
+                        alreadyExisted: 0,
+                        failed: 0
+                };
+        }
+        return (this.stats[type]);
+};
+
+
+/* BEGIN JSSTYLED */
+/**
+ * Looks up the job that wrote a links file, through the job backend it ran
+ * on, calling back with the job's id and whether its links can be made:
+ * "running" while the job isn't done, "failed" if it was cancelled or had
+ * errors, and "done" otherwise.  Links files are named for the job (see
+ * kick_off_gc.js), like:
+ *
+ *    .../manta_gc/all/do/2013-04-29-18-10-07-600e0d9d-b9b0-43e7-8893-a292397bcbb1-X-06925570-b0f8-11e2-8ab7-1f4a20f74bfb-links
+ *                        [------ date -----]-[----------- job uuid -------------]-X-[----------- random uuid ----------]-links
+ */
+/* END JSSTYLED */
+LinkCreator.prototype.checkJob = function checkJob(backend, linksPath, cb) {
+        assert.object(backend, 'backend');
+        assert.string(linksPath, 'linksPath');
+        assert.func(cb, 'cb');
+
+        var jobId = path.basename(linksPath).split('-X-')[0].substring(20);
+
+        backend.getJob(jobId, function (err, job) {
+                if (err) {
+                        cb(VE(err, 'getting job "%s"', jobId));
+                        return;
+                }
+
+                var state = 'done';
+                if (job.state === 'running' || job.inputDone === false) {
+                        state = 'running';
+                } else if (job.cancelled === true ||
+                    (job.stats && job.stats.errors > 0)) {
+                        state = 'failed';
+                }
+                cb(null, { jobId: jobId, state: state });
+        });
+};
+
+
+/**
+ * Carries out the links file read from opts.input, calling cb once every line
+ * is done, or once the lines in flight have finished after one fails.
+ *
+ * If "resumeFrom" is given, that many lines are assumed to have been carried
+ * out by an earlier run and are skipped.  If "checkpoint" is given, it is
+ * called as checkpoint(lines, callback) as lines complete, with the number of
+ * lines for which every line up to and including that one is done.  Only one
+ * checkpoint is outstanding at a time.
+ *
+ * Required Opts:
+ *    log:               Bunyan logger
+ *    input:             Stream of the links file.
+ *
+ * Optional Opts:
+ *    resumeFrom:        Lines to skip.
+ *    checkpoint:        Progress callback, as above.
+ */
+LinkCreator.prototype.processLinks = function processLinks(opts, cb) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.object(opts.input, 'opts.input');
+        assert.optionalNumber(opts.resumeFrom, 'opts.resumeFrom');
+        assert.optionalFunc(opts.checkpoint, 'opts.checkpoint');
+        assert.func(cb, 'cb');
+
+        var self = this;
+        var log = opts.log;
+        var resumeFrom = opts.resumeFrom || 0;
+        var lines = 0;
+        var running = 0;
+        var inflight = [];
+        var checkpointing = false;
+        var ended = false;
+        var error = null;
+        var done = false;
+        var waiting = null;
+
+        function finish() {
+                if (done) {
+                        return;
+                }
+                if (error === null && !ended) {
+                        return;
+                }
+                if (running > 0 || checkpointing) {
+                        return;
+                }
+                done = true;
+                cb(error);
+        }
+
+        function fail(err) {
+                if (error === null) {
+                        error = err;
+                }
+                finish();
+        }
+
+        function checkpoint() {
+                var last = null;
+
+                if (checkpointing) {
+                        return;
+                }
+                while (inflight.length > 0 && inflight[0].complete) {
+                        last = inflight.shift();
+                }
+                if (last === null || !opts.checkpoint) {
+                        finish();
+                        return;
+                }
+
+                checkpointing = true;
+                opts.checkpoint(last.lines, function (err) {
+                        checkpointing = false;
+                        if (err) {
+                                fail(VE(err, 'checkpoint'));
+                                return;
+                        }
+                        checkpoint();
+                });
+        }
+
+        opts.input.on('error', function (err) {
+                fail(VE(err, 'streaming links'));
+        });
+
+        var w = new stream.Writable({ objectMode: true, highWaterMark: 0 });
+        w._write = function (line, _, next) {
+                assert.string(line, 'line');
+                assert.func(next, 'next');
+
+                if (error !== null) {
+                        //Stop reading; the caller gives up on the input.
+                        return;
+                }
+
+                lines++;
+                if (lines <= resumeFrom || line === '') {
+                        setImmediate(next);
+                        return;
+                }
+                if (lines === resumeFrom + 1 && resumeFrom > 0) {
+                        log.info({ resumeFrom: resumeFrom },
+                            'resuming from checkpoint');
+                }
+
+                var entry = {
+                        lines: lines,
+                        complete: false
+                };
+                inflight.push(entry);
+                running++;
+
+                self.processLine(log, line, function (err) {
+                        running--;
+                        if (err) {
+                                fail(err);
+                                return;
+                        }
+                        entry.complete = true;
+                        if (waiting !== null) {
+                                var wnext = waiting;
+                                waiting = null;
+                                setImmediate(wnext);
+                        }
+                        checkpoint();
+                });
+
+                if (running < self.concurrency) {
+                        setImmediate(next);
+                } else {
+                        waiting = next;
+                }
+        };
+
+        w.on('finish', function () {
+                ended = true;
+                finish();
+        });
+
+        opts.input.pipe(new lstream()).pipe(w);
+};
+
+
+LinkCreator.prototype.processLine = function processLine(log, line, cb) {
+        var parts = line.split(' ');
+
+        if (parts.length === 2 && parts[0] === 'mmkdir') {
+                this.createDirectory(log, parts[1], cb);
+        } else if (parts.length === 3 && parts[0] === 'mln') {
+                this.createLink(log, parts[1], parts[2], cb);
+        } else {
+                setImmediate(cb, new VE('invalid line: "%s"', line));
+        }
+};
+
+
+LinkCreator.prototype.createDirectory = function createDirectory(log, dirName,
+    done) {
+        assert.object(log, 'log');
+        assert.string(dirName, 'dirName');
+        assert.func(done, 'done');
+
+        var self = this;
+        var dc = self.dirCache[dirName];
+
+        if (!dc) {
+                /*
+                 * This directory has not yet been checked or created.
+                 */
+                dc = self.dirCache[dirName] = {
+                        dc_exists: false,
+                        dc_callbacks: [ done ]
+                };
+        } else if (dc.dc_exists) {
+                /*
+                 * This directory definitely exists already.
+                 */
+                setImmediate(done);
+                return;
+        } else {
+                /*
+                 * Wait for this directory to be processed by a mkdirp()
+                 * operation already underway.
+                 */
+                dc.dc_callbacks.push(done);
+                return;
+        }
+
+        log.info({ dirName: dirName }, 'creating directory');
+
+        self.mantaClient.mkdirp(dirName, function (dirErr) {
+                var wrapped = null;
+
+                if (dirErr) {
+                        wrapped = VE(dirErr, 'mmkdirp "%s"', dirName);
+                        delete self.dirCache[dirName];
+                } else {
+                        dc.dc_exists = true;
+                }
+
+                dc.dc_callbacks.forEach(function (otherNext) {
+                        setImmediate(otherNext, wrapped);
+                });
+                dc.dc_callbacks = null;
+        });
+};
+
+
+/*
+ * Calls cb once any mmkdir of dirName that's under way has finished.
+ */
+LinkCreator.prototype.whenDirectoryReady = function whenDirectoryReady(dirName,
+    cb) {
+        var dc = this.dirCache[dirName];
+
+        if (!dc || dc.dc_exists) {
+                setImmediate(cb);
+                return;
+        }
+        dc.dc_callbacks.push(cb);
+};
+
+
+LinkCreator.prototype.createLink = function createLink(log, from, to, done) {
+        assert.object(log, 'log');
+        assert.string(from, 'from');
+        assert.string(to, 'to');
+        assert.func(done, 'done');
+
+        var self = this;
+        var stats = self.statsFor(linkType(to));
+        var linkObj = { from: from, to: to };
+
+        function failed(err) {
+                stats.failed++;
+                done(err);
+        }
+
+        self.whenDirectoryReady(path.dirname(to), function (dirErr) {
+                if (dirErr) {
+                        failed(VE(dirErr, 'mln: from "%s" to "%s"', from, to));
+                        return;
+                }
+
+                self.mantaClient.info(to, function (infoErr) {
+                        if (!infoErr) {
+                                log.info({ linkObj: linkObj },
+                                    'link already exists');
+                                stats.alreadyExisted++;
+                                done();
+                                return;
+                        }
+                        if (!isNotFound(infoErr)) {
+                                failed(VE(infoErr, 'info "%s"', to));
+                                return;
+                        }
+
+                        log.info({ linkObj: linkObj }, 'linking object');
+
+                        self.mantaClient.ln(from, to, function (linkErr) {
+                                if (linkErr) {
+                                        failed(VE(linkErr,
+                                            'mln: from "%s" to "%s"',
+                                            from, to));
+                                        return;
+                                }
+                                stats.created++;
+                                done();
+                        });
+                });
+        });
+};
@@ -0,0 +1,532 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var child_process = require('child_process');
+var common = require('./common');
+var fs = require('fs');
+var MapReduceRunner = require('./map_reduce_runner').MapReduceRunner;
+var MemoryStream = require('memorystream');
+var os = require('os');
+var path = require('path');
+var vasync = require('vasync');
+var VE = require('verror').VError;
+
+
+
+///--- Globals
+
+var DEFAULT_WORK_DIR = '/var/tmp/mola-jobs';
+var DEFAULT_ASSET_ROOT = '/assets';
+
+
+
+///--- Helpers
+
+function isProcessAlive(pid) {
+        try {
+                process.kill(pid, 0);
+                return (true);
+        } catch (e) {
+                return (e.code === 'EPERM');
+        }
+}
+
+
+function mkdirIfNotExists(dir, cb) {
+        fs.mkdir(dir, parseInt('0700', 8), function (err) {
+                if (err && err.code !== 'EEXIST') {
+                        cb(err);
+                        return;
+                }
+                cb();
+        });
+}
+
+
+/*
+ * Translates the "manta" section of the mola config into the environment
+ * variables used by the node-manta command line tools.
+ */
+function mantaEnv(config) {
+        var env = {};
+        if (!config) {
+                return (env);
+        }
+        if (config.url) {
+                env.MANTA_URL = config.url;
+        }
+        if (config.user) {
+                env.MANTA_USER = config.user;
+        }
+        if (config.sign && config.sign.keyId) {
+                env.MANTA_KEY_ID = config.sign.keyId;
+        }
+        if (config.rejectUnauthorized === false) {
+                env.MANTA_TLS_INSECURE = '1';
+        }
+        return (env);
+}
+
+
+
+///--- API
+
+/**
+ * Execution backend that runs jobs as child processes on the local zone,
+ * for deployments that have no compute tier.  It accepts the same job
+ * definitions as Marlin: the phases are run by a MapReduceRunner with the
+ * input objects streamed from Manta into the first phase.  Once the job is
+ * done the output of the last phase is uploaded to Manta.  See
+ * MarlinJobBackend for the methods an execution backend implements.
+ *
+ * Job records are stored in Manta under $jobRoot/local_jobs/$jobId so that
+ * running jobs can be found and finished jobs audited by later runs.  A job
+ * left 'running' by a process that no longer exists on this host is marked
+ * done and cancelled when it is next looked at.
+ *
+ * Required Opts:
+ *    mantaClient:       An initialized Manta client.
+ *    jobRoot:           The Manta directory for the job.
+ *    log:               Bunyan logger
+ * Optional Opts:
+ *    workDir:           Local directory for task output.  Defaults to
+ *                       /var/tmp/mola-jobs.
+ *    assetRoot:         Local directory that assets are downloaded into, in
+ *                       the same layout as Marlin.  Defaults to /assets.
+ *    mantaConfig:       The "manta" section of the mola config, used to
+ *                       give tasks access to Manta.
+ *    concurrency:       How many tasks to run at once.  Defaults to 1.
+ */
+function LocalJobBackend(opts) {
+        assert.object(opts, 'opts');
+        assert.object(opts.mantaClient, 'opts.mantaClient');
+        assert.string(opts.jobRoot, 'opts.jobRoot');
+        assert.object(opts.log, 'opts.log');
+        assert.optionalString(opts.workDir, 'opts.workDir');
+        assert.optionalString(opts.assetRoot, 'opts.assetRoot');
+        assert.optionalObject(opts.mantaConfig, 'opts.mantaConfig');
+        assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+
+        this.name = 'local';
+        this.mantaClient = opts.mantaClient;
+        this.log = opts.log;
+        this.recordDir = opts.jobRoot + '/local_jobs';
+        this.workDir = opts.workDir || DEFAULT_WORK_DIR;
+        this.assetRoot = opts.assetRoot || DEFAULT_ASSET_ROOT;
+        this.env = mantaEnv(opts.mantaConfig);
+        this.concurrency = opts.concurrency;
+}
+
+module.exports = LocalJobBackend;
+
+
+
+///--- Job records
+
+LocalJobBackend.prototype.recordPath = function recordPath(jobId) {
+        return (this.recordDir + '/' + jobId + '/job.json');
+};
+
+
+LocalJobBackend.prototype.putRecord = function putRecord(record, cb) {
+        var recordString = JSON.stringify(record);
+        var o = { size: Buffer.byteLength(recordString), mkdirs: true };
+        var s = new MemoryStream();
+
+        this.mantaClient.put(this.recordPath(record.id), s, o, function (err) {
+                cb(err);
+        });
+
+        process.nextTick(function () {
+                s.write(recordString);
+                s.end();
+        });
+};
+
+
+/*
+ * Fetches a job record, marking it as cancelled if the process that was
+ * running it has gone away.
+ */
+LocalJobBackend.prototype.getJob = function getJob(jobId, cb) {
+        assert.string(jobId, 'jobId');
+
+        var self = this;
+
+        common.getObject({
+                'client': self.mantaClient,
+                'path': self.recordPath(jobId)
+        }, function (err, data) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                var record;
+                try {
+                        record = JSON.parse(data);
+                } catch (e) {
+                        cb(VE(e, 'parsing job record for "%s"', jobId));
+                        return;
+                }
+
+                if (record.state === 'done' || record.host !== os.hostname() ||
+                    isProcessAlive(record.pid)) {
+                        cb(null, record);
+                        return;
+                }
+
+                self.log.info({ jobId: jobId, pid: record.pid },
+                    'Process for local job no longer exists, marking ' +
+                    'job as cancelled.');
+                record.state = 'done';
+                record.cancelled = true;
+                record.timeDone = new Date();
+                self.putRecord(record, function (err2) {
+                        cb(err2, record);
+                });
+        });
+};
+
+
+LocalJobBackend.prototype.listJobs = function listJobs(jobName, cb) {
+        assert.string(jobName, 'jobName');
+
+        var self = this;
+
+        self.mantaClient.ls(self.recordDir, {}, function (err, res) {
+                if (err && (err.name === 'ResourceNotFoundError' ||
+                            err.code === 'NotFoundError')) {
+                        cb(null, []);
+                        return;
+                }
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                var jobIds = [];
+
+                res.on('directory', function (d) {
+                        jobIds.push(d.name);
+                });
+
+                res.on('error', function (err2) {
+                        cb(err2);
+                });
+
+                res.on('end', function () {
+                        vasync.forEachPipeline({
+                                func: self.getJob.bind(self),
+                                inputs: jobIds
+                        }, function (err3, results) {
+                                if (err3) {
+                                        cb(err3);
+                                        return;
+                                }
+                                cb(null, results.successes.filter(
+                                    function (j) {
+                                        return (j.name === jobName);
+                                }));
+                        });
+                });
+        });
+};
+
+
+LocalJobBackend.prototype.cancelJob = function cancelJob(jobId, cb) {
+        assert.string(jobId, 'jobId');
+
+        var self = this;
+
+        self.getJob(jobId, function (err, record) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+                if (record.state === 'done') {
+                        cb();
+                        return;
+                }
+                if (record.host !== os.hostname()) {
+                        cb(new VE('job "%s" is running on another host (%s)',
+                            jobId, record.host));
+                        return;
+                }
+
+                try {
+                        process.kill(record.pid, 'SIGTERM');
+                } catch (e) {
+                        if (e.code !== 'ESRCH') {
+                                cb(e);
+                                return;
+                        }
+                }
+
+                record.state = 'done';
+                record.cancelled = true;
+                record.timeDone = new Date();
+                self.putRecord(record, cb);
+        });
+};
+
+
+LocalJobBackend.prototype.getJobOutputs = function getJobOutputs(jobId, cb) {
+        assert.string(jobId, 'jobId');
+
+        this.getJob(jobId, function (err, record) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+                cb(null, record.outputs || []);
+        });
+};
+
+
+
+///--- Running jobs
+
+LocalJobBackend.prototype.createJob = function createJob(job, objects, cb) {
+        assert.object(job, 'job');
+        assert.arrayOfObject(job.phases, 'job.phases');
+        assert.arrayOfString(objects, 'objects');
+
+        var self = this;
+        var jobId = common.uuid();
+        var log = self.log.child({ jobId: jobId });
+        var ctx = {
+                log: log,
+                job: job,
+                jobDir: path.join(self.workDir, jobId),
+                inputs: objects.map(function (o) {
+                        return ({ key: o });
+                }),
+                record: {
+                        'id': jobId,
+                        'name': job.name,
+                        'state': 'running',
+                        'cancelled': false,
+                        'inputDone': true,
+                        'phases': job.phases,
+                        'timeCreated': new Date(),
+                        'host': os.hostname(),
+                        'pid': process.pid,
+                        'stats': {
+                                'errors': 0,
+                                'outputs': 0,
+                                'tasks': 0,
+                                'tasksDone': 0
+                        },
+                        'errors': [],
+                        'outputs': []
+                }
+        };
+
+        vasync.pipeline({
+                'funcs': [
+                        function putInitialRecord(_, subcb) {
+                                self.putRecord(ctx.record, subcb);
+                        },
+                        self.setupWorkDir.bind(self),
+                        self.setupAssets.bind(self),
+                        self.runPhases.bind(self),
+                        self.uploadOutputs.bind(self)
+                ],
+                'arg': ctx
+        }, function (err) {
+                child_process.execFile('rm', [ '-rf', ctx.jobDir ],
+                    function (rmErr) {
+                        if (rmErr) {
+                                log.warn(rmErr, 'Could not remove job work ' +
+                                    'directory.');
+                        }
+
+                        if (err) {
+                                self.failJob(ctx, VE(err, 'local job "%s"',
+                                    jobId), cb);
+                                return;
+                        }
+
+                        ctx.record.state = 'done';
+                        ctx.record.timeDone = new Date();
+                        log.info({ stats: ctx.record.stats },
+                            'Local job done.');
+                        self.putRecord(ctx.record, function (err2) {
+                                cb(err2, jobId);
+                        });
+                });
+        });
+};
+
+
+/*
+ * Records a job that couldn't be run as done and cancelled, the way Marlin
+ * shows a job that failed, and calls back with the error and the job's id so
+ * that it's still audited.
+ */
+LocalJobBackend.prototype.failJob = function failJob(ctx, err, cb) {
+        var record = ctx.record;
+
+        ctx.log.error(err, 'Local job failed.');
+        record.state = 'done';
+        record.cancelled = true;
+        record.timeDone = new Date();
+        record.stats.errors++;
+        record.errors.push({
+                'code': 'InternalError',
+                'message': err.message
+        });
+        this.putRecord(record, function (err2) {
+                if (err2) {
+                        ctx.log.warn(err2, 'Could not record failed job.');
+                }
+                cb(err, record.id);
+        });
+};
+
+
+LocalJobBackend.prototype.setupWorkDir = function setupWorkDir(ctx, cb) {
+        var self = this;
+
+        vasync.forEachPipeline({
+                'func': mkdirIfNotExists,
+                'inputs': [ self.workDir, ctx.jobDir ]
+        }, function (err) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                ctx.env = {};
+                var k;
+                for (k in process.env) {
+                        ctx.env[k] = process.env[k];
+                }
+                for (k in self.env) {
+                        ctx.env[k] = self.env[k];
+                }
+                ctx.env.MANTA_USER = self.mantaClient.user;
+                ctx.env.MANTA_JOB_ID = ctx.record.id;
+                cb();
+        });
+};
+
+
+/*
+ * Downloads every asset named by the job's phases to the same path under the
+ * asset root as Marlin would use, so that the phase commands can find them.
+ */
+LocalJobBackend.prototype.setupAssets = function setupAssets(ctx, cb) {
+        var self = this;
+        var assets = [];
+
+        ctx.job.phases.forEach(function (p) {
+                (p.assets || []).forEach(function (a) {
+                        if (assets.indexOf(a) === -1) {
+                                assets.push(a);
+                        }
+                });
+        });
+
+        vasync.forEachPipeline({
+                'inputs': assets,
+                'func': function fetchAsset(asset, subcb) {
+                        var file = path.join(self.assetRoot, asset);
+                        ctx.log.info({ asset: asset, file: file },
+                            'Fetching asset.');
+                        child_process.execFile('mkdir', [ '-p',
+                            path.dirname(file) ], function (err) {
+                                if (err) {
+                                        subcb(err);
+                                        return;
+                                }
+                                common.getObjectToFile({
+                                        'client': self.mantaClient,
+                                        'file': file,
+                                        'path': asset
+                                }, subcb);
+                        });
+                }
+        }, function (err) {
+                cb(err);
+        });
+};
+
+
+LocalJobBackend.prototype.runPhases = function runPhases(ctx, cb) {
+        var self = this;
+        var record = ctx.record;
+
+        ctx.log.info({ inputs: ctx.inputs }, 'Running local job.');
+
+        var runner = new MapReduceRunner({
+                'log': ctx.log,
+                'phases': ctx.job.phases,
+                'workDir': ctx.jobDir,
+                'env': ctx.env,
+                'outputBase': '/' + self.mantaClient.user + '/jobs/' +
+                    record.id + '/stor',
+                'concurrency': self.concurrency,
+                'openInput': function (input, subcb) {
+                        self.mantaClient.get(input.key, {}, subcb);
+                }
+        });
+
+        runner.run(ctx.inputs, function (err, outputs) {
+                record.stats.tasks = runner.stats.tasks;
+                record.stats.tasksDone = runner.stats.tasksDone;
+                record.stats.errors = runner.stats.errors;
+                record.errors = runner.errors;
+                ctx.outputs = outputs;
+                cb(err);
+        });
+};
+
+
+/*
+ * Uploads the output of the last phase to Manta, recording the object paths
+ * in the job record.
+ */
+LocalJobBackend.prototype.uploadOutputs = function uploadOutputs(ctx, cb) {
+        var self = this;
+        var outDir = self.recordDir + '/' + ctx.record.id + '/out';
+
+        vasync.forEachPipeline({
+                'inputs': ctx.outputs,
+                'func': function uploadOutput(output, subcb) {
+                        var p = outDir + '/' + path.basename(output.file);
+                        fs.stat(output.file, function (err, stats) {
+                                if (err) {
+                                        subcb(err);
+                                        return;
+                                }
+                                var s = fs.createReadStream(output.file);
+                                var o = { size: stats.size, mkdirs: true };
+                                s.pause();
+                                s.on('open', function () {
+                                        self.mantaClient.put(p, s, o,
+                                            function (err2) {
+                                                if (err2) {
+                                                        subcb(err2);
+                                                        return;
+                                                }
+                                                ctx.record.outputs.push(p);
+                                                ctx.record.stats.outputs++;
+                                                subcb();
+                                        });
+                                });
+                        });
+                }
+        }, function (err) {
+                cb(err);
+        });
+};
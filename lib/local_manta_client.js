@@ -0,0 +1,253 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var path = require('path');
+var stream = require('stream');
+var VE = require('verror').VError;
+
+var common = require('./common');
+
+
+
+///--- Globals
+
+var FILE_URL_PREFIX = 'file://';
+
+
+
+///--- Helpers
+
+/**
+ * Returns the local path of a file:// URL, or null if str isn't one.
+ */
+function parseFileUrl(str) {
+        assert.string(str, 'str');
+
+        if (str.indexOf(FILE_URL_PREFIX) !== 0) {
+                return (null);
+        }
+        return (str.substr(FILE_URL_PREFIX.length));
+}
+
+
+
+///--- API
+
+/**
+ * Stands in for the parts of the node-manta client used by the GC output
+ * stage (mdemux.js and gc_create_links.js) and by MakoCleaner, keeping
+ * objects on local disk instead, so that they can be run without Manta.  Manta
+ * paths are relative to root, so with a root of /var/tmp/gc, the object
+ * /poseidon/stor/manta_gc/mako/1.stor/x is the file
+ * /var/tmp/gc/poseidon/stor/manta_gc/mako/1.stor/x.
+ *
+ * Directories are created as needed, and links are hard links, which, like
+ * Manta's snaplinks, share their data with the source.
+ *
+ * Required Opts:
+ *    root:              The local directory that stands in for "/".
+ */
+function LocalMantaClient(opts) {
+        assert.object(opts, 'opts');
+        assert.string(opts.root, 'opts.root');
+
+        this.root = opts.root;
+}
+
+module.exports = {
+        LocalMantaClient: LocalMantaClient,
+        parseFileUrl: parseFileUrl
+};
+
+
+
+///--- Methods
+
+LocalMantaClient.prototype.localPath = function localPath(p) {
+        assert.string(p, 'p');
+        return (path.join(this.root, p));
+};
+
+
+/**
+ * Writes a stream to an object.  The object only appears once it has all
+ * been written.
+ */
+LocalMantaClient.prototype.put = function put(p, input, opts, cb) {
+        if (typeof (opts) === 'function') {
+                cb = opts;
+        }
+        assert.func(cb, 'cb');
+
+        var file = this.localPath(p);
+        var tmp = file + '.tmp.' + process.pid;
+        var done = false;
+
+        function finish(err) {
+                if (done) {
+                        return;
+                }
+                done = true;
+                cb(err ? VE(err, 'put "%s"', p) : null);
+        }
+
+        common.mkdirp(path.dirname(file), function (err) {
+                if (err) {
+                        finish(err);
+                        return;
+                }
+
+                var out = fs.createWriteStream(tmp);
+                out.on('error', finish);
+                input.on('error', finish);
+                out.on('finish', function () {
+                        fs.rename(tmp, file, finish);
+                });
+                input.pipe(out);
+        });
+};
+
+
+LocalMantaClient.prototype.createReadStream = function createReadStream(p) {
+        return (fs.createReadStream(this.localPath(p)));
+};
+
+
+LocalMantaClient.prototype.get = function get(p, opts, cb) {
+        if (typeof (opts) === 'function') {
+                cb = opts;
+        }
+        assert.func(cb, 'cb');
+
+        var file = this.localPath(p);
+        fs.stat(file, function (err, stats) {
+                if (err) {
+                        cb(err.code === 'ENOENT' ?
+                            new VE({ name: 'ResourceNotFoundError' },
+                            '"%s" does not exist', p) : VE(err, 'get "%s"', p));
+                        return;
+                }
+                cb(null, fs.createReadStream(file), {
+                        headers: {
+                                'content-length': String(stats.size),
+                                etag: String(stats.mtime.getTime())
+                        }
+                });
+        });
+};
+
+
+/**
+ * Lists a directory as a stream of { name, type } entries, sorted by name.
+ * opts.type, if given, limits the list to entries of that type ("object" or
+ * "directory").
+ */
+LocalMantaClient.prototype.createListStream = function createListStream(p,
+    opts) {
+        var dir = this.localPath(p);
+        var type = (opts && opts.type) ? opts.type : null;
+        var ls = new stream.PassThrough({ objectMode: true });
+
+        fs.readdir(dir, function (err, names) {
+                if (err) {
+                        ls.emit('error', err.code === 'ENOENT' ?
+                            new VE({ name: 'ResourceNotFoundError' },
+                            '"%s" does not exist', p) : VE(err, 'ls "%s"', p));
+                        return;
+                }
+                names.sort().forEach(function (name) {
+                        var st;
+                        try {
+                                st = fs.statSync(path.join(dir, name));
+                        } catch (e) {
+                                //Removed since it was listed.
+                                return;
+                        }
+                        var t = st.isDirectory() ? 'directory' : 'object';
+                        if (type === null || type === t) {
+                                ls.write({ name: name, type: t });
+                        }
+                });
+                ls.end();
+        });
+        return (ls);
+};
+
+
+LocalMantaClient.prototype.mkdirp = function mkdirpObject(p, cb) {
+        assert.func(cb, 'cb');
+        common.mkdirp(this.localPath(p), function (err) {
+                cb(err ? VE(err, 'mkdirp "%s"', p) : null);
+        });
+};
+
+
+/**
+ * Stats an object, failing with a NotFoundError if it doesn't exist, as
+ * Manta does.
+ */
+LocalMantaClient.prototype.info = function info(p, opts, cb) {
+        if (typeof (opts) === 'function') {
+                cb = opts;
+        }
+        assert.func(cb, 'cb');
+        fs.stat(this.localPath(p), function (err, stats) {
+                if (err && err.code === 'ENOENT') {
+                        cb(new VE({ name: 'NotFoundError' },
+                            '"%s" does not exist', p));
+                        return;
+                }
+                if (err) {
+                        cb(VE(err, 'info "%s"', p));
+                        return;
+                }
+                cb(null, {
+                        size: stats.size,
+                        type: stats.isDirectory() ? 'directory' : 'object'
+                });
+        });
+};
+
+
+/**
+ * Links the object "from" to "to", replacing anything already at "to".
+ */
+LocalMantaClient.prototype.ln = function ln(from, to, cb) {
+        assert.func(cb, 'cb');
+
+        var src = this.localPath(from);
+        var dst = this.localPath(to);
+
+        fs.unlink(dst, function (err) {
+                if (err && err.code !== 'ENOENT') {
+                        cb(VE(err, 'ln "%s" "%s"', from, to));
+                        return;
+                }
+                fs.link(src, dst, function (err2) {
+                        cb(err2 ? VE(err2, 'ln "%s" "%s"', from, to) : null);
+                });
+        });
+};
+
+
+LocalMantaClient.prototype.unlink = function unlink(p, opts, cb) {
+        if (typeof (opts) === 'function') {
+                cb = opts;
+        }
+        assert.func(cb, 'cb');
+        fs.unlink(this.localPath(p), function (err) {
+                cb(err ? VE(err, 'unlink "%s"', p) : null);
+        });
+};
+
+
+LocalMantaClient.prototype.close = function close() {};
@@ -0,0 +1,406 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var lstream = require('lstream');
+var path = require('path');
+var stream = require('stream');
+var vasync = require('vasync');
+var VE = require('verror').VError;
+
+var common = require('./common');
+var mod_instructions = require('./instruction_format');
+
+
+
+///--- Globals
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+//The instruction formats that mako instruction objects may be in.  Cruft
+// instructions are linked in alongside those written by GC.
+var MAKO_FORMATS = [ 'gc-mako', 'cruft-mako' ];
+
+//Invalid lines are listed in the report, up to this many.
+var MAX_REPORTED_INVALID = 100;
+
+
+
+///--- Helpers
+
+/**
+ * Parses a line of a mako instruction object, in the "gc-mako" format (the
+ * default) written by gc.js, or the "cruft-mako" format written by cruft.js
+ * (see instruction_format.js).  Both start:
+ *
+ *    mako + [TAB] + [storage id] + [TAB] + [owner] + [TAB] + [objectId]
+ *
+ * Throws if the line isn't one.  The owner and object id must be uuids, as
+ * they make up the path of the object on the storage node.
+ */
+function parseMakoInstruction(line, format) {
+        assert.string(line, 'line');
+        assert.optionalString(format, 'format');
+
+        var inst = mod_instructions.parseInstruction(format || 'gc-mako',
+            line);
+        if (inst.type !== 'mako') {
+                throw (new VE('invalid mako instruction: "%s"', line));
+        }
+        if (inst.mantaStorageId === '') {
+                throw (new VE('invalid storage id: "%s"', line));
+        }
+        if (!UUID_RE.test(inst.owner)) {
+                throw (new VE('invalid owner: "%s"', line));
+        }
+        if (!UUID_RE.test(inst.objectId)) {
+                throw (new VE('invalid object id: "%s"', line));
+        }
+        return ({
+                mantaStorageId: inst.mantaStorageId,
+                owner: inst.owner,
+                objectId: inst.objectId
+        });
+}
+
+
+
+///--- API
+
+/**
+ * Carries out, on a storage node, the mako instructions that a GC job wrote
+ * for it, as mako_gc.sh does in the mako zone.  It can be pointed at a local
+ * directory tree (and at a LocalMantaClient) to check that what the GC job
+ * writes is what a storage node can act on.
+ *
+ * Instruction objects are read from <gcRoot>/mako/<storageId>/, where
+ * gc_create_links.js links them.  For each valid line, the object
+ * <root>/<owner>/<objectId> is moved to
+ * <tombstoneRoot>/<YYYY-MM-DD>/<objectId>, where the date is the day the
+ * instruction object was processed.  Objects that are already gone are
+ * counted, but aren't an error, so an instruction object can be processed
+ * again if an earlier attempt died part way through.  Invalid lines, including
+ * those for other storage nodes, are skipped and counted.
+ * An instruction object in a format or version that can't be read (see
+ * instruction_format.js) is an error, and is left alone.
+ *
+ * Once an instruction object is done, a JSON report of what was done is
+ * written to <gcRoot>/mako_reports/<storageId>/<instruction object name> and
+ * the instruction object is removed.
+ *
+ * Required Opts:
+ *    log:               Bunyan logger
+ *    mantaClient:       Manta client
+ *    gcRoot:            The GC job root, e.g. /poseidon/stor/manta_gc
+ *    storageId:         This storage node's storage id, e.g.
+ *                       1.stor.coal.joyent.us
+ *    root:              The local directory objects are stored under, e.g.
+ *                       /manta
+ *
+ * Optional Opts:
+ *    tombstoneRoot:     The local directory to move objects to.  Defaults to
+ *                       <root>/tombstone.
+ */
+function MakoCleaner(opts) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.object(opts.mantaClient, 'opts.mantaClient');
+        assert.string(opts.gcRoot, 'opts.gcRoot');
+        assert.string(opts.storageId, 'opts.storageId');
+        assert.string(opts.root, 'opts.root');
+        assert.optionalString(opts.tombstoneRoot, 'opts.tombstoneRoot');
+
+        this.log = opts.log;
+        this.mantaClient = opts.mantaClient;
+        this.gcRoot = opts.gcRoot;
+        this.storageId = opts.storageId;
+        this.root = opts.root;
+        this.tombstoneRoot = opts.tombstoneRoot ||
+                path.join(opts.root, 'tombstone');
+        this.stats = {
+                instructionObjects: 0,
+                tombstoned: 0,
+                bytesTombstoned: 0,
+                alreadyGone: 0,
+                invalid: 0
+        };
+}
+
+module.exports = {
+        MakoCleaner: MakoCleaner,
+        parseMakoInstruction: parseMakoInstruction
+};
+
+
+
+///--- Methods
+
+MakoCleaner.prototype.getStats = function getStats() {
+        return (this.stats);
+};
+
+
+MakoCleaner.prototype.instructionDir = function instructionDir() {
+        return (this.gcRoot + '/mako/' + this.storageId);
+};
+
+
+MakoCleaner.prototype.reportPath = function reportPath(objPath) {
+        return (this.gcRoot + '/mako_reports/' + this.storageId + '/' +
+                path.basename(objPath));
+};
+
+
+/**
+ * Processes every instruction object waiting for this storage node, one at a
+ * time, oldest first.
+ */
+MakoCleaner.prototype.run = function run(cb) {
+        assert.func(cb, 'cb');
+
+        var self = this;
+        var dir = self.instructionDir();
+
+        common.listDir(self.mantaClient, dir, 'object', function (err, names) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                if (names.length === 0) {
+                        self.log.info({ dir: dir }, 'no instructions found');
+                }
+
+                vasync.forEachPipeline({
+                        inputs: names,
+                        func: function (name, subcb) {
+                                self.cleanObject(dir + '/' + name, subcb);
+                        }
+                }, function (err2) {
+                        cb(err2);
+                });
+        });
+};
+
+
+/**
+ * Carries out one instruction object, then reports on it and removes it.
+ */
+MakoCleaner.prototype.cleanObject = function cleanObject(objPath, cb) {
+        assert.string(objPath, 'objPath');
+        assert.func(cb, 'cb');
+
+        var self = this;
+        var log = self.log.child({ objPath: objPath });
+        var startTime = new Date();
+
+        log.info('processing mako instructions');
+
+        self.mantaClient.get(objPath, {}, function (err, s) {
+                if (err) {
+                        cb(VE(err, 'get "%s"', objPath));
+                        return;
+                }
+
+                self.cleanStream({
+                        log: log,
+                        input: s,
+                        date: startTime
+                }, function (cErr, result) {
+                        if (cErr) {
+                                cb(VE(cErr, 'processing "%s"', objPath));
+                                return;
+                        }
+
+                        result.instruction = objPath;
+                        result.startTime = startTime;
+                        result.endTime = new Date();
+                        self.report(log, objPath, result, cb);
+                });
+        });
+};
+
+
+MakoCleaner.prototype.report = function report(log, objPath, result, cb) {
+        var self = this;
+        var rpath = self.reportPath(objPath);
+        var body = new stream.PassThrough();
+
+        self.mantaClient.put(rpath, body, { mkdirs: true }, function (err) {
+                if (err) {
+                        cb(VE(err, 'put report "%s"', rpath));
+                        return;
+                }
+                self.mantaClient.unlink(objPath, {}, function (ulErr) {
+                        if (ulErr) {
+                                cb(VE(ulErr, 'unlink "%s"', objPath));
+                                return;
+                        }
+                        self.stats.instructionObjects++;
+                        log.info({ result: result },
+                            'mako instructions complete');
+                        cb(null, result);
+                });
+        });
+        body.end(JSON.stringify(result) + '\n');
+};
+
+
+/**
+ * Carries out the mako instructions read from opts.input, calling back with
+ * the counts of what was done.
+ *
+ * Required Opts:
+ *    log:               Bunyan logger
+ *    input:             Stream of an instruction object.
+ *    date:              The date of the tombstone directory to use.
+ */
+MakoCleaner.prototype.cleanStream = function cleanStream(opts, cb) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.object(opts.input, 'opts.input');
+        assert.date(opts.date, 'opts.date');
+        assert.func(cb, 'cb');
+
+        var self = this;
+        var log = opts.log;
+        var done = false;
+        var tombstoneDir = path.join(self.tombstoneRoot,
+            opts.date.toISOString().substr(0, 10));
+        var headers = new mod_instructions.InstructionHeaderStream({
+                formats: MAKO_FORMATS,
+                legacyFormat: 'gc-mako'
+        });
+        var result = {
+                storageId: self.storageId,
+                format: null,
+                version: null,
+                tombstoneDir: tombstoneDir,
+                tombstoned: 0,
+                bytesTombstoned: 0,
+                alreadyGone: 0,
+                invalid: 0,
+                invalidLines: []
+        };
+
+        function finish(err) {
+                if (done) {
+                        return;
+                }
+                done = true;
+                cb(err, err ? undefined : result);
+        }
+
+        function invalid(line, err) {
+                log.warn({ err: err }, 'skipping invalid mako instruction');
+                result.invalid++;
+                self.stats.invalid++;
+                if (result.invalidLines.length < MAX_REPORTED_INVALID) {
+                        result.invalidLines.push(line);
+                }
+        }
+
+        opts.input.on('error', function (err) {
+                finish(VE(err, 'streaming instructions'));
+        });
+        headers.on('error', function (err) {
+                finish(err);
+        });
+        headers.on('header', function (header) {
+                result.format = header.format;
+                result.version = header.version;
+        });
+
+        var w = new stream.Writable({ objectMode: true, highWaterMark: 0 });
+        w._write = function (line, _, next) {
+                if (done || line === '') {
+                        setImmediate(next);
+                        return;
+                }
+
+                var entry;
+                try {
+                        entry = parseMakoInstruction(line, headers.format);
+                } catch (e) {
+                        invalid(line, e);
+                        setImmediate(next);
+                        return;
+                }
+                if (entry.mantaStorageId !== self.storageId) {
+                        invalid(line, new VE('instruction for storage id ' +
+                            '"%s"', entry.mantaStorageId));
+                        setImmediate(next);
+                        return;
+                }
+
+                self.tombstone(entry, tombstoneDir, function (err, size) {
+                        if (err) {
+                                finish(err);
+                                return;
+                        }
+                        if (size === null) {
+                                result.alreadyGone++;
+                                self.stats.alreadyGone++;
+                        } else {
+                                result.tombstoned++;
+                                result.bytesTombstoned += size;
+                                self.stats.tombstoned++;
+                                self.stats.bytesTombstoned += size;
+                        }
+                        next();
+                });
+        };
+        w.on('finish', function () {
+                finish();
+        });
+
+        opts.input.pipe(new lstream()).pipe(headers).pipe(w);
+};
+
+
+/*
+ * Moves an object into the tombstone directory, calling back with its size,
+ * or null if it doesn't exist.
+ */
+MakoCleaner.prototype.tombstone = function tombstone(entry, tombstoneDir, cb) {
+        var src = path.join(this.root, entry.owner, entry.objectId);
+        var dst = path.join(tombstoneDir, entry.objectId);
+
+        fs.stat(src, function (err, stats) {
+                if (err && err.code === 'ENOENT') {
+                        cb(null, null);
+                        return;
+                }
+                if (err) {
+                        cb(VE(err, 'stat "%s"', src));
+                        return;
+                }
+
+                common.mkdirp(tombstoneDir, function (dErr) {
+                        if (dErr) {
+                                cb(VE(dErr, 'mkdir "%s"', tombstoneDir));
+                                return;
+                        }
+                        fs.rename(src, dst, function (rErr) {
+                                if (rErr && rErr.code === 'ENOENT') {
+                                        cb(null, null);
+                                        return;
+                                }
+                                if (rErr) {
+                                        cb(VE(rErr, 'rename "%s" "%s"',
+                                            src, dst));
+                                        return;
+                                }
+                                cb(null, stats.size);
+                        });
+                });
+        });
+};
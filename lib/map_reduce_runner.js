@@ -0,0 +1,656 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var child_process = require('child_process');
+var common = require('./common');
+var crypto = require('crypto');
+var fs = require('fs');
+var lstream = require('lstream');
+var path = require('path');
+var stream = require('stream');
+var util = require('util');
+var vasync = require('vasync');
+
+
+
+///--- Globals
+
+var DEFAULT_CONCURRENCY = 1;
+var MAX_STDERR_BYTES = 4096;
+
+/*
+ * Job phases written for Marlin make use of a few commands that only exist
+ * inside a compute zone.  When running locally we put stand-ins for these at
+ * the front of the PATH of every task.
+ *
+ * msplit: The runner partitions the output of every task across the
+ *         reducers of the next phase itself, so msplit only passes its input
+ *         through, noting the delimiter (-d) and fields (-f) to partition on
+ *         in $MOLA_MSPLIT_FILE for the runner.  The number of reducers (-n)
+ *         comes from the phase, and other options aren't supported.
+ *
+ * mpipe:  Uploads stdin (or the file named with -f) to a Manta object, using
+ *         the mput command from node-manta.
+ *
+ * mput:   The mput command from node-manta itself, which compute zones also
+ *         have.
+ */
+/* BEGIN JSSTYLED */
+var SHIMS = {
+        'msplit': '#!/bin/bash\n' +
+                'd=$\'\\t\'\n' +
+                'f=1\n' +
+                'while getopts "d:f:n:" c; do\n' +
+                '        case $c in\n' +
+                '        d) d="$OPTARG" ;;\n' +
+                '        f) f="$OPTARG" ;;\n' +
+                '        n) ;;\n' +
+                '        *) echo "msplit: only -d, -f and -n are supported" \\\n' +
+                '               "by the local runner" >&2\n' +
+                '           exit 2 ;;\n' +
+                '        esac\n' +
+                'done\n' +
+                'if [[ -n "$MOLA_MSPLIT_FILE" ]]; then\n' +
+                '        printf "%s\\n%s" "$f" "$d" >"$MOLA_MSPLIT_FILE"\n' +
+                'fi\n' +
+                'exec cat\n',
+        'mpipe': '#!/bin/bash\n' +
+                'args=()\n' +
+                'while getopts "f:pH:" c; do\n' +
+                '        case $c in\n' +
+                '        f) args+=(-f "$OPTARG") ;;\n' +
+                '        esac\n' +
+                'done\n' +
+                'shift $((OPTIND - 1))\n' +
+                'exec "$MOLA_NODE" "$MOLA_MPUT" -p "${args[@]}" "$1"\n',
+        'mput': '#!/bin/bash\n' +
+                'exec "$MOLA_NODE" "$MOLA_MPUT" "$@"\n'
+};
+/* END JSSTYLED */
+
+
+
+///--- Helpers
+
+/*
+ * Returns the reducer, in [0, n), that a line with the given partition key
+ * is sent to.  Like msplit, this is the md5 of the key modulo the number of
+ * reducers, so all lines with the same key end up at the same reducer.
+ */
+function partitionFor(key, n) {
+        assert.string(key, 'key');
+        assert.number(n, 'n');
+
+        var digest = crypto.createHash('md5').update(key).digest('hex');
+        return (parseInt(digest.substr(0, 8), 16) % n);
+}
+
+
+/*
+ * Like vasync.forEachPipeline, but with up to "concurrency" calls to func
+ * outstanding at once.
+ */
+function forEachConcurrent(inputs, concurrency, func, cb) {
+        var errors = [];
+        var q = vasync.queue(function (input, qcb) {
+                func(input, function (err) {
+                        if (err) {
+                                errors.push(err);
+                        }
+                        qcb();
+                });
+        }, concurrency);
+
+        q.once('end', function () {
+                cb(errors.length > 0 ? errors[0] : null);
+        });
+
+        inputs.forEach(function (input) {
+                q.push(input);
+        });
+        q.close();
+}
+
+
+/*
+ * Reads the options the msplit shim noted for a task (see SHIMS): the fields
+ * on one line, then the delimiter.  Returns null if the task didn't run
+ * msplit.
+ */
+function readMsplitOptions(file) {
+        var data;
+        try {
+                data = fs.readFileSync(file, 'utf8');
+        } catch (e) {
+                if (e.code === 'ENOENT') {
+                        return (null);
+                }
+                throw (e);
+        }
+
+        var i = data.indexOf('\n');
+        var fields = data.substr(0, i).split(',').map(function (f) {
+                return (parseInt(f, 10));
+        });
+        fields.forEach(function (f) {
+                if (isNaN(f) || f < 1) {
+                        throw (new Error('msplit: invalid field list "' +
+                            data.substr(0, i) + '"'));
+                }
+        });
+        return ({
+                delimiter: data.substr(i + 1),
+                fields: fields
+        });
+}
+
+
+/*
+ * A writable stream of lines that distributes them across a set of files by
+ * a partition key, made of the given fields (numbered from 1) of the line,
+ * split on the delimiter.  By default this is the first tab-delimited field,
+ * as for msplit.
+ */
+function PartitionStream(opts) {
+        var self = this;
+
+        assert.arrayOfObject(opts.outputs, 'opts.outputs');
+        assert.optionalString(opts.delimiter, 'opts.delimiter');
+        assert.optionalArrayOfNumber(opts.fields, 'opts.fields');
+
+        stream.Writable.call(this, {
+                objectMode: true,
+                highWaterMark: 0
+        });
+
+        self.ps_outputs = opts.outputs;
+        self.ps_delimiter = opts.delimiter || '\t';
+        self.ps_fields = opts.fields || [ 1 ];
+}
+util.inherits(PartitionStream, stream.Writable);
+
+PartitionStream.prototype._write = function psWrite(line, _, done) {
+        var parts = line.split(this.ps_delimiter);
+        var key = this.ps_fields.map(function (f) {
+                return (parts[f - 1] || '');
+        }).join(this.ps_delimiter);
+        var out = this.ps_outputs[partitionFor(key, this.ps_outputs.length)];
+
+        if (!out.write(line + '\n')) {
+                out.once('drain', function () {
+                        done();
+                });
+                return;
+        }
+        setImmediate(done);
+};
+
+
+
+///--- API
+
+/**
+ * Runs Marlin-style map and reduce phases as local child processes.  Each
+ * phase's 'exec' string is run with bash, once per input for map phases and
+ * 'count' times for reduce phases.  Before a reduce phase the output of the
+ * previous phase is hash-partitioned into 'count' buckets the same way
+ * msplit would partition it, each bucket is sorted and then fed to its
+ * reducer.
+ *
+ * As with Marlin, a task that exits non-zero is recorded in 'errors' and its
+ * output is discarded, but the job carries on.
+ *
+ * Required Opts:
+ *    log:               Bunyan logger
+ *    phases:            The job phases, as given to Marlin.
+ *    workDir:           An existing local directory for task output.
+ * Optional Opts:
+ *    env:               The environment for tasks.  Defaults to
+ *                       process.env.
+ *    cwd:               The directory tasks are run in.  Defaults to
+ *                       workDir.
+ *    outputBase:        Prefix for each task's MANTA_OUTPUT_BASE.
+ *    concurrency:       How many tasks to run at once.  Defaults to 1.
+ *    openInput:         A function(input, cb) that calls back with a readable
+ *                       stream for an input that isn't a local file, such as
+ *                       a Manta object.
+ *
+ * Inputs and outputs are objects with a 'key' naming the input (this is what
+ * MANTA_INPUT_OBJECT is set to for map tasks) and, for local files, 'file'.
+ */
+function MapReduceRunner(opts) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.arrayOfObject(opts.phases, 'opts.phases');
+        assert.string(opts.workDir, 'opts.workDir');
+        assert.optionalObject(opts.env, 'opts.env');
+        assert.optionalString(opts.cwd, 'opts.cwd');
+        assert.optionalString(opts.outputBase, 'opts.outputBase');
+        assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+        assert.optionalFunc(opts.openInput, 'opts.openInput');
+
+        this.log = opts.log;
+        this.phases = opts.phases;
+        this.workDir = opts.workDir;
+        this.cwd = opts.cwd || opts.workDir;
+        this.outputBase = opts.outputBase || '/' +
+                ((opts.env || process.env).MANTA_USER || 'nobody') +
+                '/jobs/local/stor';
+        this.concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+        this.openInputFunc = opts.openInput;
+        this.stats = {
+                'tasks': 0,
+                'tasksDone': 0,
+                'errors': 0
+        };
+        this.errors = [];
+
+        var binDir = path.join(this.workDir, 'bin');
+        var env = opts.env || process.env;
+        this.binDir = binDir;
+        this.env = {};
+        for (var k in env) {
+                this.env[k] = env[k];
+        }
+        this.env.PATH = binDir + ':' + env.PATH;
+        this.env.MOLA_NODE = process.execPath;
+        this.env.MOLA_MPUT = path.join(path.dirname(
+            require.resolve('manta/package.json')), 'bin', 'mput');
+}
+
+module.exports = {
+        MapReduceRunner: MapReduceRunner,
+        partitionFor: partitionFor
+};
+
+
+
+///--- Methods
+
+/**
+ * Runs all phases against the inputs, calling back with the outputs of the
+ * last phase.
+ */
+MapReduceRunner.prototype.run = function run(inputs, cb) {
+        assert.arrayOfObject(inputs, 'inputs');
+        assert.func(cb, 'cb');
+
+        var self = this;
+        var phaseNum = 0;
+
+        function nextPhase(phaseInputs) {
+                if (phaseNum === self.phases.length) {
+                        cb(null, phaseInputs);
+                        return;
+                }
+
+                var phase = self.phases[phaseNum];
+                var runner = (phase.type === 'reduce') ?
+                        self.runReducePhase : self.runMapPhase;
+                runner.call(self, phaseNum, phase, phaseInputs,
+                    function (err, outputs) {
+                        if (err) {
+                                cb(err);
+                                return;
+                        }
+                        ++phaseNum;
+                        nextPhase(outputs);
+                });
+        }
+
+        self.setupShims(function (err) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+                nextPhase(inputs);
+        });
+};
+
+
+MapReduceRunner.prototype.setupShims = function setupShims(cb) {
+        var self = this;
+
+        fs.mkdir(self.binDir, parseInt('0700', 8), function (err) {
+                if (err && err.code !== 'EEXIST') {
+                        cb(err);
+                        return;
+                }
+
+                try {
+                        Object.keys(SHIMS).forEach(function (shim) {
+                                var p = path.join(self.binDir, shim);
+                                fs.writeFileSync(p, SHIMS[shim]);
+                                fs.chmodSync(p, parseInt('0755', 8));
+                        });
+                } catch (e) {
+                        cb(e);
+                        return;
+                }
+                cb();
+        });
+};
+
+
+MapReduceRunner.prototype.runMapPhase = function runMapPhase(phaseNum, phase,
+    inputs, cb) {
+        var self = this;
+        var outputs = [];
+
+        inputs = inputs.map(function (input, i) {
+                return ({
+                        input: input,
+                        output: path.join(self.workDir, 'phase.' + phaseNum +
+                            '.map.' + i)
+                });
+        });
+
+        forEachConcurrent(inputs, self.concurrency, function (t, subcb) {
+                var name = path.basename(t.input.key);
+                var env = {
+                        'MANTA_INPUT_OBJECT': t.input.key,
+                        'mc_input_key': t.input.key,
+                        'MANTA_OUTPUT_BASE': self.outputBase + '/' + name +
+                            '.' + phaseNum + '.' + common.uuid()
+                };
+                if (t.input.file) {
+                        env.MANTA_INPUT_FILE = t.input.file;
+                }
+                self.runTask({
+                        'phaseNum': phaseNum,
+                        'exec': phase.exec,
+                        'inputs': [ t.input ],
+                        'output': t.output,
+                        'env': env
+                }, function (err, ok, msplit) {
+                        if (!err && ok) {
+                                t.ok = true;
+                                t.msplit = msplit;
+                        }
+                        subcb(err);
+                });
+        }, function (err) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+                inputs.forEach(function (t) {
+                        if (t.ok) {
+                                outputs.push({
+                                        key: t.input.key,
+                                        file: t.output,
+                                        msplit: t.msplit
+                                });
+                        }
+                });
+                cb(null, outputs);
+        });
+};
+
+
+MapReduceRunner.prototype.runReducePhase = function runReducePhase(phaseNum,
+    phase, inputs, cb) {
+        var self = this;
+        var count = phase.count || 1;
+        var buckets = [];
+        var outputs = [];
+
+        for (var i = 0; i < count; ++i) {
+                buckets.push({
+                        key: 'reduce.' + phaseNum + '.' + i,
+                        file: path.join(self.workDir, 'phase.' + phaseNum +
+                            '.bucket.' + i),
+                        output: path.join(self.workDir, 'phase.' + phaseNum +
+                            '.reduce.' + i)
+                });
+        }
+
+        vasync.pipeline({
+                'funcs': [
+                        function partition(_, subcb) {
+                                self.partition(inputs, buckets, subcb);
+                        },
+                        function sortBuckets(_, subcb) {
+                                forEachConcurrent(buckets, self.concurrency,
+                                    self.sortFile.bind(self), subcb);
+                        },
+                        function reduce(_, subcb) {
+                                forEachConcurrent(buckets, self.concurrency,
+                                    function (b, tcb) {
+                                        self.runTask({
+                                                'phaseNum': phaseNum,
+                                                'exec': phase.exec,
+                                                'inputs': [ b ],
+                                                'output': b.output,
+                                                'env': {
+                                                        'MANTA_OUTPUT_BASE':
+                                                            self.outputBase +
+                                                            '/' + b.key + '.' +
+                                                            common.uuid()
+                                                }
+                                        }, function (err, ok, msplit) {
+                                                b.ok = !err && ok;
+                                                b.msplit = msplit;
+                                                tcb(err);
+                                        });
+                                }, subcb);
+                        }
+                ]
+        }, function (err) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+                buckets.forEach(function (b) {
+                        if (b.ok) {
+                                outputs.push({
+                                        key: b.key,
+                                        file: b.output,
+                                        msplit: b.msplit
+                                });
+                        }
+                });
+                cb(null, outputs);
+        });
+};
+
+
+/*
+ * Splits the lines of all inputs across the bucket files.  Every bucket file
+ * is created, even if no lines end up in it.
+ */
+MapReduceRunner.prototype.partition = function partition(inputs, buckets,
+    cb) {
+        var self = this;
+        var outputs = buckets.map(function (b) {
+                return (fs.createWriteStream(b.file));
+        });
+
+        vasync.forEachPipeline({
+                'inputs': inputs,
+                'func': function partitionInput(input, subcb) {
+                        self.openInput(input, function (err, s) {
+                                if (err) {
+                                        subcb(err);
+                                        return;
+                                }
+                                var msplit = input.msplit || {};
+                                var ps = new PartitionStream({
+                                        outputs: outputs,
+                                        delimiter: msplit.delimiter,
+                                        fields: msplit.fields
+                                });
+                                s.once('error', subcb);
+                                ps.once('finish', function () {
+                                        subcb();
+                                });
+                                s.pipe(new lstream()).pipe(ps);
+                        });
+                }
+        }, function (err) {
+                var nclosed = 0;
+                outputs.forEach(function (o) {
+                        o.once('close', function () {
+                                if (++nclosed === outputs.length) {
+                                        cb(err);
+                                }
+                        });
+                        o.end();
+                });
+        });
+};
+
+
+MapReduceRunner.prototype.sortFile = function sortFile(bucket, cb) {
+        var file = bucket.file;
+
+        child_process.execFile('sort', [ '-o', file, file ], {
+                'env': this.env
+        }, function (err) {
+                cb(err);
+        });
+};
+
+
+/*
+ * Opens a task input, which is either a local file or something only the
+ * consumer knows how to open.
+ */
+MapReduceRunner.prototype.openInput = function openInput(input, cb) {
+        if (input.file) {
+                var s = fs.createReadStream(input.file);
+                setImmediate(cb, null, s);
+                return;
+        }
+        if (!this.openInputFunc) {
+                setImmediate(cb, new Error('don\'t know how to open input "' +
+                    input.key + '"'));
+                return;
+        }
+        this.openInputFunc(input, cb);
+};
+
+
+/*
+ * Runs one task: the phase command with the inputs concatenated on stdin and
+ * stdout written to the output file.  A failing task is recorded as an error
+ * and called back with ok === false.  Only failures to set up the task are
+ * returned as errors.  A task that ran msplit is called back with the
+ * options to partition its output with (see readMsplitOptions).
+ */
+MapReduceRunner.prototype.runTask = function runTask(task, cb) {
+        var self = this;
+        var env = {};
+        var k;
+        for (k in self.env) {
+                env[k] = self.env[k];
+        }
+        for (k in task.env) {
+                env[k] = task.env[k];
+        }
+        var msplitFile = task.output + '.msplit';
+        env.MOLA_MSPLIT_FILE = msplitFile;
+        try {
+                fs.unlinkSync(msplitFile);
+        } catch (e) {
+                if (e.code !== 'ENOENT') {
+                        cb(e);
+                        return;
+                }
+        }
+
+        self.stats.tasks++;
+
+        var out = fs.createWriteStream(task.output);
+        out.once('error', cb);
+        out.once('open', function () {
+                var child = child_process.spawn('bash', [ '-c', task.exec ], {
+                        'cwd': self.cwd,
+                        'env': env
+                });
+                var stderr = '';
+                var inputErr = null;
+                var nclosed = 0;
+                var exitCode;
+
+                child.stdout.pipe(out);
+                child.stderr.on('data', function (d) {
+                        stderr = (stderr + d).substr(-MAX_STDERR_BYTES);
+                });
+                //The task may exit before reading all of its input.
+                child.stdin.on('error', function () {});
+
+                function taskDone() {
+                        self.stats.tasksDone++;
+                        if (exitCode === 0 && !inputErr) {
+                                var msplit;
+                                try {
+                                        msplit = readMsplitOptions(msplitFile);
+                                } catch (e) {
+                                        inputErr = e;
+                                }
+                        }
+                        if (exitCode === 0 && !inputErr) {
+                                cb(null, true, msplit);
+                                return;
+                        }
+                        var e = {
+                                'phaseNum': task.phaseNum,
+                                'input': task.inputs.map(function (i) {
+                                        return (i.key);
+                                }),
+                                'code': exitCode,
+                                'message': inputErr ? inputErr.message :
+                                    'user command exited with code ' +
+                                    exitCode,
+                                'stderr': stderr
+                        };
+                        self.log.error(e, 'Task failed.');
+                        self.stats.errors++;
+                        self.errors.push(e);
+                        cb(null, false);
+                }
+
+                function onClose() {
+                        if (++nclosed === 2) {
+                                taskDone();
+                        }
+                }
+                child.on('close', function (code) {
+                        exitCode = code;
+                        onClose();
+                });
+                out.on('finish', onClose);
+
+                var i = 0;
+                function nextInput() {
+                        if (i === task.inputs.length) {
+                                child.stdin.end();
+                                return;
+                        }
+                        var input = task.inputs[i++];
+                        self.openInput(input, function (err, s) {
+                                if (err) {
+                                        inputErr = err;
+                                        child.stdin.end();
+                                        return;
+                                }
+                                s.once('error', function (err2) {
+                                        inputErr = err2;
+                                        child.stdin.end();
+                                });
+                                s.once('end', nextInput);
+                                s.pipe(child.stdin, { end: false });
+                        });
+                }
+                nextInput();
+        });
+};
@@ -0,0 +1,165 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var common = require('./common');
+var vasync = require('vasync');
+
+
+
+///--- API
+
+/**
+ * Execution backend that runs jobs on the Manta compute tier (Marlin).  This
+ * is a thin wrapper around the Marlin methods of the node-manta client, and is
+ * the default backend used by the JobManager.
+ *
+ * Every execution backend implements the following methods:
+ *
+ *    createJob(job, objects, cb):  Creates and starts the job, calling back
+ *                                  with the job id once all input has been
+ *                                  submitted.  If the job fails once it has
+ *                                  been created, it calls back with the
+ *                                  error and the job id.
+ *    listJobs(jobName, cb):        Calls back with an array of job objects
+ *                                  for all jobs with the given name.
+ *    getJob(jobId, cb):            Calls back with the job object.
+ *    cancelJob(jobId, cb):         Cancels a running job.
+ *    getJobOutputs(jobId, cb):     Calls back with an array of Manta paths
+ *                                  holding the output of the last phase.
+ *
+ * Job objects have the same shape as Marlin job records: 'id', 'name',
+ * 'state', 'cancelled', 'inputDone', 'timeCreated', 'timeDone' and 'stats'.
+ */
+function MarlinJobBackend(opts) {
+        assert.object(opts, 'opts');
+        assert.object(opts.mantaClient, 'opts.mantaClient');
+        assert.object(opts.log, 'opts.log');
+
+        this.name = 'marlin';
+        this.mantaClient = opts.mantaClient;
+        this.log = opts.log;
+}
+
+module.exports = MarlinJobBackend;
+
+
+
+///--- Methods
+
+MarlinJobBackend.prototype.createJob = function createJob(job, objects, cb) {
+        assert.object(job, 'job');
+        assert.arrayOfString(objects, 'objects');
+
+        var self = this;
+
+        self.mantaClient.createJob(job, function (err, jobId) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                self.log.info({ jobId: jobId }, 'Created Job.');
+                var aopts = {
+                        end: true
+                };
+
+                //Add objects to job...
+                self.mantaClient.addJobKey(jobId, objects, aopts, function (
+                        err2) {
+                        if (err2) {
+                                cb(err2);
+                                return;
+                        }
+
+                        self.log.info({
+                                objects: objects,
+                                jobId: jobId
+                        }, 'Added objects to job');
+
+                        cb(null, jobId);
+                });
+        });
+};
+
+
+MarlinJobBackend.prototype.listJobs = function listJobs(jobName, cb) {
+        assert.string(jobName, 'jobName');
+
+        var self = this;
+        var lopts = { name: jobName };
+
+        self.mantaClient.listJobs(lopts, function (err, res) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+
+                var jobIds = [];
+
+                res.on('job', function (job) {
+                        jobIds.push(job.name);
+                });
+
+                res.on('error', function (err2) {
+                        cb(err2);
+                });
+
+                res.on('end', function () {
+                        vasync.forEachPipeline({
+                                func: self.getJob.bind(self),
+                                inputs: jobIds
+                        }, function (err3, results) {
+                                if (err3) {
+                                        cb(err3);
+                                        return;
+                                }
+                                cb(null, results.successes);
+                        });
+                });
+        });
+};
+
+
+MarlinJobBackend.prototype.getJob = function getJob(jobId, cb) {
+        assert.string(jobId, 'jobId');
+
+        common.getJob({
+                'client': this.mantaClient,
+                'jobId': jobId
+        }, cb);
+};
+
+
+MarlinJobBackend.prototype.cancelJob = function cancelJob(jobId, cb) {
+        assert.string(jobId, 'jobId');
+
+        this.mantaClient.cancelJob(jobId, cb);
+};
+
+
+MarlinJobBackend.prototype.getJobOutputs = function getJobOutputs(jobId, cb) {
+        assert.string(jobId, 'jobId');
+
+        var gopts = {
+                'client': this.mantaClient,
+                'path': '/' + this.mantaClient.user + '/jobs/' + jobId +
+                        '/out.txt'
+        };
+        common.getObject(gopts, function (err, res) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+                cb(null, res.split('\n').filter(function (l) {
+                        return (l !== '');
+                }));
+        });
+};
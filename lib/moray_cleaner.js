@@ -18,6 +18,8 @@ var vstream = require('vstream');
 var VE = require('verror').VError;
 
 var BatchStream = require('./batch_stream').BatchStream;
+var mod_instructions = require('./instruction_format');
+var mod_limiter = require('./shard_limiter');
 
 
 
@@ -29,6 +31,9 @@ var MANTA_FINALIZING_BUCKET = 'manta_uploads';
 var MORAY_CONNECT_TIMEOUT = 10000;
 var MORAY_PORT = 2020;
 
+//How many times a batch is retried when Moray says it's overloaded.
+var MAX_OVERLOAD_RETRIES = 5;
+
 
 
 ///--- Object
@@ -36,18 +41,39 @@ var MORAY_PORT = 2020;
 /**
  * This class will connect to Moray and delete the records from the
  * manta_delete_log table.
+ *
+ * Deletes are paced per shard by a ShardLimiter (see lib/shard_limiter.js),
+ * which backs a shard off when Moray is overloaded or slow.  The optional
+ * limits are:
+ *
+ *    deleteRate:        Rows deleted per second, per shard.  Unlimited if
+ *                       unset.
+ *    batchConcurrency:  Batches in flight at once, per shard.  Defaults to 1.
+ *    targetLatency:     Batch latency, in ms, above which a shard is backed
+ *                       off.  Latency is ignored if unset.
  */
 function MorayCleaner(opts, listener) {
         assert.object(opts, 'opts');
         assert.object(opts.log, 'opts.log');
         assert.number(opts.batchSize, 'opts.batchSize');
+        assert.optionalNumber(opts.deleteRate, 'opts.deleteRate');
+        assert.optionalNumber(opts.batchConcurrency, 'opts.batchConcurrency');
+        assert.optionalNumber(opts.targetLatency, 'opts.targetLatency');
 
         var self = this;
         this.log = opts.log;
         this.batchSize = opts.batchSize;
         this.morayClients = {};
+        this.limiter = new mod_limiter.ShardLimiter({
+                log: opts.log,
+                rate: opts.deleteRate,
+                concurrency: opts.batchConcurrency,
+                targetLatency: opts.targetLatency
+        });
         this.rowsDeleted = 0;
         this.rowsAlreadyDeleted = 0;
+        this.linesSkipped = 0;
+        this.shardStats = {};
 
         if (listener) {
                 self.addListener('error', listener);
@@ -66,6 +92,8 @@ function deleteFromMoray(opts, cb) {
         var expectedShard = opts.expectedShard;
         var bucket = opts.bucket;
         var client = opts.client;
+        var limiter = opts.limiter;
+        var started = opts.started || function () {};
         var ms = 'moray';
 
         var log = self.log;
@@ -74,23 +102,24 @@ function deleteFromMoray(opts, cb) {
         for (var i = 0; i < lines.length; ++i) {
                 var line = lines[i];
                 log.debug({ line: line }, 'Processing line.');
-                var parts = line.split('\t');
-                if (parts.length < 4) {
+                var inst;
+                try {
+                        inst = mod_instructions.parseInstruction('gc-moray',
+                            line);
+                } catch (e) {
                         log.error({
                                 line: line
                         }, 'Is supposed to be a moray gc line,');
-                        cb(VE({ info: { line: line, shard: expectedShard }},
+                        cb(VE({ cause: e,
+                            info: { line: line, shard: expectedShard }},
                             'malformed input line'));
                         return;
                 }
 
-                var type = parts[0];
-                var shard = parts[1];
-                var objectId = parts[2];
-                var time = parts[3];
-                var key = '/' + objectId + '/' + time;
+                var shard = inst.morayHostname;
+                var key = '/' + inst.objectId + '/' + inst.date;
 
-                if (type !== ms) {
+                if (inst.type !== ms) {
                         log.info({ line: line },
                                  'Line is not expected type.  Skipping.');
                         continue;
@@ -107,6 +136,7 @@ function deleteFromMoray(opts, cb) {
         }
 
         if (keys.length < 1) {
+                started();
                 return (cb());
         }
 
@@ -116,27 +146,72 @@ function deleteFromMoray(opts, cb) {
         }
         filter += ')';
 
-        var startDate = new Date();
-        client.deleteMany(bucket, filter, function (err) {
-                var endDate = new Date();
-                var latency = endDate.getTime() - startDate.getTime();
+        var attempts = 0;
+        function attempt() {
+                limiter.acquire(expectedShard, keys.length, function (release) {
+                        if (attempts++ === 0) {
+                                started();
+                        }
+                        deleteKeys(release);
+                });
+        }
 
-                if (!err) {
-                        self.rowsDeleted += keys.length;
-                }
+        function deleteKeys(release) {
+                var startDate = new Date();
+                client.deleteMany(bucket, filter, function (err, meta) {
+                        var endDate = new Date();
+                        var latency = endDate.getTime() - startDate.getTime();
+                        var deleted = 0;
+
+                        release({ err: err, latency: latency });
+
+                        if (err && mod_limiter.isOverloadError(err) &&
+                            attempts <= MAX_OVERLOAD_RETRIES) {
+                                log.warn({
+                                        shard: expectedShard,
+                                        attempts: attempts,
+                                        err: err
+                                }, 'Moray overloaded, retrying batch.');
+                                attempt();
+                                return;
+                        }
+
+                        if (!err) {
+                                //Moray tells us how many rows actually
+                                // matched.  The rest were deleted by an
+                                // earlier run.
+                                deleted = (meta &&
+                                    typeof (meta.count) === 'number') ?
+                                        meta.count : keys.length;
+                                self.rowsDeleted += deleted;
+                                self.rowsAlreadyDeleted += keys.length -
+                                        deleted;
+                                self.addShardStats(expectedShard, deleted,
+                                    keys.length - deleted);
+                        }
+
+                        log.info({
+                                'audit': true,
+                                'shard': expectedShard,
+                                'lines': lines,
+                                'keys': keys,
+                                'rowsDeleted': deleted,
+                                'error': err,
+                                'latency': latency,
+                                'attempts': attempts
+                        }, 'GC Audit.');
+
+                        //The batch isn't done, so it mustn't be checkpointed.
+                        if (err) {
+                                cb(VE(err, 'deleteMany on "%s"',
+                                    expectedShard));
+                                return;
+                        }
+                        cb();
+                });
+        }
 
-                log.info({
-                        'audit': true,
-                        'shard': expectedShard,
-                        'lines': lines,
-                        'keys': keys,
-                        'rowsDeleted': err ? 0 : keys.length,
-                        'error': err,
-                        'latency': latency
-                }, 'GC Audit.');
-
-                cb();
-        });
+        attempt();
 }
 
 
@@ -147,11 +222,34 @@ function deleteFromMoray(opts, cb) {
 MorayCleaner.prototype.getStats = function getStats() {
         return ({
                 'rowsDeleted': this.rowsDeleted,
-                'rowsAlreadyDeleted': this.rowsAlreadyDeleted
+                'rowsAlreadyDeleted': this.rowsAlreadyDeleted,
+                'linesSkipped': this.linesSkipped,
+                'backoffs': this.limiter.getStats().backoffs
         });
 };
 
 
+/**
+ * Returns the rows deleted and already deleted, keyed by shard.
+ */
+MorayCleaner.prototype.getShardStats = function getShardStats() {
+        return (this.shardStats);
+};
+
+
+MorayCleaner.prototype.addShardStats = function addShardStats(shard, deleted,
+    alreadyDeleted) {
+        if (!this.shardStats[shard]) {
+                this.shardStats[shard] = {
+                        'rowsDeleted': 0,
+                        'rowsAlreadyDeleted': 0
+                };
+        }
+        this.shardStats[shard].rowsDeleted += deleted;
+        this.shardStats[shard].rowsAlreadyDeleted += alreadyDeleted;
+};
+
+
 MorayCleaner.prototype.getMorayClient = function getMorayClient(shard, cb) {
         var self = this;
         if (self.morayClients[shard]) {
@@ -201,6 +299,18 @@ MorayCleaner.prototype.close = function close(cb) {
  * records are deleted using a bulk Moray operation.  Once all input has been
  * processed and all outstanding Moray operations have completed, the stream
  * emits the "workComplete" event.
+ *
+ * Batches are committed as fast as the parent's limiter allows, so with a
+ * batchConcurrency above 1 several may be in flight at once, and they may
+ * complete out of order.
+ *
+ * If "resumeFrom" is given, that many input lines are assumed to have been
+ * processed by an earlier run and are skipped.  If "checkpoint" is given, it
+ * is called as checkpoint(progress, callback) as batches are committed, where
+ * "progress" has the number of input "lines" processed so far and the
+ * "batchId" of the last batch.  Progress only ever covers batches for which
+ * every earlier batch has also been committed, and only one checkpoint is
+ * outstanding at a time.
  */
 function MorayCleanerStream(opts) {
         var self = this;
@@ -211,6 +321,8 @@ function MorayCleanerStream(opts) {
         assert.string(opts.bucket, 'opts.bucket');
         assert.string(opts.object, 'opts.object');
         assert.object(opts.parent, 'opts.parent');
+        assert.optionalNumber(opts.resumeFrom, 'opts.resumeFrom');
+        assert.optionalFunc(opts.checkpoint, 'opts.checkpoint');
 
         assert.ok((opts.bucket === MANTA_DELETE_BUCKET) ||
                   (opts.bucket === MANTA_FINALIZING_BUCKET));
@@ -226,17 +338,23 @@ function MorayCleanerStream(opts) {
         self.mcs_object = opts.object;
         self.mcs_parent = opts.parent;
         self.mcs_client = null;
+        self.mcs_resumeFrom = opts.resumeFrom || 0;
+        self.mcs_checkpoint = opts.checkpoint || null;
+        self.mcs_lines = 0;
 
         self.mcs_inputComplete = false;
-        self.mcs_inCommit = false;
+        self.mcs_workComplete = false;
+        self.mcs_failed = false;
         self.mcs_pendingCommit = null;
+        self.mcs_inflight = [];
+        self.mcs_checkpointing = false;
 
         self.on('finish', function () {
                 self.mcs_inputComplete = true;
 
                 self.mcs_log.debug('finish event');
 
-                setImmediate(self.emit.bind(self, 'workComplete'));
+                self.mcsMaybeComplete();
         });
 
         self.mcs_parent.getMorayClient(self.mcs_shard, function (client) {
@@ -247,20 +365,28 @@ function MorayCleanerStream(opts) {
                         var pc = self.mcs_pendingCommit;
                         self.mcs_pendingCommit = null;
 
-                        self.mcsCommit(pc.pc_batch, pc.pc_callback);
+                        self.mcsCommit(pc.pc_batch, pc.pc_started,
+                            pc.pc_callback);
                 }
         });
 }
 util.inherits(MorayCleanerStream, stream.Writable);
 
-MorayCleanerStream.prototype.mcsCommit = function mcsCommit(batch, done) {
+/*
+ * Deletes the records in a batch.  "started" is called once the delete has
+ * been let through by the limiter, and "done" once it has completed.
+ */
+MorayCleanerStream.prototype.mcsCommit = function mcsCommit(batch, started,
+    done) {
         var self = this;
 
         assert.object(batch, 'batch');
         assert.ok(Array.isArray(batch.entries), 'batch.entries');
+        assert.func(started, 'started');
         assert.func(done, 'done');
 
         if (batch.entries.length < 1) {
+                setImmediate(started);
                 setImmediate(done);
                 return;
         }
@@ -274,20 +400,20 @@ MorayCleanerStream.prototype.mcsCommit = function mcsCommit(batch, done) {
                     'a commit is already pending!');
                 self.mcs_pendingCommit = {
                         pc_batch: batch,
+                        pc_started: started,
                         pc_callback: done
                 };
                 return;
         }
 
-        assert.strictEqual(self.mcs_inCommit, false, 'mcsCommit re-entry');
-        self.mcs_inCommit = true;
-
         deleteFromMoray({
                 self: self.mcs_parent,
                 lines: batch.entries,
                 expectedShard: self.mcs_shard,
                 bucket: self.mcs_bucket,
-                client: self.mcs_client
+                client: self.mcs_client,
+                limiter: self.mcs_parent.limiter,
+                started: started
         }, function (err) {
                 if (err) {
                         done(VE(err, 'deleteFromMoray("%s", "%s")',
@@ -295,16 +421,112 @@ MorayCleanerStream.prototype.mcsCommit = function mcsCommit(batch, done) {
                         return;
                 }
 
-                self.mcs_inCommit = false;
-
                 done();
         });
 };
 
+/*
+ * Checkpoints the longest run of committed batches at the front of the
+ * in-flight list.
+ */
+MorayCleanerStream.prototype.mcsCheckpoint = function mcsCheckpoint() {
+        var self = this;
+        var last = null;
+
+        if (self.mcs_checkpointing) {
+                return;
+        }
+
+        while (self.mcs_inflight.length > 0 && self.mcs_inflight[0].complete) {
+                last = self.mcs_inflight.shift();
+        }
+
+        if (last === null || self.mcs_checkpoint === null) {
+                self.mcsMaybeComplete();
+                return;
+        }
+
+        self.mcs_checkpointing = true;
+        self.mcs_checkpoint({
+                lines: last.lines,
+                batchId: last.batchId
+        }, function (err) {
+                self.mcs_checkpointing = false;
+                if (err) {
+                        self.mcsFail(VE(err, 'checkpoint "%s"',
+                            self.mcs_object));
+                        return;
+                }
+                self.mcsCheckpoint();
+        });
+};
+
+MorayCleanerStream.prototype.mcsFail = function mcsFail(err) {
+        if (this.mcs_failed) {
+                return;
+        }
+        this.mcs_failed = true;
+        this.emit('error', err);
+};
+
+MorayCleanerStream.prototype.mcsMaybeComplete = function mcsMaybeComplete() {
+        if (!this.mcs_inputComplete || this.mcs_workComplete ||
+            this.mcs_failed || this.mcs_checkpointing ||
+            this.mcs_inflight.length > 0) {
+                return;
+        }
+        this.mcs_workComplete = true;
+        setImmediate(this.emit.bind(this, 'workComplete'));
+};
+
 MorayCleanerStream.prototype._write = function mcsWrite(batch, _, done) {
         var self = this;
+        var start = self.mcs_lines;
+
+        self.mcs_lines += batch.entries.length;
 
-        self.mcsCommit(batch, done);
+        /*
+         * Skip over whatever an earlier run already got through.  Batches
+         * don't have to line up with the earlier run's, so the first batch
+         * after the resume point may be only partly skipped.
+         */
+        if (self.mcs_lines <= self.mcs_resumeFrom) {
+                self.mcs_parent.linesSkipped += batch.entries.length;
+                setImmediate(done);
+                return;
+        }
+        if (start < self.mcs_resumeFrom) {
+                var nskip = self.mcs_resumeFrom - start;
+                self.mcs_parent.linesSkipped += nskip;
+                self.mcs_log.info({ resumeFrom: self.mcs_resumeFrom },
+                    'resuming from checkpoint');
+                batch = {
+                        batchId: batch.batchId,
+                        entries: batch.entries.slice(nskip)
+                };
+        }
+
+        var inflight = {
+                batchId: batch.batchId,
+                lines: self.mcs_lines,
+                complete: false
+        };
+        self.mcs_inflight.push(inflight);
+
+        /*
+         * Take the next batch as soon as this one is under way; the limiter
+         * holds it back until there's room for it.
+         */
+        self.mcsCommit(batch, function () {
+                done();
+        }, function (err) {
+                if (err) {
+                        self.mcsFail(err);
+                        return;
+                }
+                inflight.complete = true;
+                self.mcsCheckpoint();
+        });
 };
 
 /*
@@ -313,8 +535,12 @@ MorayCleanerStream.prototype._write = function mcsWrite(batch, _, done) {
  *   moray + [TAB] + [moray hostname] + [TAB] + [objectId] +
  *       [TAB] + [delete time]
  *
+ * which is the "gc-moray" instruction format (see instruction_format.js).  The
+ * stream fails if it starts with the header of some other format or version.
  * For each line, delete the matching object (if it exists) from the
- * "manta_delete_log" table of the Moray shard.
+ * "manta_delete_log" table of the Moray shard.  The "resumeFrom" and
+ * "checkpoint" options are passed through to the MorayCleanerStream; see
+ * above.
  */
 MorayCleaner.prototype.cleanStream = function cleanStream(opts) {
         var self = this;
@@ -329,18 +555,24 @@ MorayCleaner.prototype.cleanStream = function cleanStream(opts) {
                 bucket: opts.bucket,
                 object: opts.object,
                 parent: self,
-                log: log
+                log: log,
+                resumeFrom: opts.resumeFrom,
+                checkpoint: opts.checkpoint
         });
 
         /*
          * Use PipelineStream to return a combination of several processing
          * stages: chunking lines in the input into per-line strings, then
-         * collecting those strings into batches, then finally cleaning them
-         * via batched Moray requests.
+         * checking the header, then collecting those strings into batches,
+         * then finally cleaning them via batched Moray requests.
          */
         var mcs = new vstream.PipelineStream({
                 streams: [
                         new lstream({ highWaterMark: 0 }),
+                        new mod_instructions.InstructionHeaderStream({
+                                formats: [ 'gc-moray' ],
+                                legacyFormat: 'gc-moray'
+                        }),
                         new BatchStream({ batchSize: self.batchSize }),
                         cleaner
                 ],
@@ -0,0 +1,229 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var events = require('events');
+var moray = require('moray');
+var util = require('util');
+var VE = require('verror').VError;
+
+
+
+///--- Globals
+
+var DEFAULT_PAGE_SIZE = 1000;
+var DEFAULT_CONNECT_WAIT_MILLIS = 60000;
+
+var MORAY_CONNECT_TIMEOUT = 10000;
+var MORAY_PORT = 2020;
+
+
+
+///--- Helpers
+
+/**
+ * Turns a Moray record into the object SchemaReader reads from a dump of the
+ * bucket, with the columns every dump has.  Dumps hold every column as a
+ * string, apart from _value.
+ */
+function recordToObject(bucket, record) {
+        assert.string(bucket, 'bucket');
+        assert.object(record, 'record');
+
+        function str(v) {
+                return (v === undefined || v === null ? null : String(v));
+        }
+
+        return ({
+                '__table': bucket,
+                '_id': str(record._id),
+                '_key': record.key,
+                '_value': record.value,
+                '_etag': str(record._etag),
+                '_mtime': str(record._mtime)
+        });
+}
+
+
+
+///--- API
+
+/**
+ * Reads whole buckets from a Moray shard, emitting the same "object", "error"
+ * and "end" events as a SchemaReader reading dumps of them, so that the
+ * transforms can be run against a shard directly rather than waiting for its
+ * nightly dump.  The buckets are read one after another, a page at a time, in
+ * _id order.
+ *
+ * Unlike a dump, the rows aren't all read at one moment, so rows written
+ * while the shard is being read may or may not be seen.
+ *
+ * Required Opts:
+ *    log:               Bunyan logger
+ *    shard:             The Moray shard, by hostname.
+ *    buckets:           The buckets to read, such as "manta" and
+ *                       "manta_delete_log".
+ *
+ * Optional Opts:
+ *    client:            A Moray client for the shard to use, rather than
+ *                       connecting to it.  It isn't closed at the end.
+ *    pageSize:          Rows read at a time.
+ *    connectWaitMillis: How long to wait for the shard to connect before
+ *                       emitting an error, 60 seconds by default.
+ */
+function MorayReader(opts, listener) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.string(opts.shard, 'opts.shard');
+        assert.arrayOfString(opts.buckets, 'opts.buckets');
+        assert.optionalObject(opts.client, 'opts.client');
+        assert.optionalNumber(opts.pageSize, 'opts.pageSize');
+        assert.optionalNumber(opts.connectWaitMillis,
+            'opts.connectWaitMillis');
+
+        var self = this;
+        self.log = opts.log.child({ shard: opts.shard });
+        self.shard = opts.shard;
+        self.buckets = opts.buckets.slice();
+        self.pageSize = opts.pageSize || DEFAULT_PAGE_SIZE;
+        self.connectWaitMillis = opts.connectWaitMillis ||
+                DEFAULT_CONNECT_WAIT_MILLIS;
+        self.client = opts.client || null;
+        self.ownClient = !opts.client;
+        self.rows = 0;
+
+        if (listener) {
+                self.addListener('object', listener);
+        }
+
+        //Give the caller a chance to add listeners.
+        setImmediate(function () {
+                if (self.client !== null) {
+                        self.readBucket();
+                        return;
+                }
+                self.connect();
+        });
+}
+util.inherits(MorayReader, events.EventEmitter);
+
+module.exports = {
+        MorayReader: MorayReader,
+        recordToObject: recordToObject
+};
+
+
+
+///--- Methods
+
+/*
+ * Connects to the shard, then starts reading.  A shard that can't be reached
+ * is an error, rather than something to wait on forever.
+ */
+MorayReader.prototype.connect = function connect() {
+        var self = this;
+        var client = moray.createClient({
+                log: self.log,
+                connectTimeout: MORAY_CONNECT_TIMEOUT,
+                host: self.shard,
+                port: MORAY_PORT
+        });
+        var timer = setTimeout(function () {
+                finish(new VE('timed out after %dms connecting to shard "%s"',
+                    self.connectWaitMillis, self.shard));
+        }, self.connectWaitMillis);
+
+        function onError(err) {
+                finish(VE(err, 'connecting to shard "%s"', self.shard));
+        }
+
+        function onConnect() {
+                finish();
+        }
+
+        function finish(err) {
+                clearTimeout(timer);
+                client.removeListener('error', onError);
+                client.removeListener('connect', onConnect);
+                if (err) {
+                        client.close();
+                        self.emit('error', err);
+                        return;
+                }
+                self.log.info('Connected to shard.');
+                self.client = client;
+                self.readBucket();
+        }
+
+        client.once('error', onError);
+        client.once('connect', onConnect);
+};
+
+
+MorayReader.prototype.readBucket = function readBucket() {
+        var self = this;
+        var bucket = self.buckets.shift();
+
+        if (bucket === undefined) {
+                self.log.info({ rows: self.rows }, 'buckets read');
+                if (self.ownClient) {
+                        self.client.close();
+                }
+                self.emit('end');
+                return;
+        }
+
+        self.log.info({ bucket: bucket }, 'reading bucket');
+        self.readPage(bucket, 0);
+};
+
+
+MorayReader.prototype.readPage = function readPage(bucket, lastId) {
+        var self = this;
+        var filter = '(_id>=' + (lastId + 1) + ')';
+        var count = 0;
+        var last = lastId;
+        var failed = false;
+
+        var req = self.client.findObjects(bucket, filter, {
+                limit: self.pageSize,
+                sort: {
+                        attribute: '_id',
+                        order: 'ASC'
+                }
+        });
+
+        req.on('record', function (r) {
+                ++count;
+                ++self.rows;
+                last = r._id;
+                self.emit('object', recordToObject(bucket, r));
+        });
+
+        req.once('error', function (err) {
+                failed = true;
+                if (self.ownClient) {
+                        self.client.close();
+                }
+                self.emit('error', VE(err, 'findObjects %s "%s" on "%s"',
+                    bucket, filter, self.shard));
+        });
+
+        req.once('end', function () {
+                if (failed) {
+                        return;
+                }
+                if (count < self.pageSize) {
+                        self.readBucket();
+                        return;
+                }
+                self.readPage(bucket, last);
+        });
+};
@@ -13,6 +13,7 @@ var util = require('util');
 var events = require('events');
 var carrier = require('carrier');
 
+var GracePolicy = require('./grace_policy');
 var mpuCommon = require('./mpu/common');
 
 
@@ -30,12 +31,17 @@ var sprintf = util.format;
  * This object is analogous to the GarbageCollector object for normal GC. In the
  * MPU case, only one type of event is emitted, as all records are cleaned up
  * with the same cleanup scripts, unlike the normal GC case.
+ *
+ * If opts.gracePolicy is given, the grace period for each upload is looked up
+ * in the policy (see GracePolicy) using the owner and upload directory
+ * ("/<owner>/uploads/...") from the key of its finalizing record.
  */
 function MpuGarbageCollector(opts) {
         assert.object(opts, 'opts');
         assert.object(opts.reader, 'opts.reader');
         assert.object(opts.log, 'opts.log');
         assert.optionalObject(opts.gcDate, 'opts.gcDate');
+        assert.optionalObject(opts.gracePolicy, 'opts.gracePolicy');
 
         var self = this;
         self.log = opts.log;
@@ -49,6 +55,12 @@ function MpuGarbageCollector(opts) {
         var prev, curr, currFR;
         self.gracePeriodMillis = opts.gracePeriodMillis ||
                 DEFAULT_GRACE_PERIOD_MILLIS;
+        if (opts.gracePolicy) {
+                self.gracePolicy = new GracePolicy({
+                        policy: opts.gracePolicy,
+                        defaultMillis: self.gracePeriodMillis
+                });
+        }
         self.carrier = carrier.carry(opts.reader);
 
         self.mgc_numRecordsSeen = 0;
@@ -57,7 +69,8 @@ function MpuGarbageCollector(opts) {
 
         self.log.info({
                 gcDate: self.gcDate,
-                gracePeriodMillis: self.gracePeriodMillis
+                gracePeriodMillis: self.gracePeriodMillis,
+                gracePolicy: opts.gracePolicy
         }, 'starting garbage collection');
 
         self.carrier.on('line', function (line) {
@@ -83,13 +96,26 @@ util.inherits(MpuGarbageCollector, events.EventEmitter);
 module.exports = MpuGarbageCollector;
 
 MpuGarbageCollector.prototype.mgc_outsideGracePeriod =
-function mgc_outsideGracePeriod(date) {
-        assert.object(date, 'date');
-        assert.ok(date instanceof Date, 'invalid date');
+function mgc_outsideGracePeriod(fr) {
+        assert.ok(fr instanceof mpuCommon.FinalizingRecord,
+            'invalid finalizing record');
+        assert.ok(fr.date instanceof Date, 'invalid date');
 
         var self = this;
+        var gracePeriodMillis = self.gracePeriodMillis;
+
+        if (self.gracePolicy) {
+                /*
+                 * Finalizing record keys are of the form
+                 * "[upload id]:[upload directory]", and the upload
+                 * directory is under the owner's top-level directory.
+                 */
+                var uploadDir = fr.key.substring(fr.key.indexOf(':') + 1);
+                var owner = uploadDir.split('/')[1];
+                gracePeriodMillis = self.gracePolicy.lookup(owner, uploadDir);
+        }
 
-        return ((self.gcDate - date) > self.gracePeriodMillis);
+        return ((self.gcDate - fr.date) > gracePeriodMillis);
 };
 
 
@@ -142,7 +168,7 @@ function takeAction(gc, prev, curr, currFR) {
                  * upload, if the record exists.
                  */
                 if (currFR) {
-                        if (gc.mgc_outsideGracePeriod(currFR.date)) {
+                        if (gc.mgc_outsideGracePeriod(currFR)) {
                                 gc.mgc_numRecordsEmitted++;
                                 gc.emit('mpuCleanup', currFR);
                                 currFR = null;
@@ -159,7 +185,7 @@ function takeAction(gc, prev, curr, currFR) {
                  * Don't garbage collect any records for uploads that
                  * don't have an associated finalizing record.
                  */
-                if (gc.mgc_outsideGracePeriod(currFR.date)) {
+                if (gc.mgc_outsideGracePeriod(currFR)) {
                         gc.mgc_numRecordsEmitted++;
                         gc.emit('mpuCleanup', curr);
                 } else {
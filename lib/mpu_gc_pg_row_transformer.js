@@ -41,11 +41,12 @@ var UPLOADS_ROOT_PATH = /^\/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f
  * suitable for sorting.
  *
  * The MpuGcPgRowTransformer is analogous to the GcPgRowTransformer object for
- * normal garbage collection.
+ * normal garbage collection, and, like it, reads from opts.source, if given,
+ * rather than opts.reader.
  */
 function MpuGcPgRowTransformer(opts, listener) {
         assert.object(opts, 'opts');
-        assert.object(opts.reader, 'opts.reader');
+        assert.ok(opts.reader || opts.source, 'opts.reader or opts.source');
         assert.ok(opts.dumpDate, 'opts.dumpDate');
         assert.ok(opts.dumpDate instanceof Date, 'invalid date');
         assert.string(opts.morayHostname, 'opts.morayHostname');
@@ -56,7 +57,7 @@ function MpuGcPgRowTransformer(opts, listener) {
         var earliestDumpDate = opts.earliestDumpDate;
         var morayHostname = opts.morayHostname;
 
-        self.schemaReader = new SchemaReader(reader);
+        self.schemaReader = opts.source || new SchemaReader(reader);
 
         if (listener) {
                 self.addListener('row', listener);
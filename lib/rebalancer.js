@@ -143,16 +143,8 @@ function Rebalancer(opts) {
                 }
 
                 var stream = fileStreams[newShark.manta_storage_id];
-                var no = {
-                        key: o._key,
-                        morayEtag: o._etag,
-                        newShark: newShark,
-                        oldShark: oldShark,
-                        md5: v.contentMD5,
-                        objectId: v.objectId,
-                        owner: v.owner,
-                        etag: v.etag
-                };
+                var no = rebalanceRecord(o._key, o._etag, v, oldShark,
+                                         newShark);
 
                 stream.write(JSON.stringify(no, null, 0) + '\n');
         });
@@ -179,12 +171,36 @@ function Rebalancer(opts) {
 }
 
 util.inherits(Rebalancer, events.EventEmitter);
-module.exports = Rebalancer;
+module.exports = {
+        chooseShark: chooseShark,
+        Rebalancer: Rebalancer,
+        rebalanceRecord: rebalanceRecord
+};
 
 
 
 //--- Helpers
 
+/*
+ * Builds the record telling the mako that "newShark" is on to take over the
+ * copy of an object on "oldShark", given the object's Moray key, etag and
+ * value.  These are what the files under manta_rebalance/do hold, one per
+ * line.
+ */
+function rebalanceRecord(key, morayEtag, v, oldShark, newShark) {
+        return ({
+                key: key,
+                morayEtag: morayEtag,
+                newShark: newShark,
+                oldShark: oldShark,
+                md5: v.contentMD5,
+                objectId: v.objectId,
+                owner: v.owner,
+                etag: v.etag
+        });
+}
+
+
 /*
  * Each of the check* helpers looks at a single object record ("o") and the set
  * of available sharks ("sharks") and checks whether the object violates one of
@@ -297,8 +313,14 @@ function chooseShark(old, o, sharks) {
         var mids = [];
         o._value.sharks.forEach(function (shark) {
                 mids.push(shark.manta_storage_id);
-                if (shark.manta_storage_id !== old.manta_storage_id) {
-                        pdcs.splice(pdcs.indexOf(shark.datacenter), 1);
+                /*
+                 * Other copies may share a datacenter, which is then already
+                 * gone from pdcs.
+                 */
+                var i = pdcs.indexOf(shark.datacenter);
+                if (shark.manta_storage_id !== old.manta_storage_id &&
+                    i !== -1) {
+                        pdcs.splice(i, 1);
                 }
         });
 
@@ -0,0 +1,219 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+var verror = require('verror');
+
+
+
+///--- Globals
+
+var DEFAULT_CONCURRENCY = 1;
+var DEFAULT_MIN_BACKOFF = 1000;
+var DEFAULT_MAX_BACKOFF = 60000;
+
+//Never slow a shard down to less than this fraction of the configured rate.
+var MIN_RATE_FACTOR = 1 / 64;
+//How much of the configured rate is given back after each good request.
+var RATE_RECOVERY = 0.05;
+
+/*
+ * Errors from Moray that mean it (or the database behind it) is struggling
+ * to keep up, rather than anything being wrong with the request.
+ */
+var OVERLOAD_ERRORS = [
+        'ConnectionTimeoutError',
+        'NoDatabasePeersError',
+        'OverloadedError',
+        'QueryTimeoutError',
+        'TimeoutError'
+];
+
+
+
+///--- Helpers
+
+function isOverloadError(err) {
+        if (!err) {
+                return (false);
+        }
+        return (OVERLOAD_ERRORS.some(function (name) {
+                return (verror.findCauseByName(err, name) !== null);
+        }));
+}
+
+
+
+///--- API
+
+/**
+ * Limits the rate and concurrency of requests made against each Moray shard.
+ * Every shard gets its own token bucket, holding up to one second's worth of
+ * tokens, and its own count of requests in flight.
+ *
+ * Callers acquire(shard, n, cb) before making a request that touches n rows.
+ * The callback is invoked with a release function once both a slot and the
+ * tokens are available; release({ err: ..., latency: ... }) must be called
+ * when the request completes.  A request may take more tokens than the bucket
+ * holds, in which case the bucket goes into debt and later requests wait for
+ * it to be paid off.
+ *
+ * When Moray reports that it is overloaded, or latency climbs above the
+ * target, the shard is backed off: no new requests are started for a while
+ * (doubling each time, up to a maximum) and the shard's rate is halved.  The
+ * rate recovers gradually as requests succeed.
+ *
+ * Optional Opts:
+ *    rate:              Rows per second, per shard.  0 or unset means
+ *                       unlimited (but overload backoff still applies).
+ *    concurrency:       Requests in flight, per shard.  Defaults to 1.
+ *    targetLatency:     Request latency, in ms, above which we back off.
+ *                       0 or unset disables latency-based backoff.
+ *    minBackoff:        First backoff, in ms.  Defaults to 1s.
+ *    maxBackoff:        Longest backoff, in ms.  Defaults to 60s.
+ */
+function ShardLimiter(opts) {
+        assert.object(opts, 'opts');
+        assert.object(opts.log, 'opts.log');
+        assert.optionalNumber(opts.rate, 'opts.rate');
+        assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+        assert.optionalNumber(opts.targetLatency, 'opts.targetLatency');
+        assert.optionalNumber(opts.minBackoff, 'opts.minBackoff');
+        assert.optionalNumber(opts.maxBackoff, 'opts.maxBackoff');
+
+        this.log = opts.log;
+        this.rate = opts.rate || 0;
+        this.concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+        this.targetLatency = opts.targetLatency || 0;
+        this.minBackoff = opts.minBackoff || DEFAULT_MIN_BACKOFF;
+        this.maxBackoff = opts.maxBackoff || DEFAULT_MAX_BACKOFF;
+        this.shards = {};
+        this.backoffs = 0;
+}
+
+module.exports = {
+        ShardLimiter: ShardLimiter,
+        isOverloadError: isOverloadError
+};
+
+
+
+///--- Methods
+
+ShardLimiter.prototype.getShard = function getShard(shard) {
+        if (!this.shards[shard]) {
+                this.shards[shard] = {
+                        name: shard,
+                        tokens: this.rate,
+                        last: Date.now(),
+                        factor: 1,
+                        inflight: 0,
+                        waiters: [],
+                        timer: null,
+                        backoff: 0,
+                        backoffUntil: 0
+                };
+        }
+        return (this.shards[shard]);
+};
+
+
+ShardLimiter.prototype.acquire = function acquire(shard, n, cb) {
+        assert.string(shard, 'shard');
+        assert.number(n, 'n');
+        assert.func(cb, 'cb');
+
+        var s = this.getShard(shard);
+        s.waiters.push({ n: n, cb: cb });
+        this.schedule(s);
+};
+
+
+/*
+ * Starts as many waiting requests for the shard as limits allow, setting a
+ * timer to try again if any are left waiting on time rather than on a
+ * request completing.
+ */
+ShardLimiter.prototype.schedule = function schedule(s) {
+        var self = this;
+
+        if (s.timer !== null) {
+                return;
+        }
+
+        while (s.waiters.length > 0 && s.inflight < self.concurrency) {
+                var now = Date.now();
+                var wait = 0;
+
+                if (now < s.backoffUntil) {
+                        wait = s.backoffUntil - now;
+                } else if (self.rate > 0) {
+                        var rate = self.rate * s.factor;
+                        s.tokens = Math.min(self.rate,
+                            s.tokens + (now - s.last) * rate / 1000);
+                        s.last = now;
+                        if (s.tokens < 0) {
+                                wait = Math.ceil(-s.tokens * 1000 / rate);
+                        }
+                }
+
+                if (wait > 0) {
+                        s.timer = setTimeout(function () {
+                                s.timer = null;
+                                self.schedule(s);
+                        }, wait);
+                        return;
+                }
+
+                var w = s.waiters.shift();
+                s.tokens -= w.n;
+                s.inflight++;
+                setImmediate(w.cb, self.release.bind(self, s));
+        }
+};
+
+
+ShardLimiter.prototype.release = function release(s, result) {
+        assert.object(result, 'result');
+        assert.optionalNumber(result.latency, 'result.latency');
+
+        var overloaded = isOverloadError(result.err);
+        var slow = (this.targetLatency > 0 &&
+                    result.latency > this.targetLatency);
+
+        s.inflight--;
+
+        if (overloaded || slow) {
+                s.factor = Math.max(MIN_RATE_FACTOR, s.factor / 2);
+                s.backoff = Math.min(this.maxBackoff,
+                    s.backoff > 0 ? s.backoff * 2 : this.minBackoff);
+                s.backoffUntil = Date.now() + s.backoff;
+                this.backoffs++;
+                this.log.warn({
+                        shard: s.name,
+                        err: result.err,
+                        latency: result.latency,
+                        backoff: s.backoff,
+                        rate: this.rate * s.factor
+                }, 'backing off shard');
+        } else if (!result.err) {
+                s.factor = Math.min(1, s.factor + RATE_RECOVERY);
+                s.backoff = 0;
+        }
+
+        this.schedule(s);
+};
+
+
+ShardLimiter.prototype.getStats = function getStats() {
+        return ({
+                'backoffs': this.backoffs
+        });
+};
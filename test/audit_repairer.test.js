@@ -0,0 +1,249 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var crypto = require('crypto');
+var helper = require('./helper.js');
+var http = require('http');
+var lib = require('../lib');
+var MemoryStream = require('memorystream');
+
+
+
+///--- Globals
+
+var after = helper.after;
+var before = helper.before;
+var test = helper.test;
+var LOG = helper.createLogger('audit_repairer.test', process.stderr);
+//Both are served by MAKO_SERVER, which tells them apart by the Host header.
+var SOURCE = { 'manta_storage_id': '127.0.0.1', 'datacenter': '1' };
+var NEW = { 'manta_storage_id': '127.0.0.2', 'datacenter': '2' };
+var LOST = { 'manta_storage_id': 'lost', 'datacenter': '2' };
+var DATA = 'hello';
+var MD5 = crypto.createHash('md5').update(DATA).digest('base64');
+var MAKO_SERVER;
+//storage id -> path -> contents
+var MAKO_FILES;
+//"[storage id] [method]" -> true, for requests the makos never answer
+var MAKO_STALLS;
+
+
+
+///--- Helpers
+
+function createMakoServer(cb) {
+        var server = http.createServer(function (req, res) {
+                var host = req.headers.host.split(':')[0];
+                var files = MAKO_FILES[host] || {};
+                MAKO_FILES[host] = files;
+                if (MAKO_STALLS[host + ' ' + req.method]) {
+                        req.resume();
+                        return;
+                }
+                if (req.method === 'GET') {
+                        if (files[req.url] === undefined) {
+                                res.writeHead(404);
+                                res.end();
+                                return;
+                        }
+                        res.writeHead(200, {
+                                'content-length': files[req.url].length
+                        });
+                        res.end(files[req.url]);
+                        return;
+                }
+                var body = '';
+                req.setEncoding('utf8');
+                req.on('data', function (d) {
+                        body += d;
+                });
+                req.on('end', function () {
+                        files[req.url] = body;
+                        res.writeHead(201);
+                        res.end();
+                });
+        });
+        server.listen(0, function () {
+                cb(server);
+        });
+}
+
+
+function createMorayClient(etag) {
+        var client = {
+                puts: [],
+                getObject: function (b, k, opts, cb) {
+                        cb(null, {
+                                key: k,
+                                _etag: etag,
+                                value: {
+                                        contentMD5: MD5,
+                                        objectId: 'objectId',
+                                        owner: 'owner',
+                                        sharks: [ SOURCE, LOST ]
+                                }
+                        });
+                },
+                putObject: function (b, k, v, opts, cb) {
+                        client.puts.push({ key: k, value: v, opts: opts });
+                        cb();
+                },
+                close: function () {}
+        };
+        return (client);
+}
+
+
+function repairRecord(md5) {
+        return (JSON.stringify({
+                key: '/owner/stor/foo',
+                morayEtag: 'metag',
+                newShark: NEW,
+                oldShark: LOST,
+                md5: md5,
+                objectId: 'objectId',
+                owner: 'owner',
+                etag: 'oetag',
+                sourceShark: SOURCE,
+                shard: 'shard'
+        }) + '\n');
+}
+
+
+function runRepair(morayClient, data, cb) {
+        var stream = new MemoryStream(data);
+        var repairer = lib.createAuditRepairer({
+                log: LOG,
+                makoPort: MAKO_SERVER.address().port,
+                makoTimeoutMillis: 1000
+        });
+        repairer.morayClients['shard'] = morayClient;
+
+        repairer.run({ reader: stream }, function (err, res) {
+                cb(err, res, repairer.getStats());
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+}
+
+
+
+///--- Tests
+
+before(function (cb) {
+        MAKO_FILES = {};
+        MAKO_FILES[SOURCE.manta_storage_id] = { '/owner/objectId': DATA };
+        MAKO_STALLS = {};
+        createMakoServer(function (server) {
+                MAKO_SERVER = server;
+                cb();
+        });
+});
+
+
+after(function (cb) {
+        MAKO_SERVER.close(function () {
+                cb();
+        });
+});
+
+
+test('test: repair', function (t) {
+        var client = createMorayClient('metag');
+
+        runRepair(client, repairRecord(MD5), function (err, res, stats) {
+                t.ifError(err);
+                t.deepEqual(res.errorLines, []);
+                t.equal(stats.repaired, 1);
+                t.equal(MAKO_FILES[NEW.manta_storage_id]['/owner/objectId'],
+                        DATA);
+                t.equal(client.puts.length, 1);
+                t.deepEqual(client.puts[0].value.sharks, [ SOURCE, NEW ]);
+                t.deepEqual(client.puts[0].opts, { etag: 'metag' });
+                t.end();
+        });
+});
+
+
+test('test: object changed since the plan', function (t) {
+        var client = createMorayClient('newetag');
+
+        runRepair(client, repairRecord(MD5), function (err, res, stats) {
+                t.ifError(err);
+                t.deepEqual(res.errorLines, []);
+                t.equal(stats.changed, 1);
+                t.equal(stats.repaired, 0);
+                t.equal(MAKO_FILES[NEW.manta_storage_id], undefined);
+                t.equal(client.puts.length, 0);
+                t.end();
+        });
+});
+
+
+test('test: digest mismatch leaves moray alone', function (t) {
+        var client = createMorayClient('metag');
+        var line = repairRecord('bad');
+
+        runRepair(client, line, function (err, res, stats) {
+                t.ifError(err);
+                t.deepEqual(res.errorLines, [ line.trim() ]);
+                t.equal(stats.errorLines, 1);
+                t.equal(stats.repaired, 0);
+                t.equal(client.puts.length, 0);
+                t.end();
+        });
+});
+
+
+test('test: no copy on the source shark', function (t) {
+        var client = createMorayClient('metag');
+        var line = repairRecord(MD5);
+        delete MAKO_FILES[SOURCE.manta_storage_id]['/owner/objectId'];
+
+        runRepair(client, line, function (err, res, stats) {
+                t.ifError(err);
+                t.deepEqual(res.errorLines, [ line.trim() ]);
+                t.equal(MAKO_FILES[NEW.manta_storage_id], undefined);
+                t.equal(client.puts.length, 0);
+                t.end();
+        });
+});
+
+
+test('test: source shark stalls', function (t) {
+        var client = createMorayClient('metag');
+        var line = repairRecord(MD5);
+        MAKO_STALLS[SOURCE.manta_storage_id + ' GET'] = true;
+
+        runRepair(client, line, function (err, res, stats) {
+                t.ifError(err);
+                t.deepEqual(res.errorLines, [ line.trim() ]);
+                t.equal(stats.repaired, 0);
+                t.equal(client.puts.length, 0);
+                t.end();
+        });
+});
+
+
+test('test: new shark stalls', function (t) {
+        var client = createMorayClient('metag');
+        var line = repairRecord(MD5);
+        MAKO_STALLS[NEW.manta_storage_id + ' PUT'] = true;
+
+        runRepair(client, line, function (err, res, stats) {
+                t.ifError(err);
+                t.deepEqual(res.errorLines, [ line.trim() ]);
+                t.equal(stats.repaired, 0);
+                t.equal(client.puts.length, 0);
+                t.end();
+        });
+});
@@ -0,0 +1,74 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var events = require('events');
+var helper = require('./helper.js');
+var lib = require('../lib');
+
+
+
+///--- Globals
+
+var MORAY_1 = '1.moray.coal.joyent.us';
+var MORAY_2 = '2.moray.coal.joyent.us';
+var test = helper.test;
+
+
+
+///--- Tests
+
+test('test: merge', function (t) {
+        //Stands in for an Auditor.
+        var auditor = new events.EventEmitter();
+        var a = lib.createAuditSummary();
+        a.attach(auditor);
+        a.addJob('job-1');
+        auditor.emit('problem', { kind: 'under_replicated', shard: MORAY_1 });
+        auditor.emit('problem', { kind: 'missing_copy', shard: MORAY_2 });
+        auditor.emit('size_mismatch',
+            { kind: 'size_mismatch', shard: MORAY_1 });
+        auditor.emit('corrupt', { kind: 'corrupt', shard: MORAY_2 });
+
+        var summary = lib.createAuditSummary(JSON.parse(JSON.stringify(a)));
+        summary.merge(a);
+        summary.addJob('job-2');
+
+        t.deepEqual(summary.toJSON(), {
+                version: 1,
+                jobs: [ 'job-1', 'job-2' ],
+                shards: {
+                        '1.moray.coal.joyent.us': {
+                                missingCopies: 0,
+                                missingAllCopies: 0,
+                                underReplicated: 2,
+                                unknownStorageNodes: 0,
+                                sizeMismatches: 2,
+                                corrupt: 0
+                        },
+                        '2.moray.coal.joyent.us': {
+                                missingCopies: 2,
+                                missingAllCopies: 0,
+                                underReplicated: 0,
+                                unknownStorageNodes: 0,
+                                sizeMismatches: 0,
+                                corrupt: 2
+                        }
+                },
+                totals: {
+                        missingCopies: 2,
+                        missingAllCopies: 0,
+                        underReplicated: 2,
+                        unknownStorageNodes: 0,
+                        sizeMismatches: 2,
+                        corrupt: 2
+                }
+        });
+        t.end();
+});
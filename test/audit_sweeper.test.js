@@ -0,0 +1,138 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var fs = require('fs');
+var helper = require('./helper.js');
+var lib = require('../lib');
+var MemoryStream = require('memorystream');
+
+
+
+///--- Globals
+
+var after = helper.after;
+var before = helper.before;
+var test = helper.test;
+var LOG = helper.createLogger('audit_sweeper.test', process.stderr);
+var ONE = { 'manta_storage_id': 'one', 'datacenter': '1' };
+var TWO = { 'manta_storage_id': 'two', 'datacenter': '2' };
+var FOUR = { 'manta_storage_id': 'four', 'datacenter': '2' };
+var TMP_DIR = '/var/tmp/mola-audit-sweeper-test';
+
+
+
+///--- Helpers
+
+function morayObject(key, sharks) {
+        return ({
+                key: key,
+                _etag: 'metag',
+                value: {
+                        contentMD5: 'md5',
+                        objectId: 'objectId',
+                        owner: 'owner',
+                        sharks: sharks,
+                        etag: 'oetag'
+                }
+        });
+}
+
+
+function createSweeper() {
+        return (lib.createAuditSweeper({
+                log: LOG,
+                reader: new MemoryStream(),
+                repairDir: TMP_DIR,
+                storageList: [ ONE, TWO, FOUR ]
+        }));
+}
+
+
+
+///--- Tests
+
+before(function (cb) {
+        if (!fs.existsSync(TMP_DIR)) {
+                fs.mkdirSync(TMP_DIR);
+        }
+        cb();
+});
+
+
+after(function (cb) {
+        fs.readdirSync(TMP_DIR).forEach(function (f) {
+                fs.unlinkSync(TMP_DIR + '/' + f);
+        });
+        fs.rmdirSync(TMP_DIR);
+        cb();
+});
+
+
+test('test: plan repair', function (t) {
+        var sweeper = createSweeper();
+
+        //"two" lost its copy, so the new one has to be in datacenter 2.
+        t.equal(null, sweeper.planRepair(morayObject('k1', [ ONE, TWO ]),
+                                         [ ONE ], 'shard'));
+        //A second link to the same object gets the same new shark.
+        t.equal(null, sweeper.planRepair(morayObject('k2', [ ONE, TWO ]),
+                                         [ ONE ], 'shard'));
+        //The same key again is only planned once.
+        t.equal(null, sweeper.planRepair(morayObject('k1', [ ONE, TWO ]),
+                                         [ ONE ], 'shard'));
+        t.equal(2, sweeper.getStats().repairsPlanned);
+
+        sweeper.writeRepairs(function (err) {
+                t.ifError(err);
+                t.deepEqual([ 'four' ], fs.readdirSync(TMP_DIR));
+                var lines = fs.readFileSync(TMP_DIR + '/four', 'utf8');
+                t.deepEqual(lines.split('\n'), [
+                        JSON.stringify({
+                                key: 'k1',
+                                morayEtag: 'metag',
+                                newShark: FOUR,
+                                oldShark: TWO,
+                                md5: 'md5',
+                                objectId: 'objectId',
+                                owner: 'owner',
+                                etag: 'oetag',
+                                sourceShark: ONE,
+                                shard: 'shard'
+                        }),
+                        JSON.stringify({
+                                key: 'k2',
+                                morayEtag: 'metag',
+                                newShark: FOUR,
+                                oldShark: TWO,
+                                md5: 'md5',
+                                objectId: 'objectId',
+                                owner: 'owner',
+                                etag: 'oetag',
+                                sourceShark: ONE,
+                                shard: 'shard'
+                        }),
+                        ''
+                ]);
+                t.end();
+        });
+});
+
+
+test('test: no repair for moved or lost objects', function (t) {
+        var sweeper = createSweeper();
+
+        //The copy on "four" may have been moved there from "two".
+        t.ok(sweeper.planRepair(morayObject('k1', [ ONE, TWO ]),
+                                [ FOUR ]) instanceof Error);
+        t.ok(sweeper.planRepair(morayObject('k2', [ ONE, TWO ]),
+                                []) instanceof Error);
+        t.equal(0, sweeper.getStats().repairsPlanned);
+        t.end();
+});
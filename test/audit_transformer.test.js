@@ -12,11 +12,13 @@ var assert = require('assert-plus');
 var fs = require('fs');
 var helper = require('./helper.js');
 var lib = require('../lib');
+var stream = require('stream');
 
 
 
 ///--- Globals
 
+var OWNER = '390b7cc4-eb41-4af9-baa4-27752e84775b';
 var test = helper.test;
 
 
@@ -39,7 +41,9 @@ test('test: tranform mako', function (t) {
                 assert.ok(row.objectId);
                 assert.ok(row.storageId);
                 assert.string(row.type, 'mako');
-                var s = row.objectId + '\t' + row.storageId + '\tmako';
+                assert.ok(row.bytes);
+                var s = row.objectId + '\t' + row.storageId + '\tmako\t' +
+                        row.bytes;
                 assert.ok(row.toString() === s, 'Expected <<' + s +
                           '>> but got <<' + row.toString() + '>>');
         });
@@ -70,8 +74,12 @@ test('test: tranform moray', function (t) {
                 assert.ok(row.objectId);
                 assert.ok(row.storageId);
                 assert.string(row.type, 'moray');
+                assert.number(row.contentLength);
+                assert.string(row.owner);
+                assert.ok(row.sharks.split(',').indexOf(row.storageId) !== -1);
                 var s = row.objectId + '\t' + row.storageId + '\tmoray\t' +
-                        row.key + '\t' + row.shard;
+                        row.key + '\t' + row.shard + '\t' + row.contentLength +
+                        '\t' + row.owner + '\t' + row.sharks;
                 assert.ok(row.toString() === s, 'Expected <<' + s +
                           '>> but got <<' + row.toString() + '>>');
         });
@@ -84,3 +92,57 @@ test('test: tranform moray', function (t) {
                 t.end();
         });
 });
+
+
+test('test: tranform with checksums', function (t) {
+        var mantaKey = '/poseidon/stor/mako/2.stor.coal.joyent.us';
+        var readStream = new stream.PassThrough();
+        var pt = lib.createAuditRowTransformer({
+                reader: readStream,
+                mantaKey: mantaKey,
+                checksums: true
+        });
+
+        var rows = [];
+        pt.on('row', function (row) {
+                rows.push(row.toString());
+        });
+
+        pt.once('end', function () {
+                t.deepEqual(rows, [
+                        'a\t2.stor.coal.joyent.us\tmako\t5\t' +
+                            'XUFAKrxLKna5cZ2REBfFkg==',
+                        'b\t2.stor.coal.joyent.us\tmako\t5'
+                ]);
+
+                var fileName = 'data/audit_rt_test/moray_sample';
+                var pt2 = lib.createAuditRowTransformer({
+                        reader: fs.createReadStream(fileName,
+                            { encoding: 'ascii' }),
+                        mantaKey: '/poseidon/stor/manatee_backups/' +
+                            '1.moray.coal.joyent.us/2013/05/09/18/' +
+                            'manta-2013-05-09-18-21-15.gz',
+                        checksums: true
+                });
+                var count = 0;
+                pt2.on('row', function (row) {
+                        ++count;
+                        assert.string(row.contentMD5, 'contentMD5');
+                        var s = row.objectId + '\t' + row.storageId +
+                                '\tmoray\t' + row.key + '\t' + row.shard +
+                                '\t' + row.contentLength + '\t' +
+                                row.owner + '\t' + row.sharks + '\t' +
+                                row.contentMD5;
+                        assert.ok(row.toString() === s, 'Expected <<' + s +
+                                  '>> but got <<' + row.toString() + '>>');
+                });
+                pt2.once('end', function () {
+                        t.ok(count === 52, 'Count was ' + count);
+                        t.end();
+                });
+        });
+
+        readStream.write('/manta/' + OWNER + '/a\t5\t1368123676\t1\t' +
+            'XUFAKrxLKna5cZ2REBfFkg==\n');
+        readStream.end('/manta/' + OWNER + '/b\t5\t1368123676\t1\n');
+});
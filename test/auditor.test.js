@@ -353,3 +353,165 @@ test('test: multiple problems in stack', function (t) {
                 stream.end();
         });
 });
+
+test('test: corrupt copies', function (t) {
+        var m = 'foo\t1.moray\t5\towner\ts1,s2,s3';
+        var data = l('o1', 's1', 'mako', '5\tmd5a') +
+                l('o1', 's1', 'moray', m + '\tmd5a') +
+                l('o1', 's2', 'mako', '5\tmd5b') +
+                l('o1', 's2', 'moray', m + '\tmd5a') +
+                //Only some copies may have digests.
+                l('o1', 's3', 'mako', '5') +
+                l('o1', 's3', 'moray', m + '\tmd5a') +
+                //Moray has no digest without checksums.
+                l('o2', 's1', 'mako', '7\tmd5c') +
+                l('o2', 's1', 'moray', 'bar\t1.moray\t7\towner\ts1') +
+                //A missing copy is a problem, not a corrupt one.
+                l('o3', 's1', 'moray', 'baz\t1.moray\t9\towner\ts1\tmd5d');
+
+        var stream = new MemoryStream(data);
+        var auditor = lib.createAuditor({ reader: stream });
+        var problems = [];
+        var corrupt = [];
+
+        auditor.on('problem', function (p) {
+                problems.push(p.toString());
+        });
+
+        auditor.on('corrupt', function (c) {
+                corrupt.push(c);
+        });
+
+        auditor.on('end', function () {
+                t.deepEqual(problems,
+                    [ 'o3\ts1\tmoray\tbaz\t1.moray\t9\towner\ts1\tmd5d' ]);
+                t.equal(corrupt.length, 1);
+                t.equal(corrupt[0].kind, 'corrupt');
+                t.equal(corrupt[0].objectId, 'o1');
+                t.equal(corrupt[0].storageId, 's2');
+                t.equal(corrupt[0].contentMD5, 'md5a');
+                t.equal(corrupt[0].makoDigest, 'md5b');
+                t.deepEqual(corrupt[0].sharks, [ 's1', 's2', 's3' ]);
+                t.equal(corrupt[0].toString(),
+                    'o1\ts2\tcorrupt\tfoo\t1.moray\tmd5a\tmd5b');
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
+
+test('test: size mismatches', function (t) {
+        var data = l('o1', 's1', 'mako', '5') +
+                l('o1', 's1', 'moray', 'foo\t1.moray\t5') +
+                l('o1', 's2', 'mako', '3\tmd5b') +
+                l('o1', 's2', 'moray', 'foo\t1.moray\t5\towner\ts1,s2\tmd5a') +
+                //Moray may not have a size.
+                l('o2', 's1', 'mako', '7') +
+                l('o2', 's1', 'moray', 'bar\t1.moray\t') +
+                l('o3', 's1', 'moray', 'baz\t1.moray\t9');
+
+        var stream = new MemoryStream(data);
+        var auditor = lib.createAuditor({ reader: stream });
+        var summary = lib.createAuditSummary();
+        var problems = [];
+        var mismatches = [];
+        var corrupt = [];
+
+        summary.attach(auditor);
+        auditor.on('problem', function (p) {
+                problems.push(p);
+        });
+
+        auditor.on('size_mismatch', function (m) {
+                mismatches.push(m);
+        });
+
+        auditor.on('corrupt', function (c) {
+                corrupt.push(c);
+        });
+
+        auditor.on('end', function () {
+                t.equal(problems.length, 1);
+                //A copy of the wrong size isn't also reported as corrupt.
+                t.equal(corrupt.length, 0);
+                t.equal(mismatches.length, 1);
+                t.equal(mismatches[0].kind, 'size_mismatch');
+                t.equal(mismatches[0].contentLength, 5);
+                t.equal(mismatches[0].makoBytes, 3);
+                t.equal(mismatches[0].owner, 'owner');
+                t.equal(mismatches[0].toString(),
+                    'o1\ts2\tsize_mismatch\tfoo\t1.moray\t5\t3');
+                t.deepEqual(summary.toJSON().totals, {
+                        missingCopies: 0,
+                        missingAllCopies: 1,
+                        underReplicated: 0,
+                        unknownStorageNodes: 0,
+                        sizeMismatches: 1,
+                        corrupt: 0
+                });
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
+
+test('test: problem kinds', function (t) {
+        var m1 = 'foo\t1.moray\t5\towner1\ts1,s2,s3';
+        var m2 = 'bar\t2.moray\t5\towner2\ts1,s2';
+        var m3 = 'baz\t2.moray\t5\towner2\ts1,s4';
+        var data = l('o1', 's1', 'mako', '5') +
+                l('o1', 's2', 'mako', '5') +
+                l('o1', 's1', 'moray', m1) +
+                l('o1', 's2', 'moray', m1) +
+                l('o1', 's3', 'moray', m1) +
+                l('o2', 's2', 'mako', '5') +
+                l('o2', 's1', 'moray', m2) +
+                l('o2', 's2', 'moray', m2) +
+                l('o3', 's1', 'moray', m3) +
+                l('o3', 's4', 'moray', m3);
+
+        var stream = new MemoryStream(data);
+        var auditor = lib.createAuditor({
+                reader: stream,
+                storageNodes: [ 's1', 's2', 's3' ]
+        });
+        var problems = [];
+
+        auditor.on('problem', function (p) {
+                problems.push(p);
+        });
+
+        auditor.on('end', function () {
+                t.deepEqual(problems.map(function (p) {
+                        return ([ p.objectId, p.storageId, p.kind ]);
+                }), [
+                        [ 'o1', 's3', 'missing_copy' ],
+                        [ 'o2', 's1', 'under_replicated' ],
+                        [ 'o3', 's1', 'missing_all_copies' ],
+                        [ 'o3', 's4', 'unknown_storage_node' ]
+                ]);
+                t.equal(problems[1].key, 'bar');
+                t.equal(problems[1].shard, '2.moray');
+                t.equal(problems[1].owner, 'owner2');
+                t.deepEqual(problems[1].sharks, [ 's1', 's2' ]);
+                t.deepEqual(JSON.parse(JSON.stringify(problems[1])), {
+                        kind: 'under_replicated',
+                        objectId: 'o2',
+                        storageId: 's1',
+                        key: 'bar',
+                        shard: '2.moray',
+                        contentLength: 5,
+                        owner: 'owner2',
+                        sharks: [ 's1', 's2' ]
+                });
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
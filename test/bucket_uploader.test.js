@@ -0,0 +1,288 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var fs = require('fs');
+var helper = require('./helper.js');
+var lib = require('../lib');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+var vasync = require('vasync');
+
+
+
+///--- Globals
+
+var after = helper.after;
+var before = helper.before;
+var LOG = helper.createLogger('bucket uploader test');
+var TMP_DIR = path.join(os.tmpdir(), 'bucket_uploader.test.' + process.pid);
+var test = helper.test;
+
+
+
+///--- Helpers
+
+/*
+ * Stands in for a Manta client, keeping the objects that were put.  As the
+ * real one does, it pipes its input into a request, which commits the object
+ * when the input ends.  Puts to keys in "failures" fail that many times, puts
+ * to keys in "slow" don't pipe their input for that many millis, and puts to
+ * keys in "hung" never read their input, nor call back once aborted.
+ */
+function FakeMantaClient() {
+        this.objects = {};
+        this.puts = {};
+        this.aborts = {};
+        this.failures = {};
+        this.slow = {};
+        this.hung = {};
+}
+
+
+FakeMantaClient.prototype.put = function put(key, s, opts, cb) {
+        var self = this;
+        var data = '';
+        var req = new stream.Writable();
+
+        req._write = function (d, enc, next) {
+                if (self.hung[key]) {
+                        return;
+                }
+                data += d;
+                next();
+        };
+        req.abort = function () {
+                req.aborted = true;
+                self.aborts[key] = (self.aborts[key] || 0) + 1;
+                if (!self.hung[key]) {
+                        cb(new Error('request aborted'));
+                }
+        };
+        req.on('finish', function () {
+                if (req.aborted) {
+                        return;
+                }
+                if (self.failures[key] > 0) {
+                        self.failures[key]--;
+                        cb(new Error('put failed'));
+                        return;
+                }
+                self.objects[key] = data;
+                cb();
+        });
+
+        self.puts[key] = (self.puts[key] || 0) + 1;
+        s.pause();
+        setTimeout(function () {
+                s.pipe(req);
+                s.resume();
+        }, self.slow[key] || 0);
+};
+
+
+/*
+ * Writes each [key, data] in turn to both the bucket and its local file, as
+ * mdemux.js does, then finishes the uploads.
+ */
+function upload(uploader, writes, cb) {
+        var files = {};
+
+        vasync.forEachPipeline({
+                inputs: writes,
+                func: function (w, next) {
+                        var key = w[0];
+                        if (!files[key]) {
+                                files[key] = path.join(TMP_DIR,
+                                    'tmp.' + Object.keys(files).length);
+                                fs.writeFileSync(files[key], '');
+                                uploader.open(key, files[key]);
+                        }
+                        fs.appendFileSync(files[key], w[1]);
+                        uploader.write(key, w[1], next);
+                }
+        }, function () {
+                uploader.finish(function (err) {
+                        cb(err, files);
+                });
+        });
+}
+
+
+function createUploader(client, opts) {
+        opts = opts || {};
+        return (lib.createBucketUploader({
+                log: LOG,
+                mantaClient: client,
+                concurrency: opts.concurrency || 1,
+                retries: opts.retries,
+                retryDelay: 1,
+                stallTimeout: opts.stallTimeout
+        }));
+}
+
+
+
+///--- Tests
+
+before(function (cb) {
+        fs.mkdirSync(TMP_DIR);
+        cb();
+});
+
+
+after(function (cb) {
+        fs.readdirSync(TMP_DIR).forEach(function (f) {
+                fs.unlinkSync(path.join(TMP_DIR, f));
+        });
+        fs.rmdirSync(TMP_DIR);
+        cb();
+});
+
+
+test('test: stream and upload from file', function (t) {
+        var client = new FakeMantaClient();
+        var uploader = createUploader(client);
+
+        upload(uploader, [
+                [ '/a', 'a1\n' ],
+                [ '/b', 'b1\n' ],
+                [ '/a', 'a2\n' ],
+                [ '/c', 'c1\n' ],
+                [ '/b', 'b2\n' ]
+        ], function (err, files) {
+                t.ifError(err);
+                t.deepEqual(client.objects, {
+                        '/a': 'a1\na2\n',
+                        '/b': 'b1\nb2\n',
+                        '/c': 'c1\n'
+                });
+                t.deepEqual(uploader.getStats(), {
+                        buckets: 3,
+                        streamed: 1,
+                        uploadedFromFile: 2,
+                        stalled: 0,
+                        retries: 0
+                });
+                Object.keys(files).forEach(function (k) {
+                        t.ok(!fs.existsSync(files[k]), files[k]);
+                });
+                t.end();
+        });
+});
+
+
+test('test: stalled upload is redone from file', function (t) {
+        var client = new FakeMantaClient();
+        var uploader = createUploader(client, {
+                concurrency: 2,
+                stallTimeout: 10
+        });
+        //More than a stream's highWaterMark, so the write blocks.
+        var big = new Array(64 * 1024).join('x') + '\n';
+
+        client.slow['/a'] = 100;
+        upload(uploader, [
+                [ '/a', big ],
+                [ '/b', 'b1\n' ],
+                [ '/a', 'a2\n' ]
+        ], function (err) {
+                t.ifError(err);
+                t.equal(client.objects['/a'], big + 'a2\n');
+                t.equal(client.objects['/b'], 'b1\n');
+                t.equal(client.puts['/a'], 2);
+                t.equal(client.aborts['/a'], 1);
+                t.equal(uploader.getStats().stalled, 1);
+                t.equal(uploader.getStats().streamed, 1);
+                t.equal(uploader.getStats().uploadedFromFile, 1);
+                t.end();
+        });
+});
+
+
+test('test: hung upload is aborted, not waited for', function (t) {
+        var client = new FakeMantaClient();
+        var uploader = createUploader(client, { stallTimeout: 10 });
+        var big = new Array(64 * 1024).join('x') + '\n';
+        var commits = [];
+
+        //Enough to fill both the body's and the request's buffers.
+        client.hung['/a'] = true;
+        upload(uploader, [
+                [ '/a', big ],
+                [ '/a', big ],
+                [ '/a', big ],
+                [ '/a', 'a2\n' ]
+        ], function (err) {
+                t.ifError(err);
+                t.equal(client.aborts['/a'], 1);
+                //Only the upload from the file was committed.
+                t.deepEqual(commits, [ big + big + big + 'a2\n' ]);
+                t.equal(uploader.getStats().stalled, 1);
+                t.equal(uploader.getStats().uploadedFromFile, 1);
+                t.end();
+        });
+
+        //The second put of /a is from the file, which isn't hung.
+        var put = client.put;
+        client.put = function (key, s, opts, cb) {
+                if (client.puts[key] === 1) {
+                        client.hung[key] = false;
+                }
+                put.call(client, key, s, opts, function (pErr) {
+                        if (!pErr) {
+                                commits.push(client.objects[key]);
+                        }
+                        cb(pErr);
+                });
+        };
+});
+
+
+test('test: retry failed uploads', function (t) {
+        var client = new FakeMantaClient();
+        var uploader = createUploader(client, { retries: 2 });
+
+        //The streamed upload of /a fails, so it is redone from its file.
+        client.failures['/a'] = 2;
+        client.failures['/b'] = 1;
+        upload(uploader, [
+                [ '/a', 'a1\n' ],
+                [ '/b', 'b1\n' ]
+        ], function (err) {
+                t.ifError(err);
+                t.equal(client.objects['/a'], 'a1\n');
+                t.equal(client.objects['/b'], 'b1\n');
+                t.equal(uploader.getStats().retries, 2);
+                t.equal(uploader.getStats().uploadedFromFile, 2);
+                t.end();
+        });
+});
+
+
+test('test: give up after retries', function (t) {
+        var client = new FakeMantaClient();
+        var uploader = createUploader(client, {
+                concurrency: 1,
+                retries: 1
+        });
+
+        client.failures['/b'] = 2;
+        upload(uploader, [
+                [ '/a', 'a1\n' ],
+                [ '/b', 'b1\n' ]
+        ], function (err) {
+                t.ok(err);
+                t.ok(/upload .* -> "\/b"/.test(err.message), err.message);
+                t.equal(client.objects['/a'], 'a1\n');
+                t.ok(!client.objects['/b']);
+                t.end();
+        });
+});
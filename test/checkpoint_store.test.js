@@ -0,0 +1,78 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var fs = require('fs');
+var helper = require('./helper.js');
+var lib = require('../lib');
+var path = require('path');
+
+
+
+///--- Globals
+
+var LOG = helper.createLogger('checkpoint store test');
+var DIR = path.resolve(__dirname, '..', 'tmp', 'checkpoints',
+    String(process.pid));
+var OBJECT = '/poseidon/stor/manta_gc/moray/1.moray.coal.joyent.us/obj';
+var test = helper.test;
+
+
+
+///--- Tests
+
+test('test: put, get, remove', function (t) {
+        var store = lib.createCheckpointStore({ log: LOG, dir: DIR });
+
+        store.get(OBJECT, function (err, cp) {
+                t.ifError(err);
+                t.equal(cp, null);
+                store.put(OBJECT, { lines: 10, etag: 'e' }, function (err2) {
+                        t.ifError(err2);
+                        store.get(OBJECT, function (err3, cp2) {
+                                t.ifError(err3);
+                                t.deepEqual(cp2, {
+                                        lines: 10,
+                                        etag: 'e',
+                                        object: OBJECT
+                                });
+                                store.remove(OBJECT, function (err4) {
+                                        t.ifError(err4);
+                                        store.get(OBJECT, function (err5, c) {
+                                                t.ifError(err5);
+                                                t.equal(c, null);
+                                                t.end();
+                                        });
+                                });
+                        });
+                });
+        });
+});
+
+
+test('test: unparseable checkpoint', function (t) {
+        var store = lib.createCheckpointStore({ log: LOG, dir: DIR });
+
+        store.put(OBJECT, { lines: 10 }, function (err) {
+                t.ifError(err);
+                fs.writeFileSync(store.pathFor(OBJECT), '{"lines":');
+                store.get(OBJECT, function (err2, cp) {
+                        t.ifError(err2);
+                        t.equal(cp, null);
+                        store.remove(OBJECT, function (err3) {
+                                t.ifError(err3);
+                                //Removing it again is fine.
+                                store.remove(OBJECT, function (err4) {
+                                        t.ifError(err4);
+                                        t.end();
+                                });
+                        });
+                });
+        });
+});
@@ -0,0 +1,226 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var events = require('events');
+var helper = require('./helper.js');
+var lib = require('../lib');
+var path = require('path');
+var stream = require('stream');
+var VError = require('verror').VError;
+var zlib = require('zlib');
+
+
+
+///--- Globals
+
+var before = helper.before;
+var LOG = helper.createLogger('dump preflight test');
+var HOUR = 60 * 60 * 1000;
+var NOW = new Date(2020, 0, 2, 12, 30).getTime();
+var MORAY_1 = '1.moray.coal.joyent.us';
+var MORAY_2 = '2.moray.coal.joyent.us';
+var PREFIXES = [ 'manta-', 'manta_delete_log-' ];
+var test = helper.test;
+
+var GZIPPED;
+
+
+
+///--- Helpers
+
+/*
+ * Stands in for a Manta client, with just the ls and get that the preflight
+ * checks use.
+ */
+function FakeMantaClient() {
+        this.user = 'poseidon';
+        this.objects = {};
+        this.gets = 0;
+}
+
+
+/*
+ * Puts dumps of some tables in a shard's directory for the hour hoursAgo
+ * hours before NOW.
+ */
+FakeMantaClient.prototype.dump = function dump(shard, hoursAgo, tables,
+    contents) {
+        var self = this;
+        var d = new Date(NOW - hoursAgo * HOUR);
+        var dir = lib.common.dumpDirectory(self.user, shard, d);
+        tables.forEach(function (t) {
+                self.objects[dir + '/' + t + '2020-01-02-00-00-00.gz'] = {
+                        mtime: d.toISOString(),
+                        contents: contents || GZIPPED
+                };
+        });
+};
+
+
+FakeMantaClient.prototype.ls = function ls(dir, opts, cb) {
+        var self = this;
+        var names = Object.keys(self.objects).filter(function (p) {
+                return (path.dirname(p) === dir);
+        });
+        if (names.length === 0) {
+                var err = new Error(dir + ' was not found');
+                err.code = 'NotFoundError';
+                cb(err);
+                return;
+        }
+        var res = new events.EventEmitter();
+        cb(null, res);
+        setImmediate(function () {
+                names.forEach(function (p) {
+                        res.emit('object', {
+                                name: path.basename(p),
+                                mtime: self.objects[p].mtime,
+                                size: self.objects[p].contents.length
+                        });
+                });
+                res.emit('end');
+        });
+};
+
+
+FakeMantaClient.prototype.get = function get(p, opts, cb) {
+        var s = new stream.PassThrough();
+        this.gets++;
+        cb(null, s);
+        s.end(this.objects[p].contents);
+};
+
+
+function check(client, opts, cb) {
+        lib.dumpPreflight.checkDumps({
+                log: LOG,
+                client: client,
+                shards: opts.shards || [ MORAY_1, MORAY_2 ],
+                tablePrefixes: PREFIXES,
+                checkGzip: opts.checkGzip,
+                timestamp: NOW
+        }, cb);
+}
+
+
+
+///--- Tests
+
+before(function (cb) {
+        if (GZIPPED) {
+                cb();
+                return;
+        }
+        zlib.gzip(new Buffer('COPY manta (_id, _key) FROM stdin;\n'),
+            function (err, buf) {
+                GZIPPED = buf;
+                cb(err);
+        });
+});
+
+
+test('test: all dumps ok', function (t) {
+        var client = new FakeMantaClient();
+        client.dump(MORAY_1, 0, PREFIXES);
+        client.dump(MORAY_2, 3, PREFIXES);
+        //An older day's dumps don't matter.
+        client.dump(MORAY_2, 26, PREFIXES, new Buffer('junk'));
+
+        check(client, { checkGzip: true }, function (err, report) {
+                t.ifError(err);
+                t.ok(report.ok);
+                t.equal(client.gets, 4);
+                var r = report.shards[MORAY_2];
+                t.ok(r.ok);
+                t.equal(r.directory, lib.common.dumpDirectory('poseidon',
+                    MORAY_2, new Date(NOW - 3 * HOUR)));
+                t.equal(r.dumps.length, 2);
+                t.ok(r.dumps[0].gzipOk);
+                t.equal(r.dumps[0].ageHours, 3);
+
+                //By default, no dumps are downloaded.
+                check(client, {}, function (err2, rep2) {
+                        t.ifError(err2);
+                        t.ok(rep2.ok);
+                        t.equal(client.gets, 4);
+                        t.end();
+                });
+        });
+});
+
+
+test('test: dumps in progress', function (t) {
+        var client = new FakeMantaClient();
+        client.dump(MORAY_1, 0, [ 'manta-' ]);
+        client.dump(MORAY_1, 1, PREFIXES);
+
+        check(client, { shards: [ MORAY_1 ] }, function (err, report) {
+                t.ifError(err);
+                t.equal(report.shards[MORAY_1].directory,
+                    lib.common.dumpDirectory('poseidon', MORAY_1,
+                    new Date(NOW - HOUR)));
+                t.end();
+        });
+});
+
+
+test('test: missing and stale dumps', function (t) {
+        var client = new FakeMantaClient();
+        var moray3 = '3.moray.coal.joyent.us';
+        client.dump(MORAY_1, 2, [ 'manta-' ]);
+        client.dump(MORAY_2, 30, PREFIXES);
+
+        check(client, { shards: [ MORAY_1, MORAY_2, moray3 ] },
+            function (err, report) {
+                t.ok(err);
+                t.equal(err.name, 'DumpPreflightError');
+                t.ok(/3 of 3 shards/.test(err.message));
+                t.deepEqual(VError.info(err).report, report);
+                t.ok(!report.ok);
+
+                var r1 = report.shards[MORAY_1];
+                t.ok(!r1.ok);
+                t.equal(r1.problems.length, 1);
+                t.ok(/no "manta_delete_log-" dump/.test(r1.problems[0]));
+                t.equal(r1.dumps.length, 1);
+                t.deepEqual(report.shards[MORAY_2].problems,
+                    [ 'no dumps in the past 24 hours' ]);
+                t.deepEqual(report.shards[moray3].problems,
+                    [ 'no dumps in the past 24 hours' ]);
+                t.end();
+        });
+});
+
+
+test('test: corrupt and empty dumps', function (t) {
+        var client = new FakeMantaClient();
+        client.dump(MORAY_1, 0, [ 'manta-' ],
+            GZIPPED.slice(0, GZIPPED.length - 4));
+        client.dump(MORAY_1, 0, [ 'manta_delete_log-' ], new Buffer(0));
+        client.dump(MORAY_2, 0, PREFIXES);
+
+        check(client, { checkGzip: true }, function (err, report) {
+                t.ok(err);
+                t.ok(/1 of 2 shards/.test(err.message));
+                t.ok(report.shards[MORAY_2].ok);
+
+                var problems = report.shards[MORAY_1].problems.sort();
+                t.equal(problems.length, 2);
+                t.ok(/^manta-.* failed gzip check/.test(problems[0]));
+                t.ok(/^manta_delete_log-.* is empty$/.test(problems[1]));
+
+                //Without the gzip check, only the empty dump is caught.
+                check(client, {}, function (err2, rep2) {
+                        t.ok(err2);
+                        t.equal(rep2.shards[MORAY_1].problems.length, 1);
+                        t.end();
+                });
+        });
+});
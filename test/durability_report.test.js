@@ -0,0 +1,110 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var helper = require('./helper.js');
+var lib = require('../lib');
+var MemoryStream = require('memorystream');
+
+
+
+///--- Globals
+
+var OWNER_1 = 'ec9b0b88-0118-11e2-a85b-0ff8adc7a466';
+var OWNER_2 = 'f37f2a53-1d80-4ea3-aea7-a55b2351236a';
+var test = helper.test;
+
+
+
+///--- Tests
+
+test('test: report from audit output', function (t) {
+        var parse = lib.durabilityReport.parseProblem;
+        var report = lib.createDurabilityReport();
+        report.addJob('job-1');
+
+        //Text output, which has no kinds.
+        [
+                'o1\ts2\tmoray\t/' + OWNER_1 + '/stor/a\t1.moray\t10\t' +
+                    OWNER_1 + '\ts1,s2',
+                //A link to the same object.
+                'o1\ts2\tmoray\t/' + OWNER_1 + '/stor/b\t1.moray\t10\t' +
+                    OWNER_1 + '\ts1,s2',
+                'o2\ts1\tsize_mismatch\t/' + OWNER_2 + '/stor/c\t2.moray\t7\t3'
+        ].forEach(function (line) {
+                report.add(parse(line));
+        });
+
+        t.deepEqual(report.toJSON(), {
+                version: 1,
+                jobs: [ 'job-1' ],
+                owners: {
+                        'ec9b0b88-0118-11e2-a85b-0ff8adc7a466': {
+                                objects: 1,
+                                bytes: 10,
+                                problems: { missing: 2 },
+                                keys: [ '/' + OWNER_1 + '/stor/a' ]
+                        },
+                        'f37f2a53-1d80-4ea3-aea7-a55b2351236a': {
+                                objects: 1,
+                                bytes: 7,
+                                problems: { size_mismatch: 1 },
+                                keys: [ '/' + OWNER_2 + '/stor/c' ]
+                        }
+                },
+                storageNodes: {
+                        's1': {
+                                objects: 1,
+                                bytes: 7,
+                                problems: { size_mismatch: 1 }
+                        },
+                        's2': {
+                                objects: 1,
+                                bytes: 10,
+                                problems: { missing: 2 }
+                        }
+                },
+                totals: { owners: 2, objects: 2, bytes: 17 }
+        });
+        t.end();
+});
+
+
+test('test: report from auditor problems', function (t) {
+        var m = '/' + OWNER_1 + '/stor/a\t1.moray\t10\t' + OWNER_1 +
+                '\ts1,s2,s3';
+        var data = 'o1\ts1\tmako\t10\n' +
+                'o1\ts1\tmoray\t' + m + '\n' +
+                'o1\ts2\tmoray\t' + m + '\n' +
+                'o1\ts3\tmoray\t' + m + '\n';
+        var stream = new MemoryStream(data);
+        var auditor = lib.createAuditor({ reader: stream });
+        var report = lib.createDurabilityReport();
+
+        auditor.on('problem', function (p) {
+                //As written by audit.js -J.
+                report.add(lib.durabilityReport.parseProblem(
+                    JSON.stringify(p)));
+        });
+
+        auditor.on('end', function () {
+                var r = report.toJSON();
+                t.deepEqual(Object.keys(r.owners), [ OWNER_1 ]);
+                t.deepEqual(r.owners[OWNER_1].problems,
+                    { under_replicated: 2 });
+                t.equal(r.owners[OWNER_1].objects, 1);
+                t.deepEqual(Object.keys(r.storageNodes), [ 's2', 's3' ]);
+                t.deepEqual(r.totals, { owners: 1, objects: 1, bytes: 10 });
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
@@ -22,6 +22,7 @@ var GRACE_PERIOD_MILLIS = 60 * 60 * 24 * 2 * 1000; //2 days
 var MORAY_1 = '1.moray.coal.joyent.us';
 var MORAY_2 = '2.moray.coal.joyent.us';
 var OWNER = 'owner-uuid';
+var HELD_OWNER = 'held-owner-uuid';
 var test = helper.test;
 
 
@@ -33,16 +34,24 @@ function live(objectId, date) {
 }
 
 
-function dead(objectId, date, morayHostname) {
+function liveOn(objectId, date, morayHostname) {
+        return (objectId + '\t' + date.toISOString() + '\tlive\t\t' +
+                morayHostname + '\n');
+}
+
+
+function dead(objectId, date, morayHostname, owner, key) {
+        owner = owner || OWNER;
+        key = key || '/' + owner + '/stor/key-1';
         var obj = {
                 '__table': 'manta_delete_log',
                 '_id': '1',
                 '_key': '/' + objectId + '/' + date.getTime(),
                 '_value': {
-                        'dirname': '/' + OWNER + '/stor',
-                        'key': '/' + OWNER + '/stor/key-1',
+                        'dirname': '/' + owner + '/stor',
+                        'key': key,
                         'mtime': date.getTime(),
-                        'owner': OWNER,
+                        'owner': owner,
                         'type': 'object',
                         'contentLength': 3060,
                         'contentMD5': 'l/niJjQMwQsp/TdHOYIgXg==',
@@ -305,6 +314,59 @@ test('test: dead object, custom grace period', function (t) {
 });
 
 
+test('test: dead objects, grace period policy', function (t) {
+        var now = Date.now();
+        var old = new Date(now - GRACE_PERIOD_MILLIS - 1000);
+        var recent = new Date(now - 2 * 60 * 60 * 1000);
+        var data =
+                //Past the default grace period.
+                dead('1111', old, MORAY_1) +
+                //Held for longer by owner.
+                dead('2222', old, MORAY_1, HELD_OWNER) +
+                //Within the default, but past the scratch grace period.
+                dead('3333', recent, MORAY_1, OWNER,
+                    '/' + OWNER + '/stor/scratch/tmp') +
+                //Within the default grace period.
+                dead('4444', recent, MORAY_1) +
+                //Past the scratch grace period, but held by owner.
+                dead('5555', recent, MORAY_1, HELD_OWNER,
+                    '/' + HELD_OWNER + '/stor/scratch/tmp');
+        var stream = new MemoryStream(data);
+        var gc = lib.createGarbageCollector({
+                reader: stream,
+                gracePolicy: {
+                        owners: {
+                                'held-owner-uuid': 30 * 24 * 60 * 60
+                        },
+                        paths: {
+                                '/owner-uuid/stor/scratch/': 60 * 60,
+                                '/held-owner-uuid/stor/scratch/': 60 * 60
+                        }
+                }
+        });
+        var morays = [];
+        var graces = [];
+
+        gc.on('moray', function (moray) {
+                morays.push(moray.objectId);
+        });
+
+        gc.on('grace', function (grace) {
+                graces.push(grace.objectId);
+        });
+
+        gc.on('end', function () {
+                t.deepEqual(morays, [ '1111', '3333' ]);
+                t.deepEqual(graces, [ '2222', '4444', '5555' ]);
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
+
+
 test('test: dead object, middle of other not-quite-deads', function (t) {
         var now = Date.now();
         var recordDate = new Date(now - GRACE_PERIOD_MILLIS - 1000);
@@ -345,3 +407,265 @@ test('test: dead object, middle of other not-quite-deads', function (t) {
                 stream.end();
         });
 });
+
+
+test('test: snaplink, live on another shard', function (t) {
+        var now = Date.now();
+        var recordDate = new Date(now - GRACE_PERIOD_MILLIS - 1000);
+        var data =
+                dead('1234', recordDate, MORAY_1) +
+                liveOn('1234', new Date(now), MORAY_2);
+        var stream = new MemoryStream(data);
+        var gc = lib.createGarbageCollector({ reader: stream });
+        var morays = [];
+        var snaplinks = [];
+        var makoCalled = false;
+
+        gc.on('moray', function (moray) {
+                morays.push(moray);
+        });
+
+        gc.on('mako', function (mako) {
+                makoCalled = true;
+        });
+
+        gc.on('snaplink', function (snaplink) {
+                snaplinks.push(snaplink);
+        });
+
+        gc.on('end', function () {
+                assert.equal(morays.length, 1);
+                checkMoray(morays[0], MORAY_1, '1234', recordDate);
+                assert.ok(!makoCalled);
+                assert.equal(snaplinks.length, 1);
+                assert.equal(snaplinks[0].morayHostname, MORAY_1);
+                assert.equal(snaplinks[0].objectId, '1234');
+                assert.deepEqual(snaplinks[0].liveShards, [ MORAY_2 ]);
+                assert.equal(snaplinks[0].liveReferences, 1);
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
+
+
+test('test: snaplink, live sorts before dead', function (t) {
+        //A live record that sorts ahead of the delete record (because its
+        // shard was dumped earlier) must still keep the object on the makos.
+        var now = Date.now();
+        var liveDate = new Date(now - GRACE_PERIOD_MILLIS - 5000);
+        var recordDate = new Date(now - GRACE_PERIOD_MILLIS - 1000);
+        var data =
+                liveOn('1234', liveDate, MORAY_2) +
+                dead('1234', recordDate, MORAY_1);
+        var stream = new MemoryStream(data);
+        var gc = lib.createGarbageCollector({ reader: stream });
+        var morayCalled = 0;
+        var makoCalled = false;
+        var snaplinkCalled = 0;
+
+        gc.on('moray', function (moray) {
+                ++morayCalled;
+                checkMoray(moray, MORAY_1, '1234', recordDate);
+        });
+
+        gc.on('mako', function (mako) {
+                makoCalled = true;
+        });
+
+        gc.on('snaplink', function (snaplink) {
+                ++snaplinkCalled;
+        });
+
+        gc.on('end', function () {
+                assert.equal(morayCalled, 1);
+                assert.ok(!makoCalled);
+                assert.equal(snaplinkCalled, 1);
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
+
+
+test('test: snaplink, deleted on all shards', function (t) {
+        var now = Date.now();
+        var date1 = new Date(now - GRACE_PERIOD_MILLIS - 2000);
+        var date2 = new Date(now - GRACE_PERIOD_MILLIS - 1000);
+        var data =
+                dead('1234', date1, MORAY_1) +
+                dead('1234', date2, MORAY_2) +
+                liveOn('4321', new Date(now), MORAY_1);
+        var stream = new MemoryStream(data);
+        var gc = lib.createGarbageCollector({ reader: stream });
+        var morays = [];
+        var makoCalled = 0;
+        var snaplinkCalled = false;
+
+        gc.on('moray', function (moray) {
+                morays.push(moray);
+        });
+
+        gc.on('mako', function (mako) {
+                ++makoCalled;
+                assert.equal(mako.objectId, '1234');
+        });
+
+        gc.on('snaplink', function (snaplink) {
+                snaplinkCalled = true;
+        });
+
+        gc.on('end', function () {
+                assert.equal(morays.length, 2);
+                checkMoray(morays[0], MORAY_1, '1234', date1);
+                checkMoray(morays[1], MORAY_2, '1234', date2);
+                assert.equal(makoCalled, 2);
+                assert.ok(!snaplinkCalled);
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
+
+
+test('test: snaplink, live on several shards', function (t) {
+        var now = Date.now();
+        var recordDate = new Date(now - GRACE_PERIOD_MILLIS - 1000);
+        var data =
+                dead('1234', recordDate, MORAY_1) +
+                liveOn('1234', new Date(now), MORAY_1) +
+                liveOn('1234', new Date(now), MORAY_2) +
+                liveOn('1234', new Date(now + 1000), MORAY_2);
+        var stream = new MemoryStream(data);
+        var gc = lib.createGarbageCollector({ reader: stream });
+        var morayCalled = 0;
+        var makoCalled = false;
+        var snaplinks = [];
+
+        gc.on('moray', function (moray) {
+                ++morayCalled;
+        });
+
+        gc.on('mako', function (mako) {
+                makoCalled = true;
+        });
+
+        gc.on('snaplink', function (snaplink) {
+                snaplinks.push(snaplink);
+        });
+
+        gc.on('end', function () {
+                assert.equal(morayCalled, 1);
+                assert.ok(!makoCalled);
+                assert.equal(snaplinks.length, 1);
+                assert.deepEqual(snaplinks[0].liveShards, [ MORAY_2 ]);
+                assert.equal(snaplinks[0].liveReferences, 3);
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
+
+
+test('test: overwrite on the same shard is not a snaplink', function (t) {
+        var now = Date.now();
+        var recordDate = new Date(now - GRACE_PERIOD_MILLIS - 1000);
+        var data =
+                dead('1234', recordDate, MORAY_1) +
+                liveOn('1234', new Date(now), MORAY_1);
+        var stream = new MemoryStream(data);
+        var gc = lib.createGarbageCollector({ reader: stream });
+        var morayCalled = 0;
+        var snaplinkCalled = false;
+
+        gc.on('moray', function (moray) {
+                ++morayCalled;
+        });
+
+        gc.on('snaplink', function (snaplink) {
+                snaplinkCalled = true;
+        });
+
+        gc.on('end', function () {
+                assert.equal(morayCalled, 1);
+                assert.ok(!snaplinkCalled);
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
+
+
+test('test: suppressed owners', function (t) {
+        var now = Date.now();
+        var old = new Date(now - GRACE_PERIOD_MILLIS - 1000);
+        var older = new Date(now - GRACE_PERIOD_MILLIS - 2000);
+        var data =
+                //Not suppressed.
+                dead('1111', old, MORAY_1) +
+                //Suppressed, so kept.
+                dead('2222', old, MORAY_1, HELD_OWNER) +
+                //Suppressed, but the earlier record is still cleaned up.
+                dead('3333', older, MORAY_1, HELD_OWNER) +
+                dead('3333', old, MORAY_1, HELD_OWNER) +
+                //Suppressed, but still referenced.
+                dead('4444', old, MORAY_1, HELD_OWNER) +
+                liveOn('4444', new Date(now), MORAY_2) +
+                //Suppressed, but within the grace period.
+                dead('5555', new Date(now), MORAY_1, HELD_OWNER);
+        var stream = new MemoryStream(data);
+        var gc = lib.createGarbageCollector({
+                reader: stream,
+                suppressedOwners: [ HELD_OWNER ]
+        });
+        var report = lib.createGcReport();
+        var morays = [];
+        var makos = [];
+        var suppressed = [];
+
+        report.attach(gc);
+        gc.on('moray', function (moray) {
+                morays.push(moray.objectId + '@' + moray.date.getTime());
+        });
+
+        gc.on('mako', function (mako) {
+                makos.push(mako.objectId);
+        });
+
+        gc.on('suppressed', function (s) {
+                suppressed.push(s);
+        });
+
+        gc.on('end', function () {
+                t.deepEqual(makos, [ '1111', '1111' ]);
+                t.deepEqual(morays, [ '1111@' + old.getTime(),
+                        '3333@' + older.getTime(),
+                        '4444@' + old.getTime() ]);
+                t.equal(suppressed.length, 2);
+                t.equal(suppressed[0].objectId, '2222');
+                t.equal(suppressed[0].owner, HELD_OWNER);
+                t.equal(suppressed[0].morayHostname, MORAY_1);
+                t.equal(suppressed[1].objectId, '3333');
+                t.equal(suppressed[1].date - 0, old - 0);
+
+                var r = report.toJSON().shards[MORAY_1];
+                t.equal(r.deadRecords, 6);
+                t.equal(r.suppressed, 2);
+                t.equal(r.inGracePeriod, 1);
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
@@ -0,0 +1,128 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var helper = require('./helper.js');
+var lib = require('../lib');
+var MemoryStream = require('memorystream');
+
+
+
+///--- Globals
+
+var GRACE_PERIOD_MILLIS = 60 * 60 * 24 * 2 * 1000; //2 days
+var MORAY_1 = '1.moray.coal.joyent.us';
+var OWNER_1 = 'owner-1-uuid';
+var OWNER_2 = 'owner-2-uuid';
+var test = helper.test;
+
+
+
+///--- Helpers
+
+function dead(objectId, date, owner, size) {
+        var obj = {
+                '_key': '/' + objectId + '/' + date.getTime(),
+                '_value': {
+                        'key': '/' + owner + '/stor/' + objectId,
+                        'owner': owner,
+                        'type': 'object',
+                        'contentLength': size,
+                        'objectId': objectId,
+                        'sharks': [ {
+                                'manta_storage_id': '1.stor'
+                        }, {
+                                'manta_storage_id': '2.stor'
+                        }]
+                }
+        };
+        return (objectId + '\t' + date.toISOString() + '\tdead\t' +
+                JSON.stringify(obj) + '\t' + MORAY_1 + '\n');
+}
+
+
+function summarize(data, opts, cb) {
+        var stream = new MemoryStream(data);
+        var gc = lib.createGarbageCollector({ reader: stream });
+        var summary = lib.createGcDryRunSummary(opts);
+
+        summary.attach(gc);
+        gc.on('end', function () {
+                cb(summary);
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+}
+
+
+
+///--- Tests
+
+test('test: summary from gc events', function (t) {
+        var now = Date.now();
+        var old = new Date(now - GRACE_PERIOD_MILLIS * 2);
+        var data =
+                dead('1111', old, OWNER_1, 100) +
+                dead('2222', old, OWNER_1, 50) +
+                dead('3333', old, OWNER_2, 10) +
+                //Still within the grace period.
+                dead('4444', new Date(now), OWNER_2, 1000);
+
+        summarize(data, {}, function (summary) {
+                var s = summary.toJSON();
+                t.deepEqual(s.owners, {
+                        'owner-1-uuid': { objects: 2, bytes: 150 },
+                        'owner-2-uuid': { objects: 1, bytes: 10 }
+                });
+                t.deepEqual(s.storageNodes['1.stor'], {
+                        objects: 3,
+                        bytes: 160
+                });
+                t.equal(s.shards[MORAY_1].inGracePeriod, 1);
+                t.equal(s.sampled, 3);
+                t.deepEqual(s.samples.map(function (x) {
+                        return (x.key);
+                }), [
+                        '/owner-1-uuid/stor/1111',
+                        '/owner-1-uuid/stor/2222',
+                        '/owner-2-uuid/stor/3333'
+                ]);
+                t.equal(s.samples[0].sharks, 2);
+                t.equal(s.samples[0].contentLength, 100);
+                t.end();
+        });
+});
+
+
+test('test: sample size and merge', function (t) {
+        var old = new Date(Date.now() - GRACE_PERIOD_MILLIS * 2);
+        var data = '';
+        for (var i = 1000; i < 1050; ++i) {
+                data += dead('' + i, old, OWNER_1, 1);
+        }
+
+        summarize(data, { sampleSize: 10 }, function (a) {
+                t.equal(a.toJSON().samples.length, 10);
+                t.equal(a.toJSON().sampled, 50);
+
+                var merged = lib.createGcDryRunSummary({ sampleSize: 15 });
+                merged.merge(JSON.parse(JSON.stringify(a)));
+                merged.merge(a);
+                var m = merged.toJSON();
+                t.equal(m.sampled, 100);
+                t.equal(m.samples.length, 15);
+                t.deepEqual(m.owners, {
+                        'owner-1-uuid': { objects: 100, bytes: 100 }
+                });
+                t.equal(m.totals.objects, 200);
+                t.end();
+        });
+});
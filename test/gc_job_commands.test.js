@@ -0,0 +1,74 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var helper = require('./helper.js');
+var lib = require('../lib');
+
+
+
+///--- Globals
+
+var test = helper.test;
+
+
+
+///--- Helpers
+
+function jobOpts(extra) {
+        var opts = {
+                mantaUser: 'poseidon',
+                jobName: 'manta_gc',
+                marlinPathToAsset: 'poseidon/stor/manta_gc/assets/mola.tar.gz',
+                ownerMapDir: '/poseidon/stor/manta_gc/owners',
+                earliestDumpDate: '2020-01-01-00-00-00',
+                numberReducers: 3
+        };
+        Object.keys(extra || {}).forEach(function (k) {
+                opts[k] = extra[k];
+        });
+        return (opts);
+}
+
+
+/*
+ * Everything a map task writes to stdout, or uploads with mpipe, is input to
+ * the reducers, so msplit has to be the only thing that emits anything.
+ */
+function checkMapCmd(t, cmd) {
+        t.ok(cmd.indexOf('msplit -n 3') !== -1, 'output is msplit\'s');
+        t.equal(cmd.indexOf('mpipe'), -1, 'nothing mpiped: ' + cmd);
+        t.ok(cmd.indexOf('mput -q -f $OWNER_MAP_FILE $MANTA_OWNER_MAP') !==
+             -1, 'owner map uploaded with mput');
+}
+
+
+
+///--- Tests
+
+test('test: map phase only emits msplit output', function (t) {
+        var cmds = lib.gcJobCommands;
+        checkMapCmd(t, cmds.getPgTransformCmd(jobOpts()));
+        checkMapCmd(t, cmds.getPgTransformCmd(jobOpts({
+                objectId: 'obj-1',
+                ownerMapObject: '/poseidon/stor/manta_gc/assets/' +
+                        'suppressed_owners.json'
+        })));
+        t.end();
+});
+
+
+test('test: manta user required', function (t) {
+        t.throws(function () {
+                lib.gcJobCommands.getPgTransformCmd(jobOpts({
+                        mantaUser: undefined
+                }));
+        });
+        t.end();
+});
@@ -0,0 +1,131 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var helper = require('./helper.js');
+var lib = require('../lib');
+var MemoryStream = require('memorystream');
+var parseJournalEntry = require('../lib/gc_journal').parseJournalEntry;
+var PassThrough = require('stream').PassThrough;
+
+
+
+///--- Globals
+
+var GRACE_PERIOD_MILLIS = 60 * 60 * 24 * 2 * 1000; //2 days
+var MORAY_1 = '1.moray.coal.joyent.us';
+var OWNER = 'owner-uuid';
+var test = helper.test;
+
+
+
+///--- Helpers
+
+function live(objectId, date, morayHostname) {
+        return (objectId + '\t' + date.toISOString() + '\tlive\t\t' +
+                morayHostname + '\n');
+}
+
+
+function dead(objectId, date, morayHostname) {
+        var obj = {
+                '_key': '/' + objectId + '/' + date.getTime(),
+                '_value': {
+                        'owner': OWNER,
+                        'type': 'object',
+                        'contentLength': 10,
+                        'objectId': objectId,
+                        'sharks': [ {
+                                'manta_storage_id': '1.stor'
+                        }, {
+                                'manta_storage_id': '2.stor'
+                        }]
+                }
+        };
+        return (objectId + '\t' + date.toISOString() + '\tdead\t' +
+                JSON.stringify(obj) + '\t' + morayHostname + '\n');
+}
+
+
+
+///--- Tests
+
+test('test: journal gc events', function (t) {
+        var now = Date.now();
+        var old = new Date(now - GRACE_PERIOD_MILLIS * 2);
+        var data =
+                //Past the grace period: mako and moray cleanup.
+                dead('1111', old, MORAY_1) +
+                //Overwritten: moray cleanup only.
+                dead('2222', old, MORAY_1) +
+                live('2222', new Date(now), MORAY_1) +
+                //Still within the grace period: nothing.
+                dead('3333', new Date(now), MORAY_1);
+        var stream = new MemoryStream(data);
+        var writer = new PassThrough();
+        var out = '';
+        var gc = lib.createGarbageCollector({ reader: stream });
+        var journal = lib.createGcJournal({ writer: writer });
+
+        writer.on('data', function (d) {
+                out += d;
+        });
+        journal.attach(gc);
+
+        gc.on('end', function () {
+                journal.end(function () {
+                        var entries = out.split('\n').filter(function (l) {
+                                return (l !== '');
+                        }).map(parseJournalEntry);
+                        var moray = entries.filter(function (e) {
+                                return (e.type === 'moray');
+                        });
+                        var mako = entries.filter(function (e) {
+                                return (e.type === 'mako');
+                        });
+
+                        t.equal(journal.entries, 4);
+                        t.equal(moray.length, 2);
+                        t.deepEqual(moray.map(function (e) {
+                                return (e.objectId);
+                        }).sort(), [ '1111', '2222' ]);
+                        t.equal(moray[0].morayHostname, MORAY_1);
+                        t.equal(moray[0].record._key,
+                            '/' + moray[0].objectId + '/' + old.getTime());
+                        t.equal(moray[0].record._value.owner, OWNER);
+                        t.deepEqual(mako.map(function (e) {
+                                return (e.mantaStorageId);
+                        }).sort(), [ '1.stor', '2.stor' ]);
+                        t.equal(mako[0].objectId, '1111');
+                        t.equal(mako[0].owner, OWNER);
+                        t.end();
+                });
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
+
+
+test('test: parse invalid journal entries', function (t) {
+        t.throws(function () {
+                parseJournalEntry('not json');
+        }, /invalid journal entry/);
+        t.throws(function () {
+                parseJournalEntry('{"type":"nope"}');
+        }, /invalid journal entry type/);
+        t.throws(function () {
+                parseJournalEntry('{"type":"moray","morayHostname":"' +
+                    MORAY_1 + '"}');
+        }, /invalid moray journal entry/);
+        t.equal(parseJournalEntry('{"type":"mako","objectId":"1"}').objectId,
+            '1');
+        t.end();
+});
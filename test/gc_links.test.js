@@ -0,0 +1,191 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var child_process = require('child_process');
+var fs = require('fs');
+var helper = require('./helper.js');
+var lib = require('../lib');
+var lstream = require('lstream');
+var MemoryStream = require('memorystream');
+var os = require('os');
+var path = require('path');
+
+
+
+///--- Globals
+
+var MANTA_USER = 'poseidon';
+var MORAY_1 = '1.moray.coal.joyent.us';
+var PERL = '/usr/bin/perl';
+var PREFIX = '/poseidon/stor/manta_gc/all/done/2020-01-01-00-00-00-' +
+        'job-1-X-reducer-uuid';
+var test = helper.test;
+
+
+
+///--- Helpers
+
+/*
+ * Runs the GC reducer over the sample manta_delete_log, returning the lines
+ * that gc.js would print.  The sample predates manta_storage_id, so it is
+ * filled in from each shark's url.  If given, links is attached to the
+ * GarbageCollector.
+ */
+function gcLines(links, cb) {
+        var fileName = 'data/pg_rt_test/2012-10-05-16-00-02-manta_delete_log';
+        var dumpDate = new Date('2012-10-05T16:00:02.000Z');
+        var pt = lib.createGcPgRowTransformer({
+                reader: fs.createReadStream(fileName, {encoding: 'ascii'}),
+                dumpDate: dumpDate,
+                earliestDumpDate: dumpDate,
+                morayHostname: MORAY_1
+        });
+        var rows = [];
+        var lines = [];
+
+        pt.on('row', function (row) {
+                row.obj._value.sharks.forEach(function (s) {
+                        s.manta_storage_id = s.url.replace('http://', '');
+                });
+                rows.push(row.toString());
+        });
+
+        pt.once('end', function () {
+                var stream = new MemoryStream(rows.sort().join('\n') + '\n');
+                var gc = lib.createGarbageCollector({
+                        reader: stream,
+                        gracePeriodMillis: 0
+                });
+                gc.on('moray', function (moray) {
+                        lines.push('moray\t' + moray.toString());
+                });
+                gc.on('mako', function (mako) {
+                        lines.push('mako\t' + mako.toString());
+                });
+                if (links) {
+                        links.attach(gc);
+                }
+                gc.on('error', cb);
+                gc.on('end', function () {
+                        cb(null, lines);
+                });
+                process.nextTick(function () {
+                        stream.end();
+                });
+        });
+}
+
+
+function runGcLinks(lines, cb) {
+        var links = lib.createGcLinks({
+                user: MANTA_USER,
+                prefix: PREFIX
+        });
+        var input = new MemoryStream(lines.join('\n') + '\n');
+        var out = '';
+
+        links.on('data', function (d) {
+                out += d;
+        });
+        links.on('end', function () {
+                cb(out, links.toString());
+        });
+        input.pipe(new lstream()).pipe(links);
+        process.nextTick(function () {
+                input.end();
+        });
+}
+
+
+function runGcLinksPl(lines, cb) {
+        var file = path.join(os.tmpdir(), 'gc_links.test.' + process.pid);
+        var perl = child_process.spawn(PERL, [ './bin/gc_links.pl',
+                MANTA_USER, file, PREFIX ]);
+        var out = '';
+
+        perl.stdout.on('data', function (d) {
+                out += d;
+        });
+        perl.on('close', function (code) {
+                var links = fs.readFileSync(file, 'utf8');
+                fs.unlinkSync(file);
+                cb(code, out, links);
+        });
+        perl.stdin.end(lines.join('\n') + '\n');
+}
+
+
+
+///--- Tests
+
+test('test: links from gc output', function (t) {
+        runGcLinks([
+                'mako\t2.stor\towner\t1111',
+                'moray\t' + MORAY_1 + '\t1111\t1',
+                'mako\t1.stor\towner\t1111',
+                'mako\t2.stor\towner\t2222'
+        ], function (out, links) {
+                t.equal(out.split('\n').length, 5);
+                t.equal(links, [
+                        'mmkdir /poseidon/stor/manta_gc/mako/1.stor',
+                        'mln ' + PREFIX + '-mako-1.stor ' +
+                                '/poseidon/stor/manta_gc/mako/1.stor/' +
+                                path.basename(PREFIX) + '-mako-1.stor',
+                        'mmkdir /poseidon/stor/manta_gc/mako/2.stor',
+                        'mln ' + PREFIX + '-mako-2.stor ' +
+                                '/poseidon/stor/manta_gc/mako/2.stor/' +
+                                path.basename(PREFIX) + '-mako-2.stor',
+                        'mmkdir /poseidon/stor/manta_gc/moray/' + MORAY_1,
+                        'mln ' + PREFIX + '-moray-' + MORAY_1 + ' ' +
+                                '/poseidon/stor/manta_gc/moray/' + MORAY_1 +
+                                '/' + path.basename(PREFIX) + '-moray-' +
+                                MORAY_1
+                ].join('\n') + '\n');
+                t.end();
+        });
+});
+
+
+test('test: links from gc events', function (t) {
+        var links = lib.createGcLinks({
+                user: MANTA_USER,
+                prefix: PREFIX
+        });
+
+        gcLines(links, function (err, lines) {
+                t.ifError(err);
+                runGcLinks(lines, function (_, expected) {
+                        t.equal(links.toString(), expected);
+                        t.end();
+                });
+        });
+});
+
+
+test('test: same output as gc_links.pl', function (t) {
+        if (!fs.existsSync(PERL)) {
+                t.ok(true, 'perl not installed, skipping');
+                t.end();
+                return;
+        }
+
+        gcLines(null, function (err, lines) {
+                t.ifError(err);
+                t.ok(lines.length > 0);
+                runGcLinks(lines, function (out, links) {
+                        runGcLinksPl(lines, function (code, plOut, plLinks) {
+                                t.equal(code, 0);
+                                t.equal(out, plOut);
+                                t.equal(links, plLinks);
+                                t.end();
+                        });
+                });
+        });
+});
@@ -0,0 +1,254 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * gc_output.test.js: runs the output stage of the GC reducer (gc_links.js and
+ * mdemux.js, then gc_create_links.js) against local disk, over the sample
+ * data, and checks that the makos can carry out what it writes.
+ */
+
+var child_process = require('child_process');
+var fs = require('fs');
+var helper = require('./helper.js');
+var lib = require('../lib');
+var MemoryStream = require('memorystream');
+var os = require('os');
+var path = require('path');
+var vasync = require('vasync');
+
+
+
+///--- Globals
+
+var after = helper.after;
+var before = helper.before;
+var MANTA_USER = 'poseidon';
+var MORAY_1 = '1.moray.coal.joyent.us';
+var GC_DIR = '/' + MANTA_USER + '/stor/manta_gc';
+var PREFIX = GC_DIR + '/all/done/2020-01-01-00-00-00-job-1-X-reducer-uuid';
+var ROOT = path.join(os.tmpdir(), 'gc_output.test.' + process.pid);
+var LINKS_FILE = path.join(ROOT, 'links.txt');
+var test = helper.test;
+
+
+
+///--- Helpers
+
+/*
+ * Runs the GC reducer over the sample manta_delete_log, returning the lines
+ * that gc.js would print.  The sample predates manta_storage_id, so it is
+ * filled in from each shark's url.
+ */
+function gcLines(cb) {
+        var fileName = 'data/pg_rt_test/2012-10-05-16-00-02-manta_delete_log';
+        var dumpDate = new Date('2012-10-05T16:00:02.000Z');
+        var pt = lib.createGcPgRowTransformer({
+                reader: fs.createReadStream(fileName, {encoding: 'ascii'}),
+                dumpDate: dumpDate,
+                earliestDumpDate: dumpDate,
+                morayHostname: MORAY_1
+        });
+        var rows = [];
+        var lines = [];
+
+        pt.on('row', function (row) {
+                row.obj._value.sharks.forEach(function (s) {
+                        s.manta_storage_id = s.url.replace('http://', '');
+                });
+                rows.push(row.toString());
+        });
+
+        pt.once('end', function () {
+                var stream = new MemoryStream(rows.sort().join('\n') + '\n');
+                var gc = lib.createGarbageCollector({
+                        reader: stream,
+                        gracePeriodMillis: 0
+                });
+                gc.on('moray', function (moray) {
+                        lines.push('moray\t' + moray.toString());
+                });
+                gc.on('mako', function (mako) {
+                        lines.push('mako\t' + mako.toString());
+                });
+                gc.on('error', cb);
+                gc.on('end', function () {
+                        cb(null, lines);
+                });
+                process.nextTick(function () {
+                        stream.end();
+                });
+        });
+}
+
+
+function run(cmd, input, cb) {
+        var child = child_process.spawn('/bin/bash', [ '-c', cmd ]);
+        var stderr = '';
+
+        child.stdout.resume();
+        child.stderr.on('data', function (d) {
+                stderr += d;
+        });
+        child.on('close', function (code) {
+                cb(code, stderr);
+        });
+        child.stdin.end(input);
+}
+
+
+function rmrf(p) {
+        if (fs.statSync(p).isDirectory()) {
+                fs.readdirSync(p).forEach(function (f) {
+                        rmrf(path.join(p, f));
+                });
+                fs.rmdirSync(p);
+        } else {
+                fs.unlinkSync(p);
+        }
+}
+
+
+
+function mkdirs(dir) {
+        if (!fs.existsSync(dir)) {
+                mkdirs(path.dirname(dir));
+                fs.mkdirSync(dir);
+        }
+}
+
+
+/*
+ * Runs the whole output stage over the sample data, calling back with the
+ * lines gc.js printed.
+ */
+function runOutputStage(t, cb) {
+        var node = process.execPath;
+
+        gcLines(function (err, lines) {
+                t.ifError(err);
+                t.ok(lines.length > 0);
+
+                var cmd = node + ' ./bin/gc_links.js ' + MANTA_USER + ' ' +
+                        LINKS_FILE + ' ' + PREFIX + ' | ' +
+                        node + ' ./bin/mdemux.js -p file://' + ROOT + PREFIX +
+                        '-{1}-{2} && ' +
+                        node + ' ./bin/gc_create_links.js -R ' + ROOT +
+                        ' -l ' + LINKS_FILE;
+
+                run(cmd, lines.join('\n') + '\n', function (code, stderr) {
+                        t.equal(code, 0, stderr);
+                        cb(lines);
+                });
+        });
+}
+
+
+
+///--- Tests
+
+before(function (cb) {
+        fs.mkdirSync(ROOT);
+        cb();
+});
+
+
+after(function (cb) {
+        rmrf(ROOT);
+        cb();
+});
+
+
+test('test: gc output stage on local disk', function (t) {
+        runOutputStage(t, function (lines) {
+                //Every storage node and shard has its instructions linked
+                // into place.
+                var expected = {};
+                lines.forEach(function (l) {
+                        var parts = l.split('\t');
+                        var k = parts[0] + '/' + parts[1];
+                        expected[k] = (expected[k] || '') + l + '\n';
+                });
+                Object.keys(expected).forEach(function (k) {
+                        var type = k.split('/')[0];
+                        var id = k.split('/')[1];
+                        var name = path.basename(PREFIX) + '-' + type + '-' +
+                                id;
+                        var linked = path.join(ROOT, GC_DIR, type, id, name);
+                        var done = path.join(ROOT, PREFIX + '-' + type + '-' +
+                            id);
+                        t.equal(fs.readFileSync(linked, 'utf8'), expected[k],
+                            linked);
+                        t.equal(fs.statSync(linked).ino,
+                            fs.statSync(done).ino);
+                });
+                t.ok(fs.existsSync(path.join(ROOT, GC_DIR, 'moray',
+                    MORAY_1)));
+                t.end();
+        });
+});
+
+
+/*
+ * The instructions written for each storage node can be carried out by a
+ * MakoCleaner.
+ */
+test('test: mako instructions carried out on local disk', function (t) {
+        var client = lib.createLocalMantaClient({ root: ROOT });
+
+        runOutputStage(t, function (lines) {
+                //Put every object the makos are told to remove in place,
+                // under a separate root per storage node.  Each object's
+                // contents are its (36 character) id.
+                var makos = {};
+                lines.forEach(function (l) {
+                        var parts = l.split('\t');
+                        if (parts[0] !== 'mako') {
+                                return;
+                        }
+                        var dir = path.join(ROOT, 'makos', parts[1], parts[2]);
+                        makos[parts[1]] = (makos[parts[1]] || 0) + 1;
+                        mkdirs(dir);
+                        fs.writeFileSync(path.join(dir, parts[3]), parts[3]);
+                });
+                t.ok(Object.keys(makos).length > 0);
+
+                vasync.forEachPipeline({
+                        inputs: Object.keys(makos),
+                        func: function (storageId, next) {
+                                var cleaner = lib.createMakoCleaner({
+                                        log: helper.createLogger('mako'),
+                                        mantaClient: client,
+                                        gcRoot: GC_DIR,
+                                        storageId: storageId,
+                                        root: path.join(ROOT, 'makos',
+                                            storageId)
+                                });
+                                cleaner.run(function (err) {
+                                        t.ifError(err);
+                                        t.deepEqual(cleaner.getStats(), {
+                                                instructionObjects: 1,
+                                                tombstoned: makos[storageId],
+                                                bytesTombstoned:
+                                                    makos[storageId] * 36,
+                                                alreadyGone: 0,
+                                                invalid: 0
+                                        }, storageId);
+                                        t.deepEqual(fs.readdirSync(path.join(
+                                            ROOT, GC_DIR, 'mako', storageId)),
+                                            []);
+                                        next();
+                                });
+                        }
+                }, function (err) {
+                        t.ifError(err);
+                        t.end();
+                });
+        });
+});
@@ -0,0 +1,88 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var fs = require('fs');
+var helper = require('./helper.js');
+var lib = require('../lib');
+
+
+
+///--- Globals
+
+var DUMP_DATE = new Date('2012-10-05T16:00:02.000Z');
+var MORAY_1 = '1.moray.coal.joyent.us';
+var MORAY_2 = '2.moray.coal.joyent.us';
+var OWNER_1 = 'ec9b0b88-0118-11e2-a85b-0ff8adc7a466';
+var OWNER_2 = 'f37f2a53-1d80-4ea3-aea7-a55b2351236a';
+var test = helper.test;
+
+
+
+///--- Helpers
+
+function readDump(table, cb) {
+        var map = lib.createGcOwnerMap();
+        var reader = lib.createSchemaReader(fs.createReadStream(
+            'data/pg_rt_test/2012-10-05-16-00-02-' + table,
+            { encoding: 'ascii' }));
+        map.attach(reader, MORAY_1, DUMP_DATE);
+        reader.on('end', function () {
+                cb(map);
+        });
+}
+
+
+
+///--- Tests
+
+test('test: owners read from a dump', function (t) {
+        readDump('manta', function (map) {
+                t.ok(map.hasShard(MORAY_1));
+                t.deepEqual(map.owners(), [ OWNER_1, OWNER_2 ]);
+                t.deepEqual(map.toJSON(), {
+                        version: 1,
+                        shards: {
+                                '1.moray.coal.joyent.us': {
+                                        dumpDate: DUMP_DATE.toISOString(),
+                                        owners: [ OWNER_1, OWNER_2 ]
+                                }
+                        }
+                });
+
+                //Nothing is read from the delete log.
+                readDump('manta_delete_log', function (map2) {
+                        t.ok(!map2.hasShard(MORAY_1));
+                        t.deepEqual(map2.owners(), []);
+                        t.end();
+                });
+        });
+});
+
+
+test('test: merge', function (t) {
+        var a = lib.createGcOwnerMap();
+        a.add(MORAY_1, OWNER_1, DUMP_DATE);
+        var b = lib.createGcOwnerMap();
+        b.add(MORAY_2, OWNER_2, new Date(DUMP_DATE.getTime() + 1000));
+        b.add(MORAY_1, OWNER_2);
+
+        var map = lib.createGcOwnerMap(a.toJSON());
+        map.merge(JSON.parse(JSON.stringify(b)));
+        t.deepEqual(map.owners([ MORAY_1 ]), [ OWNER_1, OWNER_2 ]);
+        t.deepEqual(map.owners([ MORAY_2 ]), [ OWNER_2 ]);
+        t.deepEqual(map.owners([ 'unknown.moray' ]), []);
+        t.equal(map.toJSON().shards[MORAY_1].dumpDate,
+            DUMP_DATE.toISOString());
+
+        t.throws(function () {
+                map.merge({ version: 2, shards: {} });
+        }, /version/);
+        t.end();
+});
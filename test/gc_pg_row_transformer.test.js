@@ -63,7 +63,8 @@ test('test: tranform live', function (t) {
                 assert.ok(row.objectId);
                 assert.ok(row.date === dumpDate);
                 assert.string(row.type, 'live');
-                var s = row.objectId + '\t' + dumpDateString + '\tlive';
+                var s = row.objectId + '\t' + dumpDateString + '\tlive\t\t' +
+                        morayHostname;
                 assert.ok(row.toString() === s, 'Expected <<' + s +
                           '>> but got <<' + row.toString() + '>>');
         });
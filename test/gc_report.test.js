@@ -0,0 +1,148 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var helper = require('./helper.js');
+var lib = require('../lib');
+var MemoryStream = require('memorystream');
+
+
+
+///--- Globals
+
+var GRACE_PERIOD_MILLIS = 60 * 60 * 24 * 2 * 1000; //2 days
+var MORAY_1 = '1.moray.coal.joyent.us';
+var MORAY_2 = '2.moray.coal.joyent.us';
+var OWNER = 'owner-uuid';
+var test = helper.test;
+
+
+
+///--- Helpers
+
+function live(objectId, date, morayHostname) {
+        return (objectId + '\t' + date.toISOString() + '\tlive\t\t' +
+                morayHostname + '\n');
+}
+
+
+function dead(objectId, date, morayHostname, size) {
+        var obj = {
+                '_key': '/' + objectId + '/' + date.getTime(),
+                '_value': {
+                        'owner': OWNER,
+                        'type': 'object',
+                        'contentLength': size,
+                        'objectId': objectId,
+                        'sharks': [ {
+                                'manta_storage_id': '1.stor'
+                        }, {
+                                'manta_storage_id': '2.stor'
+                        }]
+                }
+        };
+        return (objectId + '\t' + date.toISOString() + '\tdead\t' +
+                JSON.stringify(obj) + '\t' + morayHostname + '\n');
+}
+
+
+
+///--- Tests
+
+test('test: report from gc events', function (t) {
+        var now = Date.now();
+        var old = new Date(now - GRACE_PERIOD_MILLIS * 2);
+        var data =
+                //Past the grace period: mako and moray cleanup.
+                dead('1111', old, MORAY_1, 100) +
+                dead('2222', old, MORAY_2, 50) +
+                //Overwritten: moray cleanup only.
+                dead('3333', old, MORAY_1, 10) +
+                live('3333', new Date(now), MORAY_1) +
+                //Still within the grace period.
+                dead('4444', new Date(now), MORAY_2, 1000) +
+                //Snaplinked from another shard.
+                dead('5555', old, MORAY_1, 10) +
+                live('5555', new Date(now), MORAY_2);
+        var stream = new MemoryStream(data);
+        var gc = lib.createGarbageCollector({ reader: stream });
+        var report = lib.createGcReport();
+
+        report.attach(gc);
+        report.addJob('job-1');
+
+        gc.on('end', function () {
+                var r = report.toJSON();
+                t.deepEqual(r.jobs, [ 'job-1' ]);
+                t.equal(r.shards[MORAY_1].deadRecords, 3);
+                t.equal(r.shards[MORAY_1].inGracePeriod, 0);
+                t.equal(r.shards[MORAY_1].morayActions, 3);
+                t.equal(r.shards[MORAY_1].snaplinks, 1);
+                t.equal(r.shards[MORAY_2].deadRecords, 2);
+                t.equal(r.shards[MORAY_2].inGracePeriod, 1);
+                t.equal(r.shards[MORAY_2].morayActions, 1);
+                t.deepEqual(r.storageNodes['1.stor'], {
+                        objects: 2,
+                        bytes: 150
+                });
+                t.deepEqual(r.storageNodes['2.stor'], {
+                        objects: 2,
+                        bytes: 150
+                });
+                t.equal(r.totals.deadRecords, 5);
+                t.equal(r.totals.bytes, 300);
+                t.end();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
+
+
+test('test: merge and cleaner stats', function (t) {
+        var a = lib.createGcReport();
+        a.addJob('job-1');
+        a.shard(MORAY_1).deadRecords = 3;
+        a.shard(MORAY_1).morayActions = 3;
+        a.storageNode('1.stor').objects = 1;
+        a.storageNode('1.stor').bytes = 10;
+
+        var b = lib.createGcReport(JSON.parse(JSON.stringify(a)));
+        b.addJob('job-2');
+        b.addJob('job-1');
+
+        var report = lib.createGcReport();
+        t.ok(report.isEmpty());
+        report.merge(a.toJSON());
+        report.merge(b.toJSON());
+        report.addCleanerStats({
+                '1.moray.coal.joyent.us': {
+                        rowsDeleted: 5,
+                        rowsAlreadyDeleted: 1
+                }
+        });
+
+        var r = report.toJSON();
+        t.ok(!report.isEmpty());
+        t.deepEqual(r.jobs, [ 'job-1', 'job-2' ]);
+        t.deepEqual(r.shards[MORAY_1], {
+                deadRecords: 6,
+                inGracePeriod: 0,
+                suppressed: 0,
+                morayActions: 6,
+                snaplinks: 0,
+                rowsDeleted: 5,
+                rowsAlreadyDeleted: 1
+        });
+        t.deepEqual(r.storageNodes['1.stor'], { objects: 2, bytes: 20 });
+        t.equal(r.totals.rowsDeleted, 5);
+        t.equal(r.version, 1);
+        t.end();
+});
@@ -0,0 +1,383 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var events = require('events');
+var helper = require('./helper.js');
+var lib = require('../lib');
+var moray = require('moray');
+var stream = require('stream');
+
+
+
+///--- Globals
+
+var LOG = helper.createLogger('gc restorer test');
+var GC_ROOT = '/poseidon/stor/manta_gc';
+var JOB = 'job-1';
+var OTHER_JOB = 'job-2';
+var MORAY_1 = '1.moray.coal.joyent.us';
+var MORAY_2 = '2.moray.coal.joyent.us';
+var MORAY_3 = '3.moray.coal.joyent.us';
+var test = helper.test;
+
+
+
+///--- Helpers
+
+function instruction(jobId, suffix) {
+        return ('2020-01-01-00-00-00-' + jobId + '-X-reducer-uuid-' + suffix);
+}
+
+
+function morayEntry(shard, objectId) {
+        return (JSON.stringify({
+                type: 'moray',
+                morayHostname: shard,
+                objectId: objectId,
+                date: '2020-01-01T00:00:00.000Z',
+                record: {
+                        _key: '/' + objectId + '/1',
+                        _value: { objectId: objectId, owner: 'owner' }
+                }
+        }) + '\n');
+}
+
+
+function makoEntry(objectId) {
+        return (JSON.stringify({
+                type: 'mako',
+                mantaStorageId: '1.stor',
+                owner: 'owner',
+                objectId: objectId
+        }) + '\n');
+}
+
+
+/*
+ * Stands in for a Manta client, over a map of directory to the objects (and
+ * their contents) and directories in it.
+ */
+function FakeMantaClient(tree) {
+        this.tree = tree;
+        this.unlinked = [];
+        this.destroyed = [];
+}
+
+
+FakeMantaClient.prototype.createListStream = function createListStream(dir,
+    opts) {
+        var self = this;
+        var ls = new stream.PassThrough({ objectMode: true });
+
+        setImmediate(function () {
+                if (!self.tree[dir]) {
+                        var err = new Error(dir + ' not found');
+                        err.name = 'ResourceNotFoundError';
+                        ls.emit('error', err);
+                        return;
+                }
+                Object.keys(self.tree[dir]).forEach(function (name) {
+                        var isDir = (self.tree[dir][name] === null);
+                        if (isDir === (opts.type === 'directory')) {
+                                ls.write({ name: name });
+                        }
+                });
+                ls.end();
+        });
+        return (ls);
+};
+
+
+FakeMantaClient.prototype.get = function get(p, opts, cb) {
+        var self = this;
+        var i = p.lastIndexOf('/');
+        var s = new stream.PassThrough();
+        cb(null, s, {
+                destroy: function () {
+                        self.destroyed.push(p);
+                }
+        });
+        s.end(this.tree[p.substr(0, i)][p.substr(i + 1)]);
+};
+
+
+FakeMantaClient.prototype.unlink = function unlink(p, opts, cb) {
+        this.unlinked.push(p);
+        setImmediate(cb);
+};
+
+
+/*
+ * Stands in for a Moray client, keeping the keys of the manta_delete_log rows
+ * that exist.
+ */
+function FakeMorayClient(keys) {
+        var self = this;
+        self.rows = {};
+        (keys || []).forEach(function (k) {
+                self.rows[k] = true;
+        });
+}
+
+
+FakeMorayClient.prototype.putObject = function putObject(bucket, key, value,
+    opts, cb) {
+        if (opts.etag === null && this.rows[key]) {
+                var err = new Error('already exists');
+                err.name = 'EtagConflictError';
+                setImmediate(cb, err);
+                return;
+        }
+        this.rows[key] = value;
+        setImmediate(cb);
+};
+
+
+FakeMorayClient.prototype.close = function close() {};
+
+
+function createTree() {
+        var tree = {};
+        tree[GC_ROOT + '/all/do'] = {};
+        tree[GC_ROOT + '/all/do'][instruction(JOB, 'links')] = '';
+        tree[GC_ROOT + '/all/do'][instruction(OTHER_JOB, 'links')] = '';
+        tree[GC_ROOT + '/mako'] = { '1.stor': null };
+        tree[GC_ROOT + '/mako/1.stor'] = {};
+        tree[GC_ROOT + '/mako/1.stor'][instruction(JOB, 'mako-1.stor')] = '';
+        tree[GC_ROOT + '/journal'] = {};
+        tree[GC_ROOT + '/journal'][instruction(JOB, '') + '.json'] =
+                morayEntry(MORAY_1, '1111') +
+                makoEntry('1111') +
+                morayEntry(MORAY_1, '2222') +
+                morayEntry(MORAY_2, '3333');
+        tree[GC_ROOT + '/journal'][instruction(OTHER_JOB, '') + '.json'] =
+                morayEntry(MORAY_1, '4444');
+        return (tree);
+}
+
+
+function createRestorer(mantaClient, opts) {
+        opts = opts || {};
+        var restorer = lib.createGcRestorer({
+                log: LOG,
+                mantaClient: mantaClient,
+                gcRoot: GC_ROOT,
+                connectWaitMillis: opts.connectWaitMillis,
+                dryRun: opts.dryRun
+        });
+        restorer.morayClients[MORAY_1] = new FakeMorayClient([ '/2222/1' ]);
+        restorer.morayClients[MORAY_2] = new FakeMorayClient();
+        return (restorer);
+}
+
+
+
+///--- Tests
+
+test('test: restore a job', function (t) {
+        var manta = new FakeMantaClient(createTree());
+        var restorer = createRestorer(manta);
+
+        restorer.restoreJob(JOB, function (err) {
+                t.ifError(err);
+                t.deepEqual(manta.unlinked.sort(), [
+                        GC_ROOT + '/all/do/' + instruction(JOB, 'links'),
+                        GC_ROOT + '/mako/1.stor/' +
+                                instruction(JOB, 'mako-1.stor')
+                ]);
+                t.ok(restorer.morayClients[MORAY_1].rows['/1111/1']);
+                t.ok(restorer.morayClients[MORAY_2].rows['/3333/1']);
+                t.ok(!restorer.morayClients[MORAY_1].rows['/4444/1']);
+                t.deepEqual(restorer.getStats(), {
+                        instructionsCancelled: 2,
+                        journals: 1,
+                        makoEntries: 1,
+                        rowsRestored: 2,
+                        rowsAlreadyPresent: 1
+                });
+                t.end();
+        });
+});
+
+
+test('test: restore dry run', function (t) {
+        var manta = new FakeMantaClient(createTree());
+        var restorer = createRestorer(manta, { dryRun: true });
+
+        restorer.restoreJob(JOB, function (err) {
+                t.ifError(err);
+                t.equal(manta.unlinked.length, 0);
+                t.ok(!restorer.morayClients[MORAY_1].rows['/1111/1']);
+                t.equal(restorer.getStats().instructionsCancelled, 2);
+                t.equal(restorer.getStats().rowsRestored, 3);
+                t.end();
+        });
+});
+
+
+test('test: restore with no gc root', function (t) {
+        var manta = new FakeMantaClient({});
+        var restorer = createRestorer(manta);
+
+        restorer.restoreJob(JOB, function (err) {
+                t.ifError(err);
+                t.equal(restorer.getStats().journals, 0);
+                t.end();
+        });
+});
+
+
+test('test: invalid journal line', function (t) {
+        var tree = createTree();
+        var journal = GC_ROOT + '/journal/' + instruction(JOB, '') + '.json';
+        tree[GC_ROOT + '/journal'][instruction(JOB, '') + '.json'] =
+                'not a journal entry\n' + morayEntry(MORAY_2, '3333');
+        var manta = new FakeMantaClient(tree);
+        var restorer = createRestorer(manta);
+
+        restorer.restoreJob(JOB, function (err) {
+                t.ok(err);
+                t.deepEqual(manta.destroyed, [ journal ]);
+                t.ok(!restorer.morayClients[MORAY_2].rows['/3333/1']);
+                t.equal(restorer.getStats().journals, 0);
+                t.end();
+        });
+});
+
+
+test('test: one connection per shard', function (t) {
+        var createClient = moray.createClient;
+        var clients = [];
+        moray.createClient = function () {
+                var client = new events.EventEmitter();
+                client.closed = false;
+                client.close = function () {
+                        client.closed = true;
+                };
+                clients.push(client);
+                return (client);
+        };
+
+        var restorer = createRestorer(new FakeMantaClient({}));
+        var results = [];
+        function got(err, client) {
+                t.ifError(err);
+                results.push(client);
+                if (results.length < 3) {
+                        return;
+                }
+                moray.createClient = createClient;
+                t.equal(clients.length, 1);
+                t.ok(results.every(function (c) {
+                        return (c === clients[0]);
+                }));
+                t.equal(restorer.morayClients[MORAY_3], clients[0]);
+                restorer.close();
+                t.ok(clients[0].closed);
+                t.end();
+        }
+        restorer.getMorayClient(MORAY_3, got);
+        restorer.getMorayClient(MORAY_3, got);
+        clients[0].emit('connect');
+        //Once connected, the client is handed out straight away.
+        restorer.getMorayClient(MORAY_3, got);
+});
+
+
+test('test: shards that fail to connect', function (t) {
+        var createClient = moray.createClient;
+        var clients = [];
+        moray.createClient = function () {
+                var client = new events.EventEmitter();
+                client.closed = false;
+                client.close = function () {
+                        client.closed = true;
+                };
+                clients.push(client);
+                return (client);
+        };
+
+        var restorer = createRestorer(new FakeMantaClient({}), {
+                connectWaitMillis: 10
+        });
+        var errors = [];
+        function failed(err) {
+                errors.push(err);
+                if (errors.length < 2) {
+                        return;
+                }
+                t.equal(clients.length, 1);
+                t.ok(clients[0].closed);
+                errors.forEach(function (e) {
+                        t.ok(/connecting to shard/.test(e.message));
+                });
+                //This one never connects.
+                restorer.getMorayClient(MORAY_3, function (err2) {
+                        moray.createClient = createClient;
+                        t.ok(err2);
+                        t.ok(/timed out/.test(err2.message));
+                        t.ok(clients[1].closed);
+                        t.equal(restorer.morayClients[MORAY_3], undefined);
+                        t.end();
+                });
+        }
+        restorer.getMorayClient(MORAY_3, failed);
+        restorer.getMorayClient(MORAY_3, failed);
+        clients[0].emit('error', new Error('connection refused'));
+});
+
+
+test('test: restore with an unreachable shard', function (t) {
+        var createClient = moray.createClient;
+        moray.createClient = function () {
+                var client = new events.EventEmitter();
+                client.close = function () {};
+                setImmediate(function () {
+                        client.emit('error', new Error('connection refused'));
+                });
+                return (client);
+        };
+
+        var manta = new FakeMantaClient(createTree());
+        var restorer = createRestorer(manta);
+        delete (restorer.morayClients[MORAY_2]);
+
+        restorer.restoreJob(JOB, function (err) {
+                moray.createClient = createClient;
+                t.ok(err);
+                t.ok(/connecting to shard/.test(err.message));
+                t.equal(restorer.getStats().journals, 0);
+                t.end();
+        });
+});
+
+
+test('test: close while connecting', function (t) {
+        var createClient = moray.createClient;
+        var client = new events.EventEmitter();
+        client.closed = false;
+        client.close = function () {
+                client.closed = true;
+        };
+        moray.createClient = function () {
+                return (client);
+        };
+
+        var restorer = createRestorer(new FakeMantaClient({}));
+        restorer.getMorayClient(MORAY_3, function (err) {
+                moray.createClient = createClient;
+                t.ok(err);
+                t.ok(client.closed);
+                t.equal(restorer.morayClients[MORAY_3], undefined);
+                t.end();
+        });
+        restorer.close();
+        client.emit('connect');
+});
@@ -0,0 +1,85 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var helper = require('./helper.js');
+var lib = require('../lib');
+
+
+
+///--- Globals
+
+var DEFAULT_MILLIS = 1000;
+var OWNER = 'owner-uuid';
+var test = helper.test;
+
+
+
+///--- Tests
+
+test('test: lookup', function (t) {
+        var policy = lib.createGracePolicy({
+                defaultMillis: DEFAULT_MILLIS,
+                policy: {
+                        owners: {
+                                'owner-uuid': 10
+                        },
+                        paths: {
+                                '/owner-uuid/stor/logs': 20,
+                                '/owner-uuid/stor/logs/tmp/': 0,
+                                '/other-uuid/public/': 30
+                        }
+                }
+        });
+
+        t.equal(policy.lookup(OWNER, '/owner-uuid/stor/foo'), 10000);
+        t.equal(policy.lookup(OWNER, '/owner-uuid/stor/logs/a'), 20000);
+        t.equal(policy.lookup(OWNER, '/owner-uuid/stor/logs2'), 20000);
+        //The owner's period is longer.
+        t.equal(policy.lookup(OWNER, '/owner-uuid/stor/logs/tmp/a'), 10000);
+        t.equal(policy.lookup('other-uuid', '/owner-uuid/stor/logs/tmp/a'),
+            0);
+        t.equal(policy.lookup('other-uuid', '/other-uuid/public/a'), 30000);
+        t.equal(policy.lookup('other-uuid', '/other-uuid/stor/a'),
+            DEFAULT_MILLIS);
+        t.equal(policy.lookup(OWNER), 10000);
+        t.equal(policy.lookup(), DEFAULT_MILLIS);
+        t.equal(policy.longest(), 30000);
+        t.end();
+});
+
+
+test('test: empty policy', function (t) {
+        var policy = lib.createGracePolicy({
+                defaultMillis: DEFAULT_MILLIS,
+                policy: {}
+        });
+
+        t.equal(policy.lookup(OWNER, '/owner-uuid/stor/foo'), DEFAULT_MILLIS);
+        t.equal(policy.longest(), DEFAULT_MILLIS);
+        t.end();
+});
+
+
+test('test: invalid policies', function (t) {
+        [
+                { owners: [] },
+                { owners: { 'owner-uuid': -1 } },
+                { owners: { 'owner-uuid': '10' } },
+                { paths: { '/owner-uuid/stor/': 1.5 } }
+        ].forEach(function (policy) {
+                t.throws(function () {
+                        lib.createGracePolicy({
+                                defaultMillis: DEFAULT_MILLIS,
+                                policy: policy
+                        });
+                }, /grace policy/, JSON.stringify(policy));
+        });
+        t.end();
+});
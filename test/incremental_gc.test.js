@@ -0,0 +1,328 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var events = require('events');
+var fs = require('fs');
+var helper = require('./helper.js');
+var lib = require('../lib');
+var moray = require('moray');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+
+
+
+///--- Globals
+
+var after = helper.after;
+var before = helper.before;
+var LOG = helper.createLogger('incremental gc test');
+var ROOT = path.join(os.tmpdir(), 'incremental_gc.test.' + process.pid);
+var MORAY_1 = '1.moray.coal.joyent.us';
+var MORAY_2 = '2.moray.coal.joyent.us';
+var OWNER = 'owner-uuid';
+var OLD = 1000;
+var test = helper.test;
+
+
+
+///--- Helpers
+
+/*
+ * Stands in for a Moray client, answering the findObjects requests
+ * IncrementalGc makes from a list of records per bucket.
+ */
+function FakeMorayClient() {
+        this.buckets = {
+                'manta': [],
+                'manta_delete_log': []
+        };
+        this.nextId = 1;
+        this.pages = 0;
+}
+
+
+FakeMorayClient.prototype.live = function live(objectId) {
+        this.buckets.manta.push({
+                key: '/' + OWNER + '/stor/' + objectId,
+                _id: this.nextId++,
+                _mtime: OLD,
+                value: {
+                        type: 'object',
+                        objectId: objectId,
+                        owner: OWNER
+                }
+        });
+};
+
+
+FakeMorayClient.prototype.dead = function dead(objectId, mtime) {
+        this.buckets.manta_delete_log.push({
+                key: '/' + objectId + '/' + mtime,
+                _id: this.nextId++,
+                _mtime: mtime,
+                value: {
+                        type: 'object',
+                        key: '/' + OWNER + '/stor/' + objectId,
+                        objectId: objectId,
+                        owner: OWNER,
+                        sharks: [ { manta_storage_id: '1.stor' } ]
+                }
+        });
+};
+
+
+FakeMorayClient.prototype.findObjects = function findObjects(bucket, filter,
+    opts) {
+        var req = new events.EventEmitter();
+        var records = this.buckets[bucket];
+        var m = /_mtime>=(\d+)\)\(_mtime<=(\d+)\)\(_id>=(\d+)/.exec(filter);
+
+        if (m) {
+                this.pages++;
+                records = records.filter(function (r) {
+                        return (r._mtime >= Number(m[1]) &&
+                            r._mtime <= Number(m[2]) && r._id >= Number(m[3]));
+                }).slice(0, opts.limit);
+        } else {
+                var ids = [];
+                var re = /\(objectId=([^)]*)\)/g;
+                while ((m = re.exec(filter)) !== null) {
+                        ids.push(m[1]);
+                }
+                records = records.filter(function (r) {
+                        return (ids.indexOf(r.value.objectId) !== -1);
+                });
+        }
+        setImmediate(function () {
+                records.forEach(function (r) {
+                        req.emit('record', r);
+                });
+                req.emit('end');
+        });
+        return (req);
+};
+
+
+FakeMorayClient.prototype.close = function close() {};
+
+
+function createGc(clients, opts) {
+        opts = opts || {};
+        var igc = lib.createIncrementalGc({
+                log: LOG,
+                shards: Object.keys(clients),
+                watermarks: lib.createCheckpointStore({
+                        log: LOG,
+                        dir: ROOT
+                }),
+                pageSize: opts.pageSize,
+                connectWaitMillis: opts.connectWaitMillis
+        });
+        Object.keys(clients).forEach(function (shard) {
+                igc.morayClients[shard] = clients[shard];
+        });
+        return (igc);
+}
+
+
+/*
+ * Runs the incremental GC, then GC on the rows it finds, calling back with
+ * the rows and GC's actions.
+ */
+function run(igc, cb) {
+        var rows = [];
+        igc.on('row', function (row) {
+                rows.push(row.toString());
+        });
+        igc.run(function (err) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+                var reader = new stream.PassThrough();
+                var gc = lib.createGarbageCollector({ reader: reader });
+                var res = {
+                        rows: rows,
+                        mako: [],
+                        moray: [],
+                        grace: [],
+                        snaplink: []
+                };
+                [ 'mako', 'moray', 'grace', 'snaplink' ].forEach(function (e) {
+                        gc.on(e, function (a) {
+                                res[e].push(a.morayHostname ? a.objectId +
+                                    '@' + a.morayHostname : a.objectId);
+                        });
+                });
+                gc.on('end', function () {
+                        cb(null, res);
+                });
+                reader.end(rows.length > 0 ? rows.join('\n') + '\n' : '');
+        });
+}
+
+
+function rmrf(p) {
+        if (fs.statSync(p).isDirectory()) {
+                fs.readdirSync(p).forEach(function (f) {
+                        rmrf(path.join(p, f));
+                });
+                fs.rmdirSync(p);
+        } else {
+                fs.unlinkSync(p);
+        }
+}
+
+
+
+///--- Tests
+
+before(function (cb) {
+        fs.mkdirSync(ROOT);
+        cb();
+});
+
+
+after(function (cb) {
+        rmrf(ROOT);
+        cb();
+});
+
+
+test('test: deleted objects found, then watermarked', function (t) {
+        var clients = {};
+        clients[MORAY_1] = new FakeMorayClient();
+        clients[MORAY_2] = new FakeMorayClient();
+        clients[MORAY_1].dead('obj-a', OLD);
+        //Snaplinked to another shard, which still has it.
+        clients[MORAY_1].dead('obj-b', OLD);
+        clients[MORAY_2].live('obj-b');
+        //Still within the grace period.
+        clients[MORAY_2].dead('obj-c', Date.now());
+
+        run(createGc(clients), function (err, res) {
+                t.ifError(err);
+                t.equal(res.rows.length, 3);
+                t.deepEqual(res.mako, [ 'obj-a' ]);
+                t.deepEqual(res.moray.sort(), [ 'obj-a@' + MORAY_1,
+                        'obj-b@' + MORAY_1 ]);
+                t.deepEqual(res.snaplink, [ 'obj-b@' + MORAY_1 ]);
+
+                var igc = createGc(clients);
+                igc.commit(function (err2) {
+                        t.ifError(err2);
+                        clients[MORAY_2].dead('obj-d', OLD + 1);
+                        run(createGc(clients), function (err3, res2) {
+                                t.ifError(err3);
+                                //Older than the watermark.
+                                t.deepEqual(res2.rows, []);
+                                t.end();
+                        });
+                });
+        });
+});
+
+
+test('test: uncommitted runs are read again', function (t) {
+        var clients = {};
+        clients[MORAY_1] = new FakeMorayClient();
+        clients[MORAY_1].dead('obj-a', OLD);
+
+        run(createGc(clients), function (err, res) {
+                t.ifError(err);
+                t.deepEqual(res.mako, [ 'obj-a' ]);
+                run(createGc(clients), function (err2, res2) {
+                        t.ifError(err2);
+                        t.deepEqual(res2.mako, [ 'obj-a' ]);
+                        var igc = createGc(clients);
+                        igc.commit(function (err3) {
+                                t.ifError(err3);
+                                run(createGc(clients), function (err4, res3) {
+                                        t.ifError(err4);
+                                        t.deepEqual(res3.rows, []);
+                                        t.end();
+                                });
+                        });
+                });
+        });
+});
+
+
+test('test: later deletion within grace', function (t) {
+        var clients = {};
+        clients[MORAY_1] = new FakeMorayClient();
+        clients[MORAY_2] = new FakeMorayClient();
+        clients[MORAY_1].dead('obj-a', OLD);
+        clients[MORAY_2].dead('obj-a', Date.now());
+
+        run(createGc(clients), function (err, res) {
+                t.ifError(err);
+                t.deepEqual(res.mako, []);
+                t.deepEqual(res.moray, [ 'obj-a@' + MORAY_1 ]);
+                t.deepEqual(res.grace, [ 'obj-a@' + MORAY_2 ]);
+                t.end();
+        });
+});
+
+
+test('test: delete log paged, each object once', function (t) {
+        var clients = {};
+        clients[MORAY_1] = new FakeMorayClient();
+        [ 'a', 'b', 'c', 'd', 'e' ].forEach(function (id, i) {
+                clients[MORAY_1].dead('obj-' + id, OLD + i);
+        });
+        clients[MORAY_1].dead('obj-a', OLD + 10);
+        var igc = createGc(clients, { pageSize: 2 });
+
+        run(igc, function (err, res) {
+                t.ifError(err);
+                //The last full page is followed by an empty one.
+                t.equal(clients[MORAY_1].pages, 4);
+                t.equal(res.rows.length, 6);
+                t.deepEqual(res.mako.sort(), [ 'obj-a', 'obj-b', 'obj-c',
+                        'obj-d', 'obj-e' ]);
+                t.equal(igc.getStats().deadRowsScanned, 6);
+                t.equal(igc.getStats().objectsChecked, 5);
+                t.end();
+        });
+});
+
+
+test('test: shards that fail to connect', function (t) {
+        var createClient = moray.createClient;
+        var clients = [];
+        moray.createClient = function () {
+                var client = new events.EventEmitter();
+                client.closed = false;
+                client.close = function () {
+                        client.closed = true;
+                };
+                clients.push(client);
+                return (client);
+        };
+
+        var igc = createGc({}, { connectWaitMillis: 10 });
+        igc.getMorayClient(MORAY_1, function (err) {
+                t.ok(err);
+                t.ok(/connecting to shard/.test(err.message));
+                t.ok(clients[0].closed);
+                //This one never connects.
+                igc.getMorayClient(MORAY_2, function (err2) {
+                        moray.createClient = createClient;
+                        t.ok(err2);
+                        t.ok(/timed out/.test(err2.message));
+                        t.ok(clients[1].closed);
+                        t.deepEqual(igc.morayClients, {});
+                        t.end();
+                });
+        });
+        clients[0].emit('error', new Error('connection refused'));
+});
@@ -0,0 +1,181 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var helper = require('./helper.js');
+var lib = require('../lib');
+var mod_instructions = require('../lib/instruction_format');
+
+
+
+///--- Globals
+
+var test = helper.test;
+var STORAGE_ID = '1.stor.coal.joyent.us';
+var OWNER = 'ec9b0b88-0118-11e2-a85b-0ff8adc7a466';
+var OBJECT = 'dfbc776e-aaa6-44c5-a819-d3941b3f867d';
+
+
+
+///--- Helpers
+
+/*
+ * Writes lines through a header stream, calling back with the error, if any,
+ * the lines passed through and the header seen.
+ */
+function readLines(opts, lines, cb) {
+        var hs = lib.createInstructionHeaderStream(opts);
+        var out = [];
+        var header = null;
+        var done = false;
+
+        function finish(err) {
+                if (done) {
+                        return;
+                }
+                done = true;
+                cb(err, out, header);
+        }
+
+        hs.on('header', function (h) {
+                header = h;
+        });
+        hs.on('readable', function () {
+                var line;
+                while (null !== (line = hs.read())) {
+                        out.push(line);
+                }
+        });
+        hs.on('error', finish);
+        hs.on('end', finish);
+        lines.forEach(function (l) {
+                hs.write(l);
+        });
+        hs.end();
+}
+
+
+
+///--- Tests
+
+test('test: header round trip', function (t) {
+        var header = mod_instructions.createHeader('gc-mako');
+        t.equal(header, '#mola-instructions\tgc-mako\t1');
+        t.deepEqual(mod_instructions.parseHeader(header), {
+                format: 'gc-mako',
+                version: 1
+        });
+        [
+                '#mola-instructions\tgc-foo\t1',
+                '#mola-instructions\tgc-mako\t2',
+                '#mola-instructions\tgc-mako\t1x',
+                '#mola-instructions\tgc-mako',
+                '#foo\tgc-mako\t1'
+        ].forEach(function (line) {
+                t.throws(function () {
+                        mod_instructions.parseHeader(line);
+                }, line);
+        });
+        t.throws(function () {
+                mod_instructions.createHeader('gc-foo');
+        });
+        t.end();
+});
+
+
+test('test: instruction round trip', function (t) {
+        var inst = {
+                morayHostname: '1.moray.coal.joyent.us',
+                objectId: OBJECT,
+                date: new Date(1577836800000)
+        };
+        var line = mod_instructions.serializeInstruction('gc-moray', inst);
+        t.equal(line, [ 'moray', inst.morayHostname, OBJECT,
+                '1577836800000' ].join('\t'));
+        t.deepEqual(mod_instructions.parseInstruction('gc-moray', line), {
+                type: 'moray',
+                morayHostname: inst.morayHostname,
+                objectId: OBJECT,
+                date: '1577836800000'
+        });
+
+        t.throws(function () {
+                mod_instructions.serializeInstruction('gc-mako', {
+                        mantaStorageId: STORAGE_ID,
+                        objectId: OBJECT
+                });
+        });
+        t.throws(function () {
+                mod_instructions.parseInstruction('gc-mako',
+                    [ 'mako', STORAGE_ID, OWNER ].join('\t'));
+        });
+        t.throws(function () {
+                mod_instructions.parseInstruction('gc-mako',
+                    [ 'mako', STORAGE_ID, OWNER, OBJECT, '3' ].join('\t'));
+        });
+        t.end();
+});
+
+
+test('test: header stripped', function (t) {
+        var line = [ 'mako', STORAGE_ID, OWNER, OBJECT ].join('\t');
+        readLines({
+                formats: [ 'gc-mako', 'cruft-mako' ]
+        }, [ mod_instructions.createHeader('gc-mako'), line ],
+            function (err, lines, header) {
+                t.ifError(err);
+                t.deepEqual(lines, [ line ]);
+                t.deepEqual(header, { format: 'gc-mako', version: 1 });
+                t.end();
+        });
+});
+
+
+test('test: no header read as legacy format', function (t) {
+        var line = [ 'mako', STORAGE_ID, OWNER, OBJECT ].join('\t');
+        readLines({
+                formats: [ 'gc-mako' ],
+                legacyFormat: 'gc-mako'
+        }, [ line, line ], function (err, lines, header) {
+                t.ifError(err);
+                t.deepEqual(lines, [ line, line ]);
+                t.deepEqual(header, { format: 'gc-mako', version: 1 });
+                t.end();
+        });
+});
+
+
+test('test: unreadable files rejected', function (t) {
+        var line = [ 'mako', STORAGE_ID, OWNER, OBJECT ].join('\t');
+        var cases = [
+                //No header, and no legacy format.
+                [ line ],
+                //Another format.
+                [ mod_instructions.createHeader('gc-moray'), line ],
+                //A later version.
+                [ '#mola-instructions\tgc-mako\t2', line ]
+        ];
+
+        function next() {
+                var c = cases.shift();
+                if (!c) {
+                        t.end();
+                        return;
+                }
+                readLines({ formats: [ 'gc-mako' ] }, c,
+                    function (err, lines) {
+                        t.ok(err, c[0]);
+                        t.equal(err && err.name,
+                            mod_instructions.FORMAT_ERR);
+                        t.deepEqual(lines, []);
+                        next();
+                });
+        }
+        next();
+});
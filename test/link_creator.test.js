@@ -0,0 +1,364 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var fs = require('fs');
+var helper = require('./helper.js');
+var lib = require('../lib');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+var vasync = require('vasync');
+
+
+
+///--- Globals
+
+var after = helper.after;
+var before = helper.before;
+var LOG = helper.createLogger('link creator test');
+var ROOT = path.join(os.tmpdir(), 'link_creator.test.' + process.pid);
+var GC_DIR = '/poseidon/stor/manta_gc';
+var PREFIX = GC_DIR + '/all/done/2020-01-01-00-00-00-job-1-X-reducer-uuid';
+var MAKOS = [ '1.stor.coal.joyent.us', '2.stor.coal.joyent.us',
+        '3.stor.coal.joyent.us' ];
+var MORAYS = [ '1.moray.coal.joyent.us', '2.moray.coal.joyent.us' ];
+var test = helper.test;
+
+
+
+///--- Helpers
+
+/*
+ * Writes an instruction object for each storage node and shard, returning
+ * the links file for them.
+ */
+function setup(client, cb) {
+        var links = lib.createGcLinks({ user: 'poseidon', prefix: PREFIX });
+
+        MAKOS.forEach(function (m) {
+                links.add('mako', m);
+        });
+        MORAYS.forEach(function (m) {
+                links.add('moray', m);
+        });
+        client.mkdirp(path.dirname(PREFIX), function (err) {
+                if (err) {
+                        cb(err);
+                        return;
+                }
+                [ 'mako', 'moray' ].forEach(function (type) {
+                        Object.keys(links.nodes[type]).forEach(function (n) {
+                                var object = PREFIX + '-' + type + '-' + n;
+                                fs.writeFileSync(client.localPath(object), n);
+                        });
+                });
+                cb(null, links.toString());
+        });
+}
+
+
+function input(str) {
+        var s = new stream.PassThrough();
+        s.end(str);
+        return (s);
+}
+
+
+/*
+ * Wraps a client, noting the most links it's asked to make at once.
+ */
+function CountingClient(client) {
+        this.client = client;
+        this.running = 0;
+        this.maxRunning = 0;
+}
+
+
+CountingClient.prototype.mkdirp = function mkdirp(p, cb) {
+        this.client.mkdirp(p, cb);
+};
+
+
+CountingClient.prototype.info = function info(p, cb) {
+        var self = this;
+        self.running++;
+        self.maxRunning = Math.max(self.maxRunning, self.running);
+        self.client.info(p, function (err, res) {
+                setTimeout(function () {
+                        cb(err, res);
+                }, 5);
+        });
+};
+
+
+CountingClient.prototype.ln = function ln(from, to, cb) {
+        var self = this;
+        self.client.ln(from, to, function (err) {
+                self.running--;
+                cb(err);
+        });
+};
+
+
+function rmrf(p) {
+        if (fs.statSync(p).isDirectory()) {
+                fs.readdirSync(p).forEach(function (f) {
+                        rmrf(path.join(p, f));
+                });
+                fs.rmdirSync(p);
+        } else {
+                fs.unlinkSync(p);
+        }
+}
+
+
+
+///--- Tests
+
+before(function (cb) {
+        fs.mkdirSync(ROOT);
+        cb();
+});
+
+
+after(function (cb) {
+        rmrf(ROOT);
+        cb();
+});
+
+
+test('test: links created, then already existing', function (t) {
+        var client = lib.createLocalMantaClient({ root: ROOT });
+        var creator = lib.createLinkCreator({
+                log: LOG,
+                mantaClient: client
+        });
+
+        setup(client, function (err, file) {
+                t.ifError(err);
+                creator.processLinks({
+                        log: LOG,
+                        input: input(file)
+                }, function (err2) {
+                        t.ifError(err2);
+                        t.deepEqual(creator.getStats(), {
+                                mako: { created: 3, alreadyExisted: 0,
+                                        failed: 0 },
+                                moray: { created: 2, alreadyExisted: 0,
+                                        failed: 0 }
+                        });
+                        MAKOS.forEach(function (m) {
+                                var p = GC_DIR + '/mako/' + m + '/' +
+                                        path.basename(PREFIX) + '-mako-' + m;
+                                t.equal(fs.readFileSync(client.localPath(p),
+                                    'utf8'), m);
+                        });
+
+                        creator.processLinks({
+                                log: LOG,
+                                input: input(file)
+                        }, function (err3) {
+                                t.ifError(err3);
+                                t.deepEqual(creator.getStats(), {
+                                        mako: { created: 3, alreadyExisted: 3,
+                                                failed: 0 },
+                                        moray: { created: 2, alreadyExisted: 2,
+                                                failed: 0 }
+                                });
+                                t.end();
+                        });
+                });
+        });
+});
+
+
+test('test: job of a links file, local backend', function (t) {
+        var client = lib.createLocalMantaClient({ root: ROOT });
+        var creator = lib.createLinkCreator({
+                log: LOG,
+                mantaClient: client
+        });
+        var backend = lib.createJobBackend({
+                jobBackend: 'local',
+                jobRoot: GC_DIR
+        }, client, LOG);
+        var jobs = {
+                'job-done': { state: 'done', stats: { errors: 0 } },
+                'job-failed': { state: 'done', stats: { errors: 1 } },
+                //Still being run by this process.
+                'job-running': {
+                        state: 'running',
+                        host: os.hostname(),
+                        pid: process.pid
+                }
+        };
+
+        vasync.forEachPipeline({
+                inputs: Object.keys(jobs),
+                func: function (id, next) {
+                        var record = jobs[id];
+                        var p = backend.recordPath(id);
+                        record.id = id;
+                        record.inputDone = true;
+                        client.mkdirp(path.dirname(p), function (err) {
+                                if (!err) {
+                                        fs.writeFileSync(client.localPath(p),
+                                            JSON.stringify(record));
+                                }
+                                next(err);
+                        });
+                }
+        }, function (err) {
+                t.ifError(err);
+                vasync.forEachPipeline({
+                        inputs: Object.keys(jobs),
+                        func: function (id, next) {
+                                var p = GC_DIR + '/all/do/' +
+                                        '2020-01-01-00-00-00-' + id +
+                                        '-X-reducer-uuid-links';
+                                creator.checkJob(backend, p,
+                                    function (err2, res) {
+                                        t.ifError(err2);
+                                        t.deepEqual(res, {
+                                                jobId: id,
+                                                state: id.substring(4)
+                                        });
+                                        next();
+                                });
+                        }
+                }, function () {
+                        creator.checkJob(backend, GC_DIR + '/all/do/' +
+                            '2020-01-01-00-00-00-job-gone-X-uuid-links',
+                            function (err3) {
+                                t.ok(err3);
+                                t.end();
+                        });
+                });
+        });
+});
+
+
+test('test: checkpoint and resume', function (t) {
+        var client = lib.createLocalMantaClient({ root: ROOT });
+        var checkpoints = [];
+        var creator = lib.createLinkCreator({
+                log: LOG,
+                mantaClient: client,
+                concurrency: 3
+        });
+
+        setup(client, function (err, file) {
+                t.ifError(err);
+                creator.processLinks({
+                        log: LOG,
+                        input: input(file),
+                        resumeFrom: 4,
+                        checkpoint: function (lines, cb) {
+                                checkpoints.push(lines);
+                                setImmediate(cb);
+                        }
+                }, function (err2) {
+                        t.ifError(err2);
+                        //The first two makos were done by the earlier run.
+                        t.deepEqual(creator.getStats(), {
+                                mako: { created: 1, alreadyExisted: 0,
+                                        failed: 0 },
+                                moray: { created: 2, alreadyExisted: 0,
+                                        failed: 0 }
+                        });
+                        t.ok(checkpoints.length > 0);
+                        t.equal(checkpoints[checkpoints.length - 1],
+                            file.split('\n').length - 1);
+                        for (var i = 1; i < checkpoints.length; i++) {
+                                t.ok(checkpoints[i] > checkpoints[i - 1]);
+                        }
+                        t.end();
+                });
+        });
+});
+
+
+test('test: failed link', function (t) {
+        var client = lib.createLocalMantaClient({ root: ROOT });
+        var checkpoints = [];
+        var creator = lib.createLinkCreator({
+                log: LOG,
+                mantaClient: client
+        });
+
+        setup(client, function (err, file) {
+                t.ifError(err);
+
+                //Lose the first shard's instructions, the 8th line's link.
+                fs.unlinkSync(client.localPath(PREFIX + '-moray-' +
+                    MORAYS[0]));
+
+                creator.processLinks({
+                        log: LOG,
+                        input: input(file),
+                        checkpoint: function (lines, cb) {
+                                checkpoints.push(lines);
+                                setImmediate(cb);
+                        }
+                }, function (err2) {
+                        t.ok(err2);
+                        t.equal(creator.getStats().moray.failed, 1);
+                        t.equal(creator.getStats().mako.created, 3);
+                        //Progress never gets past the failed line.
+                        checkpoints.forEach(function (lines) {
+                                t.ok(lines < 8);
+                        });
+                        t.end();
+                });
+        });
+});
+
+
+test('test: invalid line', function (t) {
+        var client = lib.createLocalMantaClient({ root: ROOT });
+        var creator = lib.createLinkCreator({
+                log: LOG,
+                mantaClient: client
+        });
+
+        creator.processLinks({
+                log: LOG,
+                input: input('mrm /poseidon/stor/foo\n')
+        }, function (err) {
+                t.ok(err);
+                t.ok(/invalid line/.test(err.message));
+                t.end();
+        });
+});
+
+
+test('test: links in flight are bounded', function (t) {
+        var local = lib.createLocalMantaClient({ root: ROOT });
+        var client = new CountingClient(local);
+        var creator = lib.createLinkCreator({
+                log: LOG,
+                mantaClient: client,
+                concurrency: 2
+        });
+
+        setup(local, function (err, file) {
+                t.ifError(err);
+                creator.processLinks({
+                        log: LOG,
+                        input: input(file)
+                }, function (err2) {
+                        t.ifError(err2);
+                        t.equal(client.maxRunning, 2);
+                        t.equal(creator.getStats().mako.created, 3);
+                        t.equal(creator.getStats().moray.created, 2);
+                        t.end();
+                });
+        });
+});
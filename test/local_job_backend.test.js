@@ -0,0 +1,279 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var events = require('events');
+var fs = require('fs');
+var helper = require('./helper.js');
+var LocalJobBackend = require('../lib/local_job_backend');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+
+
+
+///--- Globals
+
+var LOG = helper.createLogger('local job backend test');
+var JOB_ROOT = '/poseidon/stor/manta_test';
+var WORK_DIR = path.resolve(__dirname, '..', 'tmp');
+var test = helper.test;
+
+
+
+///--- Helpers
+
+/*
+ * Just enough of a Manta client for the local backend: objects are kept in
+ * memory, keyed by path.
+ */
+function FakeMantaClient(objects) {
+        this.user = 'poseidon';
+        this.objects = objects || {};
+}
+
+
+FakeMantaClient.prototype.get = function get(p, opts, cb) {
+        var data = this.objects[p];
+        if (data === undefined) {
+                var err = new Error(p + ' was not found');
+                err.name = 'ResourceNotFoundError';
+                err.code = 'ResourceNotFound';
+                setImmediate(cb, err);
+                return;
+        }
+        var s = new stream.PassThrough();
+        setImmediate(cb, null, s);
+        setImmediate(function () {
+                s.end(data);
+        });
+};
+
+
+FakeMantaClient.prototype.put = function put(p, s, opts, cb) {
+        var self = this;
+        var data = '';
+        s.on('data', function (d) {
+                data += d;
+        });
+        s.on('end', function () {
+                self.objects[p] = data;
+                cb();
+        });
+        s.resume();
+};
+
+
+FakeMantaClient.prototype.ls = function ls(dir, opts, cb) {
+        var self = this;
+        var res = new events.EventEmitter();
+        var dirs = {};
+        Object.keys(self.objects).forEach(function (p) {
+                if (p.indexOf(dir + '/') === 0) {
+                        var rest = p.substr(dir.length + 1).split('/');
+                        if (rest.length > 1) {
+                                dirs[rest[0]] = true;
+                        }
+                }
+        });
+        setImmediate(cb, null, res);
+        setImmediate(function () {
+                Object.keys(dirs).forEach(function (d) {
+                        res.emit('directory', { name: d });
+                });
+                res.emit('end');
+        });
+};
+
+
+function createBackend(client) {
+        try {
+                fs.mkdirSync(WORK_DIR);
+        } catch (e) {
+                if (e.code !== 'EEXIST') {
+                        throw (e);
+                }
+        }
+        return (new LocalJobBackend({
+                mantaClient: client,
+                jobRoot: JOB_ROOT,
+                log: LOG,
+                workDir: WORK_DIR + '/local_jobs'
+        }));
+}
+
+
+
+///--- Tests
+
+test('test: map and reduce', function (t) {
+        var client = new FakeMantaClient({
+                '/poseidon/stor/a': 'c\na\n',
+                '/poseidon/stor/b': 'b\n'
+        });
+        var backend = createBackend(client);
+        var job = {
+                name: 'manta_test',
+                phases: [ {
+                        type: 'storage-map',
+                        exec: 'tr a-z A-Z | msplit -n 2'
+                }, {
+                        type: 'reduce',
+                        exec: 'sort'
+                } ]
+        };
+
+        backend.createJob(job, [ '/poseidon/stor/a', '/poseidon/stor/b' ],
+            function (err, jobId) {
+                t.ifError(err);
+                backend.getJob(jobId, function (err2, record) {
+                        t.ifError(err2);
+                        t.equal(record.state, 'done');
+                        t.equal(record.name, 'manta_test');
+                        t.equal(record.stats.errors, 0);
+                        t.equal(record.stats.tasks, 3);
+                        backend.getJobOutputs(jobId, function (err3, outs) {
+                                t.ifError(err3);
+                                t.equal(outs.length, 1);
+                                t.equal(client.objects[outs[0]],
+                                    'A\nB\nC\n');
+                                t.end();
+                        });
+                });
+        });
+});
+
+
+test('test: failed map task', function (t) {
+        var client = new FakeMantaClient({
+                '/poseidon/stor/a': 'a\n',
+                '/poseidon/stor/b': 'b\n'
+        });
+        var backend = createBackend(client);
+        var job = {
+                name: 'manta_test',
+                phases: [ {
+                        type: 'storage-map',
+                        exec: 'grep -v b'
+                }, {
+                        type: 'reduce',
+                        exec: 'cat'
+                } ]
+        };
+
+        backend.createJob(job, [ '/poseidon/stor/a', '/poseidon/stor/b' ],
+            function (err, jobId) {
+                t.ifError(err);
+                backend.getJob(jobId, function (err2, record) {
+                        t.ifError(err2);
+                        t.equal(record.stats.errors, 1);
+                        t.equal(record.errors[0].input[0],
+                            '/poseidon/stor/b');
+                        t.equal(client.objects[record.outputs[0]], 'a\n');
+                        t.end();
+                });
+        });
+});
+
+
+test('test: job that fails to run', function (t) {
+        var client = new FakeMantaClient({
+                '/poseidon/stor/a': 'a\n'
+        });
+        var backend = createBackend(client);
+        var job = {
+                name: 'manta_test',
+                phases: [ {
+                        type: 'storage-map',
+                        exec: 'cat'
+                } ]
+        };
+        //The job runs, but its outputs can't be uploaded.
+        var put = client.put;
+        client.put = function (p, s, opts, cb) {
+                if (p.indexOf('/out/') !== -1) {
+                        s.resume();
+                        setImmediate(cb, new Error('no space left'));
+                        return;
+                }
+                put.call(client, p, s, opts, cb);
+        };
+
+        backend.createJob(job, [ '/poseidon/stor/a' ], function (err, jobId) {
+                t.ok(err);
+                t.ok(jobId);
+                backend.getJob(jobId, function (err2, record) {
+                        t.ifError(err2);
+                        t.equal(record.state, 'done');
+                        t.ok(record.cancelled);
+                        t.ok(record.timeDone);
+                        t.equal(record.stats.errors, 1);
+                        t.equal(record.errors[0].message, err.message);
+                        t.ok(/no space left/.test(err.message));
+                        t.end();
+                });
+        });
+});
+
+
+test('test: list jobs, abandoned job', function (t) {
+        var client = new FakeMantaClient();
+        var backend = createBackend(client);
+        var running = {
+                id: 'running-job',
+                name: 'manta_test',
+                state: 'running',
+                host: os.hostname(),
+                pid: process.pid
+        };
+        var abandoned = {
+                id: 'abandoned-job',
+                name: 'manta_test',
+                state: 'running',
+                host: os.hostname(),
+                pid: 999999999
+        };
+        var other = {
+                id: 'other-job',
+                name: 'manta_other',
+                state: 'running',
+                host: os.hostname(),
+                pid: process.pid
+        };
+        [ running, abandoned, other ].forEach(function (r) {
+                client.objects[JOB_ROOT + '/local_jobs/' + r.id +
+                    '/job.json'] = JSON.stringify(r);
+        });
+
+        backend.listJobs('manta_test', function (err, jobs) {
+                t.ifError(err);
+                t.equal(jobs.length, 2);
+                var states = {};
+                jobs.forEach(function (j) {
+                        states[j.id] = j;
+                });
+                t.equal(states['running-job'].state, 'running');
+                t.equal(states['abandoned-job'].state, 'done');
+                t.ok(states['abandoned-job'].cancelled);
+                var saved = JSON.parse(client.objects[JOB_ROOT +
+                    '/local_jobs/abandoned-job/job.json']);
+                t.equal(saved.state, 'done');
+                t.end();
+        });
+});
+
+
+test('test: no jobs yet', function (t) {
+        var backend = createBackend(new FakeMantaClient());
+        backend.listJobs('manta_test', function (err, jobs) {
+                t.ifError(err);
+                t.deepEqual(jobs, []);
+                t.end();
+        });
+});
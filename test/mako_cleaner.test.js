@@ -0,0 +1,224 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var fs = require('fs');
+var helper = require('./helper.js');
+var lib = require('../lib');
+var mod_instructions = require('../lib/instruction_format');
+var mod_mako_cleaner = require('../lib/mako_cleaner');
+var os = require('os');
+var path = require('path');
+
+
+
+///--- Globals
+
+var after = helper.after;
+var before = helper.before;
+var LOG = helper.createLogger('mako cleaner test');
+var ROOT = path.join(os.tmpdir(), 'mako_cleaner.test.' + process.pid);
+var MANTA_ROOT = path.join(ROOT, 'manta');
+var MAKO_ROOT = path.join(ROOT, 'mako');
+var GC_DIR = '/poseidon/stor/manta_gc';
+var STORAGE_ID = '1.stor.coal.joyent.us';
+var OWNER = 'ec9b0b88-0118-11e2-a85b-0ff8adc7a466';
+var OBJECTS = [ 'dfbc776e-aaa6-44c5-a819-d3941b3f867d',
+        '2a5f0c43-7a3a-4dd6-9b7e-8a1f3bb1c0f6',
+        '9c1e7f0e-3d1d-4f4b-9a83-6f0e0b5b2d11' ];
+var test = helper.test;
+
+
+
+///--- Helpers
+
+function instruction(storageId, owner, objectId) {
+        return ([ 'mako', storageId, owner, objectId ].join('\t'));
+}
+
+
+function createCleaner() {
+        return (lib.createMakoCleaner({
+                log: LOG,
+                mantaClient: lib.createLocalMantaClient({ root: MANTA_ROOT }),
+                gcRoot: GC_DIR,
+                storageId: STORAGE_ID,
+                root: MAKO_ROOT
+        }));
+}
+
+
+function writeFile(file, data) {
+        var dir = path.dirname(file);
+        var parts = [];
+        while (!fs.existsSync(dir)) {
+                parts.unshift(dir);
+                dir = path.dirname(dir);
+        }
+        parts.forEach(function (d) {
+                fs.mkdirSync(d);
+        });
+        fs.writeFileSync(file, data);
+}
+
+
+function rmrf(p) {
+        if (fs.statSync(p).isDirectory()) {
+                fs.readdirSync(p).forEach(function (f) {
+                        rmrf(path.join(p, f));
+                });
+                fs.rmdirSync(p);
+        } else {
+                fs.unlinkSync(p);
+        }
+}
+
+
+
+///--- Tests
+
+before(function (cb) {
+        fs.mkdirSync(ROOT);
+        cb();
+});
+
+
+after(function (cb) {
+        rmrf(ROOT);
+        cb();
+});
+
+
+test('test: parse instructions', function (t) {
+        var parse = mod_mako_cleaner.parseMakoInstruction;
+
+        t.deepEqual(parse(instruction(STORAGE_ID, OWNER, OBJECTS[0])), {
+                mantaStorageId: STORAGE_ID,
+                owner: OWNER,
+                objectId: OBJECTS[0]
+        });
+        [
+                'moray\t1.moray\tfoo\t123',
+                instruction(STORAGE_ID, OWNER, OBJECTS[0]) + '\textra',
+                instruction('', OWNER, OBJECTS[0]),
+                instruction(STORAGE_ID, '..', OBJECTS[0]),
+                instruction(STORAGE_ID, OWNER, '../../etc/passwd')
+        ].forEach(function (line) {
+                t.throws(function () {
+                        parse(line);
+                }, line);
+        });
+        t.end();
+});
+
+
+test('test: instruction object tombstoned and reported', function (t) {
+        var cleaner = createCleaner();
+        var name = '2020-01-01-00-00-00-job-1-X-reducer-uuid-mako-' +
+                STORAGE_ID;
+        var objPath = GC_DIR + '/mako/' + STORAGE_ID + '/' + name;
+        var lines = [
+                instruction(STORAGE_ID, OWNER, OBJECTS[0]),
+                instruction(STORAGE_ID, OWNER, OBJECTS[1]),
+                //Gone already.
+                instruction(STORAGE_ID, OWNER, OBJECTS[2]),
+                //For some other storage node.
+                instruction('2.stor.coal.joyent.us', OWNER, OBJECTS[0]),
+                'garbage'
+        ];
+
+        writeFile(path.join(MAKO_ROOT, OWNER, OBJECTS[0]), 'abc');
+        writeFile(path.join(MAKO_ROOT, OWNER, OBJECTS[1]), 'defgh');
+        writeFile(path.join(MANTA_ROOT, objPath), lines.join('\n') + '\n');
+
+        cleaner.run(function (err) {
+                t.ifError(err);
+
+                var day = new Date().toISOString().substr(0, 10);
+                var tdir = path.join(MAKO_ROOT, 'tombstone', day);
+                t.equal(fs.readFileSync(path.join(tdir, OBJECTS[0]), 'utf8'),
+                    'abc');
+                t.equal(fs.readFileSync(path.join(tdir, OBJECTS[1]), 'utf8'),
+                    'defgh');
+                t.deepEqual(fs.readdirSync(path.join(MAKO_ROOT, OWNER)), []);
+                t.ok(!fs.existsSync(path.join(MANTA_ROOT, objPath)));
+
+                var report = JSON.parse(fs.readFileSync(path.join(MANTA_ROOT,
+                    GC_DIR, 'mako_reports', STORAGE_ID, name), 'utf8'));
+                t.equal(report.instruction, objPath);
+                t.equal(report.storageId, STORAGE_ID);
+                t.equal(report.tombstoneDir, tdir);
+                t.equal(report.tombstoned, 2);
+                t.equal(report.bytesTombstoned, 8);
+                t.equal(report.alreadyGone, 1);
+                t.equal(report.invalid, 2);
+                t.deepEqual(report.invalidLines, lines.slice(3));
+                t.deepEqual(cleaner.getStats(), {
+                        instructionObjects: 1,
+                        tombstoned: 2,
+                        bytesTombstoned: 8,
+                        alreadyGone: 1,
+                        invalid: 2
+                });
+                t.end();
+        });
+});
+
+
+test('test: no instructions', function (t) {
+        var cleaner = createCleaner();
+
+        cleaner.run(function (err) {
+                t.ifError(err);
+                t.equal(cleaner.getStats().instructionObjects, 0);
+                t.end();
+        });
+});
+
+
+test('test: headered instructions', function (t) {
+        var cleaner = createCleaner();
+        var objPath = GC_DIR + '/mako/' + STORAGE_ID + '/cruft-' + STORAGE_ID;
+        var lines = [
+                mod_instructions.createHeader('cruft-mako'),
+                [ 'mako', STORAGE_ID, OWNER, OBJECTS[0], '3', '1577836800000',
+                        '1' ].join('\t')
+        ];
+
+        writeFile(path.join(MAKO_ROOT, OWNER, OBJECTS[0]), 'abc');
+        writeFile(path.join(MANTA_ROOT, objPath), lines.join('\n') + '\n');
+
+        cleaner.run(function (err) {
+                t.ifError(err);
+                t.equal(cleaner.getStats().tombstoned, 1);
+                t.equal(cleaner.getStats().invalid, 0);
+                t.ok(!fs.existsSync(path.join(MANTA_ROOT, objPath)));
+                t.end();
+        });
+});
+
+
+test('test: unreadable instruction version', function (t) {
+        var cleaner = createCleaner();
+        var objPath = GC_DIR + '/mako/' + STORAGE_ID + '/gc-' + STORAGE_ID;
+        var lines = [
+                '#mola-instructions\tgc-mako\t2',
+                instruction(STORAGE_ID, OWNER, OBJECTS[0])
+        ];
+
+        writeFile(path.join(MAKO_ROOT, OWNER, OBJECTS[0]), 'abc');
+        writeFile(path.join(MANTA_ROOT, objPath), lines.join('\n') + '\n');
+
+        cleaner.run(function (err) {
+                t.ok(err);
+                t.ok(fs.existsSync(path.join(MAKO_ROOT, OWNER, OBJECTS[0])));
+                t.ok(fs.existsSync(path.join(MANTA_ROOT, objPath)));
+                t.end();
+        });
+});
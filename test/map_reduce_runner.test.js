@@ -0,0 +1,194 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var fs = require('fs');
+var helper = require('./helper.js');
+var mod_runner = require('../lib/map_reduce_runner');
+var path = require('path');
+
+
+
+///--- Globals
+
+var LOG = helper.createLogger('map reduce runner test');
+var WORK_DIR = path.resolve(__dirname, '..', 'tmp');
+var test = helper.test;
+
+
+
+///--- Helpers
+
+function createRunner(name, phases) {
+        var workDir = path.join(WORK_DIR, name);
+        [ WORK_DIR, workDir ].forEach(function (d) {
+                try {
+                        fs.mkdirSync(d);
+                } catch (e) {
+                        if (e.code !== 'EEXIST') {
+                                throw (e);
+                        }
+                }
+        });
+        return (new mod_runner.MapReduceRunner({
+                log: LOG,
+                phases: phases,
+                workDir: workDir
+        }));
+}
+
+
+function writeInput(runner, name, data) {
+        var file = path.join(runner.workDir, name);
+        fs.writeFileSync(file, data);
+        return ({ key: '/poseidon/stor/' + name, file: file });
+}
+
+
+
+///--- Tests
+
+test('test: partitionFor', function (t) {
+        var n = 7;
+        var seen = {};
+        for (var i = 0; i < 100; ++i) {
+                var p = mod_runner.partitionFor('key' + i, n);
+                t.ok(p >= 0 && p < n);
+                t.equal(p, mod_runner.partitionFor('key' + i, n));
+                seen[p] = true;
+        }
+        t.ok(Object.keys(seen).length > 1);
+        t.equal(mod_runner.partitionFor('anything', 1), 0);
+        t.end();
+});
+
+
+test('test: reducer fan-out', function (t) {
+        var runner = createRunner('fanout', [ {
+                type: 'storage-map',
+                exec: 'msplit -n 3'
+        }, {
+                type: 'reduce',
+                count: 3,
+                exec: 'cat'
+        } ]);
+        var lines = [];
+        for (var i = 0; i < 30; ++i) {
+                lines.push('k' + (i % 10) + '\t' + i);
+        }
+        var inputs = [
+                writeInput(runner, 'a', lines.slice(0, 15).join('\n') + '\n'),
+                writeInput(runner, 'b', lines.slice(15).join('\n') + '\n')
+        ];
+
+        runner.run(inputs, function (err, outputs) {
+                t.ifError(err);
+                t.equal(outputs.length, 3);
+                t.equal(runner.stats.tasks, 5);
+                t.equal(runner.stats.errors, 0);
+
+                var total = 0;
+                var reducerFor = {};
+                outputs.forEach(function (o, r) {
+                        var out = fs.readFileSync(o.file, 'utf8').split('\n');
+                        out.pop();
+                        total += out.length;
+
+                        //Each reducer sees its input sorted...
+                        t.deepEqual(out, out.slice().sort());
+
+                        //... and every line for a key goes to one reducer.
+                        out.forEach(function (l) {
+                                var key = l.split('\t')[0];
+                                t.equal(mod_runner.partitionFor(key, 3), r);
+                                if (reducerFor[key] === undefined) {
+                                        reducerFor[key] = r;
+                                }
+                                t.equal(reducerFor[key], r);
+                        });
+                });
+                t.equal(total, lines.length);
+                t.equal(Object.keys(reducerFor).length, 10);
+                t.end();
+        });
+});
+
+
+test('test: msplit delimiter and fields', function (t) {
+        var runner = createRunner('fields', [ {
+                type: 'storage-map',
+                exec: 'msplit -d " " -f 1,3 -n 3'
+        }, {
+                type: 'reduce',
+                count: 3,
+                exec: 'cat'
+        } ]);
+        var lines = [];
+        for (var i = 0; i < 30; ++i) {
+                lines.push('k' + (i % 5) + ' ' + i + ' x' + (i % 2));
+        }
+        var inputs = [ writeInput(runner, 'a', lines.join('\n') + '\n') ];
+
+        runner.run(inputs, function (err, outputs) {
+                t.ifError(err);
+                t.equal(runner.stats.errors, 0);
+
+                var total = 0;
+                outputs.forEach(function (o, r) {
+                        var out = fs.readFileSync(o.file, 'utf8').split('\n');
+                        out.pop();
+                        total += out.length;
+                        out.forEach(function (l) {
+                                var parts = l.split(' ');
+                                var key = parts[0] + ' ' + parts[2];
+                                t.equal(mod_runner.partitionFor(key, 3), r);
+                        });
+                });
+                t.equal(total, lines.length);
+                t.end();
+        });
+});
+
+
+test('test: unsupported msplit option', function (t) {
+        var runner = createRunner('unsupported', [ {
+                type: 'storage-map',
+                exec: 'msplit -j -n 2'
+        }, {
+                type: 'reduce',
+                count: 2,
+                exec: 'cat'
+        } ]);
+        var inputs = [ writeInput(runner, 'a', '{"a":1}\n') ];
+
+        runner.run(inputs, function (err) {
+                t.ifError(err);
+                t.equal(runner.stats.errors, 1);
+                t.ok(/only -d, -f and -n/.test(runner.errors[0].stderr),
+                    runner.errors[0].stderr);
+                t.end();
+        });
+});
+
+
+test('test: map task environment', function (t) {
+        var runner = createRunner('env', [ {
+                type: 'storage-map',
+                exec: 'echo $MANTA_INPUT_OBJECT; cat $MANTA_INPUT_FILE'
+        } ]);
+        var inputs = [ writeInput(runner, 'a', 'hello\n') ];
+
+        runner.run(inputs, function (err, outputs) {
+                t.ifError(err);
+                t.equal(outputs.length, 1);
+                t.equal(fs.readFileSync(outputs[0].file, 'utf8'),
+                    '/poseidon/stor/a\nhello\n');
+                t.end();
+        });
+});
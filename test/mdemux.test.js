@@ -0,0 +1,238 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * mdemux.test.js: mdemux tests, run without uploading (-n).
+ */
+
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+var zlib = require('zlib');
+
+var helper = require('./helper.js');
+
+var mdemux = './bin/mdemux.js';
+
+var test = helper.test;
+
+var GC_INPUT = [
+        'mako\t1.stor\towner\t1111',
+        'moray\t1.moray\t1111\t1',
+        'mako\t2.stor\towner\t1111',
+        'mako\t1.stor\towner\t2222'
+].join('\n') + '\n';
+
+var objs = [
+        { 'owner': 'o1', 'name': { 'first': 'joe' }, 'rank': 'captain' },
+        { 'owner': 'o2', 'name': { 'first': 'bob' }, 'rank': 'ensign' },
+        { 'owner': 'o1', 'name': { 'first': 'sarah' }, 'rank': 'ensign' }
+];
+var JSON_INPUT = objs.map(function (o) {
+        return (JSON.stringify(o));
+}).join('\n') + '\n';
+
+
+/*
+ * Runs mdemux, calling back with the exit code, stderr and the contents of
+ * each bucket, by key.
+ */
+function runTest(opts, callback)
+{
+        var args = [ '-n', '-v' ].concat(opts.opts);
+        var spawn = child_process.spawn(mdemux, args);
+        var stderr = '';
+
+        spawn.stderr.on('data', function (data) {
+                stderr += data;
+        });
+
+        spawn.on('close', function (code) {
+                var buckets = {};
+                var remote = null;
+                var dir = path.join('/var/tmp', 'mdemux.' + spawn.pid);
+
+                stderr.split('\n').forEach(function (l) {
+                        var m;
+                        if ((m = /^open remote: (.*)$/.exec(l))) {
+                                remote = m[1];
+                        } else if ((m = /^ +local: (.*)$/.exec(l))) {
+                                var data = fs.readFileSync(m[1]);
+                                if (opts.gzip) {
+                                        data = zlib.gunzipSync(data);
+                                }
+                                buckets[remote] = data.toString();
+                                fs.unlinkSync(m[1]);
+                        }
+                });
+                if (fs.existsSync(dir)) {
+                        fs.rmdirSync(dir);
+                }
+                callback({
+                        code: code,
+                        stderr: stderr,
+                        buckets: buckets
+                });
+        });
+
+        spawn.stdin.end(opts.stdin);
+}
+
+
+test('test: fields from the pattern', function (t) {
+        runTest({
+                stdin: GC_INPUT,
+                opts: [ '-p', '/poseidon/stor/x-{1}-{2}' ]
+        }, function (result) {
+                t.equal(result.code, 0);
+                t.deepEqual(result.buckets, {
+                        '/poseidon/stor/x-mako-1.stor':
+                                'mako\t1.stor\towner\t1111\n' +
+                                'mako\t1.stor\towner\t2222\n',
+                        '/poseidon/stor/x-moray-1.moray':
+                                'moray\t1.moray\t1111\t1\n',
+                        '/poseidon/stor/x-mako-2.stor':
+                                'mako\t2.stor\towner\t1111\n'
+                });
+                t.done();
+        });
+});
+
+
+test('test: selected fields, removed and gzipped', function (t) {
+        runTest({
+                stdin: GC_INPUT,
+                gzip: true,
+                opts: [ '-f', '2,1', '-r', '-z', '-p', '/x/{1}/{2}.gz' ]
+        }, function (result) {
+                t.equal(result.code, 0);
+                t.deepEqual(result.buckets, {
+                        '/x/1.stor/mako.gz': 'owner\t1111\nowner\t2222\n',
+                        '/x/1.moray/moray.gz': '1111\t1\n',
+                        '/x/2.stor/mako.gz': 'owner\t1111\n'
+                });
+                t.done();
+        });
+});
+
+
+test('test: named json fields', function (t) {
+        runTest({
+                stdin: JSON_INPUT,
+                opts: [ '-j', '-f', 'owner,rank', '-r', '-p', '/x/{1}/{2}' ]
+        }, function (result) {
+                t.equal(result.code, 0);
+                t.deepEqual(result.buckets, {
+                        '/x/o1/captain': '{"name":{"first":"joe"}}\n',
+                        '/x/o2/ensign': '{"name":{"first":"bob"}}\n',
+                        '/x/o1/ensign': '{"name":{"first":"sarah"}}\n'
+                });
+                t.done();
+        });
+});
+
+
+test('test: jext prefixed json', function (t) {
+        var input = objs.map(function (o) {
+                return (o.name.first + ' ' + JSON.stringify(o));
+        }).join('\n') + '\n';
+
+        runTest({
+                stdin: input,
+                opts: [ '-j', '-d', ' ', '-f', 'owner,1', '-p', '/x/{1}/{2}' ]
+        }, function (result) {
+                t.equal(result.code, 0);
+                t.equal(result.buckets['/x/o1/joe'],
+                    'joe ' + JSON.stringify(objs[0]) + '\n');
+                t.equal(Object.keys(result.buckets).length, 3);
+                t.done();
+        });
+});
+
+
+test('test: invalid json', function (t) {
+        runTest({
+                stdin: 'not json\n',
+                opts: [ '-j', '-f', 'owner', '-p', '/x/{1}' ]
+        }, function (result) {
+                t.notEqual(result.code, 0);
+                t.ok(/line 1 is not a JSON object/.test(result.stderr));
+                t.done();
+        });
+});
+
+
+test('test: named field without -j', function (t) {
+        runTest({
+                stdin: GC_INPUT,
+                opts: [ '-f', 'owner', '-p', '/x/{1}' ]
+        }, function (result) {
+                t.equal(result.code, 1);
+                t.ok(/named fields need -j/.test(result.stderr));
+                t.done();
+        });
+});
+
+
+test('test: instruction headers', function (t) {
+        runTest({
+                stdin: GC_INPUT,
+                opts: [ '-H', 'gc-{1}', '-p', '/poseidon/stor/x-{1}-{2}' ]
+        }, function (result) {
+                t.equal(result.code, 0);
+                t.deepEqual(result.buckets, {
+                        '/poseidon/stor/x-mako-1.stor':
+                                '#mola-instructions\tgc-mako\t1\n' +
+                                'mako\t1.stor\towner\t1111\n' +
+                                'mako\t1.stor\towner\t2222\n',
+                        '/poseidon/stor/x-moray-1.moray':
+                                '#mola-instructions\tgc-moray\t1\n' +
+                                'moray\t1.moray\t1111\t1\n',
+                        '/poseidon/stor/x-mako-2.stor':
+                                '#mola-instructions\tgc-mako\t1\n' +
+                                'mako\t2.stor\towner\t1111\n'
+                });
+                t.done();
+        });
+});
+
+
+test('test: instruction headers left off', function (t) {
+        runTest({
+                stdin: GC_INPUT,
+                opts: [ '-H', 'gc-{1}', '-x', 'gc-mako',
+                        '-p', '/poseidon/stor/x-{1}-{2}' ]
+        }, function (result) {
+                t.equal(result.code, 0);
+                t.deepEqual(result.buckets, {
+                        '/poseidon/stor/x-mako-1.stor':
+                                'mako\t1.stor\towner\t1111\n' +
+                                'mako\t1.stor\towner\t2222\n',
+                        '/poseidon/stor/x-moray-1.moray':
+                                '#mola-instructions\tgc-moray\t1\n' +
+                                'moray\t1.moray\t1111\t1\n',
+                        '/poseidon/stor/x-mako-2.stor':
+                                'mako\t2.stor\towner\t1111\n'
+                });
+                t.done();
+        });
+});
+
+
+test('test: unknown instruction format', function (t) {
+        runTest({
+                stdin: GC_INPUT,
+                opts: [ '-H', 'gc-foo-{1}', '-p', '/x/{1}' ]
+        }, function (result) {
+                t.equal(result.code, 1);
+                t.ok(/unknown instruction format/.test(result.stderr));
+                t.done();
+        });
+});
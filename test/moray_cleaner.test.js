@@ -0,0 +1,266 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var helper = require('./helper.js');
+var lib = require('../lib');
+var MemoryStream = require('memorystream');
+
+
+
+///--- Globals
+
+var LOG = helper.createLogger('moray cleaner test');
+var MORAY_1 = '1.moray.coal.joyent.us';
+var test = helper.test;
+
+
+
+///--- Helpers
+
+/*
+ * Stands in for a Moray client, keeping the keys of the manta_delete_log rows
+ * that still exist.
+ */
+function FakeMorayClient(keys) {
+        var self = this;
+        self.rows = {};
+        self.requests = 0;
+        self.inflight = 0;
+        self.maxInflight = 0;
+        self.overloads = 0;
+        self.failures = 0;
+        keys.forEach(function (k) {
+                self.rows[k] = true;
+        });
+}
+
+
+FakeMorayClient.prototype.deleteMany = function deleteMany(bucket, filter,
+    cb) {
+        var self = this;
+        var re = /\(_key=([^)]*)\)/g;
+        var m;
+        var count = 0;
+
+        self.requests++;
+        if (self.overloads > 0) {
+                self.overloads--;
+                var err = new Error('too busy');
+                err.name = 'OverloadedError';
+                setImmediate(cb, err);
+                return;
+        }
+        if (self.failures > 0) {
+                self.failures--;
+                setImmediate(cb, new Error('connection reset'));
+                return;
+        }
+        while ((m = re.exec(filter)) !== null) {
+                if (self.rows[m[1]]) {
+                        delete (self.rows[m[1]]);
+                        ++count;
+                }
+        }
+        self.inflight++;
+        self.maxInflight = Math.max(self.maxInflight, self.inflight);
+        setTimeout(function () {
+                self.inflight--;
+                cb(null, { count: count });
+        }, 10);
+};
+
+
+FakeMorayClient.prototype.close = function close() {};
+
+
+function createCleaner(client, opts) {
+        opts = opts || {};
+        var cleaner = lib.createMorayCleaner({
+                log: LOG,
+                batchSize: 3,
+                batchConcurrency: opts.batchConcurrency
+        });
+        cleaner.limiter.minBackoff = 1;
+        cleaner.morayClients[MORAY_1] = client;
+        return (cleaner);
+}
+
+
+function instructions(n) {
+        var lines = [];
+        var keys = [];
+        for (var i = 0; i < n; ++i) {
+                lines.push([ 'moray', MORAY_1, 'obj-' + i, '1000' ].join('\t'));
+                keys.push('/obj-' + i + '/1000');
+        }
+        return ({ data: lines.join('\n') + '\n', keys: keys });
+}
+
+
+function clean(cleaner, data, opts, cb) {
+        var mcs = cleaner.cleanStream({
+                shard: MORAY_1,
+                object: '/poseidon/stor/manta_gc/moray/' + MORAY_1 + '/obj',
+                bucket: 'manta_delete_log',
+                resumeFrom: opts.resumeFrom,
+                checkpoint: opts.checkpoint
+        });
+        mcs.once('error', cb);
+        mcs.once('workComplete', function () {
+                cb();
+        });
+        var ms = new MemoryStream();
+        ms.pipe(mcs);
+        process.nextTick(function () {
+                ms.end(data);
+        });
+}
+
+
+
+///--- Tests
+
+test('test: checkpoints after each batch', function (t) {
+        var input = instructions(7);
+        var client = new FakeMorayClient(input.keys);
+        var cleaner = createCleaner(client);
+        var progress = [];
+
+        clean(cleaner, input.data, {
+                checkpoint: function (p, cb) {
+                        progress.push(p);
+                        setImmediate(cb);
+                }
+        }, function (err) {
+                t.ifError(err);
+                t.deepEqual(progress, [
+                        { lines: 3, batchId: 0 },
+                        { lines: 6, batchId: 1 },
+                        { lines: 7, batchId: 2 }
+                ]);
+                t.deepEqual(client.rows, {});
+                t.deepEqual(cleaner.getStats(), {
+                        rowsDeleted: 7,
+                        rowsAlreadyDeleted: 0,
+                        linesSkipped: 0,
+                        backoffs: 0
+                });
+                t.end();
+        });
+});
+
+
+test('test: resume from checkpoint', function (t) {
+        var input = instructions(7);
+        //An earlier run got through the first 4 lines.
+        var client = new FakeMorayClient(input.keys.slice(4));
+        var cleaner = createCleaner(client);
+
+        clean(cleaner, input.data, { resumeFrom: 4 }, function (err) {
+                t.ifError(err);
+                t.deepEqual(client.rows, {});
+                t.equal(client.requests, 2);
+                t.deepEqual(cleaner.getStats(), {
+                        rowsDeleted: 3,
+                        rowsAlreadyDeleted: 0,
+                        linesSkipped: 4,
+                        backoffs: 0
+                });
+                t.end();
+        });
+});
+
+
+test('test: rerun without checkpoint', function (t) {
+        var input = instructions(7);
+        var client = new FakeMorayClient(input.keys.slice(4));
+        var cleaner = createCleaner(client);
+
+        clean(cleaner, input.data, {}, function (err) {
+                t.ifError(err);
+                t.deepEqual(client.rows, {});
+                t.deepEqual(cleaner.getStats(), {
+                        rowsDeleted: 3,
+                        rowsAlreadyDeleted: 4,
+                        linesSkipped: 0,
+                        backoffs: 0
+                });
+                t.end();
+        });
+});
+
+
+test('test: concurrent batches checkpoint in order', function (t) {
+        var input = instructions(20);
+        var client = new FakeMorayClient(input.keys);
+        var cleaner = createCleaner(client, { batchConcurrency: 3 });
+        var progress = [];
+
+        clean(cleaner, input.data, {
+                checkpoint: function (p, cb) {
+                        progress.push(p.lines);
+                        setTimeout(cb, 15);
+                }
+        }, function (err) {
+                t.ifError(err);
+                t.deepEqual(client.rows, {});
+                t.equal(client.maxInflight, 3);
+                t.deepEqual(progress, progress.slice().sort(function (a, b) {
+                        return (a - b);
+                }));
+                t.equal(progress[progress.length - 1], 20);
+                t.end();
+        });
+});
+
+
+test('test: overloaded batch is retried', function (t) {
+        var input = instructions(4);
+        var client = new FakeMorayClient(input.keys);
+        var cleaner = createCleaner(client);
+        client.overloads = 2;
+
+        clean(cleaner, input.data, {}, function (err) {
+                t.ifError(err);
+                t.deepEqual(client.rows, {});
+                t.equal(client.requests, 4);
+                t.equal(cleaner.getStats().rowsDeleted, 4);
+                t.equal(cleaner.getStats().backoffs, 2);
+                t.end();
+        });
+});
+
+
+test('test: failed batch is not checkpointed', function (t) {
+        var input = instructions(4);
+        var client = new FakeMorayClient(input.keys);
+        var cleaner = createCleaner(client);
+        var progress = [];
+        var called = false;
+        client.failures = 1;
+
+        clean(cleaner, input.data, {
+                checkpoint: function (p, cb) {
+                        progress.push(p.lines);
+                        cb();
+                }
+        }, function (err) {
+                if (called) {
+                        return;
+                }
+                called = true;
+                t.ok(err);
+                t.ok(/connection reset/.test(err.message));
+                t.deepEqual(progress, []);
+                t.equal(client.rows[input.keys[0]], true);
+                t.equal(cleaner.getStats().rowsDeleted, 0);
+                t.end();
+        });
+});
@@ -0,0 +1,217 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var events = require('events');
+var fs = require('fs');
+var helper = require('./helper.js');
+var lib = require('../lib');
+var moray = require('moray');
+var vasync = require('vasync');
+
+
+
+///--- Globals
+
+var LOG = helper.createLogger('moray reader test');
+var DUMP_DIR = 'data/pg_rt_test';
+var DUMP_DATE = new Date('2012-10-05T16:00:02.000Z');
+var MORAY_1 = '1.moray.coal.joyent.us';
+var test = helper.test;
+
+
+
+///--- Helpers
+
+/*
+ * Stands in for a Moray client, holding the rows of each bucket as Moray
+ * returns them.
+ */
+function FakeMorayClient() {
+        this.buckets = {};
+        this.pages = 0;
+        this.fail = false;
+}
+
+
+/*
+ * Loads the rows of a dump into the client, calling back once they're all
+ * in.
+ */
+FakeMorayClient.prototype.load = function load(file, cb) {
+        var self = this;
+        var reader = lib.createSchemaReader(fs.createReadStream(file,
+            { encoding: 'ascii' }));
+
+        reader.on('object', function (o) {
+                var bucket = o['__table'];
+                self.buckets[bucket] = self.buckets[bucket] || [];
+                self.buckets[bucket].push({
+                        bucket: bucket,
+                        key: o['_key'],
+                        value: o['_value'],
+                        _id: parseInt(o['_id'], 10),
+                        _etag: o['_etag'],
+                        _mtime: parseInt(o['_mtime'], 10)
+                });
+        });
+        reader.on('end', cb);
+};
+
+
+FakeMorayClient.prototype.findObjects = function findObjects(bucket, filter,
+    opts) {
+        var req = new events.EventEmitter();
+        var from = parseInt(/^\(_id>=(\d+)\)$/.exec(filter)[1], 10);
+        var records = (this.buckets[bucket] || []).filter(function (r) {
+                return (r._id >= from);
+        }).sort(function (a, b) {
+                return (a._id - b._id);
+        }).slice(0, opts.limit);
+        var fail = this.fail;
+
+        this.pages++;
+        setImmediate(function () {
+                if (fail) {
+                        req.emit('error', new Error('no such bucket'));
+                        return;
+                }
+                records.forEach(function (r) {
+                        req.emit('record', r);
+                });
+                req.emit('end');
+        });
+        return (req);
+};
+
+
+/*
+ * Transforms rows with GcPgRowTransformer, calling back with the strings of
+ * the rows, less the original objects, which have the dumps' extra columns.
+ */
+function gcRows(opts, cb) {
+        var rows = [];
+        var pt = lib.createGcPgRowTransformer({
+                reader: opts.reader,
+                source: opts.source,
+                dumpDate: DUMP_DATE,
+                earliestDumpDate: DUMP_DATE,
+                morayHostname: MORAY_1
+        });
+        pt.on('row', function (row) {
+                rows.push([ row.objectId, row.date.toISOString(), row.type,
+                        row.obj['_key'], row.morayHostname ].join('\t'));
+        });
+        pt.once('end', function () {
+                cb(rows);
+        });
+}
+
+
+
+///--- Tests
+
+test('test: same rows as the dumps', function (t) {
+        var client = new FakeMorayClient();
+        var tables = [ 'manta', 'manta_delete_log' ];
+        var expected = [];
+
+        vasync.forEachPipeline({
+                inputs: tables,
+                func: function (table, next) {
+                        var file = DUMP_DIR + '/2012-10-05-16-00-02-' + table;
+                        gcRows({
+                                reader: fs.createReadStream(file,
+                                    { encoding: 'ascii' })
+                        }, function (rows) {
+                                expected = expected.concat(rows);
+                                client.load(file, next);
+                        });
+                }
+        }, function (err) {
+                t.ifError(err);
+                var reader = lib.createMorayReader({
+                        log: LOG,
+                        shard: MORAY_1,
+                        buckets: tables,
+                        client: client,
+                        pageSize: 50
+                });
+                gcRows({ source: reader }, function (rows) {
+                        //594 live and 128 dead.
+                        t.equal(rows.length, 722);
+                        t.deepEqual(rows.sort(), expected.sort());
+                        t.ok(client.pages > tables.length);
+                        t.end();
+                });
+        });
+});
+
+
+test('test: findObjects error', function (t) {
+        var client = new FakeMorayClient();
+        client.fail = true;
+        var reader = lib.createMorayReader({
+                log: LOG,
+                shard: MORAY_1,
+                buckets: [ 'manta' ],
+                client: client
+        });
+
+        reader.on('end', function () {
+                t.ok(false, 'unexpected end');
+                t.end();
+        });
+        reader.on('error', function (err) {
+                t.ok(/no such bucket/.test(err.message));
+                t.end();
+        });
+});
+
+
+test('test: shards that fail to connect', function (t) {
+        var createClient = moray.createClient;
+        var clients = [];
+        moray.createClient = function () {
+                var client = new events.EventEmitter();
+                client.closed = false;
+                client.close = function () {
+                        client.closed = true;
+                };
+                clients.push(client);
+                return (client);
+        };
+
+        var refused = lib.createMorayReader({
+                log: LOG,
+                shard: MORAY_1,
+                buckets: [ 'manta' ]
+        });
+        refused.on('error', function (err) {
+                t.ok(/connecting to shard/.test(err.message));
+                t.ok(clients[0].closed);
+
+                //This one never connects.
+                var reader = lib.createMorayReader({
+                        log: LOG,
+                        shard: MORAY_1,
+                        buckets: [ 'manta' ],
+                        connectWaitMillis: 10
+                });
+                reader.on('error', function (err2) {
+                        moray.createClient = createClient;
+                        t.ok(/timed out/.test(err2.message));
+                        t.ok(clients[1].closed);
+                        t.end();
+                });
+        });
+        setImmediate(function () {
+                clients[0].emit('error', new Error('connection refused'));
+        });
+});
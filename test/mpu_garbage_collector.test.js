@@ -1236,3 +1236,51 @@ test('all finalized, some within custom grace period', function (t) {
                 stream.end();
         });
 });
+
+test('all finalized, owner held by grace period policy', function (t) {
+        var date = DATE_OUTSIDE_GP.toISOString();
+        var policy = { owners: {} };
+        policy.owners[OWNER_1] = 30 * 24 * 60 * 60;
+
+        var inputs = [
+                // finalized, outside default grace period
+                commitRecord(ID_0, date, OWNER_0, MORAY_1),
+                uploadRecord(ID_0, date, uploadRecordKey(ID_0, OWNER_0)),
+                partRecord(ID_0, date, partRecordKey(ID_0, OWNER_0, 0)),
+
+                // finalized, within the owner's grace period
+                commitRecord(ID_1, date, OWNER_1, MORAY_1),
+                uploadRecord(ID_1, date, uploadRecordKey(ID_1, OWNER_1)),
+                partRecord(ID_1, date, partRecordKey(ID_1, OWNER_1, 0)),
+
+                ''
+        ];
+
+        var stream = new MemoryStream(inputs.join('\n'));
+        var gc = lib.createMpuGarbageCollector({
+                reader: stream,
+                gcDate: DATE_GC,
+                log: LOG,
+                gracePolicy: policy
+        });
+        var expect = [];
+
+        expect.push(mpuCommon.recordToObject(inputs[1]));
+        expect.push(mpuCommon.recordToObject(inputs[2]));
+        expect.push(mpuCommon.recordToObject(inputs[0]));
+
+        var output = [];
+
+        gc.on('mpuCleanup', function (action) {
+                output.push(action);
+        });
+
+        gc.on('end', function () {
+                t.ok(jsprim.deepEqual(expect, output));
+                t.done();
+        });
+
+        process.nextTick(function () {
+                stream.end();
+        });
+});
@@ -303,3 +303,48 @@ test('test: Rebalance away, same datacenter', function (t) {
                 t.end();
         });
 });
+
+
+test('test: Rebalance away, copies sharing datacenters', function (t) {
+        var shared_dc_sharks = {
+            '1': [
+                { 'manta_storage_id': 'one', 'datacenter': '1' },
+                { 'manta_storage_id': 'five', 'datacenter': '1' }
+            ],
+            '2': [
+                { 'manta_storage_id': 'two', 'datacenter': '2' },
+                { 'manta_storage_id': 'four', 'datacenter': '2' }
+            ],
+            '3': [
+                { 'manta_storage_id': 'three', 'datacenter': '3' }
+            ]
+        };
+        //"two" and "four" share datacenter 2, which mustn't take 3 with it.
+        var data = o('k1', [
+                { 'manta_storage_id': 'one', 'datacenter': '1' },
+                { 'manta_storage_id': 'five', 'datacenter': '1' },
+                { 'manta_storage_id': 'two', 'datacenter': '2' },
+                { 'manta_storage_id': 'four', 'datacenter': '2' }
+        ]);
+
+        runTest({
+            data: data,
+            mantaStorageId: 'one',
+            sharks: shared_dc_sharks
+        }, function (err, res) {
+                t.deepEqual([ 'three' ], Object.keys(res));
+                var ob = res['three'];
+                t.ok(ob.length === 1);
+                assert.deepEqual({
+                        key: 'k1',
+                        morayEtag: 'metag',
+                        newShark: shared_dc_sharks['3'][0],
+                        oldShark: { manta_storage_id: 'one',
+                                    datacenter: '1' },
+                        md5: 'md5',
+                        objectId: 'objectId',
+                        owner: 'owner',
+                        etag: 'oetag' }, ob[0]);
+                t.end();
+        });
+});
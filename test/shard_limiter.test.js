@@ -0,0 +1,137 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+var helper = require('./helper.js');
+var mod_limiter = require('../lib/shard_limiter');
+var verror = require('verror');
+
+
+
+///--- Globals
+
+var LOG = helper.createLogger('shard limiter test');
+var MORAY_1 = '1.moray.coal.joyent.us';
+var MORAY_2 = '2.moray.coal.joyent.us';
+var test = helper.test;
+
+
+
+///--- Tests
+
+test('test: rate', function (t) {
+        var limiter = new mod_limiter.ShardLimiter({
+                log: LOG,
+                rate: 100,
+                concurrency: 10
+        });
+        var start = Date.now();
+        var times = [];
+
+        function take(shard, n) {
+                limiter.acquire(shard, n, function (release) {
+                        times.push({ shard: shard, t: Date.now() - start });
+                        release({ latency: 1 });
+                        if (times.length === 5) {
+                                check();
+                        }
+                });
+        }
+
+        function check() {
+                //The first 100 rows worth are let straight through, then
+                // the shard is 50 rows in debt, which takes half a second.
+                var last = times.pop();
+                t.equal(last.shard, MORAY_1);
+                t.ok(last.t >= 450, 'waited ' + last.t + 'ms');
+                times.forEach(function (x) {
+                        t.ok(x.t < 250, x.shard + ' waited ' + x.t + 'ms');
+                });
+                t.end();
+        }
+
+        take(MORAY_1, 50);
+        take(MORAY_1, 50);
+        take(MORAY_1, 50);
+        take(MORAY_1, 50);
+        //Other shards have their own bucket.
+        take(MORAY_2, 100);
+});
+
+
+test('test: concurrency', function (t) {
+        var limiter = new mod_limiter.ShardLimiter({
+                log: LOG,
+                concurrency: 2
+        });
+        var releases = [];
+
+        [ 1, 2, 3 ].forEach(function () {
+                limiter.acquire(MORAY_1, 1, function (release) {
+                        releases.push(release);
+                });
+        });
+
+        setTimeout(function () {
+                t.equal(releases.length, 2);
+                releases[0]({ latency: 1 });
+                setTimeout(function () {
+                        t.equal(releases.length, 3);
+                        t.end();
+                }, 20);
+        }, 20);
+});
+
+
+test('test: backoff', function (t) {
+        var limiter = new mod_limiter.ShardLimiter({
+                log: LOG,
+                rate: 1000,
+                targetLatency: 10,
+                minBackoff: 100
+        });
+
+        limiter.acquire(MORAY_1, 1, function (release) {
+                //Too slow.
+                release({ latency: 50 });
+                var s = limiter.getShard(MORAY_1);
+                t.equal(s.factor, 0.5);
+                t.equal(s.backoff, 100);
+
+                var start = Date.now();
+                limiter.acquire(MORAY_1, 1, function (release2) {
+                        t.ok(Date.now() - start >= 90);
+                        var err = new Error('busy');
+                        err.name = 'OverloadedError';
+                        release2({ err: new verror.VError(err, 'deleteMany'),
+                            latency: 1 });
+                        t.equal(s.factor, 0.25);
+                        t.equal(s.backoff, 200);
+
+                        limiter.acquire(MORAY_1, 1, function (release3) {
+                                release3({ latency: 1 });
+                                t.equal(s.backoff, 0);
+                                t.equal(s.factor, 0.3);
+                                t.equal(limiter.getStats().backoffs, 2);
+                                t.end();
+                        });
+                });
+        });
+});
+
+
+test('test: isOverloadError', function (t) {
+        var err = new Error('no peers');
+        err.name = 'NoDatabasePeersError';
+        t.ok(mod_limiter.isOverloadError(err));
+        t.ok(mod_limiter.isOverloadError(new verror.VError(err, 'wrapped')));
+        t.ok(!mod_limiter.isOverloadError(new Error('bad filter')));
+        t.ok(!mod_limiter.isOverloadError(null));
+        t.end();
+});